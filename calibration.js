@@ -0,0 +1,269 @@
+// Outcome calibration: fits factor weights from the pipeline results reps
+// have recorded and turns them into a second scoring profile. Each lead is
+// reduced to yes/no features (lead type, phase, therapeutic area, pain-point
+// types, priority) and a logistic regression predicts whether a contacted
+// lead reaches the outcome stage.
+
+const { ScoreLedger } = require('./scoreLedger');
+
+const SCORING_PROFILES = ['heuristic', 'calibrated'];
+
+// Pipeline stages that count as reaching each outcome
+const OUTCOMES = {
+  REPLIED: ['REPLIED', 'MEETING', 'WON'],
+  MEETING: ['MEETING', 'WON'],
+  WON: ['WON']
+};
+
+const FEATURE_KINDS = ['leadType', 'phase', 'therapeuticArea', 'painPoint', 'priority'];
+
+const DEFAULT_OPTIONS = {
+  outcome: 'MEETING',
+  // Factors seen on fewer leads are reported but left out of the model
+  minSupport: 5,
+  // Contacted leads needed, with at least one conversion and one miss
+  minExamples: 20,
+  iterations: 2000,
+  learningRate: 0.5,
+  l2: 0.01
+};
+
+// Upper bounds for the fit settings a request may set, so a fit always ends
+// quickly and stays numerically stable
+const MAX_ITERATIONS = 10000;
+const MAX_LEARNING_RATE = 10;
+const MAX_L2 = 10;
+
+function feature(kind, value) {
+  return `${kind}:${value}`;
+}
+
+// Yes/no features of a lead, as "kind:value" keys
+function leadFeatures(lead) {
+  const features = new Set();
+  const add = (kind, value) => {
+    if (value !== undefined && value !== null && value !== '') features.add(feature(kind, value));
+  };
+
+  add('leadType', lead.leadType);
+  add('phase', lead.trialInfo?.phase);
+  add('therapeuticArea', lead.therapeuticArea || lead.trialInfo?.indication);
+  (lead.challenges || []).forEach(challenge => add('painPoint', challenge.type));
+  add('priority', lead.basePriority ?? lead.priority);
+
+  return [...features];
+}
+
+// Stages a lead has been in, from its pipeline history
+function stagesReached(lead) {
+  const stages = new Set((lead.pipelineHistory || []).map(entry => entry.to));
+  if (lead.pipelineStatus) stages.add(lead.pipelineStatus);
+  return stages;
+}
+
+// true / false once a lead has been contacted; null while it is untouched
+function leadOutcome(lead, outcome = DEFAULT_OPTIONS.outcome) {
+  const stages = stagesReached(lead);
+  const converted = OUTCOMES[outcome].some(stage => stages.has(stage));
+  if (converted) return true;
+  return stages.has('CONTACTED') || stages.has('LOST') ? false : null;
+}
+
+function sigmoid(z) {
+  return 1 / (1 + Math.exp(-z));
+}
+
+function logit(p) {
+  return Math.log(p / (1 - p));
+}
+
+// Batch gradient descent with L2 regularisation on the weights (not the
+// intercept). examples: [{ features: [key], label: true|false }]
+function fitLogisticRegression(examples, featureKeys, { iterations, learningRate, l2 } = DEFAULT_OPTIONS) {
+  const index = new Map(featureKeys.map((key, i) => [key, i]));
+  const rows = examples.map(example => ({
+    active: example.features.filter(key => index.has(key)).map(key => index.get(key)),
+    y: example.label ? 1 : 0
+  }));
+
+  const positives = rows.filter(row => row.y === 1).length;
+  let intercept = logit(positives / rows.length);
+  const weights = new Array(featureKeys.length).fill(0);
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    let interceptGradient = 0;
+    const gradient = new Array(featureKeys.length).fill(0);
+
+    rows.forEach(row => {
+      const z = row.active.reduce((sum, i) => sum + weights[i], intercept);
+      const error = sigmoid(z) - row.y;
+      interceptGradient += error;
+      row.active.forEach(i => { gradient[i] += error; });
+    });
+
+    intercept -= learningRate * interceptGradient / rows.length;
+    weights.forEach((weight, i) => {
+      weights[i] -= learningRate * (gradient[i] / rows.length + l2 * weight);
+    });
+  }
+
+  return {
+    intercept,
+    weights: Object.fromEntries(featureKeys.map((key, i) => [key, weights[i]]))
+  };
+}
+
+function round(value, places = 4) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+// Fits a model from leads with recorded outcomes. Returns the model with a
+// per-factor lift report, or { sufficient: false, reason } when there is
+// not enough outcome data to fit.
+function calibrate(leads, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...pickOptions(options) };
+  const examples = leads
+    .map(lead => ({ features: leadFeatures(lead), label: leadOutcome(lead, settings.outcome) }))
+    .filter(example => example.label !== null);
+
+  const conversions = examples.filter(example => example.label).length;
+  const summary = {
+    outcome: settings.outcome,
+    examples: examples.length,
+    conversions,
+    baseRate: examples.length > 0 ? round(conversions / examples.length) : null
+  };
+
+  if (examples.length < settings.minExamples) {
+    return { ...summary, sufficient: false, reason: `${examples.length} contacted leads, need at least ${settings.minExamples}` };
+  }
+  if (conversions === 0 || conversions === examples.length) {
+    return { ...summary, sufficient: false, reason: `every contacted lead has the same ${settings.outcome} outcome` };
+  }
+
+  // Conversion counts per factor
+  const counts = new Map();
+  examples.forEach(example => {
+    example.features.forEach(key => {
+      const count = counts.get(key) || { leads: 0, conversions: 0 };
+      count.leads += 1;
+      if (example.label) count.conversions += 1;
+      counts.set(key, count);
+    });
+  });
+
+  const modelled = [...counts.keys()].filter(key => counts.get(key).leads >= settings.minSupport).sort();
+  const { intercept, weights } = fitLogisticRegression(examples, modelled, settings);
+  const baseRate = conversions / examples.length;
+
+  const factors = [...counts.entries()].map(([key, count]) => {
+    const separator = key.indexOf(':');
+    const rate = count.conversions / count.leads;
+    const weight = key in weights ? round(weights[key]) : null;
+    return {
+      feature: key,
+      kind: key.slice(0, separator),
+      value: key.slice(separator + 1),
+      leads: count.leads,
+      conversions: count.conversions,
+      rate: round(rate),
+      lift: round(rate / baseRate),
+      weight,
+      oddsRatio: weight === null ? null : round(Math.exp(weight))
+    };
+  }).sort((a, b) => b.lift - a.lift || b.leads - a.leads || a.feature.localeCompare(b.feature));
+
+  return {
+    ...summary,
+    sufficient: true,
+    fittedAt: new Date().toISOString(),
+    options: {
+      minSupport: settings.minSupport,
+      iterations: settings.iterations,
+      learningRate: settings.learningRate,
+      l2: settings.l2
+    },
+    intercept: round(intercept),
+    weights: Object.fromEntries(Object.entries(weights).map(([key, weight]) => [key, round(weight)])),
+    factors
+  };
+}
+
+// Calibrated score: predicted chance (0-100) that the lead reaches the
+// model's outcome. The ledger starts from the baseline rate and adds each
+// factor's change to the prediction, largest effect first.
+function calibratedScore(lead, model, ledger = new ScoreLedger()) {
+  let z = model.intercept;
+  let previous = Math.round(100 * sigmoid(z));
+  ledger.add(`Baseline ${model.outcome} rate`, previous, 'calibration.intercept', model.intercept);
+
+  leadFeatures(lead)
+    .filter(key => key in model.weights)
+    .sort((a, b) => Math.abs(model.weights[b]) - Math.abs(model.weights[a]) || a.localeCompare(b))
+    .forEach(key => {
+      z += model.weights[key];
+      const current = Math.round(100 * sigmoid(z));
+      ledger.add(key, current - previous, `calibration.weights.${key}`, model.weights[key]);
+      previous = current;
+    });
+
+  return ledger.total;
+}
+
+// Only the known option keys, without undefined values
+function pickOptions(options = {}) {
+  return Object.fromEntries(
+    Object.keys(DEFAULT_OPTIONS)
+      .filter(key => options[key] !== undefined)
+      .map(key => [key, options[key]])
+  );
+}
+
+function inRange(value, min, max) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+// Returns an error message, or null when the options can be used
+function validateCalibrationOptions(options = {}) {
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    return 'options must be an object';
+  }
+  const unknown = Object.keys(options).filter(key => !(key in DEFAULT_OPTIONS));
+  if (unknown.length > 0) {
+    return `unknown options: ${unknown.join(', ')}`;
+  }
+
+  const { outcome, minSupport, minExamples, iterations, learningRate, l2 } = options;
+  if (outcome !== undefined && !(outcome in OUTCOMES)) {
+    return `outcome must be one of ${Object.keys(OUTCOMES).join(', ')}`;
+  }
+  if (minSupport !== undefined && !(Number.isInteger(minSupport) && minSupport >= 1)) {
+    return 'minSupport must be a positive integer';
+  }
+  if (minExamples !== undefined && !(Number.isInteger(minExamples) && minExamples >= 2)) {
+    return 'minExamples must be an integer of at least 2';
+  }
+  if (iterations !== undefined && !(Number.isInteger(iterations) && inRange(iterations, 1, MAX_ITERATIONS))) {
+    return `iterations must be an integer from 1 to ${MAX_ITERATIONS}`;
+  }
+  if (learningRate !== undefined && !(inRange(learningRate, 0, MAX_LEARNING_RATE) && learningRate > 0)) {
+    return `learningRate must be a number above 0 and at most ${MAX_LEARNING_RATE}`;
+  }
+  if (l2 !== undefined && !inRange(l2, 0, MAX_L2)) {
+    return `l2 must be a number from 0 to ${MAX_L2}`;
+  }
+  return null;
+}
+
+module.exports = {
+  SCORING_PROFILES,
+  OUTCOMES,
+  FEATURE_KINDS,
+  leadFeatures,
+  leadOutcome,
+  fitLogisticRegression,
+  calibrate,
+  calibratedScore,
+  validateCalibrationOptions
+};
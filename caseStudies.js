@@ -0,0 +1,146 @@
+// Case-study library behind the credibility line in outreach emails. Each
+// entry is a claim we can substantiate, tagged with where it applies. Only
+// APPROVED entries are used, and a lead gets the best-matching one or none.
+
+const CASE_STUDY_STATUSES = ['DRAFT', 'APPROVED', 'RETIRED'];
+
+// Points per matching tag. A tag set on a case study must match the lead;
+// at least one of therapeutic area, submission type or phase has to, so an
+// untagged claim is never sent.
+const MATCH_WEIGHTS = {
+  therapeuticArea: 4,
+  submissionType: 2,
+  phase: 1,
+  leadTypes: 1
+};
+
+function normalizeTag(value) {
+  return typeof value === 'string' && value.trim() ? value.trim().toUpperCase().replace(/\s+/g, ' ') : null;
+}
+
+// Returns an error message, or null when the case study can be saved.
+// Updates are checked merged over the stored entry.
+function validateCaseStudy(input) {
+  const present = field => input[field] !== undefined;
+
+  for (const field of ['title', 'claim']) {
+    if (typeof input[field] !== 'string' || !input[field].trim()) {
+      return `${field} is required`;
+    }
+  }
+  for (const field of ['therapeuticArea', 'submissionType', 'phase', 'evidence']) {
+    if (present(field) && input[field] !== null && typeof input[field] !== 'string') {
+      return `${field} must be a string`;
+    }
+  }
+  if (present('leadTypes') && (!Array.isArray(input.leadTypes) || !input.leadTypes.every(type => typeof type === 'string'))) {
+    return 'leadTypes must be an array of strings';
+  }
+  if (present('status') && !CASE_STUDY_STATUSES.includes(input.status)) {
+    return `status must be one of ${CASE_STUDY_STATUSES.join(', ')}`;
+  }
+
+  if (input.status === 'APPROVED' && !['therapeuticArea', 'submissionType', 'phase'].some(field => normalizeTag(input[field]))) {
+    return 'approved case studies need a therapeuticArea, submissionType or phase';
+  }
+  return null;
+}
+
+// Case study fields as stored: tags trimmed and uppercased for matching
+function normalizeCaseStudy(input) {
+  const caseStudy = {};
+  if (input.title !== undefined) caseStudy.title = input.title.trim();
+  if (input.claim !== undefined) caseStudy.claim = input.claim.trim();
+  if (input.evidence !== undefined) caseStudy.evidence = input.evidence ? input.evidence.trim() : null;
+  ['therapeuticArea', 'submissionType', 'phase'].forEach(field => {
+    if (input[field] !== undefined) caseStudy[field] = normalizeTag(input[field]);
+  });
+  if (input.leadTypes !== undefined) caseStudy.leadTypes = input.leadTypes.map(normalizeTag).filter(Boolean);
+  if (input.status !== undefined) caseStudy.status = input.status;
+  return caseStudy;
+}
+
+// A case study's area covers a lead in that area or a narrower one: a
+// "LUNG CANCER" claim fits a "NON-SMALL CELL LUNG CANCER" lead, but a
+// "NON-SMALL CELL LUNG CANCER" claim is too specific for a "CANCER" lead.
+// Areas compare word by word, so "MS" never matches "VASOMOTOR SYMPTOMS"
+function areaWords(area) {
+  return area.split(/[^A-Z0-9]+/).filter(Boolean);
+}
+
+function areasMatch(caseArea, leadArea) {
+  const caseWords = areaWords(caseArea);
+  const leadWords = areaWords(leadArea);
+  if (caseWords.length === 0) return false;
+  for (let start = 0; start + caseWords.length <= leadWords.length; start++) {
+    if (caseWords.every((word, i) => leadWords[start + i] === word)) return true;
+  }
+  return false;
+}
+
+// Points for a case study against a lead context, or null when a tag on the
+// case study rules it out
+function matchScore(caseStudy, context) {
+  let score = 0;
+  let specific = false;
+
+  const area = normalizeTag(context.therapeuticArea);
+  if (caseStudy.therapeuticArea) {
+    if (!area || !areasMatch(caseStudy.therapeuticArea, area)) return null;
+    score += MATCH_WEIGHTS.therapeuticArea;
+    specific = true;
+  }
+
+  for (const field of ['submissionType', 'phase']) {
+    if (!caseStudy[field]) continue;
+    if (caseStudy[field] !== normalizeTag(context[field])) return null;
+    score += MATCH_WEIGHTS[field];
+    specific = true;
+  }
+
+  if (caseStudy.leadTypes?.length > 0) {
+    if (!caseStudy.leadTypes.includes(normalizeTag(context.leadType))) return null;
+    score += MATCH_WEIGHTS.leadTypes;
+  }
+
+  return specific ? score : null;
+}
+
+// Most relevant approved case study for a lead, or null. context:
+// { leadType, therapeuticArea, submissionType, phase }. Ties go to the
+// lowest id, so a lead always gets the same one.
+function matchCaseStudy(caseStudies = [], context = {}) {
+  let best = null;
+  let bestScore = -1;
+
+  caseStudies
+    .filter(caseStudy => caseStudy.status === 'APPROVED')
+    .sort((a, b) => a.id - b.id)
+    .forEach(caseStudy => {
+      const score = matchScore(caseStudy, context);
+      if (score !== null && score > bestScore) {
+        best = caseStudy;
+        bestScore = score;
+      }
+    });
+
+  return best;
+}
+
+// Match context for a lead as built by LeadGenerationService
+function leadContext(lead) {
+  return {
+    leadType: lead.leadType,
+    therapeuticArea: lead.therapeuticArea || lead.trialInfo?.indication || null,
+    submissionType: lead.submissionType || null,
+    phase: lead.trialInfo?.phase || null
+  };
+}
+
+module.exports = {
+  CASE_STUDY_STATUSES,
+  validateCaseStudy,
+  normalizeCaseStudy,
+  matchCaseStudy,
+  leadContext
+};
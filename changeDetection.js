@@ -0,0 +1,97 @@
+// Lead diff engine. Compares a source's leads before and after a
+// generation run and classifies what moved:
+//   APPEARED  - new lead, or a stale lead that showed up again
+//   ESCALATED - priority went up or the status moved to a red-flag value
+//   CHANGED   - any other change to a tracked field
+//   GONE      - lead dropped out of the run (now stale)
+
+const PRIORITY_ORDER = { LOW: 1, MEDIUM: 2, HIGH: 3, CRITICAL: 4 };
+
+// Application and trial statuses that count as an escalation when entered
+const ESCALATION_STATUSES = [
+  'COMPLETE_RESPONSE_LETTER',
+  'REFUSE_TO_FILE',
+  'WITHDRAWN',
+  'SUSPENDED',
+  'TERMINATED'
+];
+
+// Fields compared between runs: label -> accessor. Priority is compared
+// before score thresholds lift it, since incoming leads are not ranked yet.
+const TRACKED_FIELDS = {
+  priority: lead => lead.basePriority ?? lead.priority,
+  status: lead => lead.status,
+  subType: lead => lead.subType,
+  trialStatus: lead => lead.trialInfo?.status,
+  trialPhase: lead => lead.trialInfo?.phase,
+  classification: lead => lead.issue?.classification
+};
+
+function diffFields(previous, current) {
+  const fieldChanges = [];
+
+  Object.entries(TRACKED_FIELDS).forEach(([field, accessor]) => {
+    const from = accessor(previous) ?? null;
+    const to = accessor(current) ?? null;
+    if (from !== to) fieldChanges.push({ field, from, to });
+  });
+
+  return fieldChanges;
+}
+
+function isEscalation(fieldChanges) {
+  return fieldChanges.some(change => {
+    if (change.field === 'priority') {
+      return (PRIORITY_ORDER[change.to] || 0) > (PRIORITY_ORDER[change.from] || 0);
+    }
+    if (change.field === 'status' || change.field === 'trialStatus') {
+      return ESCALATION_STATUSES.includes(change.to);
+    }
+    return false;
+  });
+}
+
+function buildChange(lead, changeType, fieldChanges, { runId, detectedAt }) {
+  return {
+    runId: runId || null,
+    leadId: lead.id,
+    companyName: lead.companyName,
+    leadType: lead.leadType,
+    changeType,
+    priority: lead.priority,
+    fieldChanges,
+    summary: lead.urgencyReason || null,
+    detectedAt
+  };
+}
+
+// previousLeads: a source's leads before the run; currentLeads: after merging
+function detectLeadChanges(previousLeads, currentLeads, { runId = null, detectedAt = new Date().toISOString() } = {}) {
+  const context = { runId, detectedAt };
+  const previousById = new Map(previousLeads.map(lead => [lead.id, lead]));
+  const changes = [];
+
+  currentLeads.forEach(lead => {
+    const previous = previousById.get(lead.id);
+    const wasActive = previous && !previous.stale;
+
+    if (lead.stale) {
+      if (wasActive) changes.push(buildChange(lead, 'GONE', [], context));
+      return;
+    }
+
+    if (!wasActive) {
+      changes.push(buildChange(lead, 'APPEARED', [], context));
+      return;
+    }
+
+    const fieldChanges = diffFields(previous, lead);
+    if (fieldChanges.length === 0) return;
+
+    changes.push(buildChange(lead, isEscalation(fieldChanges) ? 'ESCALATED' : 'CHANGED', fieldChanges, context));
+  });
+
+  return changes;
+}
+
+module.exports = { detectLeadChanges, ESCALATION_STATUSES, TRACKED_FIELDS };
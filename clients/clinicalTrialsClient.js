@@ -0,0 +1,219 @@
+// ClinicalTrials.gov API v2 client. Follows nextPageToken, dedupes studies
+// by NCT ID across queries and owns the single list of fields we request.
+const logger = require('../logger');
+const { getWithRetry } = require('./httpClient');
+
+const BASE_URL = 'https://clinicaltrials.gov/api/v2';
+const MAX_PAGE_SIZE = 1000;
+
+// Every module the trial analyzers read. Add new modules here rather than
+// per query so all trial records share one shape.
+const TRIAL_FIELDS = [
+  'IdentificationModule',
+  'StatusModule',
+  'SponsorCollaboratorsModule',
+  'DesignModule',
+  'ConditionsModule',
+  'ArmsInterventionsModule',
+  'OutcomesModule',
+  'EligibilityModule',
+  'ContactsLocationsModule',
+  'OversightModule',
+  'HasResults'
+];
+
+const PHASES = ['EARLY_PHASE1', 'PHASE1', 'PHASE2', 'PHASE3', 'PHASE4', 'NA'];
+
+const STATUSES = [
+  'NOT_YET_RECRUITING', 'RECRUITING', 'ENROLLING_BY_INVITATION', 'ACTIVE_NOT_RECRUITING',
+  'SUSPENDED', 'TERMINATED', 'COMPLETED', 'WITHDRAWN', 'UNKNOWN'
+];
+
+const INTERVENTION_TYPES = [
+  'DRUG', 'BIOLOGICAL', 'DEVICE', 'PROCEDURE', 'RADIATION', 'BEHAVIORAL',
+  'GENETIC', 'DIETARY_SUPPLEMENT', 'COMBINATION_PRODUCT', 'DIAGNOSTIC_TEST', 'OTHER'
+];
+
+// Date filters: option name -> ClinicalTrials.gov search area
+const DATE_AREAS = {
+  startDate: 'StartDate',
+  firstSubmitted: 'StudyFirstSubmitDate',
+  lastUpdated: 'LastUpdatePostDate',
+  primaryCompletion: 'PrimaryCompletionDate',
+  completion: 'CompletionDate'
+};
+
+// Query options accepted by searchStudies:
+//   intervention       free-text intervention search (query.intr), e.g. 'Drug'
+//   condition          free-text condition search (query.cond)
+//   sponsor            free-text sponsor search (query.spons)
+//   term               free-text search over all fields (query.term)
+//   phases             subset of PHASES
+//   statuses           subset of STATUSES
+//   interventionTypes  subset of INTERVENTION_TYPES
+//   startDate, firstSubmitted, lastUpdated, primaryCompletion, completion
+//                      { from: 'YYYY-MM-DD', to: 'YYYY-MM-DD' } (either end optional)
+//   pageSize           studies per page (max 1000)
+//   maxRecords         stop after this many studies
+const OPTION_KEYS = [
+  'intervention', 'condition', 'sponsor', 'term', 'phases', 'statuses', 'interventionTypes',
+  ...Object.keys(DATE_AREAS), 'pageSize', 'maxRecords'
+];
+
+function assertSubset(name, values, allowed) {
+  if (!Array.isArray(values)) {
+    throw new TypeError(`${name} must be an array`);
+  }
+  const invalid = values.filter(value => !allowed.includes(value));
+  if (invalid.length > 0) {
+    throw new TypeError(`Invalid ${name}: ${invalid.join(', ')}`);
+  }
+}
+
+function validateOptions(options) {
+  const unknown = Object.keys(options).filter(key => !OPTION_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new TypeError(`Unknown trial query options: ${unknown.join(', ')}`);
+  }
+
+  ['intervention', 'condition', 'sponsor', 'term'].forEach(key => {
+    if (options[key] !== undefined && typeof options[key] !== 'string') {
+      throw new TypeError(`${key} must be a string`);
+    }
+  });
+
+  if (options.phases) assertSubset('phases', options.phases, PHASES);
+  if (options.statuses) assertSubset('statuses', options.statuses, STATUSES);
+  if (options.interventionTypes) assertSubset('interventionTypes', options.interventionTypes, INTERVENTION_TYPES);
+
+  Object.keys(DATE_AREAS).forEach(key => {
+    const range = options[key];
+    if (range === undefined) return;
+    if (typeof range !== 'object' || (!range.from && !range.to)) {
+      throw new TypeError(`${key} must be { from, to }`);
+    }
+  });
+}
+
+// Translates query options into v2 request parameters
+function buildParams(options) {
+  const params = {
+    format: 'json',
+    fields: TRIAL_FIELDS.join(','),
+    countTotal: 'true'
+  };
+
+  if (options.intervention) params['query.intr'] = options.intervention;
+  if (options.condition) params['query.cond'] = options.condition;
+  if (options.sponsor) params['query.spons'] = options.sponsor;
+  if (options.term) params['query.term'] = options.term;
+  if (options.statuses?.length) params['filter.overallStatus'] = options.statuses.join(',');
+
+  const advanced = [];
+  if (options.phases?.length) {
+    advanced.push(`AREA[Phase](${options.phases.join(' OR ')})`);
+  }
+  if (options.interventionTypes?.length) {
+    advanced.push(`AREA[InterventionType](${options.interventionTypes.join(' OR ')})`);
+  }
+  Object.entries(DATE_AREAS).forEach(([key, area]) => {
+    const range = options[key];
+    if (range) {
+      advanced.push(`AREA[${area}]RANGE[${range.from || 'MIN'},${range.to || 'MAX'}]`);
+    }
+  });
+  if (advanced.length > 0) params['filter.advanced'] = advanced.join(' AND ');
+
+  return params;
+}
+
+function getNctId(study) {
+  return study.protocolSection?.identificationModule?.nctId || study.nctId || null;
+}
+
+class ClinicalTrialsClient {
+  constructor(options = {}) {
+    this.baseUrl = options.baseUrl || BASE_URL;
+    this.pageSize = Math.min(options.pageSize || parseInt(process.env.CTGOV_PAGE_SIZE, 10) || 100, MAX_PAGE_SIZE);
+    this.maxRecords = options.maxRecords || parseInt(process.env.CTGOV_MAX_RECORDS, 10) || 1000;
+    this.maxRetries = options.maxRetries ?? 4;
+    this.retryDelayMs = options.retryDelayMs ?? 1000;
+    this.timeout = options.timeout || 45000;
+  }
+
+  // Runs one query across all pages.
+  // Resolves with { studies, total, fetched, pages, truncated }.
+  async searchStudies(options = {}) {
+    validateOptions(options);
+
+    const maxRecords = options.maxRecords || this.maxRecords;
+    const pageSize = Math.min(options.pageSize || this.pageSize, maxRecords, MAX_PAGE_SIZE);
+    const params = buildParams(options);
+    const studies = [];
+    let total = null;
+    let pages = 0;
+    let pageToken = null;
+
+    do {
+      const response = await getWithRetry(`${this.baseUrl}/studies`, {
+        params: { ...params, pageSize, ...(pageToken ? { pageToken } : {}) },
+        timeout: this.timeout,
+        headers: { 'Accept': 'application/json' }
+      }, { maxRetries: this.maxRetries, retryDelayMs: this.retryDelayMs, label: 'ClinicalTrials.gov' });
+
+      const data = response.data || {};
+      pages++;
+      total = data.totalCount ?? total;
+      studies.push(...(data.studies || []));
+      pageToken = data.nextPageToken || null;
+    } while (pageToken && studies.length < maxRecords);
+
+    const fetched = Math.min(studies.length, maxRecords);
+    const truncated = Boolean(pageToken) || (total !== null && fetched < total);
+
+    if (truncated) {
+      logger.warn(`ClinicalTrials.gov query truncated: fetched ${fetched} of ${total ?? 'unknown'} studies`);
+    }
+
+    return { studies: studies.slice(0, maxRecords), total: total ?? fetched, fetched, pages, truncated };
+  }
+
+  // Runs several named queries and merges them, keeping the first copy of
+  // each NCT ID. A failed query is reported and skipped.
+  // Resolves with { studies, reports }.
+  async searchMany(queries) {
+    const byNctId = new Map();
+    const reports = [];
+
+    for (const [label, options] of Object.entries(queries)) {
+      try {
+        const { studies, ...report } = await this.searchStudies(options);
+        let added = 0;
+        studies.forEach(study => {
+          const nctId = getNctId(study);
+          if (nctId && !byNctId.has(nctId)) {
+            byNctId.set(nctId, study);
+            added++;
+          }
+        });
+        reports.push({ label, ...report, added });
+        logger.info(`ClinicalTrials.gov ${label}: ${report.fetched} studies (${added} new)`);
+      } catch (error) {
+        logger.warn(`ClinicalTrials.gov ${label} query failed:`, error.message);
+        reports.push({ label, error: error.message });
+      }
+    }
+
+    return { studies: Array.from(byNctId.values()), reports };
+  }
+}
+
+module.exports = {
+  ClinicalTrialsClient,
+  TRIAL_FIELDS,
+  PHASES,
+  STATUSES,
+  INTERVENTION_TYPES,
+  buildParams,
+  getNctId
+};
@@ -0,0 +1,36 @@
+// GET with retries for the upstream APIs (openFDA, ClinicalTrials.gov).
+// 429s honour Retry-After; 5xx and network errors back off exponentially.
+const logger = require('../logger');
+const { httpGet } = require('./upstreamFixtures');
+
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'ENETUNREACH'];
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function isRetryable(error) {
+  const status = error.response?.status;
+  return status === 429 || status >= 500 || TRANSIENT_ERROR_CODES.includes(error.code);
+}
+
+async function getWithRetry(url, config = {}, { maxRetries = 4, retryDelayMs = 1000, label = 'upstream' } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await httpGet(url, config);
+    } catch (error) {
+      if (!isRetryable(error) || attempt >= maxRetries) throw error;
+
+      const status = error.response?.status;
+      const retryAfter = parseInt(error.response?.headers?.['retry-after'], 10);
+      const delay = status === 429 && retryAfter
+        ? retryAfter * 1000
+        : retryDelayMs * 2 ** attempt;
+
+      logger.warn(`${label} request failed (${status || error.code}), retrying in ${delay}ms`, { url });
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = { getWithRetry, isRetryable };
@@ -0,0 +1,120 @@
+// Shared openFDA client: pages through results with skip (and search_after
+// via the Link header past openFDA's skip ceiling), runs count queries,
+// retries transient failures, backs off on 429 and reports when a result
+// set was cut short.
+const moment = require('moment');
+const logger = require('../logger');
+const { getWithRetry } = require('./httpClient');
+
+const BASE_URL = 'https://api.fda.gov';
+
+// openFDA rejects limit > 1000 and skip > 25000
+const MAX_PAGE_SIZE = 1000;
+const MAX_SKIP = 25000;
+
+// openFDA dates come as YYYYMMDD or YYYY-MM-DD
+function toIsoDate(value) {
+  return value ? moment(value).format('YYYY-MM-DD') : null;
+}
+
+// Returns the rel="next" URL from a Link header, if any
+function parseNextLink(linkHeader) {
+  if (!linkHeader) return null;
+  const match = linkHeader.match(/<([^>]+)>;\s*rel="?next"?/);
+  return match ? match[1] : null;
+}
+
+class OpenFdaClient {
+  constructor(options = {}) {
+    this.baseUrl = options.baseUrl || BASE_URL;
+    this.apiKey = options.apiKey ?? process.env.FDA_API_KEY;
+    this.pageSize = Math.min(options.pageSize || parseInt(process.env.OPENFDA_PAGE_SIZE, 10) || MAX_PAGE_SIZE, MAX_PAGE_SIZE);
+    this.maxRecords = options.maxRecords || parseInt(process.env.OPENFDA_MAX_RECORDS, 10) || 5000;
+    this.maxRetries = options.maxRetries ?? (parseInt(process.env.OPENFDA_MAX_RETRIES, 10) || 4);
+    this.retryDelayMs = options.retryDelayMs ?? 1000;
+    this.timeout = options.timeout || 30000;
+  }
+
+  // Fetches every page of endpoint (e.g. '/drug/enforcement.json') up to maxRecords.
+  // Resolves with { results, total, fetched, pages, truncated }.
+  async fetchAll(endpoint, { search, sort, maxRecords = this.maxRecords, pageSize = this.pageSize } = {}) {
+    const limit = Math.min(pageSize, maxRecords, MAX_PAGE_SIZE);
+    const results = [];
+    let total = null;
+    let pages = 0;
+    let skip = 0;
+    let nextUrl = null;
+
+    while (results.length < maxRecords) {
+      let response;
+
+      if (nextUrl) {
+        response = await this.request(nextUrl, {});
+      } else {
+        const params = { limit: Math.min(limit, maxRecords - results.length), skip };
+        if (search) params.search = search;
+        if (sort) params.sort = sort;
+        response = await this.request(`${this.baseUrl}${endpoint}`, params);
+      }
+
+      // openFDA answers 404 when nothing matches the search
+      if (!response) break;
+
+      const page = response.data?.results || [];
+      pages++;
+      total = response.data?.meta?.results?.total ?? total;
+      results.push(...page);
+
+      if (page.length === 0 || (total !== null && results.length >= total)) break;
+
+      nextUrl = parseNextLink(response.headers?.link);
+      skip += page.length;
+
+      // Past the skip ceiling only search_after (Link header) paging works
+      if (!nextUrl && skip + limit > MAX_SKIP) break;
+    }
+
+    const fetched = Math.min(results.length, maxRecords);
+    const truncated = total !== null && fetched < total;
+
+    if (truncated) {
+      logger.warn(`openFDA ${endpoint} truncated: fetched ${fetched} of ${total} records`);
+    }
+
+    return { results: results.slice(0, maxRecords), total: total ?? 0, fetched, pages, truncated };
+  }
+
+  // Single aggregation query (?count=field). Resolves with openFDA's
+  // [{ term, count }] rows ([{ time, count }] for date fields), or [] when
+  // nothing matches.
+  async count(endpoint, { search, field, limit } = {}) {
+    const params = { count: field };
+    if (search) params.search = search;
+    if (limit) params.limit = Math.min(limit, MAX_PAGE_SIZE);
+
+    const response = await this.request(`${this.baseUrl}${endpoint}`, params);
+    return response?.data?.results || [];
+  }
+
+  // GET with retries. Resolves null on 404 (no matches).
+  async request(url, params) {
+    const query = { ...params };
+    if (this.apiKey && !url.includes('api_key=')) query.api_key = this.apiKey;
+
+    try {
+      return await getWithRetry(url, {
+        params: query,
+        timeout: this.timeout,
+        headers: {
+          'Accept': 'application/json',
+          'User-Agent': 'PharmaDataFetcher/1.0'
+        }
+      }, { maxRetries: this.maxRetries, retryDelayMs: this.retryDelayMs, label: 'openFDA' });
+    } catch (error) {
+      if (error.response?.status === 404) return null;
+      throw error;
+    }
+  }
+}
+
+module.exports = { OpenFdaClient, parseNextLink, toIsoDate };
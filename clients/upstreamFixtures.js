@@ -0,0 +1,129 @@
+// Record/replay for upstream API calls (openFDA, ClinicalTrials.gov).
+//
+//   UPSTREAM_MODE=live    (default) talk to the real APIs
+//   UPSTREAM_MODE=record  talk to the real APIs and save every response
+//   UPSTREAM_MODE=replay  serve saved responses only; no network
+//
+// Fixtures live in UPSTREAM_FIXTURES_DIR (default fixtures/upstream), one
+// JSON file per request. Date values in query strings are normalized out of
+// the fixture key so a recording made on one day replays on any other.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const logger = require('../logger');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'upstream');
+
+// Query parameters that never affect the response body
+const IGNORED_PARAMS = ['api_key'];
+
+function getMode() {
+  return (process.env.UPSTREAM_MODE || 'live').toLowerCase();
+}
+
+function getFixturesDir() {
+  return process.env.UPSTREAM_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+}
+
+function normalizeDates(value) {
+  return String(value)
+    .replace(/\d{4}-\d{2}-\d{2}/g, '{date}')
+    .replace(/\b\d{8}\b/g, '{date}');
+}
+
+// Stable file name for a GET: host + path slug + hash of the sorted query
+function fixtureName(url, params = {}) {
+  const parsed = new URL(url);
+  const query = {};
+
+  parsed.searchParams.forEach((value, key) => {
+    query[key] = value;
+  });
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) query[key] = String(value);
+  });
+  IGNORED_PARAMS.forEach(key => delete query[key]);
+
+  const canonical = Object.keys(query)
+    .sort()
+    .map(key => `${key}=${normalizeDates(query[key])}`)
+    .join('&');
+
+  const hash = crypto
+    .createHash('sha1')
+    .update(`${parsed.host}${parsed.pathname}?${canonical}`)
+    .digest('hex')
+    .substring(0, 16);
+  const slug = `${parsed.host}${parsed.pathname}`.replace(/[^a-zA-Z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+  return { file: `${slug}-${hash}.json`, canonical };
+}
+
+function saveFixture(url, params, response) {
+  const { file, canonical } = fixtureName(url, params);
+  const dir = getFixturesDir();
+  fs.mkdirSync(dir, { recursive: true });
+
+  const fixture = {
+    request: { url: url.split('?')[0], query: canonical },
+    recordedAt: new Date().toISOString(),
+    response: {
+      status: response.status,
+      headers: response.headers?.link ? { link: response.headers.link } : {},
+      data: response.data
+    }
+  };
+
+  fs.writeFileSync(path.join(dir, file), JSON.stringify(fixture, null, 2));
+}
+
+function replayFixture(url, params) {
+  const { file } = fixtureName(url, params);
+  const fixturePath = path.join(getFixturesDir(), file);
+
+  if (!fs.existsSync(fixturePath)) {
+    const error = new Error(`No upstream fixture for GET ${url} (${file})`);
+    error.code = 'ENOFIXTURE';
+    throw error;
+  }
+
+  const { response } = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+
+  // Recorded error responses are replayed as axios-style errors
+  if (response.status >= 400) {
+    const error = new Error(`Request failed with status code ${response.status}`);
+    error.response = response;
+    throw error;
+  }
+
+  return response;
+}
+
+// Drop-in replacement for axios.get that honours UPSTREAM_MODE
+async function httpGet(url, config = {}) {
+  const mode = getMode();
+
+  if (mode === 'replay') {
+    return replayFixture(url, config.params);
+  }
+
+  if (mode !== 'record') {
+    return axios.get(url, config);
+  }
+
+  try {
+    const response = await axios.get(url, config);
+    saveFixture(url, config.params, response);
+    return response;
+  } catch (error) {
+    if (error.response) {
+      saveFixture(url, config.params, error.response);
+    } else {
+      logger.warn(`Not recording failed request to ${url}:`, error.message);
+    }
+    throw error;
+  }
+}
+
+module.exports = { httpGet, getMode, fixtureName, saveFixture, replayFixture };
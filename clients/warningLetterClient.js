@@ -0,0 +1,100 @@
+// FDA warning letters scraped from fda.gov: the listing page gives company,
+// dates, issuing office and subject; each letter page adds the cited CFR
+// sections and response deadline. Requests go through the upstream
+// record/replay layer, so saved pages can stand in for fda.gov.
+const logger = require('../logger');
+const { getWithRetry } = require('./httpClient');
+const { parseListing, parseLetter } = require('./warningLetterParser');
+
+const LISTING_URL = 'https://www.fda.gov/inspections-compliance-enforcement-and-criminal-investigations/compliance-actions-and-activities/warning-letters';
+
+class WarningLetterClient {
+  constructor(options = {}) {
+    this.listingUrl = options.listingUrl || LISTING_URL;
+    this.maxPages = options.maxPages || parseInt(process.env.WARNING_LETTER_MAX_PAGES, 10) || 3;
+    this.maxLetters = options.maxLetters || parseInt(process.env.WARNING_LETTER_MAX_LETTERS, 10) || 100;
+    this.maxRetries = options.maxRetries ?? 4;
+    this.retryDelayMs = options.retryDelayMs ?? 1000;
+    this.timeout = options.timeout || 30000;
+  }
+
+  async getHtml(url, params) {
+    const response = await getWithRetry(url, {
+      params,
+      timeout: this.timeout,
+      headers: { 'Accept': 'text/html' },
+      responseType: 'text'
+    }, { maxRetries: this.maxRetries, retryDelayMs: this.retryDelayMs, label: 'FDA warning letters' });
+
+    return response.data || '';
+  }
+
+  // Listing rows across pages, stopping at the first page with nothing new
+  async listLetters() {
+    const bySlug = new Map();
+    let pages = 0;
+
+    for (let page = 0; page < this.maxPages; page++) {
+      const entries = parseListing(await this.getHtml(this.listingUrl, page > 0 ? { page } : undefined));
+      pages++;
+
+      const fresh = entries.filter(entry => !bySlug.has(entry.slug));
+      fresh.forEach(entry => bySlug.set(entry.slug, entry));
+      if (fresh.length === 0) break;
+    }
+
+    return { entries: Array.from(bySlug.values()), pages };
+  }
+
+  // Listing entry + its letter page. Letter page values win; the listing
+  // fills whatever the page does not state.
+  async fetchLetter(entry) {
+    const details = parseLetter(await this.getHtml(entry.url));
+
+    return {
+      ...entry,
+      marcsCmsNumber: details.marcsCmsNumber,
+      feiNumbers: details.feiNumbers,
+      recipient: details.recipient,
+      productType: details.productType,
+      issuingOffice: details.issuingOffice || entry.issuingOffice || null,
+      subject: details.subject || entry.subject || null,
+      letterDate: details.letterDate || entry.letterDate || null,
+      cfrCitations: details.cfrCitations,
+      responseDeadline: details.responseDeadline
+    };
+  }
+
+  // Letters matching filter(entry), newest first, up to maxLetters. A letter
+  // page that fails to load is skipped and counted.
+  // Resolves with { letters, listed, fetched, failed, pages, truncated }.
+  async fetchLetters({ filter = () => true, maxLetters = this.maxLetters } = {}) {
+    const { entries, pages } = await this.listLetters();
+    const matching = entries
+      .filter(filter)
+      .sort((a, b) => (b.letterDate || b.postedDate || '').localeCompare(a.letterDate || a.postedDate || ''));
+    const selected = matching.slice(0, maxLetters);
+    const letters = [];
+    let failed = 0;
+
+    for (const entry of selected) {
+      try {
+        letters.push(await this.fetchLetter(entry));
+      } catch (error) {
+        failed++;
+        logger.warn(`Failed to fetch warning letter ${entry.slug}:`, error.message);
+      }
+    }
+
+    return {
+      letters,
+      listed: entries.length,
+      fetched: letters.length,
+      failed,
+      pages,
+      truncated: matching.length > selected.length
+    };
+  }
+}
+
+module.exports = { WarningLetterClient, LISTING_URL };
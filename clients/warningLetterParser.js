@@ -0,0 +1,198 @@
+// HTML parsing for the FDA warning letter listing and individual letter
+// pages. Kept separate from the client so it can be run against saved pages.
+const cheerio = require('cheerio');
+const moment = require('moment');
+
+const FDA_ORIGIN = 'https://www.fda.gov';
+
+const DATE_FORMATS = ['MM/DD/YYYY', 'M/D/YYYY', 'MMMM D, YYYY', 'MMMM DD, YYYY', 'YYYY-MM-DD'];
+
+// Listing column header -> field
+const LISTING_COLUMNS = {
+  'posted date': 'postedDate',
+  'letter issue date': 'letterDate',
+  'company name': 'company',
+  'issuing office': 'issuingOffice',
+  'subject': 'subject',
+  'excerpt': 'excerpt'
+};
+
+const NUMBER_WORDS = {
+  ten: 10, fifteen: 15, twenty: 20, thirty: 30, 'forty-five': 45, sixty: 60, ninety: 90
+};
+
+function cleanText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+// Any of the date formats FDA pages use -> YYYY-MM-DD (null if unparseable)
+function parseDate(text) {
+  const cleaned = cleanText(text);
+  if (!cleaned) return null;
+
+  const parsed = moment(cleaned, DATE_FORMATS, true);
+  return parsed.isValid() ? parsed.format('YYYY-MM-DD') : null;
+}
+
+function parseDateCell($, cell) {
+  const datetime = $(cell).find('time').attr('datetime');
+  if (datetime && moment(datetime).isValid()) return moment.parseZone(datetime).format('YYYY-MM-DD');
+  return parseDate($(cell).text());
+}
+
+// Slug of the letter page, e.g. acme-pharmaceuticals-inc-699999-01082026
+function letterSlug(url) {
+  return url.replace(/[?#].*$/, '').replace(/\/+$/, '').split('/').pop();
+}
+
+// Rows of the warning letter listing table, located by header text so a
+// column reorder on fda.gov does not shift fields
+function parseListing(html) {
+  const $ = cheerio.load(html);
+  const letters = [];
+
+  $('table').each((_, table) => {
+    const headers = $(table).find('thead th').map((__, th) => cleanText($(th).text()).toLowerCase()).get();
+    if (!headers.includes('company name')) return;
+
+    $(table).find('tbody tr').each((__, row) => {
+      const cells = $(row).find('td');
+      const entry = {};
+
+      headers.forEach((header, index) => {
+        const field = LISTING_COLUMNS[header];
+        const cell = cells.get(index);
+        if (!field || !cell) return;
+
+        if (field === 'postedDate' || field === 'letterDate') {
+          entry[field] = parseDateCell($, cell);
+        } else {
+          entry[field] = cleanText($(cell).text());
+        }
+
+        if (field === 'company') {
+          const href = $(cell).find('a').attr('href');
+          if (href) entry.url = new URL(href, FDA_ORIGIN).toString();
+        }
+      });
+
+      if (!entry.company || !entry.url) return;
+      entry.slug = letterSlug(entry.url);
+      letters.push(entry);
+    });
+  });
+
+  return letters;
+}
+
+// "21 CFR 211.22(d) and 211.192" -> ['21 CFR 211.22(d)', '21 CFR 211.192']
+function extractCfrCitations(text) {
+  const citations = new Set();
+  const section = '\\d{1,4}(?:\\.\\d+)?(?:\\([a-z0-9]{1,4}\\))*';
+  // Follow-on sections must be dotted so "Part 211, 21 CFR ..." is not read as a list
+  const listed = '(?:\\s*,?\\s*(?:and|or)?\\s+|\\s*,\\s*)(?:§+\\s*)?\\d{1,4}\\.\\d+(?:\\([a-z0-9]{1,4}\\))*';
+  const pattern = new RegExp(`21\\s*C\\.?F\\.?R\\.?\\s*(?:Part\\s*|§+\\s*)?(${section}(?:${listed})*)`, 'gi');
+
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    match[1]
+      .split(/\s*(?:,|\band\b|\bor\b)\s*/i)
+      .map(cited => cited.replace(/§/g, '').trim())
+      .filter(Boolean)
+      .forEach(cited => citations.add(`21 CFR ${cited}`));
+  }
+
+  return Array.from(citations);
+}
+
+function addWorkingDays(date, days) {
+  const result = moment(date);
+  let added = 0;
+
+  while (added < days) {
+    result.add(1, 'day');
+    if (result.isoWeekday() <= 5) added++;
+  }
+
+  return result;
+}
+
+// "within fifteen (15) working days" -> { days: 15, dayType: 'working', dueDate }
+// The due date counts from the letter date, since receipt dates are not public
+function extractResponseDeadline(text, letterDate) {
+  const pattern = /within\s+(?:([a-z-]+)\s+)?\(?(\d+)?\)?\s*(working|business|calendar)?\s*days/gi;
+  const matches = Array.from(text.matchAll(pattern));
+  if (matches.length === 0) return null;
+
+  // Prefer the "... days of receipt of this letter" request over other periods
+  const match = matches.find(m => /^\s*(?:from|of|after)\s+(?:the\s+date\s+of\s+)?receipt/i.test(text.slice(m.index + m[0].length, m.index + m[0].length + 40)))
+    || matches[0];
+
+  const days = match[2] ? parseInt(match[2], 10) : NUMBER_WORDS[(match[1] || '').toLowerCase()];
+  if (!days) return null;
+
+  const dayType = (match[3] || 'calendar').toLowerCase() === 'calendar' ? 'calendar' : 'working';
+  let dueDate = null;
+  if (letterDate) {
+    dueDate = (dayType === 'working' ? addWorkingDays(letterDate, days) : moment(letterDate).add(days, 'days')).format('YYYY-MM-DD');
+  }
+
+  return { days, dayType, dueDate };
+}
+
+// Label/value pairs from the letter header (<dt>/<dd> on fda.gov)
+function parseHeaderFields($) {
+  const fields = {};
+  $('dd br').replaceWith(', ');
+
+  $('dl').each((_, dl) => {
+    $(dl).find('dt').each((__, dt) => {
+      const label = cleanText($(dt).text()).replace(/:$/, '').toLowerCase();
+      const value = cleanText($(dt).next('dd').text());
+      if (label && value && !fields[label]) fields[label] = value;
+    });
+  });
+
+  return fields;
+}
+
+// A single warning letter page. Fields missing from the page come back null
+// so the listing values can be used instead.
+function parseLetter(html) {
+  const $ = cheerio.load(html);
+  const header = parseHeaderFields($);
+  const body = $('article').length ? $('article') : $('[role="main"]').length ? $('[role="main"]') : $('body');
+  const text = cleanText(body.text());
+
+  const marcs = text.match(/MARCS-CMS\s*(\d+)/i);
+  const datetime = body.find('time').first().attr('datetime');
+  const datedLine = text.match(/\b(January|February|March|April|May|June|July|August|September|October|November|December)\s+\d{1,2},\s+\d{4}\b/);
+  const letterDate = parseDate(header['letter issue date'])
+    || (datetime && moment(datetime).isValid() ? moment.parseZone(datetime).format('YYYY-MM-DD') : null)
+    || (datedLine ? parseDate(datedLine[0]) : null);
+
+  const feiNumbers = Array.from(new Set(
+    Array.from(text.matchAll(/\bFEI\s*(?:#|No\.?|Number)?\s*:?\s*(\d{7,10})\b/gi), match => match[1])
+  ));
+
+  return {
+    marcsCmsNumber: marcs ? marcs[1] : null,
+    feiNumbers,
+    recipient: header.recipient || null,
+    issuingOffice: header['issuing office'] || null,
+    subject: header.subject || null,
+    productType: header.product || null,
+    letterDate,
+    cfrCitations: extractCfrCitations(text),
+    responseDeadline: extractResponseDeadline(text, letterDate)
+  };
+}
+
+module.exports = {
+  parseListing,
+  parseLetter,
+  extractCfrCitations,
+  extractResponseDeadline,
+  parseDate,
+  letterSlug
+};
@@ -0,0 +1,78 @@
+// Company records in dataStore, keyed by resolved company name (see
+// entityResolution.js). Leads from every source are grouped under these so
+// cross-source signals (multiple touchpoints, compliance issues) can boost scores.
+const dataStore = require('./dataStore');
+const { EntityResolver, normalizeCompanyName, recordIdentifiers } = require('./entityResolution');
+
+// Resolves a sponsor name, and any identifier keys from its record, to a
+// company, creating it if needed, and counts one more touchpoint. Returns the
+// company with the resolution ({ companyName, confidence, method }).
+function getOrCreateCompany(name, { resolver = buildEntityResolver(), identifiers = {} } = {}) {
+  const resolution = resolver.resolve(name, identifiers);
+  const { companyName } = resolution;
+
+  if (!dataStore.companies.has(companyName)) {
+    dataStore.companies.set(companyName, {
+      name: companyName,
+      applications: [],
+      trials: [],
+      warningLetters: [],
+      recalls: [],
+      drugShortages: [],
+      inspectionIssues: [],
+      exclusivityExpiries: [],
+      genericOpportunities: [],
+      biosimilarCompetition: [],
+      deviceClearances: [],
+      deviceApprovals: [],
+      deviceRecalls: [],
+      deviceEvents: [],
+      safetySignals: [],
+      labelChanges: [],
+      resultsCompliance: [],
+      therapeuticAreas: new Set(),
+      hasUrgentIssues: false,
+      hasQualityIssues: false,
+      hasComplianceIssues: false,
+      totalTouchpoints: 0
+    });
+  }
+
+  const company = dataStore.companies.get(companyName);
+  company.totalTouchpoints++;
+  resolver.register(companyName, identifiers);
+  return { company, resolution };
+}
+
+const COMPANY_FLAGS = ['hasUrgentIssues', 'hasQualityIssues', 'hasComplianceIssues'];
+
+// Re-derives a company's issue flags from the flags its linked records set,
+// after records were detached or put back
+function refreshCompanyFlags(company) {
+  const records = Object.values(company).filter(Array.isArray).flat();
+  COMPANY_FLAGS.forEach(flag => {
+    company[flag] = records.some(record => Boolean(record?.companyFlags?.[flag]));
+  });
+}
+
+// Resolver over the companies in dataStore and the identifier keys (FEI
+// numbers, labeler codes, CT.gov sponsors) carried by their records. Lets a
+// facility or product filed under a different legal name join the company it
+// was first seen with. aliases: curated entries from companyAliasRepository.
+function buildEntityResolver(aliases = []) {
+  const resolver = new EntityResolver({ aliases });
+
+  dataStore.companies.forEach((company, companyName) => {
+    resolver.register(companyName);
+    Object.values(company).forEach(collection => {
+      if (!Array.isArray(collection)) return;
+      collection.forEach(record => {
+        if (record) resolver.register(companyName, recordIdentifiers(record));
+      });
+    });
+  });
+
+  return resolver;
+}
+
+module.exports = { normalizeCompanyName, getOrCreateCompany, refreshCompanyFlags, buildEntityResolver };
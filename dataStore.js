@@ -0,0 +1,23 @@
+// In-memory working set for the current lead generation run.
+// When PostgreSQL is configured it is hydrated from and persisted to the
+// database (see db/persistence.js); otherwise it is the only store.
+const dataStore = {
+  companies: new Map(),
+  leads: [],
+  clinicalTrials: [],
+  drugApplications: [],
+  warningLetters: [],
+  recalls: [],
+  inspections: [],
+  statistics: {},
+  runs: [],
+  changes: [],
+  labelVersions: new Map(),
+  shortageStatuses: new Map(),
+  trialSnapshots: new Map(),
+  companyAliases: [],
+  calibrations: [],
+  caseStudies: []
+};
+
+module.exports = dataStore;
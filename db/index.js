@@ -0,0 +1,67 @@
+// PostgreSQL connection handling
+const { Pool } = require('pg');
+const logger = require('../logger');
+
+let pool = null;
+
+// Persistence is switched on by DATABASE_URL or DB_HOST. Without either the
+// server keeps running against the in-memory dataStore (local dev, tests).
+function isEnabled() {
+  return Boolean(process.env.DATABASE_URL || process.env.DB_HOST);
+}
+
+function buildConfig() {
+  const ssl = process.env.DB_SSL === 'true' ? { rejectUnauthorized: false } : undefined;
+
+  if (process.env.DATABASE_URL) {
+    return { connectionString: process.env.DATABASE_URL, ssl };
+  }
+
+  return {
+    host: process.env.DB_HOST,
+    port: parseInt(process.env.DB_PORT || '5432', 10),
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+    ssl
+  };
+}
+
+function getPool() {
+  if (!pool) {
+    pool = new Pool(buildConfig());
+    pool.on('error', error => {
+      logger.error('Unexpected PostgreSQL client error:', error.message);
+    });
+  }
+  return pool;
+}
+
+async function query(text, params) {
+  return getPool().query(text, params);
+}
+
+// Runs callback(client) inside BEGIN/COMMIT, rolling back on any error
+async function withTransaction(callback) {
+  const client = await getPool().connect();
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function close() {
+  if (pool) {
+    await pool.end();
+    pool = null;
+  }
+}
+
+module.exports = { isEnabled, query, withTransaction, close };
@@ -0,0 +1,49 @@
+// Applies pending SQL migrations from db/migrations in filename order.
+// Usage: npm run migrate
+const fs = require('fs');
+const path = require('path');
+const db = require('./index');
+const logger = require('../logger');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+async function migrate() {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      name TEXT PRIMARY KEY,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+
+  const { rows } = await db.query('SELECT name FROM schema_migrations');
+  const applied = new Set(rows.map(row => row.name));
+
+  const pending = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => file.endsWith('.sql') && !applied.has(file))
+    .sort();
+
+  for (const file of pending) {
+    const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+    await db.withTransaction(async client => {
+      await client.query(sql);
+      await client.query('INSERT INTO schema_migrations (name) VALUES ($1)', [file]);
+    });
+    logger.info(`Applied migration ${file}`);
+  }
+
+  return pending;
+}
+
+if (require.main === module) {
+  migrate()
+    .then(applied => {
+      logger.info(`Migrations complete (${applied.length} applied)`);
+      return db.close();
+    })
+    .catch(error => {
+      logger.error('Migration failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrate };
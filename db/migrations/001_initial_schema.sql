@@ -0,0 +1,78 @@
+-- Companies, source records and leads produced by LeadGenerationService
+
+CREATE TABLE companies (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL UNIQUE,
+  therapeutic_areas TEXT[] NOT NULL DEFAULT '{}',
+  has_urgent_issues BOOLEAN NOT NULL DEFAULT FALSE,
+  has_quality_issues BOOLEAN NOT NULL DEFAULT FALSE,
+  has_compliance_issues BOOLEAN NOT NULL DEFAULT FALSE,
+  total_touchpoints INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Drugs@FDA applications (NDA, BLA, ANDA, 505(b)(2)) after analyzeApplication
+CREATE TABLE drug_applications (
+  application_number TEXT PRIMARY KEY,
+  company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  submission_type TEXT,
+  status TEXT,
+  last_activity TEXT,
+  data JSONB NOT NULL,
+  fetched_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX drug_applications_company_id_idx ON drug_applications (company_id);
+
+-- ClinicalTrials.gov studies after trial analysis
+CREATE TABLE clinical_trials (
+  nct_id TEXT PRIMARY KEY,
+  company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  phase TEXT,
+  status TEXT,
+  data JSONB NOT NULL,
+  fetched_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX clinical_trials_company_id_idx ON clinical_trials (company_id);
+
+-- openFDA enforcement reports: warning letters, recalls and inspection issues
+CREATE TABLE enforcement_records (
+  id TEXT PRIMARY KEY,
+  company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  record_type TEXT NOT NULL CHECK (record_type IN ('WARNING_LETTER', 'RECALL', 'INSPECTION')),
+  recall_number TEXT,
+  classification TEXT,
+  report_date TEXT,
+  data JSONB NOT NULL,
+  fetched_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX enforcement_records_company_id_idx ON enforcement_records (company_id);
+CREATE INDEX enforcement_records_record_type_idx ON enforcement_records (record_type);
+
+-- Leads keep the full generated object in data; the other columns are
+-- denormalized copies used for filtering and ordering.
+CREATE TABLE leads (
+  id TEXT PRIMARY KEY,
+  company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  lead_type TEXT NOT NULL,
+  sub_type TEXT,
+  priority TEXT NOT NULL,
+  score REAL,
+  rank INTEGER,
+  therapeutic_area TEXT,
+  submission_type TEXT,
+  trial_phase TEXT,
+  uses_biomarkers BOOLEAN NOT NULL DEFAULT FALSE,
+  is_high_value BOOLEAN NOT NULL DEFAULT FALSE,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX leads_company_id_idx ON leads (company_id);
+CREATE INDEX leads_lead_type_idx ON leads (lead_type);
+CREATE INDEX leads_priority_idx ON leads (priority);
+CREATE INDEX leads_rank_idx ON leads (rank);
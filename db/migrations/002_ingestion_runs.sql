@@ -0,0 +1,15 @@
+-- One row per ingestion run (startup, cron schedule or manual trigger)
+
+CREATE TABLE ingestion_runs (
+  id SERIAL PRIMARY KEY,
+  trigger TEXT NOT NULL,
+  sources TEXT[] NOT NULL,
+  status TEXT NOT NULL CHECK (status IN ('RUNNING', 'COMPLETED', 'COMPLETED_WITH_ERRORS', 'FAILED')),
+  counts JSONB NOT NULL DEFAULT '{}',
+  errors JSONB NOT NULL DEFAULT '[]',
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMPTZ,
+  duration_ms INTEGER
+);
+
+CREATE INDEX ingestion_runs_started_at_idx ON ingestion_runs (started_at DESC);
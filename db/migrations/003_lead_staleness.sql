@@ -0,0 +1,7 @@
+-- Leads are no longer deleted when they drop out of a run; they are flagged
+-- stale so user-owned fields and history survive.
+
+ALTER TABLE leads ADD COLUMN stale BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE leads ADD COLUMN stale_since TIMESTAMPTZ;
+
+CREATE INDEX leads_stale_idx ON leads (stale);
@@ -0,0 +1,17 @@
+-- Per-run lead change feed (appeared / escalated / changed / gone)
+
+CREATE TABLE lead_changes (
+  id SERIAL PRIMARY KEY,
+  run_id INTEGER REFERENCES ingestion_runs(id) ON DELETE SET NULL,
+  lead_id TEXT NOT NULL,
+  company_name TEXT NOT NULL,
+  lead_type TEXT NOT NULL,
+  change_type TEXT NOT NULL CHECK (change_type IN ('APPEARED', 'ESCALATED', 'CHANGED', 'GONE')),
+  priority TEXT,
+  field_changes JSONB NOT NULL DEFAULT '[]',
+  summary TEXT,
+  detected_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX lead_changes_detected_at_idx ON lead_changes (detected_at DESC);
+CREATE INDEX lead_changes_lead_id_idx ON lead_changes (lead_id);
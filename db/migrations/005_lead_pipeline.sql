@@ -0,0 +1,6 @@
+-- Outreach pipeline stage per lead (history lives in leads.data)
+
+ALTER TABLE leads ADD COLUMN pipeline_status TEXT NOT NULL DEFAULT 'NEW'
+  CHECK (pipeline_status IN ('NEW', 'CONTACTED', 'REPLIED', 'MEETING', 'WON', 'LOST'));
+
+CREATE INDEX leads_pipeline_status_idx ON leads (pipeline_status);
@@ -0,0 +1,15 @@
+-- openFDA device records: 510(k) and PMA decisions, device recalls and
+-- MAUDE adverse event signals
+
+CREATE TABLE device_records (
+  id TEXT PRIMARY KEY,
+  company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  record_type TEXT NOT NULL CHECK (record_type IN ('510K', 'PMA', 'RECALL', 'ADVERSE_EVENT')),
+  product_code TEXT,
+  report_date TEXT,
+  data JSONB NOT NULL,
+  fetched_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX device_records_company_id_idx ON device_records (company_id);
+CREATE INDEX device_records_product_code_idx ON device_records (product_code);
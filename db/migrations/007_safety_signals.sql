@@ -0,0 +1,12 @@
+-- FAERS serious-report surges, one row per product
+
+CREATE TABLE safety_signals (
+  id TEXT PRIMARY KEY,
+  company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  product TEXT NOT NULL,
+  as_of TEXT,
+  data JSONB NOT NULL,
+  fetched_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX safety_signals_company_id_idx ON safety_signals (company_id);
@@ -0,0 +1,28 @@
+-- Drug label (SPL) versions, kept across runs so each new version can be
+-- diffed against the last one seen, and the label changes linked to companies
+
+CREATE TABLE label_versions (
+  set_id TEXT NOT NULL,
+  version INTEGER NOT NULL,
+  effective_date TEXT,
+  product TEXT,
+  company_name TEXT,
+  sections JSONB NOT NULL,
+  rems_statements JSONB NOT NULL DEFAULT '[]',
+  changes JSONB NOT NULL DEFAULT '[]',
+  previous_version INTEGER,
+  first_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (set_id, version)
+);
+
+CREATE TABLE label_changes (
+  id TEXT PRIMARY KEY,
+  company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  set_id TEXT NOT NULL,
+  change_type TEXT NOT NULL,
+  effective_date TEXT,
+  data JSONB NOT NULL,
+  fetched_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX label_changes_company_id_idx ON label_changes (company_id);
@@ -0,0 +1,23 @@
+-- Drug shortage status per product and manufacturer, with the history of
+-- status changes seen across runs, and the shortages linked to companies
+
+CREATE TABLE drug_shortage_statuses (
+  shortage_id TEXT PRIMARY KEY,
+  company_name TEXT NOT NULL,
+  generic_name TEXT NOT NULL,
+  status TEXT NOT NULL,
+  history JSONB NOT NULL DEFAULT '[]',
+  status_changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE drug_shortages (
+  id TEXT PRIMARY KEY,
+  company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  generic_name TEXT NOT NULL,
+  status TEXT NOT NULL,
+  data JSONB NOT NULL,
+  fetched_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX drug_shortages_company_id_idx ON drug_shortages (company_id);
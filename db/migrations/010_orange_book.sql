@@ -0,0 +1,14 @@
+-- Orange Book expiry calendar entries for brand holders and the generic
+-- opportunities derived from them, linked to companies
+
+CREATE TABLE orange_book_records (
+  id TEXT PRIMARY KEY,
+  company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  record_type TEXT NOT NULL,
+  appl_no TEXT NOT NULL,
+  key_date DATE,
+  data JSONB NOT NULL,
+  fetched_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX orange_book_records_company_id_idx ON orange_book_records (company_id);
@@ -0,0 +1,13 @@
+-- Biosimilars licensed against each company's reference biologics, from the
+-- Purple Book, linked to the reference product holder
+
+CREATE TABLE biosimilar_records (
+  id TEXT PRIMARY KEY,
+  company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  reference_bla_number TEXT NOT NULL,
+  approval_date DATE,
+  data JSONB NOT NULL,
+  fetched_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX biosimilar_records_company_id_idx ON biosimilar_records (company_id);
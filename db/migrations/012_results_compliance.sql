@@ -0,0 +1,12 @@
+-- FDAAA 801 results reporting compliance, one row per trial sponsor
+
+CREATE TABLE results_compliance (
+  id TEXT PRIMARY KEY,
+  company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  overdue_count INTEGER NOT NULL DEFAULT 0,
+  as_of DATE,
+  data JSONB NOT NULL,
+  fetched_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX results_compliance_company_id_idx ON results_compliance (company_id);
@@ -0,0 +1,12 @@
+-- ClinicalTrials.gov record snapshots, stored whenever a tracked field
+-- changes so each run can be diffed against the last one seen
+
+CREATE TABLE trial_snapshots (
+  nct_id TEXT NOT NULL,
+  version INTEGER NOT NULL,
+  last_update_posted TEXT,
+  snapshot JSONB NOT NULL,
+  changes JSONB NOT NULL DEFAULT '[]',
+  captured_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (nct_id, version)
+);
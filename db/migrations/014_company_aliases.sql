@@ -0,0 +1,16 @@
+-- Curated company entity resolution entries: other names for a company
+-- (or subsidiaries rolled up into it) and identifier keys that pin records
+-- to it regardless of the name they were filed under
+
+CREATE TABLE company_aliases (
+  id SERIAL PRIMARY KEY,
+  kind TEXT NOT NULL,
+  value TEXT NOT NULL,
+  company_name TEXT NOT NULL,
+  relationship TEXT NOT NULL DEFAULT 'ALIAS',
+  note TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (kind, value)
+);
+
+CREATE INDEX company_aliases_company_name_idx ON company_aliases (company_name);
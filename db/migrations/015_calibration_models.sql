@@ -0,0 +1,13 @@
+-- Scoring models fitted from recorded pipeline outcomes. The fitted
+-- weights and per-factor lift report are kept as one JSON document.
+
+CREATE TABLE calibration_models (
+  id SERIAL PRIMARY KEY,
+  outcome TEXT NOT NULL,
+  examples INTEGER NOT NULL,
+  conversions INTEGER NOT NULL,
+  model JSONB NOT NULL,
+  fitted_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX calibration_models_fitted_at_idx ON calibration_models (fitted_at DESC);
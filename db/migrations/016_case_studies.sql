@@ -0,0 +1,19 @@
+-- Case-study library for email credibility statements. Only APPROVED
+-- entries are matched to leads; tags left NULL do not constrain the match.
+
+CREATE TABLE case_studies (
+  id SERIAL PRIMARY KEY,
+  title TEXT NOT NULL,
+  claim TEXT NOT NULL,
+  evidence TEXT,
+  therapeutic_area TEXT,
+  submission_type TEXT,
+  phase TEXT,
+  lead_types TEXT[] NOT NULL DEFAULT '{}',
+  status TEXT NOT NULL DEFAULT 'DRAFT',
+  approved_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX case_studies_status_idx ON case_studies (status);
@@ -0,0 +1,57 @@
+// Moves a generated dataStore into PostgreSQL and back again on startup
+const db = require('./index');
+const logger = require('../logger');
+const {
+  leadRepository,
+  companyRepository,
+  sourceRecordRepository
+} = require('./repositories');
+
+// Upserts the current companies, source records and leads in a single
+// transaction. Leads and companies are never deleted (disappeared leads are
+// flagged stale by LeadGenerationService); source records that were not
+// written by this run are removed. NOW() is fixed for the whole transaction.
+// A lead whose company is missing from the store fails the persist rather
+// than being dropped, so the database never silently falls behind the store.
+async function persistDataStore(store) {
+  if (!db.isEnabled()) return;
+
+  await db.withTransaction(async client => {
+    const companyIds = new Map();
+
+    for (const company of store.companies.values()) {
+      const companyId = await companyRepository.save(client, company);
+      companyIds.set(company.name, companyId);
+      await sourceRecordRepository.saveForCompany(client, companyId, company);
+    }
+
+    const orphans = store.leads.filter(lead => !companyIds.has(lead.companyName));
+    if (orphans.length > 0) {
+      const examples = orphans.slice(0, 5).map(lead => `${lead.id} (${lead.companyName})`).join(', ');
+      logger.error(`${orphans.length} leads have no company to link to: ${examples}`);
+      throw new Error(`Cannot persist ${orphans.length} leads without a company`);
+    }
+
+    await leadRepository.saveAll(client, store.leads, companyIds);
+
+    await sourceRecordRepository.deleteNotFetched(client);
+  });
+
+  logger.info(`Persisted ${store.leads.length} leads across ${store.companies.size} companies`);
+}
+
+// Loads the last persisted run so the API has data before the first crawl finishes
+async function hydrateDataStore(store) {
+  if (!db.isEnabled()) return;
+
+  const companies = await companyRepository.findAll();
+  const leads = await leadRepository.findAll({ includeStale: 'true' });
+
+  store.companies.clear();
+  companies.forEach(company => store.companies.set(company.name, company));
+  store.leads = leads;
+
+  logger.info(`Loaded ${leads.length} leads across ${companies.length} companies from PostgreSQL`);
+}
+
+module.exports = { persistDataStore, hydrateDataStore };
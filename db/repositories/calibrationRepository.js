@@ -0,0 +1,44 @@
+// Fitted calibration models (see calibration.js). Kept in
+// dataStore.calibrations when PostgreSQL is not configured.
+
+function rowToModel(row) {
+  return { ...row.model, id: row.id, fittedAt: row.fitted_at };
+}
+
+class CalibrationRepository {
+  constructor(db, dataStore) {
+    this.db = db;
+    this.dataStore = dataStore;
+  }
+
+  async save(model) {
+    if (!this.db.isEnabled()) {
+      const models = this.dataStore.calibrations;
+      const saved = { ...model, id: models.reduce((max, entry) => Math.max(max, entry.id), 0) + 1 };
+      models.push(saved);
+      return saved;
+    }
+
+    const { rows } = await this.db.query(
+      `INSERT INTO calibration_models (outcome, examples, conversions, model, fitted_at)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [model.outcome, model.examples, model.conversions, JSON.stringify(model), model.fittedAt]
+    );
+
+    return rowToModel(rows[0]);
+  }
+
+  // Most recently fitted model, or null before the first calibration
+  async findLatest() {
+    if (!this.db.isEnabled()) {
+      const models = this.dataStore.calibrations;
+      return models[models.length - 1] || null;
+    }
+
+    const { rows } = await this.db.query('SELECT * FROM calibration_models ORDER BY fitted_at DESC, id DESC LIMIT 1');
+    return rows[0] ? rowToModel(rows[0]) : null;
+  }
+}
+
+module.exports = { CalibrationRepository };
@@ -0,0 +1,136 @@
+// Case-study library (see caseStudies.js). Kept in dataStore.caseStudies
+// when PostgreSQL is not configured.
+
+const COLUMNS = {
+  title: 'title',
+  claim: 'claim',
+  evidence: 'evidence',
+  therapeuticArea: 'therapeutic_area',
+  submissionType: 'submission_type',
+  phase: 'phase',
+  leadTypes: 'lead_types',
+  status: 'status'
+};
+
+function rowToCaseStudy(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    claim: row.claim,
+    evidence: row.evidence,
+    therapeuticArea: row.therapeutic_area,
+    submissionType: row.submission_type,
+    phase: row.phase,
+    leadTypes: row.lead_types,
+    status: row.status,
+    approvedAt: row.approved_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+class CaseStudyRepository {
+  constructor(db, dataStore) {
+    this.db = db;
+    this.dataStore = dataStore;
+  }
+
+  async findAll({ status } = {}) {
+    if (!this.db.isEnabled()) {
+      return this.dataStore.caseStudies.filter(caseStudy => !status || caseStudy.status === status);
+    }
+
+    const { rows } = status
+      ? await this.db.query('SELECT * FROM case_studies WHERE status = $1 ORDER BY id', [status])
+      : await this.db.query('SELECT * FROM case_studies ORDER BY id');
+    return rows.map(rowToCaseStudy);
+  }
+
+  async findById(id) {
+    if (!this.db.isEnabled()) {
+      return this.dataStore.caseStudies.find(caseStudy => caseStudy.id === id) || null;
+    }
+
+    const { rows } = await this.db.query('SELECT * FROM case_studies WHERE id = $1', [id]);
+    return rows[0] ? rowToCaseStudy(rows[0]) : null;
+  }
+
+  // caseStudy is already normalized (normalizeCaseStudy)
+  async create(caseStudy) {
+    const now = new Date().toISOString();
+    const fields = {
+      evidence: null,
+      therapeuticArea: null,
+      submissionType: null,
+      phase: null,
+      leadTypes: [],
+      status: 'DRAFT',
+      ...caseStudy
+    };
+
+    if (!this.db.isEnabled()) {
+      const caseStudies = this.dataStore.caseStudies;
+      const saved = {
+        id: caseStudies.reduce((max, entry) => Math.max(max, entry.id), 0) + 1,
+        ...fields,
+        approvedAt: fields.status === 'APPROVED' ? now : null,
+        createdAt: now,
+        updatedAt: now
+      };
+      caseStudies.push(saved);
+      return saved;
+    }
+
+    const keys = Object.keys(COLUMNS);
+    const { rows } = await this.db.query(
+      `INSERT INTO case_studies (${keys.map(key => COLUMNS[key]).join(', ')}, approved_at)
+       VALUES (${keys.map((key, i) => `$${i + 1}`).join(', ')}, CASE WHEN $${keys.indexOf('status') + 1} = 'APPROVED' THEN NOW() END)
+       RETURNING *`,
+      keys.map(key => fields[key])
+    );
+    return rowToCaseStudy(rows[0]);
+  }
+
+  // Applies normalized fields; approvedAt is stamped when status becomes
+  // APPROVED. Returns null for unknown ids.
+  async update(id, updates) {
+    if (!this.db.isEnabled()) {
+      const existing = await this.findById(id);
+      if (!existing) return null;
+
+      const now = new Date().toISOString();
+      if (updates.status === 'APPROVED' && existing.status !== 'APPROVED') existing.approvedAt = now;
+      Object.assign(existing, updates, { updatedAt: now });
+      return existing;
+    }
+
+    const keys = Object.keys(updates).filter(key => key in COLUMNS);
+    const assignments = keys.map((key, i) => `${COLUMNS[key]} = $${i + 2}`);
+    if (updates.status === 'APPROVED') {
+      assignments.push(`approved_at = CASE WHEN status = 'APPROVED' THEN approved_at ELSE NOW() END`);
+    }
+
+    const { rows } = await this.db.query(
+      `UPDATE case_studies SET ${[...assignments, 'updated_at = NOW()'].join(', ')}
+       WHERE id = $1
+       RETURNING *`,
+      [id, ...keys.map(key => updates[key])]
+    );
+    return rows[0] ? rowToCaseStudy(rows[0]) : null;
+  }
+
+  // Returns whether an entry was removed
+  async delete(id) {
+    if (!this.db.isEnabled()) {
+      const index = this.dataStore.caseStudies.findIndex(caseStudy => caseStudy.id === id);
+      if (index === -1) return false;
+      this.dataStore.caseStudies.splice(index, 1);
+      return true;
+    }
+
+    const { rowCount } = await this.db.query('DELETE FROM case_studies WHERE id = $1', [id]);
+    return rowCount > 0;
+  }
+}
+
+module.exports = { CaseStudyRepository };
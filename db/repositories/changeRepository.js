@@ -0,0 +1,103 @@
+// Lead change feed. Kept in dataStore.changes when PostgreSQL is not configured.
+
+const MAX_MEMORY_CHANGES = 5000;
+
+function rowToChange(row) {
+  return {
+    id: row.id,
+    runId: row.run_id,
+    leadId: row.lead_id,
+    companyName: row.company_name,
+    leadType: row.lead_type,
+    changeType: row.change_type,
+    priority: row.priority,
+    fieldChanges: row.field_changes,
+    summary: row.summary,
+    detectedAt: row.detected_at
+  };
+}
+
+class ChangeRepository {
+  constructor(db, dataStore) {
+    this.db = db;
+    this.dataStore = dataStore;
+  }
+
+  async saveAll(changes) {
+    if (changes.length === 0) return;
+
+    if (!this.db.isEnabled()) {
+      this.dataStore.changes.unshift(...changes);
+      this.dataStore.changes.length = Math.min(this.dataStore.changes.length, MAX_MEMORY_CHANGES);
+      return;
+    }
+
+    await this.db.withTransaction(async client => {
+      for (const change of changes) {
+        await client.query(
+          `INSERT INTO lead_changes (
+             run_id, lead_id, company_name, lead_type, change_type,
+             priority, field_changes, summary, detected_at
+           ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+          [
+            change.runId,
+            change.leadId,
+            change.companyName,
+            change.leadType,
+            change.changeType,
+            change.priority || null,
+            JSON.stringify(change.fieldChanges),
+            change.summary,
+            change.detectedAt
+          ]
+        );
+      }
+    });
+  }
+
+  // since: ISO timestamp (inclusive); changeType / leadType narrow the feed
+  async findSince(since, { changeType, leadType, limit = 500 } = {}) {
+    if (!this.db.isEnabled()) {
+      const sinceTime = new Date(since).getTime();
+      return this.dataStore.changes
+        .filter(change => new Date(change.detectedAt).getTime() >= sinceTime)
+        .filter(change => !changeType || change.changeType === changeType)
+        .filter(change => !leadType || change.leadType === leadType)
+        .slice(0, limit);
+    }
+
+    const conditions = ['detected_at >= $1'];
+    const params = [since];
+    if (changeType) {
+      params.push(changeType);
+      conditions.push(`change_type = $${params.length}`);
+    }
+    if (leadType) {
+      params.push(leadType);
+      conditions.push(`lead_type = $${params.length}`);
+    }
+    params.push(limit);
+
+    const { rows } = await this.db.query(
+      `SELECT * FROM lead_changes
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY detected_at DESC, id
+       LIMIT $${params.length}`,
+      params
+    );
+
+    return rows.map(rowToChange);
+  }
+
+  // Start of the most recent batch of changes, used when no ?since= is given
+  async findLatestDetectedAt() {
+    if (!this.db.isEnabled()) {
+      return this.dataStore.changes[0]?.detectedAt || null;
+    }
+
+    const { rows } = await this.db.query('SELECT MAX(detected_at) AS detected_at FROM lead_changes');
+    return rows[0].detected_at;
+  }
+}
+
+module.exports = { ChangeRepository };
@@ -0,0 +1,78 @@
+// Curated alias and parent table for company entity resolution. Kept in
+// dataStore.companyAliases when PostgreSQL is not configured.
+
+function rowToAlias(row) {
+  return {
+    id: row.id,
+    kind: row.kind,
+    value: row.value,
+    companyName: row.company_name,
+    relationship: row.relationship,
+    note: row.note,
+    createdAt: row.created_at
+  };
+}
+
+class CompanyAliasRepository {
+  constructor(db, dataStore) {
+    this.db = db;
+    this.dataStore = dataStore;
+  }
+
+  async findAll() {
+    if (!this.db.isEnabled()) {
+      return [...this.dataStore.companyAliases];
+    }
+
+    const { rows } = await this.db.query('SELECT * FROM company_aliases ORDER BY company_name, kind, value');
+    return rows.map(rowToAlias);
+  }
+
+  // Upserts by kind and value; alias is already normalized (normalizeAlias)
+  async save(alias) {
+    if (!this.db.isEnabled()) {
+      const aliases = this.dataStore.companyAliases;
+      const existing = aliases.find(entry => entry.kind === alias.kind && entry.value === alias.value);
+      if (existing) {
+        Object.assign(existing, alias);
+        return existing;
+      }
+
+      const saved = {
+        id: aliases.reduce((max, entry) => Math.max(max, entry.id), 0) + 1,
+        ...alias,
+        createdAt: new Date().toISOString()
+      };
+      aliases.push(saved);
+      return saved;
+    }
+
+    const { rows } = await this.db.query(
+      `INSERT INTO company_aliases (kind, value, company_name, relationship, note)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (kind, value) DO UPDATE SET
+         company_name = EXCLUDED.company_name,
+         relationship = EXCLUDED.relationship,
+         note = EXCLUDED.note
+       RETURNING *`,
+      [alias.kind, alias.value, alias.companyName, alias.relationship, alias.note]
+    );
+
+    return rowToAlias(rows[0]);
+  }
+
+  // Returns whether an entry was removed
+  async delete(id) {
+    if (!this.db.isEnabled()) {
+      const index = this.dataStore.companyAliases.findIndex(entry => entry.id === id);
+      if (index === -1) return false;
+      this.dataStore.companyAliases.splice(index, 1);
+      return true;
+    }
+
+    const { rowCount } = await this.db.query('DELETE FROM company_aliases WHERE id = $1', [id]);
+    return rowCount > 0;
+  }
+}
+
+module.exports = { CompanyAliasRepository };
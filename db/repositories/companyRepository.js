@@ -0,0 +1,92 @@
+// Company persistence. A company row plus its source records is assembled
+// back into the same shape LeadGenerationService.getOrCreateCompany builds.
+
+function rowToCompany(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    applications: [],
+    trials: [],
+    warningLetters: [],
+    recalls: [],
+    drugShortages: [],
+    inspectionIssues: [],
+    exclusivityExpiries: [],
+    genericOpportunities: [],
+    biosimilarCompetition: [],
+    deviceClearances: [],
+    deviceApprovals: [],
+    deviceRecalls: [],
+    deviceEvents: [],
+    safetySignals: [],
+    labelChanges: [],
+    resultsCompliance: [],
+    therapeuticAreas: new Set(row.therapeutic_areas || []),
+    hasUrgentIssues: row.has_urgent_issues,
+    hasQualityIssues: row.has_quality_issues,
+    hasComplianceIssues: row.has_compliance_issues,
+    totalTouchpoints: row.total_touchpoints
+  };
+}
+
+class CompanyRepository {
+  constructor(db, dataStore, sourceRecordRepository) {
+    this.db = db;
+    this.dataStore = dataStore;
+    this.sourceRecords = sourceRecordRepository;
+  }
+
+  async findAll() {
+    if (!this.db.isEnabled()) {
+      return Array.from(this.dataStore.companies.values());
+    }
+
+    const { rows } = await this.db.query('SELECT * FROM companies ORDER BY name');
+    const companies = rows.map(rowToCompany);
+    await this.sourceRecords.attachToCompanies(companies);
+    return companies;
+  }
+
+  async findByName(name) {
+    if (!this.db.isEnabled()) {
+      return this.dataStore.companies.get(name) || null;
+    }
+
+    const { rows } = await this.db.query('SELECT * FROM companies WHERE name = $1', [name]);
+    if (rows.length === 0) return null;
+
+    const company = rowToCompany(rows[0]);
+    await this.sourceRecords.attachToCompanies([company]);
+    return company;
+  }
+
+  // Upserts by name and returns the company id
+  async save(client, company) {
+    const { rows } = await client.query(
+      `INSERT INTO companies (
+         name, therapeutic_areas, has_urgent_issues, has_quality_issues,
+         has_compliance_issues, total_touchpoints
+       ) VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (name) DO UPDATE SET
+         therapeutic_areas = EXCLUDED.therapeutic_areas,
+         has_urgent_issues = EXCLUDED.has_urgent_issues,
+         has_quality_issues = EXCLUDED.has_quality_issues,
+         has_compliance_issues = EXCLUDED.has_compliance_issues,
+         total_touchpoints = EXCLUDED.total_touchpoints,
+         updated_at = NOW()
+       RETURNING id`,
+      [
+        company.name,
+        Array.from(company.therapeuticAreas || []).filter(Boolean),
+        Boolean(company.hasUrgentIssues),
+        Boolean(company.hasQualityIssues),
+        Boolean(company.hasComplianceIssues),
+        company.totalTouchpoints || 0
+      ]
+    );
+
+    return rows[0].id;
+  }
+}
+
+module.exports = { CompanyRepository };
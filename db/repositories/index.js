@@ -0,0 +1,40 @@
+// Shared repository instances wired to the PostgreSQL pool and dataStore
+const db = require('../index');
+const dataStore = require('../../dataStore');
+const { LeadRepository } = require('./leadRepository');
+const { CompanyRepository } = require('./companyRepository');
+const { SourceRecordRepository } = require('./sourceRecordRepository');
+const { RunRepository } = require('./runRepository');
+const { ChangeRepository } = require('./changeRepository');
+const { LabelVersionRepository } = require('./labelVersionRepository');
+const { ShortageStatusRepository } = require('./shortageStatusRepository');
+const { TrialSnapshotRepository } = require('./trialSnapshotRepository');
+const { CompanyAliasRepository } = require('./companyAliasRepository');
+const { CalibrationRepository } = require('./calibrationRepository');
+const { CaseStudyRepository } = require('./caseStudyRepository');
+
+const sourceRecordRepository = new SourceRecordRepository(db);
+const companyRepository = new CompanyRepository(db, dataStore, sourceRecordRepository);
+const leadRepository = new LeadRepository(db, dataStore);
+const runRepository = new RunRepository(db, dataStore);
+const changeRepository = new ChangeRepository(db, dataStore);
+const labelVersionRepository = new LabelVersionRepository(db, dataStore);
+const shortageStatusRepository = new ShortageStatusRepository(db, dataStore);
+const trialSnapshotRepository = new TrialSnapshotRepository(db, dataStore);
+const companyAliasRepository = new CompanyAliasRepository(db, dataStore);
+const calibrationRepository = new CalibrationRepository(db, dataStore);
+const caseStudyRepository = new CaseStudyRepository(db, dataStore);
+
+module.exports = {
+  leadRepository,
+  companyRepository,
+  sourceRecordRepository,
+  runRepository,
+  changeRepository,
+  labelVersionRepository,
+  shortageStatusRepository,
+  trialSnapshotRepository,
+  companyAliasRepository,
+  calibrationRepository,
+  caseStudyRepository
+};
@@ -0,0 +1,89 @@
+// Drug label versions seen by the druglabels source. Kept in
+// dataStore.labelVersions (set ID -> versions, newest first) when PostgreSQL
+// is not configured.
+
+const MAX_MEMORY_VERSIONS_PER_LABEL = 10;
+
+function rowToVersion(row) {
+  return {
+    setId: row.set_id,
+    version: row.version,
+    effectiveDate: row.effective_date,
+    product: row.product,
+    company: row.company_name,
+    sections: row.sections,
+    remsStatements: row.rems_statements,
+    changes: row.changes,
+    previousVersion: row.previous_version,
+    firstSeenAt: row.first_seen_at
+  };
+}
+
+class LabelVersionRepository {
+  constructor(db, dataStore) {
+    this.db = db;
+    this.dataStore = dataStore;
+  }
+
+  // Set ID -> most recent stored version, for the given set IDs
+  async findLatest(setIds) {
+    if (setIds.length === 0) return new Map();
+
+    if (!this.db.isEnabled()) {
+      const latest = new Map();
+      setIds.forEach(setId => {
+        const versions = this.dataStore.labelVersions.get(setId);
+        if (versions?.length) latest.set(setId, versions[0]);
+      });
+      return latest;
+    }
+
+    const { rows } = await this.db.query(
+      `SELECT DISTINCT ON (set_id) * FROM label_versions
+       WHERE set_id = ANY($1::text[])
+       ORDER BY set_id, version DESC`,
+      [setIds]
+    );
+
+    return new Map(rows.map(row => [row.set_id, rowToVersion(row)]));
+  }
+
+  async saveAll(versions) {
+    if (versions.length === 0) return;
+
+    if (!this.db.isEnabled()) {
+      versions.forEach(version => {
+        const stored = this.dataStore.labelVersions.get(version.setId) || [];
+        stored.unshift(version);
+        stored.length = Math.min(stored.length, MAX_MEMORY_VERSIONS_PER_LABEL);
+        this.dataStore.labelVersions.set(version.setId, stored);
+      });
+      return;
+    }
+
+    await this.db.withTransaction(async client => {
+      for (const version of versions) {
+        await client.query(
+          `INSERT INTO label_versions (
+             set_id, version, effective_date, product, company_name,
+             sections, rems_statements, changes, previous_version
+           ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+           ON CONFLICT (set_id, version) DO NOTHING`,
+          [
+            version.setId,
+            version.version,
+            version.effectiveDate,
+            version.product,
+            version.company,
+            JSON.stringify(version.sections),
+            JSON.stringify(version.remsStatements || []),
+            JSON.stringify(version.changes || []),
+            version.previousVersion ?? null
+          ]
+        );
+      }
+    });
+  }
+}
+
+module.exports = { LabelVersionRepository };
@@ -0,0 +1,150 @@
+// Lead persistence. Reads fall back to the in-memory dataStore when
+// PostgreSQL is not configured so routes behave the same either way.
+const { getPipelineStatus } = require('../../pipeline');
+
+function matchesFilters(lead, filters) {
+  const {
+    priority,
+    type,
+    therapeutic,
+    biomarker,
+    subType,
+    phase,
+    submissionType,
+    highValue,
+    pipelineStatus,
+    includeStale
+  } = filters;
+
+  if (lead.stale && includeStale !== 'true') return false;
+
+  if (priority && lead.priority !== priority) return false;
+  if (type && lead.leadType !== type) return false;
+  if (subType && lead.subType !== subType) return false;
+  if (therapeutic && lead.therapeuticArea !== therapeutic) return false;
+  if (biomarker === 'true' && lead.biomarkerStrategy?.usesBiomarkers !== true) return false;
+  if (phase && lead.trialInfo?.phase !== phase) return false;
+  if (submissionType && lead.submissionType !== submissionType) return false;
+  if (highValue === 'true' && !(lead.isHighValueLead === true || lead.score >= 80)) return false;
+  if (pipelineStatus && getPipelineStatus(lead) !== pipelineStatus) return false;
+
+  return true;
+}
+
+class LeadRepository {
+  constructor(db, dataStore) {
+    this.db = db;
+    this.dataStore = dataStore;
+  }
+
+  async findAll(filters = {}) {
+    if (!this.db.isEnabled()) {
+      return this.dataStore.leads.filter(lead => matchesFilters(lead, filters));
+    }
+
+    const conditions = [];
+    const params = [];
+    const addEquals = (column, value) => {
+      params.push(value);
+      conditions.push(`${column} = $${params.length}`);
+    };
+
+    if (filters.priority) addEquals('priority', filters.priority);
+    if (filters.type) addEquals('lead_type', filters.type);
+    if (filters.subType) addEquals('sub_type', filters.subType);
+    if (filters.therapeutic) addEquals('therapeutic_area', filters.therapeutic);
+    if (filters.phase) addEquals('trial_phase', filters.phase);
+    if (filters.submissionType) addEquals('submission_type', filters.submissionType);
+    if (filters.pipelineStatus) addEquals('pipeline_status', filters.pipelineStatus);
+    if (filters.biomarker === 'true') conditions.push('uses_biomarkers');
+    if (filters.highValue === 'true') conditions.push('(is_high_value OR score >= 80)');
+    if (filters.includeStale !== 'true') conditions.push('NOT stale');
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const { rows } = await this.db.query(
+      `SELECT data FROM leads ${where} ORDER BY rank NULLS LAST, score DESC`,
+      params
+    );
+
+    return rows.map(row => row.data);
+  }
+
+  async findById(id) {
+    if (!this.db.isEnabled()) {
+      return this.dataStore.leads.find(lead => lead.id === id) || null;
+    }
+
+    const { rows } = await this.db.query('SELECT data FROM leads WHERE id = $1', [id]);
+    return rows[0]?.data || null;
+  }
+
+  // Applies user-owned field changes (pipeline stage, notes, ...) to the
+  // working-set lead and, when configured, the stored row. Returns the lead.
+  async updateUserFields(id, fields) {
+    const lead = this.dataStore.leads.find(l => l.id === id);
+    if (!lead) return null;
+
+    Object.assign(lead, fields);
+
+    if (this.db.isEnabled()) {
+      await this.db.query(
+        `UPDATE leads
+         SET data = data || $2::jsonb, pipeline_status = $3, updated_at = NOW()
+         WHERE id = $1`,
+        [id, JSON.stringify(fields), getPipelineStatus(lead)]
+      );
+    }
+
+    return lead;
+  }
+
+  // Upserts every lead; companyIds maps normalized company name -> companies.id
+  async saveAll(client, leads, companyIds) {
+    for (const lead of leads) {
+      await client.query(
+        `INSERT INTO leads (
+           id, company_id, lead_type, sub_type, priority, score, rank,
+           therapeutic_area, submission_type, trial_phase, uses_biomarkers, is_high_value,
+           stale, stale_since, pipeline_status, data
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+         ON CONFLICT (id) DO UPDATE SET
+           company_id = EXCLUDED.company_id,
+           lead_type = EXCLUDED.lead_type,
+           sub_type = EXCLUDED.sub_type,
+           priority = EXCLUDED.priority,
+           score = EXCLUDED.score,
+           rank = EXCLUDED.rank,
+           therapeutic_area = EXCLUDED.therapeutic_area,
+           submission_type = EXCLUDED.submission_type,
+           trial_phase = EXCLUDED.trial_phase,
+           uses_biomarkers = EXCLUDED.uses_biomarkers,
+           is_high_value = EXCLUDED.is_high_value,
+           stale = EXCLUDED.stale,
+           stale_since = EXCLUDED.stale_since,
+           pipeline_status = EXCLUDED.pipeline_status,
+           data = EXCLUDED.data,
+           updated_at = NOW()`,
+        [
+          lead.id,
+          companyIds.get(lead.companyName),
+          lead.leadType,
+          lead.subType || null,
+          lead.priority,
+          lead.score ?? null,
+          lead.rank ?? null,
+          lead.therapeuticArea || null,
+          lead.submissionType || null,
+          lead.trialInfo?.phase || null,
+          lead.biomarkerStrategy?.usesBiomarkers === true,
+          lead.isHighValueLead === true,
+          lead.stale === true,
+          lead.staleSince || null,
+          getPipelineStatus(lead),
+          JSON.stringify(lead)
+        ]
+      );
+    }
+  }
+}
+
+module.exports = { LeadRepository, matchesFilters };
@@ -0,0 +1,109 @@
+// Ingestion run log. Kept in dataStore.runs when PostgreSQL is not configured.
+
+const MAX_MEMORY_RUNS = 200;
+
+function rowToRun(row) {
+  return {
+    id: row.id,
+    trigger: row.trigger,
+    sources: row.sources,
+    status: row.status,
+    counts: row.counts,
+    errors: row.errors,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    durationMs: row.duration_ms
+  };
+}
+
+class RunRepository {
+  constructor(db, dataStore) {
+    this.db = db;
+    this.dataStore = dataStore;
+  }
+
+  async create(run) {
+    if (!this.db.isEnabled()) {
+      const runs = this.dataStore.runs;
+      run.id = (runs[0]?.id || 0) + 1;
+      runs.unshift(run);
+      runs.length = Math.min(runs.length, MAX_MEMORY_RUNS);
+      return run;
+    }
+
+    const { rows } = await this.db.query(
+      `INSERT INTO ingestion_runs (trigger, sources, status, started_at)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id`,
+      [run.trigger, run.sources, run.status, run.startedAt]
+    );
+
+    run.id = rows[0].id;
+    return run;
+  }
+
+  async finish(run) {
+    if (!this.db.isEnabled()) return run;
+
+    await this.db.query(
+      `UPDATE ingestion_runs
+       SET status = $2, counts = $3, errors = $4, finished_at = $5, duration_ms = $6
+       WHERE id = $1`,
+      [run.id, run.status, JSON.stringify(run.counts), JSON.stringify(run.errors), run.finishedAt, run.durationMs]
+    );
+
+    return run;
+  }
+
+  async findAll({ limit = 50, source } = {}) {
+    if (!this.db.isEnabled()) {
+      return this.dataStore.runs
+        .filter(run => !source || run.sources.includes(source))
+        .slice(0, limit);
+    }
+
+    const params = [limit];
+    let where = '';
+    if (source) {
+      params.push(source);
+      where = 'WHERE $2 = ANY(sources)';
+    }
+
+    const { rows } = await this.db.query(
+      `SELECT * FROM ingestion_runs ${where} ORDER BY started_at DESC LIMIT $1`,
+      params
+    );
+
+    return rows.map(rowToRun);
+  }
+
+  // Most recent successful finish per source, for "last refreshed" displays
+  async findLastRefreshed() {
+    if (!this.db.isEnabled()) {
+      const lastRefreshed = {};
+      this.dataStore.runs
+        .filter(run => run.finishedAt && run.status !== 'FAILED')
+        .forEach(run => {
+          run.sources
+            .filter(source => !run.errors.some(error => error.source === source))
+            .forEach(source => {
+              if (!lastRefreshed[source]) lastRefreshed[source] = run.finishedAt;
+            });
+        });
+      return lastRefreshed;
+    }
+
+    const { rows } = await this.db.query(
+      `SELECT source, MAX(r.finished_at) AS finished_at
+       FROM ingestion_runs r, UNNEST(r.sources) AS source
+       WHERE r.status <> 'FAILED'
+         AND r.finished_at IS NOT NULL
+         AND NOT r.errors @> jsonb_build_array(jsonb_build_object('source', source))
+       GROUP BY source`
+    );
+
+    return Object.fromEntries(rows.map(row => [row.source, row.finished_at]));
+  }
+}
+
+module.exports = { RunRepository };
@@ -0,0 +1,83 @@
+// Drug shortage status tracking for the shortages source. Kept in
+// dataStore.shortageStatuses (shortage ID -> status) when PostgreSQL is not
+// configured.
+
+const MAX_HISTORY = 20;
+
+function rowToStatus(row) {
+  return {
+    shortageId: row.shortage_id,
+    company: row.company_name,
+    genericName: row.generic_name,
+    status: row.status,
+    history: row.history,
+    statusChangedAt: row.status_changed_at
+  };
+}
+
+class ShortageStatusRepository {
+  constructor(db, dataStore) {
+    this.db = db;
+    this.dataStore = dataStore;
+  }
+
+  // Shortage ID -> last recorded status, for the given IDs
+  async findByIds(shortageIds) {
+    if (shortageIds.length === 0) return new Map();
+
+    if (!this.db.isEnabled()) {
+      const found = new Map();
+      shortageIds.forEach(shortageId => {
+        if (this.dataStore.shortageStatuses.has(shortageId)) {
+          found.set(shortageId, this.dataStore.shortageStatuses.get(shortageId));
+        }
+      });
+      return found;
+    }
+
+    const { rows } = await this.db.query(
+      'SELECT * FROM drug_shortage_statuses WHERE shortage_id = ANY($1::text[])',
+      [shortageIds]
+    );
+
+    return new Map(rows.map(row => [row.shortage_id, rowToStatus(row)]));
+  }
+
+  async saveAll(statuses) {
+    if (statuses.length === 0) return;
+
+    statuses.forEach(status => {
+      status.history = status.history.slice(-MAX_HISTORY);
+    });
+
+    if (!this.db.isEnabled()) {
+      statuses.forEach(status => this.dataStore.shortageStatuses.set(status.shortageId, status));
+      return;
+    }
+
+    await this.db.withTransaction(async client => {
+      for (const status of statuses) {
+        await client.query(
+          `INSERT INTO drug_shortage_statuses (
+             shortage_id, company_name, generic_name, status, history, status_changed_at
+           ) VALUES ($1, $2, $3, $4, $5, $6)
+           ON CONFLICT (shortage_id) DO UPDATE SET
+             status = EXCLUDED.status,
+             history = EXCLUDED.history,
+             status_changed_at = EXCLUDED.status_changed_at,
+             updated_at = NOW()`,
+          [
+            status.shortageId,
+            status.company,
+            status.genericName,
+            status.status,
+            JSON.stringify(status.history),
+            status.statusChangedAt
+          ]
+        );
+      }
+    });
+  }
+}
+
+module.exports = { ShortageStatusRepository };
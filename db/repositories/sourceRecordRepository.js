@@ -0,0 +1,300 @@
+// Persistence for the raw source records behind each lead: drug
+// applications, clinical trials, enforcement reports, drug shortages,
+// warning letters, device records, FAERS safety signals, drug label changes,
+// Orange Book expiries and Purple Book biosimilars.
+const crypto = require('crypto');
+
+// Company array name -> enforcement_records.record_type
+const ENFORCEMENT_COLLECTIONS = {
+  warningLetters: 'WARNING_LETTER',
+  recalls: 'RECALL',
+  inspectionIssues: 'INSPECTION'
+};
+
+// Company array name -> device_records.record_type, and the field holding
+// each record's own ID
+const DEVICE_COLLECTIONS = {
+  deviceClearances: { recordType: '510K', idField: 'kNumber', dateField: 'decisionDate' },
+  deviceApprovals: { recordType: 'PMA', idField: 'pmaId', dateField: 'decisionDate' },
+  deviceRecalls: { recordType: 'RECALL', idField: 'recallId', dateField: 'initiationDate' },
+  deviceEvents: { recordType: 'ADVERSE_EVENT', idField: 'signalId', dateField: 'lastReceived' }
+};
+
+// Company array name -> orange_book_records.record_type, and the field
+// holding each record's own ID
+const ORANGE_BOOK_COLLECTIONS = {
+  exclusivityExpiries: { recordType: 'EXPIRY', idField: 'expiryId' },
+  genericOpportunities: { recordType: 'GENERIC_FILER', idField: 'opportunityId' }
+};
+
+function enforcementRecordId(recordType, record) {
+  const key = record.letterId || record.inspectionId;
+  if (key) {
+    return `${recordType}-${key}`;
+  }
+  if (record.recallNumber) {
+    return `${recordType}-${record.recallNumber}`;
+  }
+
+  // Older payloads carry no recall number; fall back to a content hash
+  const digest = crypto.createHash('sha1').update(JSON.stringify(record)).digest('hex');
+  return `${recordType}-${digest.substring(0, 16)}`;
+}
+
+class SourceRecordRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async saveForCompany(client, companyId, company) {
+    for (const app of company.applications || []) {
+      if (!app.applicationNumber) continue;
+
+      await client.query(
+        `INSERT INTO drug_applications (application_number, company_id, submission_type, status, last_activity, data)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (application_number) DO UPDATE SET
+           company_id = EXCLUDED.company_id,
+           submission_type = EXCLUDED.submission_type,
+           status = EXCLUDED.status,
+           last_activity = EXCLUDED.last_activity,
+           data = EXCLUDED.data,
+           fetched_at = NOW()`,
+        [app.applicationNumber, companyId, app.submissionType || null, app.status || null, app.lastActivity || null, JSON.stringify(app)]
+      );
+    }
+
+    for (const trial of company.trials || []) {
+      if (!trial.nctId) continue;
+
+      await client.query(
+        `INSERT INTO clinical_trials (nct_id, company_id, phase, status, data)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (nct_id) DO UPDATE SET
+           company_id = EXCLUDED.company_id,
+           phase = EXCLUDED.phase,
+           status = EXCLUDED.status,
+           data = EXCLUDED.data,
+           fetched_at = NOW()`,
+        [trial.nctId, companyId, trial.phaseInfo?.primary || trial.phase || null, trial.status || null, JSON.stringify(trial)]
+      );
+    }
+
+    for (const [collection, recordType] of Object.entries(ENFORCEMENT_COLLECTIONS)) {
+      for (const record of company[collection] || []) {
+        await client.query(
+          `INSERT INTO enforcement_records (id, company_id, record_type, recall_number, classification, report_date, data)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)
+           ON CONFLICT (id) DO UPDATE SET
+             company_id = EXCLUDED.company_id,
+             classification = EXCLUDED.classification,
+             report_date = EXCLUDED.report_date,
+             data = EXCLUDED.data,
+             fetched_at = NOW()`,
+          [
+            enforcementRecordId(recordType, record),
+            companyId,
+            recordType,
+            record.recallNumber || null,
+            record.classification || null,
+            record.reportDate || record.initiationDate || record.letterDate || record.inspectionEndDate || null,
+            JSON.stringify(record)
+          ]
+        );
+      }
+    }
+
+    for (const shortage of company.drugShortages || []) {
+      if (!shortage.shortageId) continue;
+
+      await client.query(
+        `INSERT INTO drug_shortages (id, company_id, generic_name, status, data)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (id) DO UPDATE SET
+           company_id = EXCLUDED.company_id,
+           status = EXCLUDED.status,
+           data = EXCLUDED.data,
+           fetched_at = NOW()`,
+        [shortage.shortageId, companyId, shortage.genericName, shortage.status, JSON.stringify(shortage)]
+      );
+    }
+
+    for (const [collection, { recordType, idField, dateField }] of Object.entries(DEVICE_COLLECTIONS)) {
+      for (const record of company[collection] || []) {
+        if (!record[idField]) continue;
+
+        await client.query(
+          `INSERT INTO device_records (id, company_id, record_type, product_code, report_date, data)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           ON CONFLICT (id) DO UPDATE SET
+             company_id = EXCLUDED.company_id,
+             product_code = EXCLUDED.product_code,
+             report_date = EXCLUDED.report_date,
+             data = EXCLUDED.data,
+             fetched_at = NOW()`,
+          [
+            `${recordType}-${record[idField]}`,
+            companyId,
+            recordType,
+            record.productCode || null,
+            record[dateField] || null,
+            JSON.stringify(record)
+          ]
+        );
+      }
+    }
+
+    for (const signal of company.safetySignals || []) {
+      if (!signal.signalId) continue;
+
+      await client.query(
+        `INSERT INTO safety_signals (id, company_id, product, as_of, data)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (id) DO UPDATE SET
+           company_id = EXCLUDED.company_id,
+           as_of = EXCLUDED.as_of,
+           data = EXCLUDED.data,
+           fetched_at = NOW()`,
+        [signal.signalId, companyId, signal.product, signal.asOf || null, JSON.stringify(signal)]
+      );
+    }
+
+    for (const change of company.labelChanges || []) {
+      if (!change.changeId) continue;
+
+      await client.query(
+        `INSERT INTO label_changes (id, company_id, set_id, change_type, effective_date, data)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (id) DO UPDATE SET
+           company_id = EXCLUDED.company_id,
+           data = EXCLUDED.data,
+           fetched_at = NOW()`,
+        [change.changeId, companyId, change.setId, change.changeType, change.effectiveDate || null, JSON.stringify(change)]
+      );
+    }
+
+    for (const [collection, { recordType, idField }] of Object.entries(ORANGE_BOOK_COLLECTIONS)) {
+      for (const record of company[collection] || []) {
+        if (!record[idField]) continue;
+
+        await client.query(
+          `INSERT INTO orange_book_records (id, company_id, record_type, appl_no, key_date, data)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           ON CONFLICT (id) DO UPDATE SET
+             company_id = EXCLUDED.company_id,
+             key_date = EXCLUDED.key_date,
+             data = EXCLUDED.data,
+             fetched_at = NOW()`,
+          [
+            `${recordType}-${record[idField]}`,
+            companyId,
+            recordType,
+            record.applNo || record.referenceApplNo,
+            record.lossOfExclusivityDate || record.nce1Date || null,
+            JSON.stringify(record)
+          ]
+        );
+      }
+    }
+
+    for (const licensure of company.biosimilarCompetition || []) {
+      if (!licensure.licensureId) continue;
+
+      await client.query(
+        `INSERT INTO biosimilar_records (id, company_id, reference_bla_number, approval_date, data)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (id) DO UPDATE SET
+           company_id = EXCLUDED.company_id,
+           approval_date = EXCLUDED.approval_date,
+           data = EXCLUDED.data,
+           fetched_at = NOW()`,
+        [licensure.licensureId, companyId, licensure.referenceBlaNumber, licensure.approvalDate || null, JSON.stringify(licensure)]
+      );
+    }
+
+    for (const compliance of company.resultsCompliance || []) {
+      if (!compliance.complianceId) continue;
+
+      await client.query(
+        `INSERT INTO results_compliance (id, company_id, overdue_count, as_of, data)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (id) DO UPDATE SET
+           company_id = EXCLUDED.company_id,
+           overdue_count = EXCLUDED.overdue_count,
+           as_of = EXCLUDED.as_of,
+           data = EXCLUDED.data,
+           fetched_at = NOW()`,
+        [compliance.complianceId, companyId, compliance.overdueCount, compliance.asOf || null, JSON.stringify(compliance)]
+      );
+    }
+  }
+
+  // Fills the source record arrays of already-loaded companies
+  async attachToCompanies(companies) {
+    if (companies.length === 0) return companies;
+
+    const byId = new Map(companies.map(company => [company.id, company]));
+    const ids = Array.from(byId.keys());
+
+    const [applications, trials, enforcement, shortages, devices, safetySignals, labelChanges, orangeBook, biosimilars, resultsCompliance] = await Promise.all([
+      this.db.query('SELECT company_id, data FROM drug_applications WHERE company_id = ANY($1::int[])', [ids]),
+      this.db.query('SELECT company_id, data FROM clinical_trials WHERE company_id = ANY($1::int[])', [ids]),
+      this.db.query('SELECT company_id, record_type, data FROM enforcement_records WHERE company_id = ANY($1::int[])', [ids]),
+      this.db.query('SELECT company_id, data FROM drug_shortages WHERE company_id = ANY($1::int[])', [ids]),
+      this.db.query('SELECT company_id, record_type, data FROM device_records WHERE company_id = ANY($1::int[])', [ids]),
+      this.db.query('SELECT company_id, data FROM safety_signals WHERE company_id = ANY($1::int[])', [ids]),
+      this.db.query('SELECT company_id, data FROM label_changes WHERE company_id = ANY($1::int[])', [ids]),
+      this.db.query('SELECT company_id, record_type, data FROM orange_book_records WHERE company_id = ANY($1::int[])', [ids]),
+      this.db.query('SELECT company_id, data FROM biosimilar_records WHERE company_id = ANY($1::int[])', [ids]),
+      this.db.query('SELECT company_id, data FROM results_compliance WHERE company_id = ANY($1::int[])', [ids])
+    ]);
+
+    applications.rows.forEach(row => byId.get(row.company_id).applications.push(row.data));
+    trials.rows.forEach(row => byId.get(row.company_id).trials.push(row.data));
+
+    const collectionByType = Object.fromEntries(
+      Object.entries(ENFORCEMENT_COLLECTIONS).map(([collection, recordType]) => [recordType, collection])
+    );
+    enforcement.rows.forEach(row => {
+      byId.get(row.company_id)[collectionByType[row.record_type]].push(row.data);
+    });
+
+    shortages.rows.forEach(row => byId.get(row.company_id).drugShortages.push(row.data));
+
+    const deviceCollectionByType = Object.fromEntries(
+      Object.entries(DEVICE_COLLECTIONS).map(([collection, { recordType }]) => [recordType, collection])
+    );
+    devices.rows.forEach(row => {
+      byId.get(row.company_id)[deviceCollectionByType[row.record_type]].push(row.data);
+    });
+    safetySignals.rows.forEach(row => byId.get(row.company_id).safetySignals.push(row.data));
+    labelChanges.rows.forEach(row => byId.get(row.company_id).labelChanges.push(row.data));
+
+    const orangeBookCollectionByType = Object.fromEntries(
+      Object.entries(ORANGE_BOOK_COLLECTIONS).map(([collection, { recordType }]) => [recordType, collection])
+    );
+    orangeBook.rows.forEach(row => {
+      byId.get(row.company_id)[orangeBookCollectionByType[row.record_type]].push(row.data);
+    });
+    biosimilars.rows.forEach(row => byId.get(row.company_id).biosimilarCompetition.push(row.data));
+    resultsCompliance.rows.forEach(row => byId.get(row.company_id).resultsCompliance.push(row.data));
+
+    return companies;
+  }
+
+  // Removes source records that were not written in the current transaction
+  async deleteNotFetched(client) {
+    await client.query('DELETE FROM drug_applications WHERE fetched_at < NOW()');
+    await client.query('DELETE FROM clinical_trials WHERE fetched_at < NOW()');
+    await client.query('DELETE FROM enforcement_records WHERE fetched_at < NOW()');
+    await client.query('DELETE FROM drug_shortages WHERE fetched_at < NOW()');
+    await client.query('DELETE FROM device_records WHERE fetched_at < NOW()');
+    await client.query('DELETE FROM safety_signals WHERE fetched_at < NOW()');
+    await client.query('DELETE FROM label_changes WHERE fetched_at < NOW()');
+    await client.query('DELETE FROM orange_book_records WHERE fetched_at < NOW()');
+    await client.query('DELETE FROM biosimilar_records WHERE fetched_at < NOW()');
+    await client.query('DELETE FROM results_compliance WHERE fetched_at < NOW()');
+  }
+}
+
+module.exports = { SourceRecordRepository, enforcementRecordId };
@@ -0,0 +1,76 @@
+// ClinicalTrials.gov record snapshots seen by the clinicaltrials source. Kept
+// in dataStore.trialSnapshots (NCT ID -> snapshots, newest first) when
+// PostgreSQL is not configured.
+
+const MAX_SNAPSHOTS_PER_TRIAL = 10;
+
+function rowToSnapshot(row) {
+  return {
+    ...row.snapshot,
+    version: row.version,
+    changes: row.changes
+  };
+}
+
+class TrialSnapshotRepository {
+  constructor(db, dataStore) {
+    this.db = db;
+    this.dataStore = dataStore;
+  }
+
+  // NCT ID -> stored snapshots, newest first, for the given NCT IDs
+  async findHistory(nctIds) {
+    if (nctIds.length === 0) return new Map();
+
+    if (!this.db.isEnabled()) {
+      const history = new Map();
+      nctIds.forEach(nctId => {
+        const snapshots = this.dataStore.trialSnapshots.get(nctId);
+        if (snapshots?.length) history.set(nctId, snapshots);
+      });
+      return history;
+    }
+
+    const { rows } = await this.db.query(
+      `SELECT * FROM trial_snapshots
+       WHERE nct_id = ANY($1::text[])
+       ORDER BY nct_id, version DESC`,
+      [nctIds]
+    );
+
+    const history = new Map();
+    rows.forEach(row => {
+      const snapshots = history.get(row.nct_id) || [];
+      if (snapshots.length < MAX_SNAPSHOTS_PER_TRIAL) snapshots.push(rowToSnapshot(row));
+      history.set(row.nct_id, snapshots);
+    });
+    return history;
+  }
+
+  async saveAll(snapshots) {
+    if (snapshots.length === 0) return;
+
+    if (!this.db.isEnabled()) {
+      snapshots.forEach(snapshot => {
+        const stored = this.dataStore.trialSnapshots.get(snapshot.nctId) || [];
+        stored.unshift(snapshot);
+        stored.length = Math.min(stored.length, MAX_SNAPSHOTS_PER_TRIAL);
+        this.dataStore.trialSnapshots.set(snapshot.nctId, stored);
+      });
+      return;
+    }
+
+    await this.db.withTransaction(async client => {
+      for (const { version, changes, ...snapshot } of snapshots) {
+        await client.query(
+          `INSERT INTO trial_snapshots (nct_id, version, last_update_posted, snapshot, changes)
+           VALUES ($1, $2, $3, $4, $5)
+           ON CONFLICT (nct_id, version) DO NOTHING`,
+          [snapshot.nctId, version, snapshot.lastUpdatePostedDate, JSON.stringify(snapshot), JSON.stringify(changes || [])]
+        );
+      }
+    });
+  }
+}
+
+module.exports = { TrialSnapshotRepository };
@@ -0,0 +1,345 @@
+// Company entity resolution. Maps the sponsor, applicant and firm names on
+// FDA and ClinicalTrials.gov records to one company key so a company's
+// applications, trials and recalls land together. A name is resolved by, in
+// order:
+//
+//   1. curated identifier keys (FEI number, NDC labeler code, CT.gov sponsor)
+//   2. curated name aliases; SUBSIDIARY entries roll up into the parent
+//   3. identifier keys already seen on another company's records
+//   4. "X Div Y" / "X, a subsidiary of Y" / "X, a Y company" names, resolved as Y
+//   5. exact, then fuzzy matches against the companies already known
+//
+// Every resolution carries a confidence (0-1) and the method that produced it.
+
+const DEFAULT_MATCH_THRESHOLD = 0.92;
+
+// Fuzzy matches never read as certain; only keys and curated entries do
+const MAX_FUZZY_CONFIDENCE = 0.97;
+const LEARNED_IDENTIFIER_CONFIDENCE = 0.95;
+const PARENT_NAME_CONFIDENCE = 0.95;
+
+const IDENTIFIER_KINDS = ['FEI', 'LABELER_CODE', 'CTGOV_SPONSOR'];
+const ALIAS_KINDS = ['NAME', ...IDENTIFIER_KINDS];
+const RELATIONSHIPS = ['ALIAS', 'SUBSIDIARY'];
+
+// Legal forms carry no identity and are stripped from company keys
+const LEGAL_SUFFIXES = new Set([
+  'INC', 'INCORPORATED', 'LLC', 'CORP', 'CORPORATION', 'LTD', 'LIMITED', 'CO', 'COMPANY',
+  'GMBH', 'AG', 'SA', 'SAS', 'SPA', 'SRL', 'BV', 'NV', 'AB', 'AS', 'OY', 'SE',
+  'PLC', 'LP', 'LLP', 'ULC', 'KK', 'PTY', 'PVT'
+]);
+
+// Line-of-business words stay in company keys (Gamma Therapeutics and Gamma
+// Biologics are different firms) but weigh less than the distinctive name
+const DESCRIPTOR_VARIANTS = {
+  PHARMA: 'PHARMACEUTICALS',
+  PHARMACEUTICAL: 'PHARMACEUTICALS',
+  PHARMACEUTICALS: 'PHARMACEUTICALS',
+  BIOPHARMA: 'BIOPHARMACEUTICALS',
+  BIOPHARMACEUTICAL: 'BIOPHARMACEUTICALS',
+  BIOPHARMACEUTICALS: 'BIOPHARMACEUTICALS',
+  THERAPEUTIC: 'THERAPEUTICS',
+  THERAPEUTICS: 'THERAPEUTICS',
+  SCIENCE: 'SCIENCES',
+  SCIENCES: 'SCIENCES',
+  BIOSCIENCE: 'BIOSCIENCES',
+  BIOSCIENCES: 'BIOSCIENCES',
+  LAB: 'LABORATORIES',
+  LABS: 'LABORATORIES',
+  LABORATORY: 'LABORATORIES',
+  LABORATORIES: 'LABORATORIES',
+  BIO: 'BIOTECH',
+  BIOTECH: 'BIOTECH',
+  BIOTECHNOLOGY: 'BIOTECH',
+  BIOLOGIC: 'BIOLOGICS',
+  BIOLOGICS: 'BIOLOGICS',
+  GENERIC: 'GENERICS',
+  GENERICS: 'GENERICS',
+  HEALTHCARE: 'HEALTHCARE',
+  HEALTH: 'HEALTHCARE',
+  MEDICAL: 'MEDICAL',
+  DIAGNOSTICS: 'DIAGNOSTICS',
+  DEVICES: 'DEVICES',
+  SYSTEMS: 'SYSTEMS',
+  TECH: 'TECHNOLOGIES',
+  TECHNOLOGY: 'TECHNOLOGIES',
+  TECHNOLOGIES: 'TECHNOLOGIES',
+  PRODUCTS: 'PRODUCTS'
+};
+
+// Region and holding words are ignored when comparing names
+const IGNORED_WORDS = new Set([
+  'THE', 'AND', '&', 'OF', 'USA', 'US', 'AMERICA', 'AMERICAS', 'NORTH', 'INTERNATIONAL', 'INTL',
+  'GLOBAL', 'WORLDWIDE', 'HOLDINGS', 'HOLDING', 'GROUP'
+]);
+
+// "X Div Y", "X, a division of Y", "X, a wholly owned subsidiary of Y", "X, a Y company"
+const PARENT_PATTERNS = [
+  /^(.+?)\s+(?:A\s+)?(?:WHOLLY\s+OWNED\s+)?(?:DIV|DIVISION|SUBSIDIARY)(?:\s+OF)?\s+(.+)$/,
+  /^(.+?)\s+AN?\s+(.+)\s+COMPANY$/
+];
+
+function cleanName(name) {
+  return String(name || '')
+    .replace(/[,.]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toUpperCase();
+}
+
+// Company key: the name without punctuation and trailing legal forms
+// ("Eli Lilly and Co." -> "ELI LILLY"). A one-word name is never emptied.
+function normalizeCompanyName(name) {
+  const tokens = cleanName(name).split(' ');
+
+  while (tokens.length > 1 && LEGAL_SUFFIXES.has(tokens[tokens.length - 1])) {
+    tokens.pop();
+    while (tokens.length > 1 && ['AND', '&'].includes(tokens[tokens.length - 1])) tokens.pop();
+  }
+
+  return tokens.join(' ');
+}
+
+// Distinctive part of a company key plus its line-of-business descriptors
+function nameProfile(companyName) {
+  const core = [];
+  const descriptors = new Set();
+
+  normalizeCompanyName(companyName).split(' ').forEach(token => {
+    if (IGNORED_WORDS.has(token)) return;
+    if (DESCRIPTOR_VARIANTS[token]) descriptors.add(DESCRIPTOR_VARIANTS[token]);
+    else core.push(token);
+  });
+
+  // A name made only of descriptors ("Therapeutics Inc") is its own core
+  if (core.length === 0) core.push(...descriptors);
+
+  return {
+    core: core.join(' '),
+    sortedCore: [...core].sort().join(' '),
+    descriptors
+  };
+}
+
+function jaroWinkler(a, b) {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+
+  const window = Math.max(Math.floor(Math.max(a.length, b.length) / 2) - 1, 0);
+  const aMatched = new Array(a.length).fill(false);
+  const bMatched = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    const end = Math.min(i + window + 1, b.length);
+    for (let j = Math.max(0, i - window); j < end; j++) {
+      if (bMatched[j] || a[i] !== b[j]) continue;
+      aMatched[i] = true;
+      bMatched[j] = true;
+      matches++;
+      break;
+    }
+  }
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (!aMatched[i]) continue;
+    while (!bMatched[k]) k++;
+    if (a[i] !== b[k]) transpositions++;
+    k++;
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+  let prefix = 0;
+  while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) prefix++;
+
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+// Similarity of two name profiles. Conflicting descriptors pull the score
+// well below any match threshold; one missing descriptor costs a little.
+function nameSimilarity(a, b) {
+  const coreScore = Math.max(jaroWinkler(a.core, b.core), jaroWinkler(a.sortedCore, b.sortedCore));
+
+  let factor = 1;
+  if (a.descriptors.size > 0 && b.descriptors.size > 0) {
+    const shared = [...a.descriptors].filter(descriptor => b.descriptors.has(descriptor)).length;
+    const union = new Set([...a.descriptors, ...b.descriptors]).size;
+    factor = shared > 0 ? 0.9 + 0.1 * shared / union : 0.8;
+  } else if (a.descriptors.size > 0 || b.descriptors.size > 0) {
+    factor = 0.95;
+  }
+
+  return Math.round(coreScore * factor * 1000) / 1000;
+}
+
+// Identifier value as stored and looked up: FEI digits, five-digit labeler
+// code, CT.gov sponsor names compared case-insensitively
+function normalizeIdentifier(kind, value) {
+  const text = String(value ?? '').trim();
+
+  switch (kind) {
+    case 'NAME': return normalizeCompanyName(text);
+    case 'FEI': return text.replace(/\D/g, '');
+    case 'LABELER_CODE': return text.replace(/\D/g, '').padStart(5, '0');
+    case 'CTGOV_SPONSOR': return text.replace(/\s+/g, ' ').toUpperCase();
+    default: return text;
+  }
+}
+
+// NDCs ("12345-678-90", "0002-1433-80") -> labeler codes
+function labelerCodesFromNdcs(ndcs = []) {
+  const codes = ndcs
+    .map(ndc => String(ndc || '').split('-')[0])
+    .filter(code => /^\d{4,5}$/.test(code))
+    .map(code => normalizeIdentifier('LABELER_CODE', code));
+
+  return Array.from(new Set(codes));
+}
+
+// Identifier keys carried by a source record
+function recordIdentifiers(record) {
+  return {
+    feiNumbers: record.feiNumbers || [],
+    labelerCodes: record.labelerCodes || [],
+    ctgovSponsor: record.ctgovSponsor || null
+  };
+}
+
+function identifierKeys({ feiNumbers = [], labelerCodes = [], ctgovSponsor = null } = {}) {
+  return [
+    ...feiNumbers.map(fei => ['FEI', fei]),
+    ...labelerCodes.map(code => ['LABELER_CODE', code]),
+    ...(ctgovSponsor ? [['CTGOV_SPONSOR', ctgovSponsor]] : [])
+  ]
+    .map(([kind, value]) => [kind, normalizeIdentifier(kind, value)])
+    .filter(([, value]) => value)
+    .map(([kind, value]) => `${kind}:${value}`);
+}
+
+// Error message for an invalid alias table entry, or null
+function validateAlias({ kind, value, companyName, relationship = 'ALIAS', note = null } = {}) {
+  if (!ALIAS_KINDS.includes(kind)) return `kind must be one of: ${ALIAS_KINDS.join(', ')}`;
+  if (typeof value !== 'string' && typeof value !== 'number') return 'value is required';
+  if (kind === 'FEI' && !/^\d+$/.test(String(value).trim())) return 'FEI numbers are digits only';
+  if (kind === 'LABELER_CODE' && !/^\d{4,5}$/.test(String(value).trim())) return 'labeler codes are 4 or 5 digits';
+  if (!normalizeIdentifier(kind, value)) return 'value is required';
+  if (typeof companyName !== 'string' || !normalizeCompanyName(companyName)) return 'companyName is required';
+  if (!RELATIONSHIPS.includes(relationship)) return `relationship must be one of: ${RELATIONSHIPS.join(', ')}`;
+  if (note !== null && typeof note !== 'string') return 'note must be a string';
+  return null;
+}
+
+// Alias entry as stored: value normalized for its kind, target as a company key
+function normalizeAlias({ kind, value, companyName, relationship = 'ALIAS', note = null }) {
+  return {
+    kind,
+    value: normalizeIdentifier(kind, value),
+    companyName: normalizeCompanyName(companyName),
+    relationship,
+    note
+  };
+}
+
+class EntityResolver {
+  constructor({ aliases = [], threshold } = {}) {
+    this.threshold = threshold ?? (parseFloat(process.env.ENTITY_MATCH_THRESHOLD) || DEFAULT_MATCH_THRESHOLD);
+    this.companies = new Map();   // company key -> name profile
+    this.blocks = new Map();      // first letter of a core name -> company keys
+    this.identifiers = new Map(); // "FEI:3001234567" -> company key, from records
+    this.curated = new Map();     // "NAME:PFIZER LABORATORIES" -> alias entry
+    aliases.forEach(alias => this.curated.set(`${alias.kind}:${alias.value}`, alias));
+  }
+
+  // Indexes a company key and the identifier keys seen on its records. The
+  // first company an identifier was seen with keeps it.
+  register(companyName, identifiers = {}) {
+    if (!this.companies.has(companyName)) {
+      const profile = nameProfile(companyName);
+      this.companies.set(companyName, profile);
+      new Set([profile.core[0], profile.sortedCore[0]]).forEach(letter => {
+        if (!this.blocks.has(letter)) this.blocks.set(letter, new Set());
+        this.blocks.get(letter).add(companyName);
+      });
+    }
+
+    identifierKeys(identifiers).forEach(key => {
+      if (!this.identifiers.has(key)) this.identifiers.set(key, companyName);
+    });
+  }
+
+  // name + optional { feiNumbers, labelerCodes, ctgovSponsor } ->
+  // { companyName, confidence, method }
+  resolve(name, identifiers = {}) {
+    const keys = identifierKeys(identifiers);
+
+    const curatedKey = keys.find(key => this.curated.has(key));
+    if (curatedKey) return { companyName: this.curated.get(curatedKey).companyName, confidence: 1, method: 'IDENTIFIER' };
+
+    const alias = this.curated.get(`NAME:${normalizeCompanyName(name)}`);
+    if (alias) return this.aliasResolution(alias);
+
+    const learnedKey = keys.find(key => this.identifiers.has(key));
+    if (learnedKey) {
+      return { companyName: this.identifiers.get(learnedKey), confidence: LEARNED_IDENTIFIER_CONFIDENCE, method: 'IDENTIFIER' };
+    }
+
+    const cleaned = cleanName(name).replace(/[()]/g, ' ').replace(/\s+/g, ' ').trim();
+    const parent = PARENT_PATTERNS.map(pattern => cleaned.match(pattern)).find(Boolean);
+    if (parent) {
+      const resolved = this.resolveName(parent[2]);
+      return { companyName: resolved.companyName, confidence: Math.min(resolved.confidence, PARENT_NAME_CONFIDENCE), method: 'PARENT' };
+    }
+
+    return this.resolveName(name);
+  }
+
+  resolveName(name) {
+    const companyName = normalizeCompanyName(name);
+
+    const alias = this.curated.get(`NAME:${companyName}`);
+    if (alias) return this.aliasResolution(alias);
+    if (this.companies.has(companyName)) return { companyName, confidence: 1, method: 'EXACT' };
+
+    const [best] = this.candidates(name, 1);
+    if (best && best.confidence >= this.threshold) {
+      return { companyName: best.companyName, confidence: Math.min(best.confidence, MAX_FUZZY_CONFIDENCE), method: 'FUZZY' };
+    }
+
+    return { companyName, confidence: 1, method: 'NEW' };
+  }
+
+  aliasResolution(alias) {
+    return { companyName: alias.companyName, confidence: 1, method: alias.relationship === 'SUBSIDIARY' ? 'PARENT' : 'ALIAS' };
+  }
+
+  // Known companies most similar to a name, best first
+  candidates(name, limit = 5) {
+    const profile = nameProfile(name);
+    const keys = new Set([
+      ...(this.blocks.get(profile.core[0]) || []),
+      ...(this.blocks.get(profile.sortedCore[0]) || [])
+    ]);
+
+    return Array.from(keys)
+      .map(companyName => ({ companyName, confidence: nameSimilarity(profile, this.companies.get(companyName)) }))
+      .sort((a, b) => b.confidence - a.confidence || a.companyName.localeCompare(b.companyName))
+      .slice(0, limit);
+  }
+}
+
+module.exports = {
+  EntityResolver,
+  ALIAS_KINDS,
+  RELATIONSHIPS,
+  normalizeCompanyName,
+  normalizeIdentifier,
+  nameProfile,
+  nameSimilarity,
+  labelerCodesFromNdcs,
+  recordIdentifiers,
+  validateAlias,
+  normalizeAlias
+};
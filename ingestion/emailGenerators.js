@@ -0,0 +1,447 @@
+// Email generators, registered per lead type. Each takes the source record,
+// the lead built from it and the run context ({ caseStudies }: approved
+// case studies) and returns the structured email shown in the dashboard and
+// by GET /api/leads/:id/email.
+const { matchCaseStudy, leadContext } = require('../caseStudies');
+
+// caseStudy: matched case study (see caseStudies.js), or null for no
+// credibility line
+function generateDetailedEmail(trigger, companyName, caseStudy = null) {
+  return {
+    subject: trigger.subject,
+    greeting: `Dear ${companyName} Regulatory Team,`,
+    opening: trigger.personalizedHook || trigger.context,
+    problemStatement: `Based on my analysis of recent FDA submissions in your space, ${trigger.mainIssue} represents both a challenge and an opportunity for differentiation.`,
+    solution: trigger.offering,
+    competitiveContext: trigger.competitiveContext || '',
+    specificAnalysis: trigger.specificAnalysis.map(point => `• ${point}`).join('\n'),
+    credibility: caseStudy ? caseStudy.claim : '',
+    caseStudyId: caseStudy ? caseStudy.id : null,
+    urgency: trigger.urgency === 'CRITICAL' ? 
+      '\nGiven the time-sensitive nature of your situation, I can prioritize this analysis and deliver initial insights within 24-48 hours.' : '',
+    callToAction: trigger.callToAction,
+    signature: generateSignature()
+  };
+}
+
+function generateWarningLetterEmail(letter, companyName) {
+  const deadline = letter.responseDeadline;
+  const citations = letter.cfrCitations || [];
+
+  return {
+    subject: letter.emailTrigger.subject,
+    greeting: `Dear ${companyName} Quality and Regulatory Leadership,`,
+    opening: `I noticed the warning letter ${letter.issuingOffice ? `${letter.issuingOffice} ` : ''}issued${letter.letterDate ? ` on ${letter.letterDate}` : ''} regarding ${letter.subject}. Having analyzed hundreds of warning letter responses, I understand the urgency and complexity of developing a comprehensive remediation strategy.`,
+    problemStatement: letter.emailTrigger.context,
+    citedRegulations: citations.length > 0 ? citations.map(citation => `• ${citation}`).join('\n') : '',
+    solution: `Our regulatory AI tool can provide immediate support by analyzing:\n\n` +
+      `• Successful responses to letters citing ${citations.length > 0 ? citations.slice(0, 2).join(' and ') : 'the same violations'}\n` +
+      `• Root cause analysis patterns FDA finds acceptable\n` +
+      `• Timeline benchmarks for remediation\n` +
+      `• Strategies to prevent escalation to consent decree\n` +
+      `• ${letter.issuingOffice || 'Division'}-specific expectations for your response`,
+    urgency: deadline
+      ? `\nFDA asked for your response within ${deadline.days} ${deadline.dayType} days${deadline.dueDate ? ` (around ${deadline.dueDate})` : ''}. I can provide initial strategic insights within 24 hours to support your response preparation.`
+      : `\nWarning letters typically require response within 15 working days. I can provide initial strategic insights within 24 hours to support your response preparation.`,
+    callToAction: `Given the critical timeline, would you be available for a call today or tomorrow to discuss how our analysis can strengthen your FDA response?`,
+    signature: generateSignature()
+  };
+}
+
+function generateRecallEmail(recall, companyName) {
+  return {
+    subject: recall.emailTrigger.subject,
+    greeting: `Dear ${companyName} Leadership,`,
+    opening: recall.emailTrigger.context,
+    problemStatement: `Beyond the immediate recall execution, this situation presents an opportunity to strengthen your quality systems and prevent future occurrences.`,
+    solution: recall.emailTrigger.offering + `\n\nSpecific areas of analysis:\n` +
+      `• Root cause patterns from similar recalls\n` +
+      `• CAPA strategies that satisfy FDA expectations\n` +
+      `• Communication strategies to maintain stakeholder confidence\n` +
+      `• Quality system enhancements to prevent recurrence\n` +
+      `• Post-recall inspection preparation`,
+    urgency: recall.classification === 'Class I' ? 
+      '\nClass I recalls require immediate action. I can provide strategic support within hours.' : '',
+    callToAction: `Would you like to discuss how this analysis could support both your immediate recall response and long-term quality strategy? I'm available this week for a brief call.`,
+    signature: generateSignature()
+  };
+}
+
+function generateTrialEmail(trigger, companyName, caseStudy = null) {
+  const email = {
+    subject: trigger.subject,
+    greeting: `Dear ${companyName} Clinical Development Team,`,
+    opening: trigger.personalizedHook || trigger.context,
+    problemStatement: `${trigger.mainIssue} represents a critical decision point that could significantly impact your development timeline and regulatory strategy.`,
+    solution: trigger.offering,
+    specificAnalysis: trigger.specificAnalysis.map(point => `• ${point}`).join('\n'),
+    competitiveContext: trigger.competitiveAngle || '',
+    recordChanges: (trigger.recordChanges || []).map(change => `• ${change}`).join('\n'),
+    credibility: caseStudy ? caseStudy.claim : '',
+    caseStudyId: caseStudy ? caseStudy.id : null,
+    urgency: trigger.urgency === 'HIGH' ? 
+      '\nI can complete this analysis within 2-3 hours and provide actionable insights for your team.' : '',
+    callToAction: trigger.callToAction,
+    signature: generateSignature()
+  };
+  
+  return email;
+}
+
+function generateInspectionEmail(inspection, companyName) {
+  const citations = inspection.citations || [];
+  const programAreas = inspection.programAreas?.length > 0 ? inspection.programAreas.join(', ') : 'your program areas';
+  const isOai = inspection.classification === 'OAI';
+
+  return {
+    subject: inspection.emailTrigger.subject,
+    greeting: `Dear ${companyName} Quality Assurance Team,`,
+    opening: inspection.emailTrigger.context,
+    problemStatement: isOai
+      ? `An OAI classification means FDA considers the observations serious enough for regulatory or administrative action. Firms in this position often receive a warning letter or import alert next unless the 483 response is comprehensive.`
+      : `A VAI classification leaves the observations open until the next inspection, where repeat findings in ${programAreas} are a common path to an OAI outcome.`,
+    citedObservations: citations.length > 0
+      ? citations.slice(0, 5).map(citation => `• ${[citation.cfrNumber, citation.shortDescription].filter(Boolean).join(' - ')}`).join('\n')
+      : '',
+    solution: inspection.emailTrigger.offering,
+    specificValue: `Our analysis would include:\n` +
+      `• How FDA classified inspections citing the same ${citations.length > 0 ? 'observations' : 'program areas'}\n` +
+      `• CAPA commitments that closed out similar findings\n` +
+      `• Follow-up actions FDA took after comparable ${inspection.classification} outcomes\n` +
+      `• Readiness priorities for ${programAreas} ahead of your next inspection`,
+    urgency: isOai
+      ? '\nGiven the OAI outcome, I can turn around an initial review of comparable cases within 48 hours.'
+      : '',
+    callToAction: isOai
+      ? `Would you be open to a call this week to review how similar firms responded before FDA took further action?`
+      : `Would you like to explore how this intelligence could strengthen your inspection readiness? I have time this week for a brief discussion.`,
+    signature: generateSignature()
+  };
+}
+
+function generateDeviceClearanceEmail(clearance, companyName) {
+  const trigger = clearance.emailTrigger;
+  const nse = clearance.decisionType === 'NOT_SUBSTANTIALLY_EQUIVALENT';
+
+  return {
+    subject: trigger.subject,
+    greeting: `Dear ${companyName} Regulatory Affairs Team,`,
+    opening: trigger.context,
+    problemStatement: `The period after a ${nse ? 'not substantially equivalent decision' : '510(k) decision'} is when ${trigger.mainIssue} shapes the next two years of your submissions.`,
+    solution: trigger.offering,
+    specificValue: `Our analysis would include:\n` +
+      `• Recent decisions under product code ${clearance.productCode || 'your product code'}${clearance.panel ? ` (${clearance.panel} panel)` : ''} and the predicates they cited\n` +
+      `• Review times for comparable submissions${clearance.reviewDays !== null ? ` against your ${clearance.reviewDays} days` : ''}\n` +
+      (nse
+        ? `• The deficiencies FDA raised in similar NSE decisions and how sponsors resolved them\n` +
+          `• Whether a De Novo request is the better route for ${clearance.deviceName}`
+        : `• Change types that triggered a new 510(k) for similar devices\n` +
+          `• Post-market surveillance and complaint-trending expectations for the device type`),
+    urgency: nse
+      ? '\nI can have a first comparison of cleared alternatives to your team within a week.'
+      : '',
+    callToAction: nse
+      ? `Would a short call this week to walk through the options be helpful?`
+      : `Would you be open to a brief call to discuss how this intelligence could support your next submission?`,
+    signature: generateSignature()
+  };
+}
+
+function generateDeviceApprovalEmail(approval, companyName) {
+  const trigger = approval.emailTrigger;
+  const original = approval.submissionType === 'ORIGINAL';
+
+  return {
+    subject: trigger.subject,
+    greeting: `Dear ${companyName} Regulatory Affairs Team,`,
+    opening: trigger.context,
+    problemStatement: `With ${approval.pmaId} decided, ${trigger.mainIssue} will determine how quickly you can iterate on ${approval.deviceName}.`,
+    solution: trigger.offering,
+    specificValue: `Our analysis would include:\n` +
+      (original
+        ? `• Conditions of approval and post-approval studies FDA set for comparable ${approval.panel || 'Class III'} devices\n`
+        : `• How FDA handled other ${approval.supplementType || 'PMA'} supplements${approval.supplementReason ? ` for ${approval.supplementReason.toLowerCase()}` : ''}\n`) +
+      `• Which design and manufacturing changes went through 30-day notices versus 180-day supplements\n` +
+      `• Annual report content FDA has questioned for devices under product code ${approval.productCode || 'your product code'}`,
+    urgency: '',
+    callToAction: `Would you have 20 minutes in the next couple of weeks to discuss your post-approval plans?`,
+    signature: generateSignature()
+  };
+}
+
+function generateDeviceRecallEmail(recall, companyName) {
+  const trigger = recall.emailTrigger;
+
+  return {
+    subject: trigger.subject,
+    greeting: `Dear ${companyName} Quality and Regulatory Leadership,`,
+    opening: trigger.context,
+    problemStatement: recall.reasonForRecall
+      ? `The stated reason - ${recall.reasonForRecall} - is the part of the record FDA will hold your corrective action against.`
+      : `Beyond executing the recall, FDA will expect a root cause investigation and CAPA that prevents recurrence.`,
+    solution: trigger.offering,
+    specificValue: `Our analysis would include:\n` +
+      `• Recalls under product code ${recall.productCode || 'your product code'}${recall.rootCause ? ` attributed to ${recall.rootCause.toLowerCase()}` : ''}\n` +
+      `• Corrective actions and effectiveness checks FDA accepted before terminating similar recalls\n` +
+      `• Whether comparable recalls were followed by inspections or warning letters`,
+    urgency: recall.deviceClass === '3'
+      ? '\nFor a Class III device I can turn around an initial review within 48 hours.'
+      : '',
+    callToAction: `Would you like to discuss how this could support both your recall closure and your CAPA? I'm available this week for a brief call.`,
+    signature: generateSignature()
+  };
+}
+
+function generateDeviceEventEmail(signal, companyName) {
+  const trigger = signal.emailTrigger;
+
+  return {
+    subject: trigger.subject,
+    greeting: `Dear ${companyName} Post-Market Surveillance Team,`,
+    opening: trigger.context,
+    problemStatement: `FDA reviewers trend the same MAUDE data, and ${trigger.mainIssue} often leads to information requests or an inspection focused on complaint handling.`,
+    solution: trigger.offering,
+    specificValue: `Our analysis would include:\n` +
+      `• Report rates for ${signal.deviceName} against other manufacturers under product code ${signal.productCode}\n` +
+      (signal.productProblems.length > 0
+        ? `• How often ${signal.productProblems.join(', ').toLowerCase()} appear across the product code\n`
+        : '') +
+      `• MDR reporting timeliness and narrative quality compared with peers\n` +
+      `• Whether similar clusters were followed by recalls or safety communications`,
+    urgency: signal.deaths > 0
+      ? '\nGiven the reported death(s), I can share an initial trend comparison within 48 hours.'
+      : '',
+    callToAction: `Would a short call this week to review the trend be useful?`,
+    signature: generateSignature()
+  };
+}
+
+function generateSafetySignalEmail(signal, companyName) {
+  const trigger = signal.emailTrigger;
+  const reactions = signal.topReactions || [];
+
+  return {
+    subject: trigger.subject,
+    greeting: `Dear ${companyName} Pharmacovigilance and Drug Safety Team,`,
+    opening: trigger.context,
+    problemStatement: `FDA reviews FAERS for exactly this kind of change. A surge ${signal.monthOverMonth !== null ? `of ${signal.monthOverMonth}% over the previous ${signal.windowDays} days ` : ''}can lead to an information request, a Tracked Safety Issue or a labeling discussion, and ${trigger.mainIssue} is best evaluated before that happens.`,
+    reportedReactions: reactions.length > 0
+      ? reactions.map(reaction => `• ${reaction.reaction} (${reaction.count} reports)`).join('\n')
+      : '',
+    solution: trigger.offering,
+    specificValue: `Our pharmacovigilance support would include:\n` +
+      `• Case-level review of the ${signal.currentReports} serious reports, separating stimulated and duplicate reporting from new cases\n` +
+      `• Disproportionality analysis for ${signal.product} against products in the same class\n` +
+      `• Signal evaluation documentation for your next PSUR/PBRER or PADER\n` +
+      `• Preparation for FDA questions and any labeling update`,
+    urgency: signal.urgency === 'CRITICAL'
+      ? '\nGiven the size of the surge, I can share an initial case breakdown within 48 hours.'
+      : '',
+    callToAction: `Would your safety team have time for a short call this week to walk through the reports?`,
+    signature: generateSignature()
+  };
+}
+
+function generateExclusivityExpiryEmail(expiry, companyName) {
+  const trigger = expiry.emailTrigger;
+
+  return {
+    subject: trigger.subject,
+    greeting: `Dear ${companyName} Lifecycle Management and Regulatory Affairs Team,`,
+    opening: trigger.context,
+    problemStatement: `Generic companies plan their filings around the same Orange Book dates, so ${trigger.mainIssue} is usually decided well before the date itself.`,
+    expiryCalendar: expiry.events.slice(0, 5).map(event => `• ${event.date}: ${event.description}`).join('\n'),
+    solution: trigger.offering,
+    specificValue: `Our lifecycle support would include:\n` +
+      `• A patent and exclusivity runway review for ${expiry.tradeName}\n` +
+      `• Assessment of pediatric exclusivity and new formulation or indication options\n` +
+      `• Monitoring of paragraph IV certifications and likely generic filers` +
+      (expiry.likelyFilers.length > 0 ? ` (${expiry.likelyFilers.slice(0, 3).map(filer => filer.name).join(', ')})` : ''),
+    urgency: expiry.urgency === 'CRITICAL'
+      ? '\nWith protection ending within six months, authorized generic and pricing decisions are already due.'
+      : '',
+    callToAction: `Would a short call to walk through the ${expiry.tradeName} expiry calendar be useful?`,
+    signature: generateSignature()
+  };
+}
+
+function generateGenericOpportunityEmail(opportunity, companyName) {
+  const trigger = opportunity.emailTrigger;
+
+  return {
+    subject: trigger.subject,
+    greeting: `Dear ${companyName} Portfolio and Regulatory Affairs Team,`,
+    opening: trigger.context,
+    problemStatement: `First-to-file status and 180-day exclusivity go to the sponsors who are ready early, which makes ${trigger.mainIssue} a planning question today.`,
+    keyDates: [
+      opportunity.nce1Date ? `• NCE-1 (paragraph IV submissions): ${opportunity.nce1Date}` : null,
+      opportunity.lossOfExclusivityDate ? `• Last listed protection ends: ${opportunity.lossOfExclusivityDate}` : null,
+      `• Approved generics today: ${opportunity.approvedGenerics}`
+    ].filter(Boolean).join('\n'),
+    solution: trigger.offering,
+    specificValue: `Our ANDA support would include:\n` +
+      `• Patent certification strategy against the listed ${opportunity.tradeName} patents\n` +
+      `• Product-specific guidance and bioequivalence study planning\n` +
+      `• Submission timeline built around the key dates above`,
+    urgency: opportunity.urgency === 'HIGH'
+      ? '\nThe key date is within a year, so the bioequivalence work needs to start now to be in the first wave of filers.'
+      : '',
+    callToAction: `Would a short call to review the ${opportunity.tradeName} opportunity be useful?`,
+    signature: generateSignature()
+  };
+}
+
+function generateBiosimilarLicensureEmail(licensure, companyName) {
+  const trigger = licensure.emailTrigger;
+
+  return {
+    subject: trigger.subject,
+    greeting: `Dear ${companyName} Biologics Lifecycle and Regulatory Affairs Team,`,
+    opening: trigger.context,
+    problemStatement: `With ${licensure.biosimilarCount} biosimilar(s) now licensed against ${licensure.referenceProduct}, ${trigger.mainIssue} shapes formulary, pricing and supplement decisions from here on.`,
+    competitiveContext: `• Biosimilar: ${licensure.biosimilarProduct} (${licensure.biosimilarProperName}), BLA ${licensure.biosimilarBlaNumber}\n` +
+      `• Sponsor: ${licensure.biosimilarApplicant}\n` +
+      `• Interchangeable: ${licensure.interchangeable ? `yes${licensure.firstInterchangeableExclusivityDate ? `, first-interchangeable exclusivity until ${licensure.firstInterchangeableExclusivityDate}` : ''}` : 'no'}` +
+      (licensure.exclusivityDate ? `\n• ${licensure.referenceProduct} reference product exclusivity: ${licensure.exclusivityDate}` : ''),
+    solution: trigger.offering,
+    specificValue: `Our biosimilar response support would include:\n` +
+      `• Labeling and indication carve-out comparison with ${licensure.biosimilarProduct}\n` +
+      `• Interchangeability and substitution exposure by state\n` +
+      `• Lifecycle supplements (new presentations, formulations or indications) to differentiate ${licensure.referenceProduct}`,
+    urgency: licensure.interchangeable
+      ? '\nInterchangeable products can be substituted at the pharmacy, so the commercial impact arrives quickly.'
+      : '',
+    callToAction: `Would a short call on the ${licensure.referenceProduct} biosimilar landscape be useful?`,
+    signature: generateSignature()
+  };
+}
+
+function generateDrugShortageEmail(shortage, companyName) {
+  const trigger = shortage.emailTrigger;
+  const resolution = shortage.resolution;
+
+  return {
+    subject: trigger.subject,
+    greeting: `Dear ${companyName} Supply Chain and Regulatory Affairs Team,`,
+    opening: trigger.context,
+    problemStatement: `FDA's shortage staff work directly with manufacturers on ${trigger.mainIssue}, and every presentation on the list is visible to hospital pharmacies and group purchasing organizations.`,
+    shortageStatus: `Status: ${shortage.status.replace(/_/g, ' ').toLowerCase()}` +
+      (shortage.previousStatus ? ` (previously ${shortage.previousStatus.replace(/_/g, ' ').toLowerCase()})` : '') +
+      (resolution.daysInShortage !== null ? `\nDays in shortage: ${resolution.daysInShortage}` : '') +
+      (resolution.isResolved && resolution.resolvedDate ? `\nResolved: ${resolution.resolvedDate}` : ''),
+    solution: trigger.offering,
+    specificValue: `Our shortage support would include:\n` +
+      `• Prior approval and CBE supplement strategy for alternate API and manufacturing sources\n` +
+      `• 506C notification and FDA shortage staff communications\n` +
+      `• A risk management plan covering the ${shortage.presentations.length} affected presentation(s)`,
+    urgency: resolution.recurred
+      ? '\nBecause the shortage has come back, FDA will ask what changed; I can help prepare that answer this week.'
+      : '',
+    callToAction: `Would a short call this week to discuss supply options be useful?`,
+    signature: generateSignature()
+  };
+}
+
+function generateLabelChangeEmail(change, companyName) {
+  const trigger = change.emailTrigger;
+  const isIndication = change.changeType === 'NEW_INDICATION';
+
+  return {
+    subject: trigger.subject,
+    greeting: isIndication
+      ? `Dear ${companyName} Regulatory Affairs and Commercial Team,`
+      : `Dear ${companyName} Regulatory Affairs and Drug Safety Team,`,
+    opening: trigger.context,
+    problemStatement: `A ${change.section.toLowerCase()} change means ${trigger.mainIssue}. ` +
+      'Promotional materials, medical information letters and field training all have to match the new labeling from its effective date.',
+    changedSection: `${change.section} (label version ${change.version}${change.previousVersion ? `, previously version ${change.previousVersion}` : ''}):\n` +
+      change.addedStatements.slice(0, 5).map(statement => `> ${statement}`).join('\n'),
+    solution: trigger.offering,
+    specificValue: isIndication
+      ? `Our launch support would include:\n` +
+        `• Promotional review of launch materials against the new indication statement\n` +
+        `• Post-marketing requirement and commitment tracking\n` +
+        `• Competitive labeling comparison in the new indication`
+      : `Our labeling change support would include:\n` +
+        `• Gap assessment of promotional and medical information materials against the new ${change.section.toLowerCase()} text\n` +
+        `• Safety communication planning (Dear HCP letters, field alerts)\n` +
+        `• Review of class labeling implications for related products`,
+    urgency: change.urgency === 'CRITICAL'
+      ? '\nMaterials still in the field with the old labeling are the immediate exposure; I can turn around a gap list within 48 hours.'
+      : '',
+    callToAction: `Would a short call this week to walk through the labeling change be useful?`,
+    signature: generateSignature()
+  };
+}
+
+function generateResultsOverdueEmail(compliance, companyName) {
+  const trigger = compliance.emailTrigger;
+
+  return {
+    subject: trigger.subject,
+    greeting: `Dear ${companyName} Clinical Operations and Regulatory Affairs Team,`,
+    opening: trigger.context,
+    problemStatement: `Under FDAAA 801 and 42 CFR Part 11, ${trigger.mainIssue} are public: ClinicalTrials.gov shows which records are missing results, ` +
+      'and FDA can follow a Pre-Notice of noncompliance with a Notice of Noncompliance and civil money penalties.',
+    overdueTrials: compliance.overdueTrials.slice(0, 5)
+      .map(trial => `• ${trial.nctId} (${trial.phase}): primary completion ${trial.primaryCompletionDate}, results due ${trial.dueDate}, ${trial.daysOverdue} days overdue`)
+      .join('\n') +
+      (compliance.complianceRate !== null ? `\nOn-time reporting across your ${compliance.trialsDue} due trial(s): ${compliance.complianceRate}%` : ''),
+    solution: trigger.offering,
+    specificValue: `Our results reporting support would include:\n` +
+      `• Results data entry and PRS quality control review for each overdue record\n` +
+      `• Certification of delay and extension requests where they still apply\n` +
+      `• A deadline tracker for your remaining ${compliance.trialsChecked} registered trials`,
+    urgency: compliance.urgency === 'CRITICAL'
+      ? '\nRecords more than a year past due are the ones FDA has been sending Pre-Notices for; I can start on the oldest this week.'
+      : '',
+    callToAction: `Would a short call to go through the overdue records be useful?`,
+    signature: generateSignature()
+  };
+}
+
+function generateSignature() {
+  return 'Best regards,\n[Your name]\n[Your title]\n[Company]\n[Phone]\n[Email]';
+}
+
+const EMAIL_GENERATORS = {
+  DRUG_APPLICATION: (app, lead, { caseStudies } = {}) =>
+    generateDetailedEmail(app.emailTrigger, lead.companyName, matchCaseStudy(caseStudies, leadContext(lead))),
+  CLINICAL_TRIAL: (trial, lead, { caseStudies } = {}) =>
+    generateTrialEmail(trial.emailTrigger, lead.companyName, matchCaseStudy(caseStudies, leadContext(lead))),
+  WARNING_LETTER: (letter, lead) => generateWarningLetterEmail(letter, lead.companyName),
+  RECALL: (recall, lead) => generateRecallEmail(recall, lead.companyName),
+  DRUG_SHORTAGE: (shortage, lead) => generateDrugShortageEmail(shortage, lead.companyName),
+  INSPECTION_FINDING: (inspection, lead) => generateInspectionEmail(inspection, lead.companyName),
+  LOSS_OF_EXCLUSIVITY: (expiry, lead) => generateExclusivityExpiryEmail(expiry, lead.companyName),
+  GENERIC_OPPORTUNITY: (opportunity, lead) => generateGenericOpportunityEmail(opportunity, lead.companyName),
+  BIOSIMILAR_LICENSED: (licensure, lead) => generateBiosimilarLicensureEmail(licensure, lead.companyName),
+  DEVICE_CLEARANCE: (clearance, lead) => generateDeviceClearanceEmail(clearance, lead.companyName),
+  DEVICE_APPROVAL: (approval, lead) => generateDeviceApprovalEmail(approval, lead.companyName),
+  DEVICE_RECALL: (recall, lead) => generateDeviceRecallEmail(recall, lead.companyName),
+  DEVICE_ADVERSE_EVENT: (signal, lead) => generateDeviceEventEmail(signal, lead.companyName),
+  SAFETY_SIGNAL: (signal, lead) => generateSafetySignalEmail(signal, lead.companyName),
+  LABEL_CHANGE: (change, lead) => generateLabelChangeEmail(change, lead.companyName),
+  RESULTS_OVERDUE: (compliance, lead) => generateResultsOverdueEmail(compliance, lead.companyName)
+};
+
+module.exports = {
+  EMAIL_GENERATORS,
+  generateDetailedEmail,
+  generateWarningLetterEmail,
+  generateRecallEmail,
+  generateDrugShortageEmail,
+  generateTrialEmail,
+  generateInspectionEmail,
+  generateExclusivityExpiryEmail,
+  generateGenericOpportunityEmail,
+  generateBiosimilarLicensureEmail,
+  generateDeviceClearanceEmail,
+  generateDeviceApprovalEmail,
+  generateDeviceRecallEmail,
+  generateDeviceEventEmail,
+  generateSafetySignalEmail,
+  generateLabelChangeEmail,
+  generateResultsOverdueEmail,
+  generateSignature
+};
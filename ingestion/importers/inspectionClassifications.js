@@ -0,0 +1,180 @@
+// FDA inspection classification and citation exports (Data Dashboard CSV or
+// XLSX). Classification rows are grouped per inspection and joined with
+// their 483 citations; firms are identified by FEI number.
+const moment = require('moment');
+const { readRows } = require('./tabularFile');
+
+const DATE_FORMATS = ['YYYY-MM-DD', 'MM/DD/YYYY', 'M/D/YYYY', 'M/D/YY', 'DD-MMM-YYYY', 'MMMM D, YYYY'];
+
+// Field -> accepted header spellings (lower case)
+const CLASSIFICATION_COLUMNS = {
+  feiNumber: ['fei number', 'fei'],
+  legalName: ['legal name', 'firm name', 'firm legal name'],
+  city: ['city'],
+  state: ['state'],
+  country: ['country/area', 'country'],
+  fiscalYear: ['fiscal year'],
+  inspectionId: ['inspection id'],
+  inspectionEndDate: ['inspection end date', 'inspection date'],
+  classification: ['classification', 'decision'],
+  projectArea: ['project area', 'program area'],
+  productType: ['product type']
+};
+
+const CITATION_COLUMNS = {
+  inspectionId: ['inspection id'],
+  feiNumber: ['fei number', 'fei'],
+  inspectionEndDate: ['inspection end date', 'inspection date'],
+  programArea: ['program area', 'project area'],
+  cfrNumber: ['act/cfr number', 'cfr number', 'act/cfr'],
+  shortDescription: ['short description'],
+  longDescription: ['long description']
+};
+
+const CLASSIFICATION_RANK = { NAI: 1, VAI: 2, OAI: 3 };
+
+// Product types kept by default; the dashboard also covers foods, devices,
+// tobacco and veterinary products
+const DEFAULT_PRODUCT_TYPES = ['Drugs', 'Biologics'];
+
+function normalizeHeader(header) {
+  return header.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// Row keyed by header text -> row keyed by field, using the alias table
+function mapColumns(row, columns) {
+  const byHeader = {};
+  Object.entries(row).forEach(([header, value]) => {
+    byHeader[normalizeHeader(header)] = value;
+  });
+
+  const mapped = {};
+  Object.entries(columns).forEach(([field, aliases]) => {
+    const alias = aliases.find(name => byHeader[name] !== undefined);
+    mapped[field] = alias ? String(byHeader[alias]).trim() : '';
+  });
+  return mapped;
+}
+
+function normalizeFei(value) {
+  const digits = String(value || '').replace(/\D/g, '');
+  return digits || null;
+}
+
+function parseDate(value) {
+  if (!value) return null;
+  const parsed = moment(value, DATE_FORMATS, true);
+  return parsed.isValid() ? parsed.format('YYYY-MM-DD') : null;
+}
+
+// "Official Action Indicated (OAI)" or "OAI" -> 'OAI'
+function parseClassification(value) {
+  const text = String(value || '');
+  const code = text.match(/\b(NAI|VAI|OAI)\b/i);
+  if (code) return code[1].toUpperCase();
+  if (/official action/i.test(text)) return 'OAI';
+  if (/voluntary action/i.test(text)) return 'VAI';
+  if (/no action/i.test(text)) return 'NAI';
+  return null;
+}
+
+function citationKey(row) {
+  return row.inspectionId || `${row.feiNumber}|${row.inspectionEndDate}`;
+}
+
+function groupCitations(citationRows) {
+  const byInspection = new Map();
+
+  citationRows.forEach(raw => {
+    const row = mapColumns(raw, CITATION_COLUMNS);
+    row.feiNumber = normalizeFei(row.feiNumber);
+    row.inspectionEndDate = parseDate(row.inspectionEndDate);
+    if (!row.cfrNumber && !row.shortDescription) return;
+
+    const key = citationKey(row);
+    if (!byInspection.has(key)) byInspection.set(key, []);
+    byInspection.get(key).push({
+      cfrNumber: row.cfrNumber || null,
+      shortDescription: row.shortDescription || null,
+      longDescription: row.longDescription || null,
+      programArea: row.programArea || null
+    });
+  });
+
+  return byInspection;
+}
+
+// Classification rows (+ optional citation rows) -> one record per inspection
+function buildInspections(classificationRows, citationRows = [], { productTypes = DEFAULT_PRODUCT_TYPES } = {}) {
+  const allowedTypes = productTypes ? new Set(productTypes.map(type => type.toLowerCase())) : null;
+  const citations = groupCitations(citationRows);
+  const inspections = new Map();
+
+  classificationRows.forEach(raw => {
+    const row = mapColumns(raw, CLASSIFICATION_COLUMNS);
+    const feiNumber = normalizeFei(row.feiNumber);
+    const inspectionEndDate = parseDate(row.inspectionEndDate);
+    const classification = parseClassification(row.classification);
+
+    if (!feiNumber || !row.legalName || !classification) return;
+    if (allowedTypes && row.productType && !allowedTypes.has(row.productType.toLowerCase())) return;
+
+    const inspectionId = row.inspectionId || `${feiNumber}-${inspectionEndDate || 'undated'}`;
+    let inspection = inspections.get(inspectionId);
+
+    if (!inspection) {
+      inspection = {
+        inspectionId,
+        feiNumber,
+        feiNumbers: [feiNumber],
+        firmName: row.legalName,
+        city: row.city || null,
+        state: row.state || null,
+        country: row.country || null,
+        fiscalYear: row.fiscalYear || null,
+        inspectionEndDate,
+        classification,
+        projectAreas: [],
+        productTypes: [],
+        // Citation exports without an inspection ID are matched on FEI and date
+        citations: citations.get(row.inspectionId) || citations.get(`${feiNumber}|${inspectionEndDate}`) || []
+      };
+      inspections.set(inspectionId, inspection);
+    }
+
+    // The export has one row per project area; keep the most serious outcome
+    if (CLASSIFICATION_RANK[classification] > CLASSIFICATION_RANK[inspection.classification]) {
+      inspection.classification = classification;
+    }
+    if (row.projectArea && !inspection.projectAreas.includes(row.projectArea)) {
+      inspection.projectAreas.push(row.projectArea);
+    }
+    if (row.productType && !inspection.productTypes.includes(row.productType)) {
+      inspection.productTypes.push(row.productType);
+    }
+  });
+
+  return Array.from(inspections.values()).map(inspection => ({
+    ...inspection,
+    programAreas: Array.from(new Set([
+      ...inspection.projectAreas,
+      ...inspection.citations.map(citation => citation.programArea).filter(Boolean)
+    ]))
+  }));
+}
+
+// classificationsFile is required; citationsFile is optional
+async function importInspections({ classificationsFile, citationsFile, productTypes } = {}) {
+  const classificationRows = await readRows(classificationsFile);
+  const citationRows = citationsFile ? await readRows(citationsFile) : [];
+
+  return buildInspections(classificationRows, citationRows, { productTypes });
+}
+
+module.exports = {
+  importInspections,
+  buildInspections,
+  parseClassification,
+  normalizeFei,
+  DEFAULT_PRODUCT_TYPES
+};
@@ -0,0 +1,254 @@
+// FDA Orange Book data files (products.txt, patent.txt and exclusivity.txt
+// from the Orange Book download). Builds a calendar of upcoming patent and
+// exclusivity expiries per reference listed drug, and the ANDA holders most
+// likely to file generics against it.
+const path = require('path');
+const moment = require('moment');
+const { readRows } = require('./tabularFile');
+
+const DATE_FORMATS = ['MMM D, YYYY', 'MMM DD, YYYY', 'YYYY-MM-DD', 'MM/DD/YYYY'];
+
+// Exclusivity code (or code prefix, e.g. ODE-123, I-890) -> description
+const EXCLUSIVITY_TYPES = {
+  NCE: 'New chemical entity',
+  'NCE*': 'New chemical entity',
+  NP: 'New product',
+  ODE: 'Orphan drug',
+  PED: 'Pediatric',
+  GAIN: 'Qualified infectious disease product',
+  CGT: 'Competitive generic therapy',
+  PC: 'Patent challenge (180-day)',
+  I: 'New indication',
+  D: 'New dosing schedule',
+  M: 'Miscellaneous'
+};
+
+// Default file names inside the Orange Book download
+const FILE_NAMES = {
+  productsFile: 'products.txt',
+  patentsFile: 'patent.txt',
+  exclusivityFile: 'exclusivity.txt'
+};
+
+function parseDate(value) {
+  if (!value) return null;
+  const parsed = moment(value.trim(), DATE_FORMATS, true);
+  return parsed.isValid() ? parsed.format('YYYY-MM-DD') : null;
+}
+
+function describeExclusivity(code) {
+  return EXCLUSIVITY_TYPES[code] || EXCLUSIVITY_TYPES[code.split('-')[0]] || code;
+}
+
+function applicationKey(row) {
+  return `${row.Appl_Type}${row.Appl_No}`;
+}
+
+function normalizeProduct(row) {
+  return {
+    applicationKey: applicationKey(row),
+    applType: row.Appl_Type,
+    applNo: row.Appl_No,
+    productNo: row.Product_No,
+    ingredient: (row.Ingredient || '').toUpperCase(),
+    dosageFormRoute: (row['DF;Route'] || '').toUpperCase(),
+    tradeName: row.Trade_Name,
+    applicant: row.Applicant,
+    applicantFullName: row.Applicant_Full_Name || row.Applicant,
+    strength: row.Strength,
+    teCode: row.TE_Code || null,
+    approvalDate: parseDate(row.Approval_Date),
+    isReferenceDrug: /^y/i.test(row.RLD || ''),
+    marketingType: (row.Type || '').toUpperCase()
+  };
+}
+
+// Latest expiry per key across the products of one application
+function latestByKey(entries, key) {
+  const byKey = new Map();
+  entries.forEach(entry => {
+    const existing = byKey.get(entry[key]);
+    if (!existing || entry.expiresOn > existing.expiresOn) byKey.set(entry[key], entry);
+  });
+  return Array.from(byKey.values()).sort((a, b) => a.expiresOn.localeCompare(b.expiresOn));
+}
+
+function groupByApplication(rows, toEntry) {
+  const byApplication = new Map();
+  rows.forEach(row => {
+    const entry = toEntry(row);
+    if (!entry) return;
+    const key = applicationKey(row);
+    if (!byApplication.has(key)) byApplication.set(key, []);
+    byApplication.get(key).push(entry);
+  });
+  return byApplication;
+}
+
+// ANDA holders that already make the same ingredient or several products in
+// the same dosage form and route, excluding the brand holder and companies
+// that already hold an approved generic of this product
+function findLikelyFilers(reference, andaProducts, maxFilers) {
+  const byApplicant = new Map();
+
+  andaProducts.forEach(product => {
+    const stats = byApplicant.get(product.applicantFullName) || {
+      name: product.applicantFullName,
+      sameIngredient: new Set(),
+      sameDosageFormRoute: new Set(),
+      hasApprovedGeneric: false
+    };
+    const sameIngredient = product.ingredient === reference.ingredient;
+    const sameForm = reference.dosageFormRoutes.includes(product.dosageFormRoute);
+
+    if (sameIngredient) stats.sameIngredient.add(product.applNo);
+    if (sameForm) stats.sameDosageFormRoute.add(product.applNo);
+    if (sameIngredient && sameForm) stats.hasApprovedGeneric = true;
+    byApplicant.set(product.applicantFullName, stats);
+  });
+
+  return Array.from(byApplicant.values())
+    .filter(stats => stats.name !== reference.applicantFullName && !stats.hasApprovedGeneric)
+    .filter(stats => stats.sameIngredient.size > 0 || stats.sameDosageFormRoute.size >= 3)
+    .map(stats => ({
+      name: stats.name,
+      sameIngredientAndas: stats.sameIngredient.size,
+      sameDosageFormAndas: stats.sameDosageFormRoute.size
+    }))
+    .sort((a, b) => b.sameIngredientAndas - a.sameIngredientAndas ||
+      b.sameDosageFormAndas - a.sameDosageFormAndas ||
+      a.name.localeCompare(b.name))
+    .slice(0, maxFilers);
+}
+
+// Upcoming expiries of one reference drug, soonest first. NCE-1 is the date
+// a generic may be submitted with a paragraph IV certification, one year
+// before NCE exclusivity ends.
+function buildEvents(patents, exclusivities, asOf) {
+  const events = [
+    ...patents.map(patent => ({ date: patent.expiresOn, eventType: 'PATENT', id: patent.patentNo, description: `Patent ${patent.patentNo}` })),
+    ...exclusivities.map(exclusivity => ({
+      date: exclusivity.expiresOn,
+      eventType: 'EXCLUSIVITY',
+      id: exclusivity.code,
+      description: `${describeExclusivity(exclusivity.code)} exclusivity (${exclusivity.code})`
+    })),
+    ...exclusivities
+      .filter(exclusivity => /^NCE/.test(exclusivity.code))
+      .map(exclusivity => ({
+        date: moment(exclusivity.expiresOn).subtract(1, 'year').format('YYYY-MM-DD'),
+        eventType: 'NCE1',
+        id: 'NCE-1',
+        description: 'NCE-1 date: ANDAs with paragraph IV certifications may be submitted'
+      }))
+  ];
+
+  return events
+    .filter(event => event.date >= asOf)
+    .sort((a, b) => a.date.localeCompare(b.date) || a.eventType.localeCompare(b.eventType));
+}
+
+// Parsed rows -> calendar entries for reference drugs with an expiry within
+// horizonDays of asOf
+function buildExpiryCalendar({ products, patents, exclusivities }, { asOf = moment().format('YYYY-MM-DD'), horizonDays = 730, maxFilers = 5 } = {}) {
+  const horizon = moment(asOf).add(horizonDays, 'days').format('YYYY-MM-DD');
+  const allProducts = products.map(normalizeProduct);
+  const andaProducts = allProducts.filter(product => product.applType === 'A' && product.marketingType !== 'DISCN');
+
+  const patentsByApplication = groupByApplication(patents, row => {
+    const expiresOn = parseDate(row.Patent_Expire_Date_Text);
+    return expiresOn && row.Patent_No ? {
+      patentNo: row.Patent_No,
+      expiresOn,
+      drugSubstance: /^y/i.test(row.Drug_Substance_Flag || ''),
+      drugProduct: /^y/i.test(row.Drug_Product_Flag || ''),
+      useCode: row.Patent_Use_Code || null
+    } : null;
+  });
+  const exclusivitiesByApplication = groupByApplication(exclusivities, row => {
+    const expiresOn = parseDate(row.Exclusivity_Date);
+    return expiresOn && row.Exclusivity_Code ? { code: row.Exclusivity_Code, expiresOn } : null;
+  });
+
+  const references = new Map();
+  allProducts
+    .filter(product => product.applType === 'N' && product.isReferenceDrug && product.marketingType !== 'DISCN')
+    .forEach(product => {
+      const reference = references.get(product.applicationKey) || {
+        applicationKey: product.applicationKey,
+        applNo: product.applNo,
+        tradeName: product.tradeName,
+        ingredient: product.ingredient,
+        applicantFullName: product.applicantFullName,
+        dosageFormRoutes: [],
+        strengths: [],
+        approvalDate: product.approvalDate
+      };
+      if (!reference.dosageFormRoutes.includes(product.dosageFormRoute)) reference.dosageFormRoutes.push(product.dosageFormRoute);
+      if (product.strength && !reference.strengths.includes(product.strength)) reference.strengths.push(product.strength);
+      if (product.approvalDate && (!reference.approvalDate || product.approvalDate < reference.approvalDate)) {
+        reference.approvalDate = product.approvalDate;
+      }
+      references.set(product.applicationKey, reference);
+    });
+
+  const calendar = [];
+  references.forEach(reference => {
+    const patentList = latestByKey(patentsByApplication.get(reference.applicationKey) || [], 'patentNo');
+    const exclusivityList = latestByKey(exclusivitiesByApplication.get(reference.applicationKey) || [], 'code');
+    const events = buildEvents(patentList, exclusivityList, asOf);
+    if (!events.some(event => event.date <= horizon)) return;
+
+    const lastProtectionDate = [...patentList, ...exclusivityList]
+      .map(entry => entry.expiresOn)
+      .reduce((latest, date) => (date > latest ? date : latest), '');
+    const approvedGenerics = new Set(andaProducts
+      .filter(product => product.ingredient === reference.ingredient && reference.dosageFormRoutes.includes(product.dosageFormRoute))
+      .map(product => product.applicantFullName));
+    const nce1 = events.find(event => event.eventType === 'NCE1');
+
+    calendar.push({
+      ...reference,
+      patents: patentList,
+      exclusivities: exclusivityList.map(exclusivity => ({ ...exclusivity, description: describeExclusivity(exclusivity.code) })),
+      events,
+      lossOfExclusivityDate: lastProtectionDate >= asOf ? lastProtectionDate : null,
+      nce1Date: nce1 ? nce1.date : null,
+      approvedGenerics: approvedGenerics.size,
+      likelyFilers: findLikelyFilers(reference, andaProducts, maxFilers)
+    });
+  });
+
+  return calendar.sort((a, b) => a.events[0].date.localeCompare(b.events[0].date));
+}
+
+// dir: folder with the Orange Book files; individual paths override it
+function resolveFiles({ dir, productsFile, patentsFile, exclusivityFile } = {}) {
+  const inDir = name => (dir ? path.join(dir, name) : null);
+
+  return {
+    productsFile: productsFile || inDir(FILE_NAMES.productsFile),
+    patentsFile: patentsFile || inDir(FILE_NAMES.patentsFile),
+    exclusivityFile: exclusivityFile || inDir(FILE_NAMES.exclusivityFile)
+  };
+}
+
+async function importOrangeBook(files, options) {
+  const { productsFile, patentsFile, exclusivityFile } = resolveFiles(files);
+  if (!productsFile) throw new Error('Orange Book products file is required');
+
+  const [products, patents, exclusivities] = await Promise.all([
+    readRows(productsFile),
+    patentsFile ? readRows(patentsFile) : [],
+    exclusivityFile ? readRows(exclusivityFile) : []
+  ]);
+
+  return buildExpiryCalendar({ products, patents, exclusivities }, options);
+}
+
+module.exports = {
+  importOrangeBook,
+  buildExpiryCalendar,
+  describeExclusivity,
+  resolveFiles
+};
@@ -0,0 +1,155 @@
+// FDA Purple Book data download (CSV or XLSX). Maps each reference biologic
+// (351(a)) to the biosimilars and interchangeables (351(k)) licensed against
+// it, with the reference product and first-interchangeable exclusivity dates.
+const moment = require('moment');
+const { readRows } = require('./tabularFile');
+
+const DATE_FORMATS = ['MM/DD/YYYY', 'M/D/YYYY', 'YYYY-MM-DD', 'MMM D, YYYY'];
+
+function parseDate(value) {
+  if (!value) return null;
+  const parsed = moment(value.trim(), DATE_FORMATS, true);
+  return parsed.isValid() ? parsed.format('YYYY-MM-DD') : null;
+}
+
+function normalizeProperName(name) {
+  return (name || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// Biosimilar proper names carry a four-letter suffix: adalimumab-atto -> adalimumab
+function coreProperName(name) {
+  return normalizeProperName(name).replace(/-[a-z]{4}$/, '');
+}
+
+function normalizeBlaNumber(value) {
+  return (value || '').replace(/^BLA/i, '').replace(/\D/g, '').replace(/^0+/, '');
+}
+
+// Purple Book row -> product. One row is one presentation, so a product
+// usually spans several rows.
+function normalizeProduct(row) {
+  const blaType = (row['BLA Type'] || '').toLowerCase();
+
+  return {
+    blaNumber: normalizeBlaNumber(row['BLA Number']),
+    applicant: row.Applicant,
+    proprietaryName: row['Proprietary Name'],
+    properName: normalizeProperName(row['Proper Name']),
+    blaType: row['BLA Type'],
+    isReference: blaType.startsWith('351(a)'),
+    isBiosimilar: blaType.startsWith('351(k)'),
+    interchangeable: blaType.includes('interchangeable'),
+    strength: row.Strength,
+    dosageForm: row['Dosage Form'],
+    route: row['Route of Administration'],
+    marketingStatus: row['Marketing Status'] || null,
+    licensed: !/revoked/i.test(row.Licensure || ''),
+    approvalDate: parseDate(row['Approval Date']),
+    firstLicensureDate: parseDate(row['Date of First Licensure']),
+    referenceProperName: normalizeProperName(row['Ref. Product Proper Name']),
+    referenceProprietaryName: row['Ref. Product Proprietary Name'] || null,
+    exclusivityDate: parseDate(row['Ref. Product Exclusivity Exp. Date']),
+    firstInterchangeableExclusivityDate: parseDate(row['First Interchangeable Exclusivity Exp. Date']),
+    orphanExclusivityDate: parseDate(row['Orphan Exclusivity Exp. Date'])
+  };
+}
+
+// Rows of one BLA -> a single product, keeping the earliest approval and the
+// latest exclusivity dates across its presentations
+function mergeByBla(products) {
+  const byBla = new Map();
+
+  products.forEach(product => {
+    const existing = byBla.get(product.blaNumber);
+    if (!existing) {
+      byBla.set(product.blaNumber, { ...product, strengths: product.strength ? [product.strength] : [] });
+      return;
+    }
+
+    if (product.strength && !existing.strengths.includes(product.strength)) existing.strengths.push(product.strength);
+    if (product.approvalDate && (!existing.approvalDate || product.approvalDate < existing.approvalDate)) {
+      existing.approvalDate = product.approvalDate;
+    }
+    ['exclusivityDate', 'firstInterchangeableExclusivityDate', 'orphanExclusivityDate'].forEach(field => {
+      if (product[field] && (!existing[field] || product[field] > existing[field])) existing[field] = product[field];
+    });
+    existing.interchangeable = existing.interchangeable || product.interchangeable;
+  });
+
+  return Array.from(byBla.values());
+}
+
+function toBiosimilar(product) {
+  return {
+    blaNumber: product.blaNumber,
+    proprietaryName: product.proprietaryName,
+    properName: product.properName,
+    applicant: product.applicant,
+    approvalDate: product.approvalDate,
+    interchangeable: product.interchangeable,
+    firstInterchangeableExclusivityDate: product.firstInterchangeableExclusivityDate,
+    marketingStatus: product.marketingStatus,
+    strengths: product.strengths
+  };
+}
+
+// Parsed rows -> one entry per reference biologic with its biosimilars,
+// earliest licensed first. Revoked licenses are left out.
+function buildBiosimilarLandscape(rows) {
+  const products = mergeByBla(rows.map(normalizeProduct).filter(product => product.blaNumber && product.licensed));
+  const references = new Map();
+
+  products.filter(product => product.isReference).forEach(product => {
+    references.set(product.properName, {
+      blaNumber: product.blaNumber,
+      proprietaryName: product.proprietaryName,
+      properName: product.properName,
+      applicant: product.applicant,
+      approvalDate: product.approvalDate,
+      firstLicensureDate: product.firstLicensureDate || product.approvalDate,
+      exclusivityDate: product.exclusivityDate,
+      orphanExclusivityDate: product.orphanExclusivityDate,
+      biosimilars: []
+    });
+  });
+
+  products.filter(product => product.isBiosimilar).forEach(product => {
+    const reference = references.get(product.referenceProperName) || references.get(coreProperName(product.properName));
+    if (reference) reference.biosimilars.push(toBiosimilar(product));
+  });
+
+  return Array.from(references.values())
+    .map(reference => ({
+      ...reference,
+      biosimilars: reference.biosimilars.sort((a, b) => (a.approvalDate || '').localeCompare(b.approvalDate || '') ||
+        a.proprietaryName.localeCompare(b.proprietaryName))
+    }))
+    .sort((a, b) => a.proprietaryName.localeCompare(b.proprietaryName));
+}
+
+// Reference entry for a BLA: the reference product itself, a biosimilar of
+// it, or (for applications not yet in the Purple Book) the same molecule by
+// proper name
+function findReference(landscape, { blaNumber, properNames = [] }) {
+  const bla = normalizeBlaNumber(blaNumber);
+  const byBla = landscape.find(reference => reference.blaNumber === bla ||
+    reference.biosimilars.some(biosimilar => biosimilar.blaNumber === bla));
+  if (byBla) return byBla;
+
+  const names = properNames.flatMap(name => [normalizeProperName(name), coreProperName(name)]);
+  return landscape.find(reference => names.includes(reference.properName)) || null;
+}
+
+async function importPurpleBook(file) {
+  if (!file) throw new Error('Purple Book file is required');
+
+  const rows = await readRows(file, { isHeader: values => values.includes('BLA Number') });
+  return buildBiosimilarLandscape(rows);
+}
+
+module.exports = {
+  importPurpleBook,
+  buildBiosimilarLandscape,
+  findReference,
+  normalizeBlaNumber
+};
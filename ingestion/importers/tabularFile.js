@@ -0,0 +1,88 @@
+// Reads the first worksheet of a CSV or XLSX file, or a tilde-delimited text
+// file, into plain row objects keyed by header text. FDA dashboard exports
+// come as CSV or XLSX; the Orange Book data files are tilde-delimited .txt.
+// isHeader picks the header row for files with title lines above it (the
+// Purple Book download); rows before it are skipped.
+const fs = require('fs');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const moment = require('moment');
+
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return moment.utc(value).format('YYYY-MM-DD');
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return cellText(value.text);
+    if (value.result !== undefined) return cellText(value.result);
+    return '';
+  }
+  return String(value).trim();
+}
+
+function toRecords(headers, rows) {
+  return rows.map(values => {
+    const record = {};
+    headers.forEach((header, index) => {
+      if (header) record[header] = values[index] || '';
+    });
+    return record;
+  });
+}
+
+function readDelimitedText(filePath, delimiter, isHeader) {
+  const lines = fs.readFileSync(filePath, 'utf8')
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/)
+    .filter(line => line.trim())
+    .map(line => line.split(delimiter).map(value => value.trim()));
+
+  const headerIndex = lines.findIndex(isHeader);
+  if (headerIndex === -1) return [];
+
+  return toRecords(lines[headerIndex], lines.slice(headerIndex + 1));
+}
+
+async function readRows(filePath, { isHeader = () => true } = {}) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`File not found: ${filePath}`);
+  }
+
+  const extension = path.extname(filePath).toLowerCase();
+  if (extension === '.txt') {
+    return readDelimitedText(filePath, '~', isHeader);
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  let worksheet;
+
+  if (extension === '.csv') {
+    // Keep every value as text; dates are parsed by the importers
+    worksheet = await workbook.csv.readFile(filePath, { parserOptions: { trim: true }, map: value => value });
+  } else if (extension === '.xlsx') {
+    await workbook.xlsx.readFile(filePath);
+    worksheet = workbook.worksheets[0];
+  } else {
+    throw new Error(`Unsupported file type ${extension || '(none)'}: expected .csv, .xlsx or .txt`);
+  }
+
+  if (!worksheet) return [];
+
+  const rows = [];
+  let headers = null;
+
+  worksheet.eachRow({ includeEmpty: false }, row => {
+    const values = row.values.slice(1).map(cellText);
+
+    if (!headers) {
+      if (isHeader(values)) headers = values;
+      return;
+    }
+
+    rows.push(values);
+  });
+
+  return headers ? toRecords(headers, rows) : [];
+}
+
+module.exports = { readRows };
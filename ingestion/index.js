@@ -0,0 +1,51 @@
+const { PluginRegistry } = require('./registry');
+const { SCORERS } = require('./scorers');
+const { EMAIL_GENERATORS } = require('./emailGenerators');
+const drugApplications = require('./sources/drugApplications');
+const clinicalTrials = require('./sources/clinicalTrials');
+const resultsReporting = require('./sources/resultsReporting');
+const enforcement = require('./sources/enforcement');
+const drugShortages = require('./sources/drugShortages');
+const warningLetters = require('./sources/warningLetters');
+const inspections = require('./sources/inspections');
+const orangeBook = require('./sources/orangeBook');
+const purpleBook = require('./sources/purpleBook');
+const deviceClearances = require('./sources/deviceClearances');
+const deviceApprovals = require('./sources/deviceApprovals');
+const deviceRecalls = require('./sources/deviceRecalls');
+const deviceEvents = require('./sources/deviceEvents');
+const safetySignals = require('./sources/safetySignals');
+const drugLabels = require('./sources/drugLabels');
+const mockApplications = require('./sources/mockApplications');
+
+const BUILT_IN_SOURCES = [
+  drugApplications,
+  clinicalTrials,
+  resultsReporting,
+  enforcement,
+  drugShortages,
+  warningLetters,
+  inspections,
+  orangeBook,
+  purpleBook,
+  deviceClearances,
+  deviceApprovals,
+  deviceRecalls,
+  deviceEvents,
+  safetySignals,
+  drugLabels,
+  mockApplications
+];
+
+// Registry with the built-in sources, scorers and email generators
+function createDefaultRegistry() {
+  const registry = new PluginRegistry();
+
+  BUILT_IN_SOURCES.forEach(source => registry.registerSource(source));
+  Object.entries(SCORERS).forEach(([leadType, scorer]) => registry.registerScorer(leadType, scorer));
+  Object.entries(EMAIL_GENERATORS).forEach(([leadType, generator]) => registry.registerEmailGenerator(leadType, generator));
+
+  return registry;
+}
+
+module.exports = { PluginRegistry, createDefaultRegistry };
@@ -0,0 +1,82 @@
+// Registry of ingestion sources plus the per-lead-type scorers and email
+// generators. LeadGenerationService only talks to sources through here, so a
+// new data feed is a new source module rather than a change to the service.
+//
+// A source is { name, leadTypes, companyCollections, enabledByDefault, fetch }.
+// fetch({ fdaApi }) resolves to normalized records:
+//
+//   {
+//     id,              stable lead id (e.g. app-NDA214001)
+//     leadType,        selects the scorer and email generator
+//     sponsor,         raw sponsor name; normalized into a company key
+//     collection,      company collection the record is linked under
+//     record,          the analyzed upstream record
+//     therapeuticArea, optional, added to the company
+//     flags,           optional hasUrgentIssues / hasQualityIssues / hasComplianceIssues
+//     lead             lead-specific fields, or null to link the record only
+//   }
+class PluginRegistry {
+  constructor() {
+    this.sources = new Map();
+    this.scorers = new Map();
+    this.emailGenerators = new Map();
+  }
+
+  registerSource(source) {
+    if (!source || !source.name || typeof source.fetch !== 'function') {
+      throw new Error('Sources need a name and a fetch function');
+    }
+    if (this.sources.has(source.name)) {
+      throw new Error(`Source already registered: ${source.name}`);
+    }
+
+    this.sources.set(source.name, {
+      leadTypes: [],
+      companyCollections: [],
+      enabledByDefault: true,
+      ...source
+    });
+    return this;
+  }
+
+  // scorer(record, lead, ledger, factors) -> base score
+  registerScorer(leadType, scorer) {
+    this.scorers.set(leadType, scorer);
+    return this;
+  }
+
+  // generator(record, lead, { caseStudies }) -> personalizedEmail
+  registerEmailGenerator(leadType, generator) {
+    this.emailGenerators.set(leadType, generator);
+    return this;
+  }
+
+  getSource(name) {
+    return this.sources.get(name) || null;
+  }
+
+  hasSource(name) {
+    return this.sources.has(name);
+  }
+
+  sourceNames() {
+    return Array.from(this.sources.keys());
+  }
+
+  // Sources refreshed when no explicit list is given
+  defaultSources() {
+    return Array.from(this.sources.values())
+      .filter(source => source.enabledByDefault)
+      .map(source => source.name);
+  }
+
+  getScorer(leadType) {
+    return this.scorers.get(leadType) || null;
+  }
+
+  getEmailGenerator(leadType) {
+    return this.emailGenerators.get(leadType) || null;
+  }
+}
+
+module.exports = { PluginRegistry };
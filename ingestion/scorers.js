@@ -0,0 +1,270 @@
+// Base scores per lead type. Company-level boosts are applied afterwards in
+// LeadGenerationService.scoreAndRankLeads. Every scorer takes an optional
+// ScoreLedger and records the factors behind its score in it, and optional
+// factor weights (default: weights.factors in the active scoring rules).
+const moment = require('moment');
+const { ScoreLedger } = require('../scoreLedger');
+const { getRules } = require('../scoringRules');
+
+function factorWeights(name) {
+  return getRules().weights.factors[name];
+}
+
+// Points for a record value from a weight map with a default entry
+function pointsFor(map, value) {
+  return map[value] ?? map.default;
+}
+
+function calculateApplicationScore(app, ledger = new ScoreLedger(), weights = factorWeights('application')) {
+  ledger.add('Base score', weights.base);
+  
+  // Urgency scoring
+  const urgencyPoints = weights.urgency[app.urgency] || 0;
+  ledger.add(`${app.urgency} urgency`, urgencyPoints, 'urgency', app.urgency);
+  
+  // Issue scoring
+  app.issues.forEach((issue, index) => {
+    const points = weights.issueSeverity[issue.severity] || 0;
+    ledger.add(`${issue.severity} issue: ${issue.type}`, points, `issues[${index}].severity`, issue.severity);
+  });
+  
+  // Submission type scoring
+  if (['NDA', 'BLA', '505(b)(2)'].includes(app.submissionType)) {
+    ledger.add(`${app.submissionType} submission`, weights.majorSubmission, 'submissionType', app.submissionType);
+  }
+  
+  // Complexity scoring
+  const complexity = app.therapeuticProfile?.complexity || {};
+  if (complexity.isNovelTherapy) ledger.add('Novel therapy', weights.novelTherapy, 'therapeuticProfile.complexity.isNovelTherapy', true);
+  if (complexity.combinationProduct) {
+    ledger.add('Combination product', weights.combinationProduct, 'therapeuticProfile.complexity.combinationProduct', true);
+  }
+  if (complexity.is505b2) ledger.add('505(b)(2) pathway', weights.pathway505b2, 'therapeuticProfile.complexity.is505b2', true);
+  
+  // Recency boost
+  const daysSinceActivity = moment().diff(moment(app.lastActivity), 'days');
+  if (daysSinceActivity < 30) ledger.add('Activity in the last 30 days', weights.activityWithin30Days, 'lastActivity', app.lastActivity);
+  else if (daysSinceActivity < 60) ledger.add('Activity in the last 60 days', weights.activityWithin60Days, 'lastActivity', app.lastActivity);
+  
+  return ledger.cap(100);
+}
+
+// OAI outcomes outrank VAI; more citations and recent inspections add points
+function calculateInspectionScore(inspection, ledger = new ScoreLedger(), weights = factorWeights('inspection')) {
+  ledger.add(`${inspection.classification} classification`, pointsFor(weights.classification, inspection.classification),
+    'classification', inspection.classification);
+
+  const citations = inspection.citations?.length || 0;
+  ledger.add(`${citations} citation(s)`, Math.min(citations * weights.perCitation, weights.maxCitations), 'citations', citations);
+
+  if (inspection.daysSinceInspection !== null && inspection.daysSinceInspection < 90) {
+    ledger.add('Inspected in the last 90 days', weights.inspectedWithin90Days, 'daysSinceInspection', inspection.daysSinceInspection);
+  }
+
+  return ledger.cap(100);
+}
+
+// NSE and De Novo decisions outrank routine clearances; recent decisions add points
+function calculateDeviceClearanceScore(clearance, ledger = new ScoreLedger(), weights = factorWeights('deviceClearance')) {
+  const decisionPoints = pointsFor(weights.decisionType, clearance.decisionType);
+  ledger.add(`${clearance.decisionType} decision`, decisionPoints, 'decisionType', clearance.decisionType);
+
+  const daysSinceDecision = moment().diff(moment(clearance.decisionDate), 'days');
+  if (daysSinceDecision < 30) ledger.add('Decision in the last 30 days', weights.decisionWithin30Days, 'decisionDate', clearance.decisionDate);
+  else if (daysSinceDecision < 60) ledger.add('Decision in the last 60 days', weights.decisionWithin60Days, 'decisionDate', clearance.decisionDate);
+
+  return ledger.cap(100);
+}
+
+function calculateDeviceApprovalScore(approval, ledger = new ScoreLedger(), weights = factorWeights('deviceApproval')) {
+  ledger.add(`${approval.submissionType} PMA`, pointsFor(weights.submissionType, approval.submissionType), 'submissionType', approval.submissionType);
+
+  const daysSinceDecision = moment().diff(moment(approval.decisionDate), 'days');
+  if (daysSinceDecision < 30) ledger.add('Decision in the last 30 days', weights.decisionWithin30Days, 'decisionDate', approval.decisionDate);
+  else if (daysSinceDecision < 90) ledger.add('Decision in the last 90 days', weights.decisionWithin90Days, 'decisionDate', approval.decisionDate);
+
+  return ledger.cap(100);
+}
+
+// Higher device class and design-related root causes (design controls, CAPA) add points
+function calculateDeviceRecallScore(recall, ledger = new ScoreLedger(), weights = factorWeights('deviceRecall')) {
+  ledger.add('Device recall', weights.base);
+
+  if (recall.deviceClass === '3') ledger.add('Class III device', weights.classIII, 'deviceClass', recall.deviceClass);
+  else if (recall.deviceClass === '2') ledger.add('Class II device', weights.classII, 'deviceClass', recall.deviceClass);
+
+  if (/design|software/i.test(recall.rootCause || '')) {
+    ledger.add('Design or software root cause', weights.designRootCause, 'rootCause', recall.rootCause);
+  }
+  if (recall.status && !/terminated|completed/i.test(recall.status)) ledger.add('Recall still open', weights.stillOpen, 'status', recall.status);
+
+  return ledger.cap(100);
+}
+
+// Deaths dominate; injuries add up to 20 points
+function calculateDeviceEventScore(signal, ledger = new ScoreLedger(), weights = factorWeights('deviceEvent')) {
+  if (signal.deaths > 0) ledger.add('Deaths reported', weights.deaths, 'deaths', signal.deaths);
+  else ledger.add('Adverse event signal', weights.base);
+
+  ledger.add(`${signal.injuries} injury report(s)`, Math.min(signal.injuries * weights.perInjury, weights.maxInjuries), 'injuries', signal.injuries);
+  if (signal.deaths > 1) ledger.add('More than one death', weights.multipleDeaths, 'deaths', signal.deaths);
+
+  return ledger.cap(100);
+}
+
+// Larger and statistically stronger surges score higher
+function calculateSafetySignalScore(signal, ledger = new ScoreLedger(), weights = factorWeights('safetySignal')) {
+  ledger.add('Safety signal', weights.base);
+
+  if (signal.ratio >= 4) ledger.add('Reports up 4x or more', weights.ratio4x, 'ratio', signal.ratio);
+  else if (signal.ratio >= 3) ledger.add('Reports up 3x or more', weights.ratio3x, 'ratio', signal.ratio);
+  else if (signal.ratio >= 2) ledger.add('Reports up 2x or more', weights.ratio2x, 'ratio', signal.ratio);
+
+  if (signal.zScore >= 5) ledger.add('Z-score of 5 or more', weights.zScore5, 'zScore', signal.zScore);
+  if (signal.currentReports >= 100) ledger.add('100 or more serious reports', weights.reports100, 'currentReports', signal.currentReports);
+
+  return ledger.cap(100);
+}
+
+// Closer loss of exclusivity scores higher; products that already have
+// generics matter less to the brand holder
+function calculateExclusivityExpiryScore(expiry, ledger = new ScoreLedger(), weights = factorWeights('exclusivityExpiry')) {
+  const daysToLoss = expiry.daysToLoss;
+  if (daysToLoss !== null && daysToLoss <= 180) ledger.add('Loses exclusivity within 180 days', weights.within180Days, 'daysToLoss', daysToLoss);
+  else if (daysToLoss !== null && daysToLoss <= 365) ledger.add('Loses exclusivity within a year', weights.withinYear, 'daysToLoss', daysToLoss);
+  else if (daysToLoss !== null && daysToLoss <= 730) ledger.add('Loses exclusivity within two years', weights.withinTwoYears, 'daysToLoss', daysToLoss);
+  else ledger.add('Upcoming loss of exclusivity', weights.base, 'daysToLoss', daysToLoss);
+
+  if (expiry.likelyFilers.length >= 3) {
+    ledger.add('Three or more likely generic filers', weights.threeOrMoreFilers, 'likelyFilers', expiry.likelyFilers.length);
+  }
+  if (expiry.approvedGenerics > 0) ledger.add('Generics already approved', -weights.genericsApproved, 'approvedGenerics', expiry.approvedGenerics);
+
+  return ledger.cap(100, 0);
+}
+
+// Filers with closer experience and nearer filing dates score higher
+function calculateGenericOpportunityScore(opportunity, ledger = new ScoreLedger(), weights = factorWeights('genericOpportunity')) {
+  ledger.add('Generic filing opportunity', weights.base);
+
+  ledger.add(`${opportunity.sameIngredientAndas} same-ingredient ANDA(s)`,
+    Math.min(opportunity.sameIngredientAndas * weights.perSameIngredientAnda, weights.maxSameIngredientAndas),
+    'sameIngredientAndas', opportunity.sameIngredientAndas);
+  ledger.add(`${opportunity.sameDosageFormAndas} same-dosage-form ANDA(s)`,
+    Math.min(opportunity.sameDosageFormAndas * weights.perSameDosageFormAnda, weights.maxSameDosageFormAndas),
+    'sameDosageFormAndas', opportunity.sameDosageFormAndas);
+  if (opportunity.daysToKeyDate !== null && opportunity.daysToKeyDate <= 365) {
+    ledger.add('Filing date within a year', weights.filingWithinYear, 'daysToKeyDate', opportunity.daysToKeyDate);
+  }
+
+  return ledger.cap(100);
+}
+
+// Interchangeable and first biosimilars threaten the reference product most
+function calculateBiosimilarLicensureScore(licensure, ledger = new ScoreLedger(), weights = factorWeights('biosimilarLicensure')) {
+  ledger.add('Biosimilar licensed', weights.base);
+
+  if (licensure.interchangeable) ledger.add('Interchangeable', weights.interchangeable, 'interchangeable', true);
+  if (licensure.position === 1) ledger.add('First biosimilar to the reference product', weights.firstBiosimilar, 'position', licensure.position);
+  if (licensure.daysSinceLicensure !== null && licensure.daysSinceLicensure <= 90) {
+    ledger.add('Licensed in the last 90 days', weights.licensedWithin90Days, 'daysSinceLicensure', licensure.daysSinceLicensure);
+  }
+
+  return ledger.cap(100);
+}
+
+// Worst overdue trial sets the score; more overdue trials add to it
+function calculateResultsOverdueScore(compliance, ledger = new ScoreLedger(), weights = factorWeights('resultsOverdue')) {
+  ledger.add('Lateness of the most overdue trial', compliance.latenessScore, 'latenessScore', compliance.latenessScore);
+  ledger.add(`${compliance.overdueCount} overdue trial(s)`,
+    Math.min(Math.max(compliance.overdueCount - 1, 0) * weights.perAdditionalTrial, weights.maxAdditionalTrials),
+    'overdueCount', compliance.overdueCount);
+
+  return ledger.cap(100);
+}
+
+// Current shortages score highest, recurrences and long shortages higher still
+function calculateDrugShortageScore(shortage, ledger = new ScoreLedger(), weights = factorWeights('drugShortage')) {
+  ledger.add(`${shortage.status} shortage`, pointsFor(weights.status, shortage.status), 'status', shortage.status);
+
+  if (shortage.resolution?.recurred) ledger.add('Shortage recurred', weights.recurred, 'resolution.recurred', true);
+  if (shortage.resolution?.daysInShortage > 180) {
+    ledger.add('In shortage for over 180 days', weights.over180Days, 'resolution.daysInShortage', shortage.resolution.daysInShortage);
+  }
+
+  return ledger.cap(100);
+}
+
+// Safety changes outrank new indications; recent label versions score higher
+function calculateLabelChangeScore(change, ledger = new ScoreLedger(), weights = factorWeights('labelChange')) {
+  ledger.add(`${change.changeType} label change`, pointsFor(weights.changeType, change.changeType), 'changeType', change.changeType);
+
+  const ageDays = moment().diff(moment(change.effectiveDate), 'days');
+  if (ageDays <= 30) ledger.add('Label effective in the last 30 days', weights.effectiveWithin30Days, 'effectiveDate', change.effectiveDate);
+  else if (ageDays <= 90) ledger.add('Label effective in the last 90 days', weights.effectiveWithin90Days, 'effectiveDate', change.effectiveDate);
+
+  return ledger.cap(100);
+}
+
+// Trial scores come from PharmaIntelligenceEngine.calculateEnhancedUrgencyScore,
+// which keeps its own ledger on the trial
+function calculateTrialScore(trial, ledger = new ScoreLedger()) {
+  if (trial.urgencyScoreLedger) trial.urgencyScoreLedger.forEach(entry => ledger.add(entry.factor, entry.weight, entry.source, entry.value));
+  else ledger.add('Trial urgency score', trial.urgencyScore, 'urgencyScore', trial.urgencyScore);
+
+  return ledger.total;
+}
+
+// Registry scorers take (record, lead, ledger, factors); factors is the
+// weights.factors map to score with, the active rules' when left out
+const SCORERS = {
+  DRUG_APPLICATION: (app, lead, ledger, factors) => calculateApplicationScore(app, ledger, factors?.application),
+  CLINICAL_TRIAL: (trial, lead, ledger) => calculateTrialScore(trial, ledger),
+  // Warning letters are highest priority
+  WARNING_LETTER: (letter, lead, ledger = new ScoreLedger(), factors) =>
+    ledger.add('Warning letter', (factors?.warningLetter ?? factorWeights('warningLetter')).base).total,
+  RECALL: (recall, lead, ledger = new ScoreLedger(), factors) => {
+    const weights = factors?.recall ?? factorWeights('recall');
+    const points = recall.classification === 'Class I' ? weights.classI : weights.default;
+    return ledger.add(`${recall.classification} recall`, points, 'classification', recall.classification).total;
+  },
+  DRUG_SHORTAGE: (shortage, lead, ledger, factors) => calculateDrugShortageScore(shortage, ledger, factors?.drugShortage),
+  INSPECTION_FINDING: (inspection, lead, ledger, factors) => calculateInspectionScore(inspection, ledger, factors?.inspection),
+  LOSS_OF_EXCLUSIVITY: (expiry, lead, ledger, factors) =>
+    calculateExclusivityExpiryScore(expiry, ledger, factors?.exclusivityExpiry),
+  GENERIC_OPPORTUNITY: (opportunity, lead, ledger, factors) =>
+    calculateGenericOpportunityScore(opportunity, ledger, factors?.genericOpportunity),
+  BIOSIMILAR_LICENSED: (licensure, lead, ledger, factors) =>
+    calculateBiosimilarLicensureScore(licensure, ledger, factors?.biosimilarLicensure),
+  DEVICE_CLEARANCE: (clearance, lead, ledger, factors) =>
+    calculateDeviceClearanceScore(clearance, ledger, factors?.deviceClearance),
+  DEVICE_APPROVAL: (approval, lead, ledger, factors) => calculateDeviceApprovalScore(approval, ledger, factors?.deviceApproval),
+  DEVICE_RECALL: (recall, lead, ledger, factors) => calculateDeviceRecallScore(recall, ledger, factors?.deviceRecall),
+  DEVICE_ADVERSE_EVENT: (signal, lead, ledger, factors) => calculateDeviceEventScore(signal, ledger, factors?.deviceEvent),
+  SAFETY_SIGNAL: (signal, lead, ledger, factors) => calculateSafetySignalScore(signal, ledger, factors?.safetySignal),
+  LABEL_CHANGE: (change, lead, ledger, factors) => calculateLabelChangeScore(change, ledger, factors?.labelChange),
+  RESULTS_OVERDUE: (compliance, lead, ledger, factors) =>
+    calculateResultsOverdueScore(compliance, ledger, factors?.resultsOverdue)
+};
+
+// Lead types without a registered scorer start here
+const DEFAULT_SCORE = 50;
+
+module.exports = {
+  SCORERS,
+  DEFAULT_SCORE,
+  calculateApplicationScore,
+  calculateTrialScore,
+  calculateInspectionScore,
+  calculateDrugShortageScore,
+  calculateExclusivityExpiryScore,
+  calculateGenericOpportunityScore,
+  calculateBiosimilarLicensureScore,
+  calculateDeviceClearanceScore,
+  calculateDeviceApprovalScore,
+  calculateDeviceRecallScore,
+  calculateDeviceEventScore,
+  calculateSafetySignalScore,
+  calculateLabelChangeScore,
+  calculateResultsOverdueScore
+};
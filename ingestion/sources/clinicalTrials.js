@@ -0,0 +1,195 @@
+// ClinicalTrials.gov v2 studies with pain point analysis. Every analyzed trial
+// is linked to its sponsor; only trials passing the fit criteria become leads.
+//
+// Each fetched record is snapshotted and diffed against the last snapshot
+// seen; changes from the last TRIAL_CHANGE_WINDOW_DAYS (default 180) go to
+// the pain point analyzers and the email trigger.
+const moment = require('moment');
+const { trialSnapshotRepository } = require('../../db/repositories');
+const { getNctId } = require('../../clients/clinicalTrialsClient');
+
+// A new snapshot is stored when any of these (or the site list) differ
+const SNAPSHOT_FIELDS = ['overallStatus', 'enrollment', 'primaryCompletionDate', 'completionDate', 'lastUpdatePostedDate'];
+
+// Fetched studies + stored history -> new snapshots to store, and
+// NCT ID -> recent changes (newest first) for the analyzers
+function trackTrialChanges(studies, history, { asOf = moment().format('YYYY-MM-DD'), windowDays = 180 } = {}) {
+  const since = moment(asOf).subtract(windowDays, 'days').format('YYYY-MM-DD');
+  const snapshots = [];
+  const trialChanges = new Map();
+
+  studies.forEach(study => {
+    const current = snapshotTrial(study, asOf);
+    if (!current.nctId) return;
+
+    const stored = history.get(current.nctId) || [];
+    const previous = stored[0];
+    const changes = previous ? diffTrialSnapshots(previous, current) : [];
+    const unchanged = previous && SNAPSHOT_FIELDS.every(field => previous[field] === current[field]) &&
+      previous.sites.join('|') === current.sites.join('|');
+    if (!unchanged) snapshots.push({ ...current, version: previous ? previous.version + 1 : 1, changes });
+
+    const recent = [...changes, ...stored.flatMap(snapshot => snapshot.changes || [])]
+      .filter(change => change.date >= since)
+      .sort((a, b) => b.date.localeCompare(a.date));
+    if (recent.length > 0) trialChanges.set(current.nctId, recent);
+  });
+
+  return { snapshots, trialChanges };
+}
+
+// Analyzed trial (FDAApiService.getClinicalTrials) -> normalized record
+function normalizeTrial(trial, analyzer) {
+  const fit = analyzer.evaluateEnhancedTrialFitCriteria(trial);
+
+  return {
+    id: `trial-${trial.nctId}`,
+    leadType: 'CLINICAL_TRIAL',
+    sponsor: trial.sponsor,
+    collection: 'trials',
+    record: trial,
+    therapeuticArea: trial.conditions?.[0],
+    lead: fit.shouldInclude ? {
+      subType: analyzer.generateTrialSubType(trial),
+      priority: analyzer.determineEnhancedTrialPriority(trial),
+
+      // Enhanced trial details
+      trialInfo: {
+        nctId: trial.nctId,
+        title: trial.title,
+        phase: trial.phaseInfo?.primary || trial.phase,
+        phaseCombo: trial.phaseInfo?.isCombo || false,
+        status: trial.status,
+        studyType: trial.studyType,
+        indication: trial.conditions?.[0] || 'Unknown',
+        enrollment: trial.enrollment,
+        enrollmentType: trial.enrollmentType,
+        startDate: trial.startDate,
+        primaryCompletionDate: trial.primaryCompletionDate,
+        interventions: trial.interventions,
+        primaryPurpose: trial.primaryPurpose,
+        monthsSinceStart: analyzer.calculateMonthsSinceStart(trial)
+      },
+      recordChanges: trial.recordChanges || [],
+
+      // Enhanced analysis results
+      phaseInfo: trial.phaseInfo,
+      biomarkerStrategy: trial.biomarkerStrategy,
+      endpoints: trial.endpoints,
+      challenges: trial.painPoints,
+      competitive: trial.competitiveLandscape,
+      complexityScore: trial.complexityScore,
+      newTrialOpportunities: trial.newTrialOpportunities || [],
+      emailTrigger: trial.emailTrigger,
+
+      // Enhanced metadata
+      lastActivity: trial.lastUpdatePostedDate || trial.firstPostedDate,
+      urgencyReason: analyzer.getEnhancedTrialUrgencyReason(trial),
+      isHighValueLead: analyzer.isEnhancedHighValueTrial(trial),
+      priorityRanking: trial.priorityRanking,
+      contactWindow: trial.nextContactWindow,
+      fitReason: fit.reason
+    } : null
+  };
+}
+
+// v2 study -> snapshot of the tracked fields
+function snapshotTrial(study, capturedAt = moment().format('YYYY-MM-DD')) {
+  const protocol = study.protocolSection || study;
+  const statusModule = protocol.statusModule || {};
+  const locations = protocol.contactsLocationsModule?.locations || [];
+
+  return {
+    nctId: protocol.identificationModule?.nctId,
+    sponsor: protocol.sponsorCollaboratorsModule?.leadSponsor?.name || null,
+    lastUpdatePostedDate: statusModule.lastUpdatePostDateStruct?.date || null,
+    overallStatus: statusModule.overallStatus || null,
+    enrollment: protocol.designModule?.enrollmentInfo?.count ?? null,
+    primaryCompletionDate: statusModule.primaryCompletionDateStruct?.date || null,
+    completionDate: statusModule.completionDateStruct?.date || null,
+    sites: Array.from(new Set(locations.map(location => [location.facility, location.city, location.country].filter(Boolean).join(', ')))).sort(),
+    capturedAt
+  };
+}
+
+// Two snapshots of one trial -> dated field-level changes. Changes are
+// dated by the sponsor's record update, falling back to when we saw them.
+function diffTrialSnapshots(previous, current) {
+  const date = current.lastUpdatePostedDate || current.capturedAt;
+  const changes = [];
+
+  if (previous.enrollment > 0 && current.enrollment > 0 && previous.enrollment !== current.enrollment) {
+    changes.push({
+      changeType: 'ENROLLMENT_REVISED',
+      field: 'enrollment',
+      from: previous.enrollment,
+      to: current.enrollment,
+      date,
+      description: `Enrollment target ${current.enrollment > previous.enrollment ? 'raised' : 'cut'} from ${previous.enrollment} to ${current.enrollment}`
+    });
+  }
+
+  if (previous.primaryCompletionDate && current.primaryCompletionDate && current.primaryCompletionDate > previous.primaryCompletionDate) {
+    const months = moment(current.primaryCompletionDate).diff(moment(previous.primaryCompletionDate), 'months');
+    changes.push({
+      changeType: 'PRIMARY_COMPLETION_DELAYED',
+      field: 'primaryCompletionDate',
+      from: previous.primaryCompletionDate,
+      to: current.primaryCompletionDate,
+      months,
+      date,
+      description: `Primary completion pushed back from ${previous.primaryCompletionDate} to ${current.primaryCompletionDate}` +
+        (months > 0 ? ` (${months} months)` : '')
+    });
+  }
+
+  if (previous.overallStatus && current.overallStatus && previous.overallStatus !== current.overallStatus) {
+    changes.push({
+      changeType: current.overallStatus === 'SUSPENDED' ? 'STATUS_SUSPENDED' : 'STATUS_CHANGED',
+      field: 'overallStatus',
+      from: previous.overallStatus,
+      to: current.overallStatus,
+      date,
+      description: `Status changed from ${previous.overallStatus.replace(/_/g, ' ').toLowerCase()} to ${current.overallStatus.replace(/_/g, ' ').toLowerCase()}`
+    });
+  }
+
+  const addedSites = current.sites.filter(site => !previous.sites.includes(site));
+  if (addedSites.length > 0) {
+    changes.push({
+      changeType: 'SITES_ADDED',
+      field: 'sites',
+      from: previous.sites.length,
+      to: current.sites.length,
+      added: addedSites,
+      date,
+      description: `${addedSites.length} site(s) added (${previous.sites.length} to ${current.sites.length}): ${addedSites.slice(0, 3).join('; ')}` +
+        (addedSites.length > 3 ? '; ...' : '')
+    });
+  }
+
+  return changes;
+}
+
+module.exports = {
+  name: 'clinicaltrials',
+  leadTypes: ['CLINICAL_TRIAL'],
+  companyCollections: ['trials'],
+
+  async fetch({ fdaApi }) {
+    const studies = await fdaApi.getTrialStudies();
+    const history = await trialSnapshotRepository.findHistory(studies.map(getNctId).filter(Boolean));
+    const { snapshots, trialChanges } = trackTrialChanges(studies, history, {
+      windowDays: parseInt(process.env.TRIAL_CHANGE_WINDOW_DAYS, 10) || 180
+    });
+
+    const trials = await fdaApi.analyzeClinicalTrials(studies, { trialChanges });
+    await trialSnapshotRepository.saveAll(snapshots);
+    return trials.map(trial => normalizeTrial(trial, fdaApi));
+  },
+
+  normalizeTrial,
+  trackTrialChanges,
+  snapshotTrial,
+  diffTrialSnapshots
+};
@@ -0,0 +1,127 @@
+// openFDA PMA decisions. Original PMAs and panel-track supplements become
+// leads; the routine supplements and 30-day notices are only linked.
+const moment = require('moment');
+const logger = require('../../logger');
+const { toIsoDate } = require('../../clients/openFdaClient');
+
+function getUrgencyReason(approval) {
+  if (approval.submissionType === 'ORIGINAL') {
+    return 'New PMA approval: post-approval requirements and supplement planning start now';
+  }
+
+  return 'Panel-track PMA supplement decided: significant change to a Class III device';
+}
+
+// Analyzed decision (analyzeDeviceApproval) -> normalized record
+function normalizeApproval(approval) {
+  const actionable = approval.submissionType !== 'SUPPLEMENT';
+
+  return {
+    id: `pma-${approval.pmaId.replace('/', '-')}`,
+    leadType: 'DEVICE_APPROVAL',
+    sponsor: approval.company,
+    collection: 'deviceApprovals',
+    record: approval,
+    lead: actionable ? {
+      subType: approval.submissionType,
+      priority: approval.urgency,
+
+      // Device details
+      device: {
+        name: approval.deviceName,
+        productCode: approval.productCode,
+        deviceClass: '3',
+        panel: approval.panel
+      },
+      issue: {
+        type: 'DEVICE_APPROVAL',
+        pmaNumber: approval.pmaNumber,
+        supplementNumber: approval.supplementNumber,
+        supplementType: approval.supplementType,
+        supplementReason: approval.supplementReason,
+        decisionCode: approval.decisionCode,
+        date: approval.decisionDate
+      },
+      emailTrigger: approval.emailTrigger,
+
+      // Metadata
+      lastActivity: approval.decisionDate,
+      urgencyReason: getUrgencyReason(approval)
+    } : null
+  };
+}
+
+// PMA originals and supplements decided in the last 180 days
+async function getDeviceApprovals(fdaApi) {
+  try {
+    logger.info('Fetching recent PMA decisions...');
+
+    const endDate = moment().format('YYYYMMDD');
+    const startDate = moment().subtract(180, 'days').format('YYYYMMDD');
+
+    const approvals = await fdaApi.fetchOpenFda('devicepma', '/device/pma.json', {
+      search: `decision_date:[${startDate} TO ${endDate}]`
+    });
+    logger.info(`Found ${approvals.length} PMA decisions`);
+
+    return approvals.map(approval => analyzeDeviceApproval(approval));
+  } catch (error) {
+    logger.error('Error fetching PMA decisions:', error.message);
+    return [];
+  }
+}
+
+function analyzeDeviceApproval(approval) {
+  const supplementNumber = approval.supplement_number || null;
+  let submissionType = 'SUPPLEMENT';
+  if (!supplementNumber) submissionType = 'ORIGINAL';
+  else if (/panel.track/i.test(approval.supplement_type || '')) submissionType = 'PANEL_TRACK';
+
+  const deviceName = approval.trade_name || approval.generic_name || 'your device';
+  const pmaId = supplementNumber ? `${approval.pma_number}/${supplementNumber}` : approval.pma_number;
+
+  return {
+    pmaNumber: approval.pma_number,
+    supplementNumber,
+    pmaId,
+    company: approval.applicant,
+    deviceName,
+    genericName: approval.generic_name || null,
+    productCode: approval.product_code || null,
+    panel: approval.advisory_committee_description || null,
+    submissionType,
+    supplementType: approval.supplement_type || null,
+    supplementReason: approval.supplement_reason || null,
+    decisionCode: approval.decision_code || null,
+    decisionDate: toIsoDate(approval.decision_date),
+    approvalOrderStatement: approval.ao_statement || null,
+    urgency: submissionType === 'ORIGINAL' ? 'HIGH' : 'MEDIUM',
+    emailTrigger: {
+      subject: submissionType === 'ORIGINAL'
+        ? `PMA Approval Follow-Up: ${deviceName}`
+        : `PMA Supplement Strategy: ${deviceName}`,
+      mainIssue: submissionType === 'ORIGINAL'
+        ? 'post-approval study commitments, annual reports and the supplement pipeline that follow a PMA approval'
+        : 'keeping the next PMA supplements on the right review track',
+      context: submissionType === 'ORIGINAL'
+        ? `FDA approved ${deviceName} under ${approval.pma_number} on ${toIsoDate(approval.decision_date) || 'a recent date'}. The approval order sets the post-approval requirements your team now carries.`
+        : `FDA decided ${pmaId}, a ${approval.supplement_type || 'PMA'} supplement for ${deviceName}${approval.supplement_reason ? ` (${approval.supplement_reason})` : ''}.`,
+      offering: 'We can analyze approval orders and supplement decisions for devices in the same panel to show which changes FDA accepted through 30-day notices, 180-day supplements or panel-track review.'
+    }
+  };
+}
+
+module.exports = {
+  name: 'devicepma',
+  leadTypes: ['DEVICE_APPROVAL'],
+  companyCollections: ['deviceApprovals'],
+
+  async fetch({ fdaApi }) {
+    const approvals = await getDeviceApprovals(fdaApi);
+    return approvals.map(normalizeApproval);
+  },
+
+  normalizeApproval,
+  getDeviceApprovals,
+  analyzeDeviceApproval
+};
@@ -0,0 +1,143 @@
+// openFDA 510(k) decisions. Not-substantially-equivalent decisions, De Novo
+// grants and traditional clearances become leads; special and abbreviated
+// 510(k)s (changes to already-cleared devices) are only linked.
+const moment = require('moment');
+const logger = require('../../logger');
+const { toIsoDate } = require('../../clients/openFdaClient');
+
+function isActionable(clearance) {
+  return clearance.decisionType !== 'CLEARED' || !clearance.clearanceType || /traditional/i.test(clearance.clearanceType);
+}
+
+function getUrgencyReason(clearance) {
+  if (clearance.decisionType === 'NOT_SUBSTANTIALLY_EQUIVALENT') {
+    return 'Not substantially equivalent decision: needs a new predicate strategy or De Novo request';
+  }
+  if (clearance.decisionType === 'DE_NOVO') {
+    return 'De Novo grant: new classification with special controls to maintain';
+  }
+
+  return `${clearance.clearanceType || 'New'} 510(k) clearance: post-clearance change control starts now`;
+}
+
+// Analyzed decision (analyzeDeviceClearance) -> normalized record
+function normalizeClearance(clearance) {
+  return {
+    id: `device510k-${clearance.kNumber}`,
+    leadType: 'DEVICE_CLEARANCE',
+    sponsor: clearance.company,
+    collection: 'deviceClearances',
+    record: clearance,
+    lead: isActionable(clearance) ? {
+      subType: clearance.decisionType,
+      priority: clearance.urgency,
+
+      // Device details
+      device: {
+        name: clearance.deviceName,
+        productCode: clearance.productCode,
+        deviceClass: clearance.deviceClass,
+        panel: clearance.panel
+      },
+      issue: {
+        type: 'DEVICE_CLEARANCE',
+        kNumber: clearance.kNumber,
+        decision: clearance.decision,
+        clearanceType: clearance.clearanceType,
+        date: clearance.decisionDate,
+        reviewDays: clearance.reviewDays
+      },
+      emailTrigger: clearance.emailTrigger,
+
+      // Metadata
+      lastActivity: clearance.decisionDate,
+      urgencyReason: getUrgencyReason(clearance)
+    } : null
+  };
+}
+
+// 510(k) and De Novo decisions from the last 90 days
+async function getDeviceClearances(fdaApi) {
+  try {
+    logger.info('Fetching recent 510(k) decisions...');
+
+    const endDate = moment().format('YYYYMMDD');
+    const startDate = moment().subtract(90, 'days').format('YYYYMMDD');
+
+    const clearances = await fdaApi.fetchOpenFda('device510k', '/device/510k.json', {
+      search: `decision_date:[${startDate} TO ${endDate}]`
+    });
+    logger.info(`Found ${clearances.length} 510(k) decisions`);
+
+    return clearances.map(clearance => analyzeDeviceClearance(clearance));
+  } catch (error) {
+    logger.error('Error fetching 510(k) decisions:', error.message);
+    return [];
+  }
+}
+
+function analyzeDeviceClearance(clearance) {
+  const decision = clearance.decision_description || clearance.decision_code || 'Unknown';
+  let decisionType = 'CLEARED';
+  if (/not substantially equivalent/i.test(decision)) decisionType = 'NOT_SUBSTANTIALLY_EQUIVALENT';
+  else if (/^DEN/i.test(clearance.k_number || '') || /de novo/i.test(decision)) decisionType = 'DE_NOVO';
+
+  const deviceName = clearance.device_name || clearance.openfda?.device_name || 'your device';
+  const deviceClass = clearance.openfda?.device_class || null;
+
+  const triggers = {
+    NOT_SUBSTANTIALLY_EQUIVALENT: {
+      subject: `510(k) NSE Decision: Paths Forward for ${deviceName}`,
+      mainIssue: 'a not substantially equivalent decision that blocks marketing',
+      context: `FDA found ${deviceName} (${clearance.k_number}) not substantially equivalent on ${toIsoDate(clearance.decision_date) || 'a recent date'}, leaving a new 510(k) with a different predicate or a De Novo request as the way to market.`,
+      offering: 'We can compare your submission with cleared devices under product code ' +
+        `${clearance.product_code || 'your product code'} and the De Novo grants that followed NSE decisions to recommend the fastest path.`
+    },
+    DE_NOVO: {
+      subject: `De Novo Grant Follow-Up: ${deviceName}`,
+      mainIssue: 'a new device classification that competitors will now cite as a predicate',
+      context: `The De Novo grant for ${deviceName} (${clearance.k_number}) creates a new classification regulation with special controls your team now has to maintain.`,
+      offering: 'We can map the special controls to your post-market obligations and track the 510(k)s that start citing your device as a predicate.'
+    },
+    CLEARED: {
+      subject: `510(k) Clearance Follow-Up: ${deviceName}`,
+      mainIssue: 'post-clearance change control and next-generation submissions',
+      context: `Congratulations on the ${clearance.clearance_type ? `${clearance.clearance_type} ` : ''}510(k) clearance of ${deviceName} (${clearance.k_number}). Design changes from here on need a documented decision on whether a new 510(k) is required.`,
+      offering: 'We can benchmark your clearance against recent predicates in the same product code and help plan letter-to-file versus new 510(k) decisions.'
+    }
+  };
+
+  return {
+    kNumber: clearance.k_number,
+    company: clearance.applicant,
+    deviceName,
+    productCode: clearance.product_code || null,
+    deviceClass,
+    panel: clearance.advisory_committee_description || null,
+    clearanceType: clearance.clearance_type || null,
+    decision,
+    decisionType,
+    decisionDate: toIsoDate(clearance.decision_date),
+    dateReceived: toIsoDate(clearance.date_received),
+    reviewDays: clearance.date_received && clearance.decision_date
+      ? moment(clearance.decision_date).diff(moment(clearance.date_received), 'days')
+      : null,
+    urgency: decisionType === 'CLEARED' ? 'MEDIUM' : 'HIGH',
+    emailTrigger: triggers[decisionType]
+  };
+}
+
+module.exports = {
+  name: 'device510k',
+  leadTypes: ['DEVICE_CLEARANCE'],
+  companyCollections: ['deviceClearances'],
+
+  async fetch({ fdaApi }) {
+    const clearances = await getDeviceClearances(fdaApi);
+    return clearances.map(normalizeClearance);
+  },
+
+  normalizeClearance,
+  getDeviceClearances,
+  analyzeDeviceClearance
+};
@@ -0,0 +1,167 @@
+// MAUDE death and injury reports grouped per manufacturer and product code.
+// A signal becomes a lead when it includes a death or at least
+// DEVICE_EVENT_MIN_INJURIES (default 3) serious injuries.
+const moment = require('moment');
+const logger = require('../../logger');
+const { toIsoDate } = require('../../clients/openFdaClient');
+const { normalizeCompanyName } = require('../../companies');
+
+function isActionable(signal, minInjuries) {
+  return signal.deaths > 0 || signal.injuries >= minInjuries;
+}
+
+// Analyzed signal (analyzeDeviceEventSignal) -> normalized record
+function normalizeEventSignal(signal, { minInjuries }) {
+  return {
+    id: `device-event-${signal.signalId}`,
+    leadType: 'DEVICE_ADVERSE_EVENT',
+    sponsor: signal.company,
+    collection: 'deviceEvents',
+    record: signal,
+    flags: { hasUrgentIssues: signal.deaths > 0 },
+    lead: isActionable(signal, minInjuries) ? {
+      subType: signal.deaths > 0 ? 'DEATH' : 'INJURY',
+      priority: signal.urgency,
+
+      // Device details
+      device: {
+        name: signal.deviceName,
+        productCode: signal.productCode,
+        deviceClass: signal.deviceClass,
+        brandNames: signal.brandNames
+      },
+      issue: {
+        type: 'DEVICE_ADVERSE_EVENT',
+        reportCount: signal.reportCount,
+        deaths: signal.deaths,
+        injuries: signal.injuries,
+        productProblems: signal.productProblems,
+        firstReceived: signal.firstReceived,
+        lastReceived: signal.lastReceived
+      },
+      emailTrigger: signal.emailTrigger,
+
+      // Metadata
+      lastActivity: signal.lastReceived,
+      urgencyReason: `${signal.reportCount} MAUDE report(s) in 30 days: ${signal.deaths} death(s), ${signal.injuries} serious injur${signal.injuries === 1 ? 'y' : 'ies'}`
+    } : null
+  };
+}
+
+// MAUDE death and injury reports received in the last 30 days, grouped by
+// manufacturer and product code into adverse event signals
+async function getDeviceEventSignals(fdaApi) {
+  try {
+    logger.info('Fetching recent MAUDE death and injury reports...');
+
+    const endDate = moment().format('YYYYMMDD');
+    const startDate = moment().subtract(30, 'days').format('YYYYMMDD');
+
+    const events = await fdaApi.fetchOpenFda('deviceevents', '/device/event.json', {
+      search: `date_received:[${startDate} TO ${endDate}] AND (event_type:Death OR event_type:Injury)`
+    });
+    logger.info(`Found ${events.length} MAUDE death and injury reports`);
+
+    return groupDeviceEvents(events).map(signal => analyzeDeviceEventSignal(signal));
+  } catch (error) {
+    logger.error('Error fetching MAUDE reports:', error.message);
+    return [];
+  }
+}
+
+// One signal per manufacturer + product code, from the first device on
+// each report
+function groupDeviceEvents(events) {
+  const signals = new Map();
+
+  events.forEach(event => {
+    const device = event.device?.[0];
+    const manufacturer = device?.manufacturer_d_name || event.manufacturer_name;
+    if (!device || !manufacturer) return;
+
+    const productCode = device.device_report_product_code || 'UNKNOWN';
+    const key = `${normalizeCompanyName(manufacturer)}|${productCode}`;
+
+    if (!signals.has(key)) {
+      signals.set(key, {
+        manufacturer,
+        productCode,
+        deviceName: device.openfda?.device_name || device.generic_name || null,
+        deviceClass: device.openfda?.device_class || null,
+        brandNames: new Set(),
+        productProblems: new Map(),
+        events: []
+      });
+    }
+
+    const signal = signals.get(key);
+    if (device.brand_name) signal.brandNames.add(device.brand_name);
+    (event.product_problems || []).forEach(problem => {
+      signal.productProblems.set(problem, (signal.productProblems.get(problem) || 0) + 1);
+    });
+    signal.events.push({
+      reportNumber: event.report_number || event.mdr_report_key,
+      eventType: event.event_type,
+      dateReceived: toIsoDate(event.date_received)
+    });
+  });
+
+  return Array.from(signals.values());
+}
+
+function analyzeDeviceEventSignal(signal) {
+  const deaths = signal.events.filter(event => event.eventType === 'Death').length;
+  const injuries = signal.events.filter(event => event.eventType === 'Injury').length;
+  const dates = signal.events.map(event => event.dateReceived).filter(Boolean).sort();
+  const topProblems = Array.from(signal.productProblems.entries())
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 3)
+    .map(([problem]) => problem);
+  const deviceName = signal.deviceName || Array.from(signal.brandNames)[0] || 'your device';
+
+  let urgency = 'MEDIUM';
+  if (deaths > 0) urgency = 'CRITICAL';
+  else if (injuries >= 10) urgency = 'HIGH';
+
+  return {
+    signalId: `${signal.productCode}-${normalizeCompanyName(signal.manufacturer).replace(/[^A-Z0-9]+/g, '-')}`,
+    company: signal.manufacturer,
+    deviceName,
+    productCode: signal.productCode,
+    deviceClass: signal.deviceClass,
+    brandNames: Array.from(signal.brandNames).slice(0, 5),
+    reportCount: signal.events.length,
+    deaths,
+    injuries,
+    productProblems: topProblems,
+    firstReceived: dates[0] || null,
+    lastReceived: dates[dates.length - 1] || null,
+    reportNumbers: signal.events.map(event => event.reportNumber).slice(0, 10),
+    urgency,
+    emailTrigger: {
+      subject: `MAUDE Trend Review: ${deviceName}`,
+      mainIssue: 'a cluster of serious adverse event reports that FDA reviewers also see',
+      context: `MAUDE received ${signal.events.length} report(s) for ${deviceName} (product code ${signal.productCode}) in the last 30 days` +
+        ` - ${deaths} death(s) and ${injuries} serious injur${injuries === 1 ? 'y' : 'ies'}` +
+        (topProblems.length > 0 ? `, most often citing ${topProblems.join(', ').toLowerCase()}.` : '.'),
+      offering: 'We can trend these reports against other manufacturers in the same product code and check whether your complaint handling and MDR decisions would hold up in an inspection.'
+    }
+  };
+}
+
+module.exports = {
+  name: 'deviceevents',
+  leadTypes: ['DEVICE_ADVERSE_EVENT'],
+  companyCollections: ['deviceEvents'],
+
+  async fetch({ fdaApi }) {
+    const minInjuries = parseInt(process.env.DEVICE_EVENT_MIN_INJURIES, 10) || 3;
+    const signals = await getDeviceEventSignals(fdaApi);
+    return signals.map(signal => normalizeEventSignal(signal, { minInjuries }));
+  },
+
+  normalizeEventSignal,
+  getDeviceEventSignals,
+  groupDeviceEvents,
+  analyzeDeviceEventSignal
+};
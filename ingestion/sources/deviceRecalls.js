@@ -0,0 +1,111 @@
+// openFDA device recalls (/device/recall), one record per recalled product
+const moment = require('moment');
+const logger = require('../../logger');
+const { toIsoDate } = require('../../clients/openFdaClient');
+
+// Analyzed recall (analyzeDeviceRecall) -> normalized record
+function normalizeDeviceRecall(recall) {
+  return {
+    id: `device-recall-${recall.recallId}`,
+    leadType: 'DEVICE_RECALL',
+    sponsor: recall.company,
+    collection: 'deviceRecalls',
+    record: recall,
+    flags: { hasQualityIssues: true },
+    lead: {
+      subType: recall.rootCause,
+      priority: recall.urgency,
+
+      // Device details
+      device: {
+        name: recall.deviceName,
+        productCode: recall.productCode,
+        deviceClass: recall.deviceClass
+      },
+      issue: {
+        type: 'DEVICE_RECALL',
+        status: recall.status,
+        reason: recall.reasonForRecall,
+        rootCause: recall.rootCause,
+        product: recall.productDescription,
+        initiationDate: recall.initiationDate
+      },
+      emailTrigger: recall.emailTrigger,
+
+      // Metadata
+      lastActivity: recall.initiationDate,
+      urgencyReason: `Class ${recall.deviceClass || 'unknown'} device recall${recall.rootCause ? ` (${recall.rootCause})` : ''} requiring correction and CAPA`
+    }
+  };
+}
+
+// Device recalls initiated in the last 90 days
+async function getDeviceRecalls(fdaApi) {
+  try {
+    logger.info('Fetching recent device recalls...');
+
+    const endDate = moment().format('YYYYMMDD');
+    const startDate = moment().subtract(90, 'days').format('YYYYMMDD');
+
+    const recalls = await fdaApi.fetchOpenFda('devicerecalls', '/device/recall.json', {
+      search: `event_date_initiated:[${startDate} TO ${endDate}]`
+    });
+    logger.info(`Found ${recalls.length} device recalls`);
+
+    return recalls.map(recall => analyzeDeviceRecall(recall));
+  } catch (error) {
+    logger.error('Error fetching device recalls:', error.message);
+    return [];
+  }
+}
+
+function analyzeDeviceRecall(recall) {
+  const deviceName = recall.openfda?.device_name || recall.product_description || 'your device';
+  const deviceClass = recall.openfda?.device_class || null;
+  const rootCause = recall.root_cause_description || null;
+
+  return {
+    recallId: recall.product_res_number || recall.res_event_number || recall.cfres_id,
+    eventNumber: recall.res_event_number || null,
+    company: recall.recalling_firm,
+    feiNumbers: recall.firm_fei_number ? [String(recall.firm_fei_number)] : [],
+    deviceName,
+    productCode: recall.product_code || null,
+    deviceClass,
+    productDescription: recall.product_description || null,
+    initiationDate: toIsoDate(recall.event_date_initiated),
+    postedDate: toIsoDate(recall.event_date_posted),
+    status: recall.recall_status || null,
+    reasonForRecall: recall.reason_for_recall || null,
+    rootCause,
+    action: recall.action || null,
+    productQuantity: recall.product_quantity || null,
+    distributionPattern: recall.distribution_pattern || null,
+    kNumbers: recall.k_numbers || [],
+    pmaNumbers: recall.pma_numbers || [],
+    urgency: deviceClass === '3' ? 'CRITICAL' : 'HIGH',
+    emailTrigger: {
+      subject: `Device Recall Support: ${deviceName}`,
+      mainIssue: 'executing a device recall and closing the CAPA behind it',
+      context: `Your recall of ${recall.product_description || deviceName}` +
+        (rootCause ? ` traced to ${rootCause.toLowerCase()}` : '') +
+        ` will be followed by FDA review of your correction and removal report under 21 CFR 806 and the CAPA that addresses the root cause.`,
+      offering: 'We can analyze recalls with the same root cause and product code to show the corrective actions and design-control fixes FDA accepted.'
+    }
+  };
+}
+
+module.exports = {
+  name: 'devicerecalls',
+  leadTypes: ['DEVICE_RECALL'],
+  companyCollections: ['deviceRecalls'],
+
+  async fetch({ fdaApi }) {
+    const recalls = await getDeviceRecalls(fdaApi);
+    return recalls.map(normalizeDeviceRecall);
+  },
+
+  normalizeDeviceRecall,
+  getDeviceRecalls,
+  analyzeDeviceRecall
+};
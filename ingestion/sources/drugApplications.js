@@ -0,0 +1,81 @@
+// Drugs@FDA applications (NDA, BLA, ANDA, 505(b)(2)) with recent submission
+// activity. When PURPLE_BOOK_FILE is set, BLAs get biosimilar competitive
+// context from the Purple Book.
+const path = require('path');
+const logger = require('../../logger');
+const { importPurpleBook } = require('../importers/purpleBook');
+
+function getUrgencyReason(app) {
+  if (app.status === 'COMPLETE_RESPONSE_LETTER') {
+    return 'CRL requires comprehensive response within regulatory timeline';
+  } else if (app.status === 'REFUSE_TO_FILE') {
+    return 'RTF requires immediate remediation and resubmission strategy';
+  } else if (app.urgency === 'CRITICAL') {
+    return app.issues[0]?.description || 'Critical regulatory issue identified';
+  } else if (app.status === 'FILED_UNDER_REVIEW') {
+    return 'Active FDA review - optimal time for proactive preparation';
+  } else if (app.submissionType === '505(b)(2)') {
+    return '505(b)(2) pathway requires specialized regulatory strategy';
+  }
+
+  return 'Standard regulatory support opportunity';
+}
+
+// Analyzed application (FDAApiService.analyzeApplication) -> normalized record
+function normalizeApplication(app) {
+  return {
+    id: `app-${app.applicationNumber}`,
+    leadType: 'DRUG_APPLICATION',
+    sponsor: app.sponsorName,
+    collection: 'applications',
+    record: app,
+    therapeuticArea: app.therapeuticProfile?.therapeuticArea,
+    flags: { hasUrgentIssues: app.urgency === 'CRITICAL' },
+    lead: {
+      subType: app.submissionType,
+      priority: app.urgency,
+
+      // Detailed information
+      therapeuticArea: app.therapeuticProfile?.therapeuticArea,
+      products: app.products,
+      issues: app.issues,
+      status: app.status,
+      submissionType: app.submissionType,
+      competitiveContext: app.competitiveContext,
+      emailTrigger: app.emailTrigger,
+
+      // Metadata
+      lastActivity: app.lastActivity,
+      dataQuality: app.dataQuality,
+      urgencyReason: getUrgencyReason(app),
+      isHighPriority: app.isHighPriority
+    }
+  };
+}
+
+// The competitive context is optional, so a missing or unreadable Purple Book
+// file only costs the context, not the run
+async function loadBiosimilarLandscape() {
+  if (!process.env.PURPLE_BOOK_FILE) return null;
+
+  try {
+    return await importPurpleBook(path.resolve(process.env.PURPLE_BOOK_FILE));
+  } catch (error) {
+    logger.warn(`Purple Book import failed; BLAs get no competitive context: ${error.message}`);
+    return null;
+  }
+}
+
+module.exports = {
+  name: 'drugsfda',
+  leadTypes: ['DRUG_APPLICATION'],
+  companyCollections: ['applications'],
+
+  async fetch({ fdaApi }) {
+    const applications = await fdaApi.getPharmaApplications({ biosimilarLandscape: await loadBiosimilarLandscape() });
+    return applications.map(normalizeApplication);
+  },
+
+  normalizeApplication,
+  getUrgencyReason
+};
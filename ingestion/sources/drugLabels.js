@@ -0,0 +1,268 @@
+// Drug label (SPL) changes from openFDA /drug/label. Each label version is
+// stored the first time it is seen; a newer version is diffed against the
+// stored one for added boxed warnings, contraindications, REMS mentions and
+// indications. Labels seen for the first time only set the baseline.
+// Changes keep producing leads for LABEL_CHANGE_MAX_AGE_DAYS (default 180)
+// after the label's effective date.
+const moment = require('moment');
+const logger = require('../../logger');
+const { toIsoDate } = require('../../clients/openFdaClient');
+const { labelVersionRepository } = require('../../db/repositories');
+const { labelerCodesFromNdcs } = require('../../entityResolution');
+
+// Label text -> statements (sentences and bulleted items) for diffing
+function splitLabelStatements(text) {
+  return (text || '')
+    .replace(/\s+/g, ' ')
+    .split(/\s*[•●■]\s*|(?<=[.;])\s+(?=[A-Z0-9(])/)
+    .map(statement => statement.trim())
+    .filter(statement => normalizeLabelStatement(statement).length > 3);
+}
+
+// Ignores case, punctuation, subsection numbers and cross-references like "(5.2)"
+function normalizeLabelStatement(statement) {
+  return statement
+    .toLowerCase()
+    .replace(/^\d+(?:\.\d+)+\s+/, '')
+    .replace(/\[\s*see[^\]]*\]|\(\s*\d+(?:\.\d+)*(?:\s*,\s*\d+(?:\.\d+)*)*\s*\)/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// Statements in current that previous does not contain
+function addedLabelStatements(previous, current) {
+  const seen = new Set(splitLabelStatements(previous).map(normalizeLabelStatement));
+  return splitLabelStatements(current).filter(statement => !seen.has(normalizeLabelStatement(statement)));
+}
+
+const REMS_PATTERN = /\bREMS\b|Risk Evaluation and Mitigation Strateg(?:y|ies)/i;
+
+// Analyzed change (analyzeLabelChange) -> normalized record
+function normalizeLabelChange(change) {
+  return {
+    id: `label-${change.changeId}`,
+    leadType: 'LABEL_CHANGE',
+    sponsor: change.company,
+    collection: 'labelChanges',
+    record: change,
+    flags: { hasUrgentIssues: change.urgency === 'CRITICAL' },
+    lead: {
+      subType: change.changeType,
+      priority: change.urgency,
+
+      // Change details
+      issue: {
+        type: 'LABEL_CHANGE',
+        changeType: change.changeType,
+        section: change.section,
+        product: change.product,
+        setId: change.setId,
+        version: change.version,
+        previousVersion: change.previousVersion,
+        effectiveDate: change.effectiveDate,
+        quote: change.quote
+      },
+      emailTrigger: change.emailTrigger,
+
+      // Metadata
+      lastActivity: change.effectiveDate,
+      urgencyReason: `${change.section} change in ${change.product} label v${change.version} (effective ${change.effectiveDate})`
+    }
+  };
+}
+
+// Labels with an effective date in the last LABEL_LOOKBACK_DAYS (default 90)
+async function getDrugLabels(fdaApi) {
+  try {
+    logger.info('Fetching recently revised drug labels...');
+
+    const lookbackDays = parseInt(process.env.LABEL_LOOKBACK_DAYS, 10) || 90;
+    const endDate = moment().format('YYYYMMDD');
+    const startDate = moment().subtract(lookbackDays, 'days').format('YYYYMMDD');
+
+    const labels = await fdaApi.fetchOpenFda('druglabels', '/drug/label.json', {
+      search: `effective_time:[${startDate} TO ${endDate}]`
+    });
+    logger.info(`Found ${labels.length} drug labels`);
+
+    return labels
+      .filter(label => label.set_id && parseInt(label.version, 10) && label.openfda?.manufacturer_name?.length)
+      .map(label => analyzeDrugLabel(label));
+  } catch (error) {
+    logger.error('Error fetching drug labels:', error.message);
+    return [];
+  }
+}
+
+// openFDA label -> the tracked sections of one label version
+function analyzeDrugLabel(label) {
+  // SPL sections start with their numbered heading, e.g. "4 CONTRAINDICATIONS"
+  const sectionText = (field, heading) => (label[field] || [])
+    .join(' ')
+    .replace(/\s+/g, ' ')
+    .replace(new RegExp(`^\\d*\\s*${heading}\\s*`, 'i'), '')
+    .trim();
+  const fullText = Object.values(label)
+    .filter(value => Array.isArray(value) && typeof value[0] === 'string')
+    .map(value => value.join(' '))
+    .join(' ');
+
+  return {
+    setId: label.set_id,
+    documentId: label.id || null,
+    version: parseInt(label.version, 10),
+    effectiveDate: toIsoDate(label.effective_time),
+    company: label.openfda.manufacturer_name[0],
+    product: label.openfda.brand_name?.[0] || label.openfda.generic_name?.[0] || 'Unnamed product',
+    genericName: label.openfda.generic_name?.[0] || null,
+    applicationNumbers: label.openfda.application_number || [],
+    labelerCodes: labelerCodesFromNdcs(label.openfda.product_ndc),
+    sections: {
+      boxedWarning: sectionText('boxed_warning', 'BOXED WARNING'),
+      contraindications: sectionText('contraindications', 'CONTRAINDICATIONS'),
+      indications: sectionText('indications_and_usage', 'INDICATIONS (?:AND|&) USAGE')
+    },
+    remsStatements: splitLabelStatements(fullText).filter(statement => REMS_PATTERN.test(statement)).slice(0, 5)
+  };
+}
+
+// Changes between two versions of the same label, as
+// [{ changeType, section, addedStatements, quote }]
+function diffLabelVersions(previous, current) {
+  const changes = [];
+  const addChange = (changeType, section, addedStatements) => {
+    if (addedStatements.length === 0) return;
+    const quote = addedStatements.slice(0, 3).join(' ');
+    changes.push({
+      changeType,
+      section,
+      addedStatements: addedStatements.slice(0, 10),
+      quote: quote.length > 600 ? `${quote.substring(0, 597)}...` : quote
+    });
+  };
+
+  const boxedWarning = addedLabelStatements(previous.sections.boxedWarning, current.sections.boxedWarning);
+  addChange(previous.sections.boxedWarning ? 'BOXED_WARNING_REVISED' : 'BOXED_WARNING_ADDED', 'Boxed Warning', boxedWarning);
+
+  addChange('CONTRAINDICATION_ADDED', 'Contraindications',
+    addedLabelStatements(previous.sections.contraindications, current.sections.contraindications)
+      .filter(statement => !/^none\b/i.test(statement)));
+
+  if ((previous.remsStatements || []).length === 0) {
+    addChange('REMS_ADDED', 'REMS', current.remsStatements || []);
+  }
+
+  // Reworded indications are common; only statements of what the drug is
+  // indicated for count as a new indication
+  addChange('NEW_INDICATION', 'Indications and Usage',
+    addedLabelStatements(previous.sections.indications, current.sections.indications)
+      .filter(statement => /\bindicated\b/i.test(statement)));
+
+  return changes;
+}
+
+function analyzeLabelChange(label, change) {
+  const product = label.genericName && label.genericName.toLowerCase() !== label.product.toLowerCase()
+    ? `${label.product} (${label.genericName.toLowerCase()})`
+    : label.product;
+  const quoted = `"${change.quote}"`;
+
+  const triggers = {
+    BOXED_WARNING_ADDED: {
+      urgency: 'CRITICAL',
+      subject: `New Boxed Warning: ${label.product}`,
+      mainIssue: 'a new boxed warning that reaches every prescriber, promotional piece and payer review',
+      context: `Version ${label.version} of the ${product} label, effective ${label.effectiveDate}, adds a boxed warning: ${quoted}`,
+      offering: 'We can help align promotional materials, Dear HCP communications and medical information responses with the new warning, and assess what it means for your other labels in the class.'
+    },
+    BOXED_WARNING_REVISED: {
+      urgency: 'HIGH',
+      subject: `Boxed Warning Revision: ${label.product}`,
+      mainIssue: 'a revised boxed warning that has to flow through every labeled and promotional touchpoint',
+      context: `Version ${label.version} of the ${product} label, effective ${label.effectiveDate}, revises the boxed warning to include: ${quoted}`,
+      offering: 'We can run the labeling change through your promotional review, medical information and safety communication plans so nothing in the field still reflects the old warning.'
+    },
+    REMS_ADDED: {
+      urgency: 'HIGH',
+      subject: `REMS Requirements: ${label.product}`,
+      mainIssue: 'a Risk Evaluation and Mitigation Strategy that now governs how the product is prescribed and dispensed',
+      context: `The ${product} label (version ${label.version}, effective ${label.effectiveDate}) now refers to a REMS: ${quoted}`,
+      offering: 'We can help design and operationalize the REMS - stakeholder materials, certification workflows and the assessment reports FDA will expect on schedule.'
+    },
+    CONTRAINDICATION_ADDED: {
+      urgency: 'HIGH',
+      subject: `New Contraindication: ${label.product}`,
+      mainIssue: 'a new contraindication that narrows the treatable population',
+      context: `Version ${label.version} of the ${product} label, effective ${label.effectiveDate}, adds to the Contraindications section: ${quoted}`,
+      offering: 'We can assess the impact on your ongoing trials, promotional claims and risk management plan, and prepare the field and medical information updates.'
+    },
+    NEW_INDICATION: {
+      urgency: 'MEDIUM',
+      subject: `New Indication Launch Support: ${label.product}`,
+      mainIssue: 'launching a newly approved indication with compliant promotion from day one',
+      context: `Congratulations on the new indication in version ${label.version} of the ${product} label, effective ${label.effectiveDate}: ${quoted}`,
+      offering: 'We can support the launch with promotional review against the new labeling, post-marketing commitment planning and competitive positioning in the new indication.'
+    }
+  };
+  const { urgency, ...emailTrigger } = triggers[change.changeType];
+
+  return {
+    changeId: `${label.setId}-v${label.version}-${change.changeType.toLowerCase().replace(/_/g, '-')}`,
+    setId: label.setId,
+    version: label.version,
+    previousVersion: label.previousVersion ?? null,
+    effectiveDate: label.effectiveDate,
+    company: label.company,
+    product: label.product,
+    genericName: label.genericName,
+    applicationNumbers: label.applicationNumbers,
+    labelerCodes: label.labelerCodes || [],
+    changeType: change.changeType,
+    section: change.section,
+    addedStatements: change.addedStatements,
+    quote: change.quote,
+    urgency,
+    emailTrigger
+  };
+}
+
+module.exports = {
+  name: 'druglabels',
+  leadTypes: ['LABEL_CHANGE'],
+  companyCollections: ['labelChanges'],
+
+  async fetch({ fdaApi }) {
+    const maxAgeDays = parseInt(process.env.LABEL_CHANGE_MAX_AGE_DAYS, 10) || 180;
+    const labels = await getDrugLabels(fdaApi);
+    const stored = await labelVersionRepository.findLatest(labels.map(label => label.setId));
+    const newVersions = [];
+    const records = [];
+
+    labels.forEach(label => {
+      let version = stored.get(label.setId);
+
+      if (!version || label.version > version.version) {
+        version = {
+          ...label,
+          previousVersion: version ? version.version : null,
+          changes: version ? diffLabelVersions(version, label) : []
+        };
+        newVersions.push(version);
+      }
+
+      if (moment().diff(moment(version.effectiveDate), 'days') > maxAgeDays) return;
+      version.changes.forEach(change => {
+        records.push(normalizeLabelChange(analyzeLabelChange(version, change)));
+      });
+    });
+
+    await labelVersionRepository.saveAll(newVersions);
+    return records;
+  },
+
+  normalizeLabelChange,
+  getDrugLabels,
+  analyzeDrugLabel,
+  diffLabelVersions,
+  analyzeLabelChange
+};
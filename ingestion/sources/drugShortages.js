@@ -0,0 +1,252 @@
+// openFDA drug shortages, one entry per product and manufacturer. The last
+// status of each shortage is stored so a change (new, resolved, recurring,
+// to be discontinued) is recorded with its date. Current and to-be-
+// discontinued shortages produce leads; resolved ones do for
+// SHORTAGE_RESOLVED_LEAD_DAYS (default 90) after resolution.
+const moment = require('moment');
+const logger = require('../../logger');
+const { normalizeCompanyName } = require('../../companies');
+const { shortageStatusRepository } = require('../../db/repositories');
+const { labelerCodesFromNdcs } = require('../../entityResolution');
+
+// Drug shortage statuses, most serious last
+const SHORTAGE_STATUS_RANK = { RESOLVED: 1, TO_BE_DISCONTINUED: 2, CURRENT: 3 };
+
+// "To Be Discontinued" -> 'TO_BE_DISCONTINUED'
+function normalizeShortageStatus(status) {
+  return String(status || 'Current').trim().toUpperCase().replace(/[^A-Z]+/g, '_');
+}
+
+// Shortage dates come as MM/DD/YYYY
+function parseShortageDate(value) {
+  if (!value) return null;
+  const parsed = moment(value, ['MM/DD/YYYY', 'M/D/YYYY', 'YYYY-MM-DD', 'YYYYMMDD'], true);
+  return parsed.isValid() ? parsed.format('YYYY-MM-DD') : null;
+}
+
+// Analyzed shortage (analyzeDrugShortage) -> normalized record
+function normalizeDrugShortage(shortage, { resolvedLeadDays = 90 } = {}) {
+  const resolvedDate = shortage.resolution.resolvedDate;
+  const wantsLead = !shortage.resolution.isResolved
+    || (resolvedDate && moment().diff(moment(resolvedDate), 'days') <= resolvedLeadDays);
+
+  return {
+    id: `shortage-${shortage.shortageId}`,
+    leadType: 'DRUG_SHORTAGE',
+    sponsor: shortage.company,
+    collection: 'drugShortages',
+    record: shortage,
+    flags: { hasQualityIssues: shortage.status === 'CURRENT' },
+    lead: wantsLead ? {
+      subType: shortage.status,
+      status: shortage.status,
+      priority: shortage.urgency,
+
+      // Shortage details
+      issue: {
+        type: 'DRUG_SHORTAGE',
+        product: shortage.genericName,
+        brandNames: shortage.brandNames,
+        status: shortage.status,
+        previousStatus: shortage.previousStatus,
+        statusChangedAt: shortage.statusChangedAt,
+        shortageReason: shortage.shortageReason,
+        presentations: shortage.presentations.length,
+        therapeuticCategories: shortage.therapeuticCategories,
+        initialPostingDate: shortage.initialPostingDate,
+        resolution: shortage.resolution
+      },
+      emailTrigger: shortage.emailTrigger,
+
+      // Metadata
+      lastActivity: shortage.updateDate,
+      urgencyReason: shortage.resolution.isResolved
+        ? `${shortage.genericName} shortage resolved ${resolvedDate || 'recently'}`
+        : `${shortage.genericName} ${shortage.status === 'CURRENT' ? 'in shortage' : 'to be discontinued'}` +
+          (shortage.resolution.recurred ? ' again after resolution' : '')
+    } : null
+  };
+}
+
+// openFDA /drug/shortages, one entry per product and manufacturer
+async function getDrugShortages(fdaApi) {
+  try {
+    logger.info('Fetching drug shortages...');
+
+    const records = await fdaApi.fetchOpenFda('shortages', '/drug/shortages.json', {});
+    logger.info(`Found ${records.length} drug shortage records`);
+
+    return groupDrugShortages(records);
+  } catch (error) {
+    logger.error('Error fetching drug shortages:', error.message);
+    return [];
+  }
+}
+
+// Shortage records are per presentation; the most serious presentation
+// status becomes the product's status
+function groupDrugShortages(records) {
+  const byProduct = new Map();
+
+  records.forEach(record => {
+    const company = record.company_name;
+    const genericName = record.generic_name || record.openfda?.generic_name?.[0];
+    if (!company || !genericName) return;
+
+    const shortageId = `${genericName}-${normalizeCompanyName(company)}`.toUpperCase().replace(/[^A-Z0-9]+/g, '-').replace(/^-|-$/g, '');
+    const status = normalizeShortageStatus(record.status);
+    let shortage = byProduct.get(shortageId);
+
+    if (!shortage) {
+      shortage = {
+        shortageId,
+        company,
+        genericName,
+        brandNames: [],
+        presentations: [],
+        therapeuticCategories: [],
+        shortageReason: null,
+        status,
+        initialPostingDate: null,
+        updateDate: null,
+        resolvedDate: null,
+        discontinuedDate: null
+      };
+      byProduct.set(shortageId, shortage);
+    }
+
+    const initialPostingDate = parseShortageDate(record.initial_posting_date);
+    const updateDate = parseShortageDate(record.change_date || record.update_date);
+    const earliest = (a, b) => (!a || (b && b < a) ? b : a);
+    const latest = (a, b) => (!a || (b && b > a) ? b : a);
+
+    if (SHORTAGE_STATUS_RANK[status] > SHORTAGE_STATUS_RANK[shortage.status]) shortage.status = status;
+    [record.proprietary_name, ...(record.openfda?.brand_name || [])]
+      .filter(name => name && !shortage.brandNames.includes(name))
+      .forEach(name => shortage.brandNames.push(name));
+    (record.therapeutic_category || [])
+      .filter(category => !shortage.therapeuticCategories.includes(category))
+      .forEach(category => shortage.therapeuticCategories.push(category));
+    shortage.shortageReason = shortage.shortageReason || record.shortage_reason || null;
+    shortage.presentations.push({
+      ndc: record.package_ndc || null,
+      presentation: record.presentation || null,
+      status,
+      availability: record.availability || null
+    });
+    shortage.initialPostingDate = earliest(shortage.initialPostingDate, initialPostingDate);
+    shortage.updateDate = latest(shortage.updateDate, updateDate);
+    if (status === 'RESOLVED') shortage.resolvedDate = latest(shortage.resolvedDate, updateDate);
+    if (status === 'TO_BE_DISCONTINUED') {
+      shortage.discontinuedDate = latest(shortage.discontinuedDate, parseShortageDate(record.discontinued_date));
+    }
+  });
+
+  return Array.from(byProduct.values()).map(shortage => ({
+    ...shortage,
+    // A product is only resolved once every presentation is
+    resolvedDate: shortage.status === 'RESOLVED' ? shortage.resolvedDate : null
+  }));
+}
+
+// tracking: { history: [{ status, date }], statusChangedAt } kept by the
+// shortages source across runs
+function analyzeDrugShortage(shortage, tracking) {
+  const history = tracking.history || [];
+  const previousStatus = history.length > 1 ? history[history.length - 2].status : null;
+  const isResolved = shortage.status === 'RESOLVED';
+  const shortageEnd = isResolved && shortage.resolvedDate ? moment(shortage.resolvedDate) : moment();
+  const daysInShortage = shortage.initialPostingDate ? shortageEnd.diff(moment(shortage.initialPostingDate), 'days') : null;
+  const recurred = shortage.status === 'CURRENT' && history.some(entry => entry.status === 'RESOLVED');
+  const product = shortage.brandNames[0] ? `${shortage.genericName} (${shortage.brandNames[0]})` : shortage.genericName;
+  const presentations = `${shortage.presentations.length} presentation${shortage.presentations.length === 1 ? '' : 's'}`;
+
+  let urgency = 'LOW';
+  if (recurred) urgency = 'CRITICAL';
+  else if (shortage.status === 'CURRENT') urgency = 'HIGH';
+  else if (shortage.status === 'TO_BE_DISCONTINUED') urgency = 'MEDIUM';
+
+  const triggers = {
+    CURRENT: {
+      subject: recurred ? `Recurring Drug Shortage: ${shortage.genericName}` : `Drug Shortage Support: ${shortage.genericName}`,
+      mainIssue: recurred
+        ? 'a shortage that has come back after being resolved, which FDA will expect a root cause for'
+        : 'restoring supply while keeping FDA informed under section 506C',
+      context: `FDA lists ${product} in shortage across ${presentations}` +
+        (shortage.shortageReason ? `, citing ${shortage.shortageReason.toLowerCase()}` : '') +
+        (daysInShortage !== null ? `, for ${daysInShortage} days since ${shortage.initialPostingDate}.` : '.') +
+        (recurred ? ' The shortage had previously been resolved.' : ''),
+      offering: 'We can help with expedited supplement strategy for alternate sites and suppliers, 506C notifications and the risk management plan FDA now expects for shortage-prone products.'
+    },
+    TO_BE_DISCONTINUED: {
+      subject: `Discontinuation Planning: ${shortage.genericName}`,
+      mainIssue: 'a discontinuation that FDA tracks as a shortage risk',
+      context: `FDA lists ${product} as to be discontinued` +
+        (shortage.discontinuedDate ? ` as of ${shortage.discontinuedDate}` : '') + ` across ${presentations}.`,
+      offering: 'We can manage the 506C discontinuation notice, patient transition communications and the labeling and listing updates that follow.'
+    },
+    RESOLVED: {
+      subject: `Post-Shortage Supply Resilience: ${shortage.genericName}`,
+      mainIssue: 'keeping a recently resolved shortage from recurring',
+      context: `FDA marked the ${product} shortage resolved${shortage.resolvedDate ? ` on ${shortage.resolvedDate}` : ''}` +
+        (daysInShortage !== null ? ` after ${daysInShortage} days.` : '.'),
+      offering: 'We can build the supply chain risk management plan and redundant-source filings that keep the product off the shortage list.'
+    }
+  };
+
+  return {
+    ...shortage,
+    labelerCodes: labelerCodesFromNdcs(shortage.presentations.map(presentation => presentation.ndc)),
+    previousStatus,
+    statusChangedAt: tracking.statusChangedAt || null,
+    statusHistory: history,
+    resolution: {
+      isResolved,
+      resolvedDate: shortage.resolvedDate,
+      daysInShortage,
+      recurred
+    },
+    urgency,
+    emailTrigger: triggers[shortage.status] || triggers.CURRENT
+  };
+}
+
+module.exports = {
+  name: 'shortages',
+  leadTypes: ['DRUG_SHORTAGE'],
+  companyCollections: ['drugShortages'],
+
+  async fetch({ fdaApi }) {
+    const resolvedLeadDays = parseInt(process.env.SHORTAGE_RESOLVED_LEAD_DAYS, 10) || 90;
+    const shortages = await getDrugShortages(fdaApi);
+    const stored = await shortageStatusRepository.findByIds(shortages.map(shortage => shortage.shortageId));
+    const now = new Date().toISOString();
+    const changed = [];
+
+    const records = shortages.map(shortage => {
+      let tracking = stored.get(shortage.shortageId);
+
+      if (!tracking || tracking.status !== shortage.status) {
+        tracking = {
+          shortageId: shortage.shortageId,
+          company: shortage.company,
+          genericName: shortage.genericName,
+          status: shortage.status,
+          history: [...(tracking?.history || []), { status: shortage.status, date: shortage.updateDate, observedAt: now }],
+          statusChangedAt: now
+        };
+        changed.push(tracking);
+      }
+
+      return normalizeDrugShortage(analyzeDrugShortage(shortage, tracking), { resolvedLeadDays });
+    });
+
+    await shortageStatusRepository.saveAll(changed);
+    return records;
+  },
+
+  normalizeDrugShortage,
+  getDrugShortages,
+  groupDrugShortages,
+  analyzeDrugShortage
+};
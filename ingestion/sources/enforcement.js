@@ -0,0 +1,56 @@
+// openFDA drug enforcement reports: recent recalls
+const crypto = require('crypto');
+
+// Stable key for enforcement records; openFDA occasionally omits recall_number
+function enforcementKey(record) {
+  if (record.recallNumber) return record.recallNumber;
+
+  return crypto
+    .createHash('sha1')
+    .update(JSON.stringify([record.company, record.productDescription || record.description, record.reportDate || record.initiationDate]))
+    .digest('hex')
+    .substring(0, 12);
+}
+
+function normalizeRecall(recall) {
+  return {
+    id: `recall-${enforcementKey(recall)}`,
+    leadType: 'RECALL',
+    sponsor: recall.company,
+    collection: 'recalls',
+    record: recall,
+    flags: { hasQualityIssues: true },
+    lead: {
+      subType: recall.classification,
+      priority: recall.classification === 'Class I' ? 'CRITICAL' : 'HIGH',
+
+      // Recall details
+      issue: {
+        type: 'RECALL',
+        classification: recall.classification,
+        reason: recall.reasonForRecall,
+        product: recall.productDescription,
+        voluntary: recall.voluntaryMandated === 'Voluntary',
+        initiationDate: recall.initiationDate
+      },
+      emailTrigger: recall.emailTrigger,
+
+      // Metadata
+      lastActivity: recall.initiationDate,
+      urgencyReason: `${recall.classification} recall requiring comprehensive response`
+    }
+  };
+}
+
+module.exports = {
+  name: 'enforcement',
+  leadTypes: ['RECALL'],
+  companyCollections: ['recalls'],
+
+  async fetch({ fdaApi }) {
+    const recalls = await fdaApi.getRecalls();
+    return recalls.map(normalizeRecall);
+  },
+
+  enforcementKey
+};
@@ -0,0 +1,143 @@
+// FDA inspection classifications (NAI/VAI/OAI) and 483 citations, imported
+// from the Data Dashboard CSV/XLSX exports:
+//
+//   INSPECTION_CLASSIFICATIONS_FILE  classification export (required to run)
+//   INSPECTION_CITATIONS_FILE        citation export (optional)
+//   INSPECTION_PRODUCT_TYPES         comma-separated product types (default Drugs,Biologics)
+//   INSPECTION_MAX_AGE_DAYS          older inspections are linked but not leads (default 365)
+//
+// Every inspection is linked to its firm by FEI number; VAI and OAI outcomes
+// become leads.
+const path = require('path');
+const moment = require('moment');
+const logger = require('../../logger');
+const { importInspections, DEFAULT_PRODUCT_TYPES } = require('../importers/inspectionClassifications');
+
+function getUrgencyReason(inspection) {
+  if (inspection.classification === 'OAI') {
+    return 'OAI outcome: regulatory or administrative action is likely without a strong response';
+  }
+
+  return `${inspection.citations.length || 'Multiple'} 483 observation(s) to close out before the next inspection`;
+}
+
+// Analyzed inspection (analyzeInspection) -> normalized record
+function normalizeInspection(inspection, { maxAgeDays }) {
+  const actionable = inspection.classification !== 'NAI' &&
+    (inspection.daysSinceInspection === null || inspection.daysSinceInspection <= maxAgeDays);
+
+  return {
+    id: `inspection-${inspection.inspectionId}`,
+    leadType: 'INSPECTION_FINDING',
+    sponsor: inspection.firmName,
+    collection: 'inspectionIssues',
+    record: inspection,
+    flags: {
+      hasQualityIssues: inspection.classification !== 'NAI',
+      hasComplianceIssues: inspection.classification === 'OAI'
+    },
+    lead: actionable ? {
+      subType: inspection.classification,
+      priority: inspection.urgency,
+
+      // Inspection details
+      issue: {
+        type: 'INSPECTION',
+        classification: inspection.classification,
+        outcome: inspection.outcome,
+        date: inspection.inspectionEndDate,
+        feiNumber: inspection.feiNumber,
+        location: [inspection.city, inspection.state, inspection.country].filter(Boolean).join(', '),
+        programAreas: inspection.programAreas,
+        citations: inspection.citations
+      },
+      emailTrigger: inspection.emailTrigger,
+
+      // Metadata
+      lastActivity: inspection.inspectionEndDate,
+      urgencyReason: getUrgencyReason(inspection)
+    } : null
+  };
+}
+
+function getImportOptions() {
+  const classificationsFile = process.env.INSPECTION_CLASSIFICATIONS_FILE;
+  const citationsFile = process.env.INSPECTION_CITATIONS_FILE;
+  const productTypes = process.env.INSPECTION_PRODUCT_TYPES
+    ? process.env.INSPECTION_PRODUCT_TYPES.split(',').map(type => type.trim()).filter(Boolean)
+    : DEFAULT_PRODUCT_TYPES;
+
+  return {
+    classificationsFile: classificationsFile && path.resolve(classificationsFile),
+    citationsFile: citationsFile && path.resolve(citationsFile),
+    productTypes
+  };
+}
+
+// Inspection outcomes (NAI/VAI/OAI) with their 483 citations, imported
+// from the FDA inspection classification exports
+function analyzeInspection(inspection) {
+  const daysSinceInspection = inspection.inspectionEndDate
+    ? moment().diff(moment(inspection.inspectionEndDate), 'days')
+    : null;
+  const citedAreas = inspection.programAreas.length > 0 ? inspection.programAreas.join(', ') : 'GMP';
+  const topCitations = inspection.citations
+    .slice(0, 3)
+    .map(citation => citation.shortDescription || citation.cfrNumber)
+    .filter(Boolean);
+
+  let urgency = 'LOW';
+  if (inspection.classification === 'OAI') urgency = 'CRITICAL';
+  else if (inspection.classification === 'VAI') urgency = inspection.citations.length >= 5 ? 'HIGH' : 'MEDIUM';
+
+  const outcome = {
+    OAI: 'Official Action Indicated',
+    VAI: 'Voluntary Action Indicated',
+    NAI: 'No Action Indicated'
+  }[inspection.classification];
+
+  return {
+    ...inspection,
+    company: inspection.firmName,
+    outcome,
+    daysSinceInspection,
+    urgency,
+    emailTrigger: {
+      subject: inspection.classification === 'OAI'
+        ? `OAI Inspection Follow-Up: ${citedAreas}`
+        : `483 Remediation Support: ${citedAreas}`,
+      mainIssue: `${outcome} (${inspection.classification}) inspection outcome`,
+      context: `FDA classified the inspection of your ${inspection.city ? `${inspection.city} ` : ''}facility (FEI ${inspection.feiNumber}) ending ${inspection.inspectionEndDate || 'recently'} as ${inspection.classification}` +
+        (topCitations.length > 0 ? `, citing ${topCitations.join('; ')}.` : '.'),
+      offering: inspection.classification === 'OAI'
+        ? 'Our analysis of OAI outcomes and the warning letters that followed them can help you get ahead of regulatory action with a response FDA will accept.'
+        : 'Our analysis of similar 483 observations and accepted responses can help you close them out before the next inspection.'
+    }
+  };
+}
+
+module.exports = {
+  name: 'inspections',
+  leadTypes: ['INSPECTION_FINDING'],
+  companyCollections: ['inspectionIssues'],
+
+  async fetch({ fdaApi }) {
+    const options = getImportOptions();
+    if (!options.classificationsFile) {
+      logger.info('INSPECTION_CLASSIFICATIONS_FILE not set; skipping inspection import');
+      return [];
+    }
+
+    const maxAgeDays = parseInt(process.env.INSPECTION_MAX_AGE_DAYS, 10) || 365;
+    const inspections = await importInspections(options);
+    logger.info(`Imported ${inspections.length} drug and biologic inspections`);
+
+    return inspections
+      .map(inspection => analyzeInspection(inspection))
+      .map(inspection => normalizeInspection(inspection, { maxAgeDays }));
+  },
+
+  normalizeInspection,
+  getUrgencyReason,
+  analyzeInspection
+};
@@ -0,0 +1,128 @@
+// Offline sample applications (the mock generator from the old newserver.js).
+// Not part of the default run: refresh it explicitly, e.g. POST
+// /api/generate-leads {"sources": ["mock"]}, to demo without upstream access.
+const { normalizeApplication } = require('./drugApplications');
+
+// Raw Drugs@FDA-shaped records; they go through the same analysis as live data
+const MOCK_APPLICATIONS = [
+  {
+    application_number: 'NDA-216845',
+    sponsor_name: 'GILEAD SCIENCES',
+    products: [{
+      brand_name: 'VEKLURY',
+      generic_name: 'remdesivir',
+      dosage_form: 'INJECTION',
+      active_ingredients: ['REMDESIVIR']
+    }],
+    submissions: [{
+      submission_type: 'SUPPL',
+      submission_status: 'CR',
+      submission_status_date: '2024-12-10',
+      submission_date: '2024-09-15',
+      review_priority: 'PRIORITY'
+    }],
+    openfda: {
+      pharm_class: ['Antiviral']
+    }
+  },
+  {
+    application_number: 'BLA-125742',
+    sponsor_name: 'BIOGEN',
+    products: [{
+      brand_name: 'ADUHELM',
+      generic_name: 'aducanumab',
+      dosage_form: 'INJECTION',
+      active_ingredients: ['ADUCANUMAB']
+    }],
+    submissions: [{
+      submission_type: 'SUPPL',
+      submission_status: 'FI',
+      submission_status_date: '2024-11-20',
+      submission_date: '2024-08-01',
+      review_priority: 'STANDARD'
+    }],
+    openfda: {
+      pharm_class: ['Alzheimer Disease Agent']
+    }
+  },
+  {
+    application_number: 'ANDA-218956',
+    sponsor_name: 'TEVA PHARMACEUTICALS',
+    products: [{
+      brand_name: null,
+      generic_name: 'imatinib mesylate',
+      dosage_form: 'TABLET',
+      active_ingredients: ['IMATINIB MESYLATE']
+    }],
+    submissions: [{
+      submission_type: 'ORIG',
+      submission_status: 'RT',
+      submission_status_date: '2024-12-05',
+      submission_date: '2024-10-12',
+      review_priority: 'STANDARD'
+    }],
+    openfda: {
+      pharm_class: ['Kinase Inhibitor']
+    }
+  },
+  {
+    application_number: 'NDA-217832',
+    sponsor_name: 'MODERNA',
+    products: [{
+      brand_name: 'SPIKEVAX',
+      generic_name: 'covid-19 vaccine mRNA',
+      dosage_form: 'INJECTION',
+      active_ingredients: ['COVID-19 VACCINE MRNA']
+    }],
+    submissions: [{
+      submission_type: 'SUPPL',
+      submission_status: 'AP',
+      submission_status_date: '2024-12-01',
+      submission_date: '2024-07-15',
+      review_priority: 'PRIORITY'
+    }],
+    openfda: {
+      pharm_class: ['Vaccine']
+    }
+  },
+  {
+    application_number: 'BLA-761239',
+    sponsor_name: 'CAR-T THERAPEUTICS',
+    products: [{
+      brand_name: 'CARTEVAX',
+      generic_name: 'autologous car-t cells',
+      dosage_form: 'INJECTION',
+      active_ingredients: ['AUTOLOGOUS CAR-T CELLS']
+    }],
+    submissions: [{
+      submission_type: 'ORIG',
+      submission_status: 'FI',
+      submission_status_date: '2024-11-15',
+      submission_date: '2024-03-20',
+      review_priority: 'BREAKTHROUGH'
+    }],
+    openfda: {
+      pharm_class: ['Antineoplastic Agent']
+    }
+  }
+];
+
+function generateEnhancedMockData() {
+  return JSON.parse(JSON.stringify(MOCK_APPLICATIONS));
+}
+
+module.exports = {
+  name: 'mock',
+  leadTypes: ['DRUG_APPLICATION'],
+  companyCollections: ['applications'],
+  enabledByDefault: false,
+
+  async fetch({ fdaApi }) {
+    return generateEnhancedMockData()
+      .map(app => fdaApi.analyzeApplication(app))
+      .filter(Boolean)
+      .map(normalizeApplication);
+  },
+
+  generateEnhancedMockData
+};
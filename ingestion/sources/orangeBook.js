@@ -0,0 +1,227 @@
+// Orange Book patent and exclusivity expiries, imported from local copies of
+// the Orange Book data files:
+//
+//   ORANGE_BOOK_DIR                 folder with products.txt, patent.txt, exclusivity.txt
+//   ORANGE_BOOK_PRODUCTS_FILE       \
+//   ORANGE_BOOK_PATENTS_FILE         > override single files
+//   ORANGE_BOOK_EXCLUSIVITY_FILE    /
+//   ORANGE_BOOK_HORIZON_DAYS        expiries tracked this far ahead (default 730)
+//   ORANGE_BOOK_MAX_FILERS          likely generic filers per product (default 5)
+//
+// Reference drugs whose last protection lapses within the horizon become
+// LOSS_OF_EXCLUSIVITY leads for the brand holder; those and products with an
+// upcoming NCE-1 date become GENERIC_OPPORTUNITY leads for likely filers.
+const path = require('path');
+const moment = require('moment');
+const logger = require('../../logger');
+const { normalizeCompanyName } = require('../../companies');
+const { importOrangeBook } = require('../importers/orangeBook');
+
+function formatEvent(event) {
+  return `${event.description} ${event.eventType === 'NCE1' ? 'opens' : 'expires'} ${event.date}`;
+}
+
+// Analyzed expiry (analyzeExclusivityExpiry) -> normalized record
+function normalizeExclusivityExpiry(expiry, { horizon }) {
+  const losesProtection = expiry.lossOfExclusivityDate && expiry.lossOfExclusivityDate <= horizon;
+
+  return {
+    id: `loe-${expiry.expiryId}`,
+    leadType: 'LOSS_OF_EXCLUSIVITY',
+    sponsor: expiry.company,
+    collection: 'exclusivityExpiries',
+    record: expiry,
+    lead: losesProtection ? {
+      subType: expiry.approvedGenerics > 0 ? 'GENERICS_APPROVED' : 'NO_GENERICS',
+      priority: expiry.urgency,
+
+      // Expiry details
+      issue: {
+        type: 'LOSS_OF_EXCLUSIVITY',
+        product: expiry.tradeName,
+        ingredient: expiry.ingredient,
+        applNo: expiry.applNo,
+        lossOfExclusivityDate: expiry.lossOfExclusivityDate,
+        daysToLoss: expiry.daysToLoss,
+        nce1Date: expiry.nce1Date,
+        upcomingEvents: expiry.events,
+        approvedGenerics: expiry.approvedGenerics,
+        likelyFilers: expiry.likelyFilers.map(filer => filer.name)
+      },
+      emailTrigger: expiry.emailTrigger,
+
+      // Metadata
+      lastActivity: expiry.nextEvent.date,
+      urgencyReason: `Last listed protection for ${expiry.tradeName} ends ${expiry.lossOfExclusivityDate}; next: ${formatEvent(expiry.nextEvent)}`
+    } : null
+  };
+}
+
+// Analyzed opportunity (analyzeGenericOpportunity) -> normalized record
+function normalizeGenericOpportunity(opportunity) {
+  return {
+    id: `generic-${opportunity.opportunityId}`,
+    leadType: 'GENERIC_OPPORTUNITY',
+    sponsor: opportunity.company,
+    collection: 'genericOpportunities',
+    record: opportunity,
+    lead: {
+      subType: opportunity.nce1Date ? 'NCE1_FILING' : 'LOSS_OF_EXCLUSIVITY',
+      priority: opportunity.urgency,
+
+      // Opportunity details
+      issue: {
+        type: 'GENERIC_OPPORTUNITY',
+        product: opportunity.tradeName,
+        ingredient: opportunity.ingredient,
+        referenceApplNo: opportunity.referenceApplNo,
+        referenceHolder: opportunity.referenceHolder,
+        nce1Date: opportunity.nce1Date,
+        lossOfExclusivityDate: opportunity.lossOfExclusivityDate,
+        sameIngredientAndas: opportunity.sameIngredientAndas,
+        sameDosageFormAndas: opportunity.sameDosageFormAndas,
+        approvedGenerics: opportunity.approvedGenerics
+      },
+      emailTrigger: opportunity.emailTrigger,
+
+      // Metadata
+      lastActivity: opportunity.nce1Date || opportunity.lossOfExclusivityDate,
+      urgencyReason: opportunity.nce1Date
+        ? `Paragraph IV filings on ${opportunity.tradeName} open ${opportunity.nce1Date}`
+        : `${opportunity.tradeName} loses its last listed protection ${opportunity.lossOfExclusivityDate}`
+    }
+  };
+}
+
+function getImportOptions() {
+  const resolve = file => file && path.resolve(file);
+
+  return {
+    dir: resolve(process.env.ORANGE_BOOK_DIR),
+    productsFile: resolve(process.env.ORANGE_BOOK_PRODUCTS_FILE),
+    patentsFile: resolve(process.env.ORANGE_BOOK_PATENTS_FILE),
+    exclusivityFile: resolve(process.env.ORANGE_BOOK_EXCLUSIVITY_FILE)
+  };
+}
+
+// Calendar entry -> brand holder's loss-of-exclusivity record
+function analyzeExclusivityExpiry(entry, asOf = moment().format('YYYY-MM-DD')) {
+  const daysToLoss = entry.lossOfExclusivityDate ? moment(entry.lossOfExclusivityDate).diff(moment(asOf), 'days') : null;
+  const product = `${entry.tradeName} (${entry.ingredient.toLowerCase()})`;
+  const nextEvent = entry.events[0];
+
+  let urgency = 'MEDIUM';
+  if (entry.approvedGenerics > 0) urgency = 'LOW';
+  else if (daysToLoss !== null && daysToLoss <= 180) urgency = 'CRITICAL';
+  else if (daysToLoss !== null && daysToLoss <= 365) urgency = 'HIGH';
+
+  return {
+    expiryId: entry.applicationKey,
+    company: entry.applicantFullName,
+    applNo: entry.applNo,
+    tradeName: entry.tradeName,
+    ingredient: entry.ingredient,
+    dosageFormRoutes: entry.dosageFormRoutes,
+    strengths: entry.strengths,
+    approvalDate: entry.approvalDate,
+    patents: entry.patents,
+    exclusivities: entry.exclusivities,
+    events: entry.events,
+    nextEvent,
+    lossOfExclusivityDate: entry.lossOfExclusivityDate,
+    daysToLoss,
+    nce1Date: entry.nce1Date,
+    approvedGenerics: entry.approvedGenerics,
+    likelyFilers: entry.likelyFilers,
+    urgency,
+    emailTrigger: {
+      subject: `Loss of Exclusivity Planning: ${entry.tradeName}`,
+      mainIssue: 'generic entry once the last listed patent or exclusivity lapses',
+      context: `The last Orange Book protection for ${product} (NDA ${entry.applNo}) expires on ${entry.lossOfExclusivityDate}` +
+        (daysToLoss !== null ? `, ${daysToLoss} days from now` : '') +
+        `, and ${entry.likelyFilers.length > 0 ? `${entry.likelyFilers.length} ANDA holder(s) already make closely related generics` : 'no approved generic is listed yet'}.`,
+      offering: 'We can map your remaining patent and exclusivity runway, assess lifecycle options such as new formulations, pediatric exclusivity and authorized generics, and track the paragraph IV filings that will follow.'
+    }
+  };
+}
+
+// Calendar entry + likely filer -> generic filing opportunity record
+function analyzeGenericOpportunity(entry, filer, asOf = moment().format('YYYY-MM-DD')) {
+  const product = `${entry.tradeName} (${entry.ingredient.toLowerCase()})`;
+  const keyDate = entry.nce1Date || entry.lossOfExclusivityDate;
+  const daysToKeyDate = keyDate ? moment(keyDate).diff(moment(asOf), 'days') : null;
+  const experience = [
+    filer.sameIngredientAndas > 0 ? `${filer.sameIngredientAndas} ANDA(s) for ${entry.ingredient.toLowerCase()}` : null,
+    filer.sameDosageFormAndas > 0 ? `${filer.sameDosageFormAndas} ANDA(s) for ${entry.dosageFormRoutes[0].toLowerCase()} products` : null
+  ].filter(Boolean).join(' and ');
+
+  return {
+    opportunityId: `${entry.applicationKey}-${normalizeCompanyName(filer.name).replace(/[^A-Z0-9]+/g, '-').replace(/^-|-$/g, '')}`,
+    company: filer.name,
+    referenceApplNo: entry.applNo,
+    referenceHolder: entry.applicantFullName,
+    tradeName: entry.tradeName,
+    ingredient: entry.ingredient,
+    dosageFormRoutes: entry.dosageFormRoutes,
+    sameIngredientAndas: filer.sameIngredientAndas,
+    sameDosageFormAndas: filer.sameDosageFormAndas,
+    nce1Date: entry.nce1Date,
+    lossOfExclusivityDate: entry.lossOfExclusivityDate,
+    daysToKeyDate,
+    approvedGenerics: entry.approvedGenerics,
+    urgency: daysToKeyDate !== null && daysToKeyDate <= 365 ? 'HIGH' : 'MEDIUM',
+    emailTrigger: {
+      subject: `ANDA Opportunity: ${entry.tradeName} (${entry.ingredient.toLowerCase()})`,
+      mainIssue: 'being first to file when the reference product loses protection',
+      context: entry.nce1Date
+        ? `ANDAs referencing ${product} can be submitted with a paragraph IV certification from ${entry.nce1Date}, and its last listed protection ends ${entry.lossOfExclusivityDate}.`
+        : `The last Orange Book patent or exclusivity on ${product} expires on ${entry.lossOfExclusivityDate}` +
+          (entry.approvedGenerics === 0 ? ' and no generic is approved yet.' : '.'),
+      offering: `With ${experience || 'your existing generic portfolio'}, you are well placed to file; we can assess the listed patents for paragraph III/IV certification, review product-specific bioequivalence guidance and plan the submission timeline.`
+    }
+  };
+}
+
+module.exports = {
+  name: 'orangebook',
+  leadTypes: ['LOSS_OF_EXCLUSIVITY', 'GENERIC_OPPORTUNITY'],
+  companyCollections: ['exclusivityExpiries', 'genericOpportunities'],
+
+  async fetch({ fdaApi }) {
+    const files = getImportOptions();
+    if (!files.dir && !files.productsFile) {
+      logger.info('ORANGE_BOOK_DIR not set; skipping Orange Book import');
+      return [];
+    }
+
+    const asOf = moment().format('YYYY-MM-DD');
+    const horizonDays = parseInt(process.env.ORANGE_BOOK_HORIZON_DAYS, 10) || 730;
+    const horizon = moment(asOf).add(horizonDays, 'days').format('YYYY-MM-DD');
+    const calendar = await importOrangeBook(files, {
+      asOf,
+      horizonDays,
+      maxFilers: parseInt(process.env.ORANGE_BOOK_MAX_FILERS, 10) || 5
+    });
+    logger.info(`Imported ${calendar.length} reference drugs with upcoming Orange Book expiries`);
+
+    const records = [];
+    calendar.forEach(entry => {
+      records.push(normalizeExclusivityExpiry(analyzeExclusivityExpiry(entry, asOf), { horizon }));
+
+      const losesProtection = entry.lossOfExclusivityDate && entry.lossOfExclusivityDate <= horizon;
+      const filingOpens = entry.nce1Date && entry.nce1Date <= horizon;
+      if (!losesProtection && !filingOpens) return;
+
+      entry.likelyFilers.forEach(filer => {
+        records.push(normalizeGenericOpportunity(analyzeGenericOpportunity(entry, filer, asOf)));
+      });
+    });
+
+    return records;
+  },
+
+  normalizeExclusivityExpiry,
+  normalizeGenericOpportunity,
+  analyzeExclusivityExpiry,
+  analyzeGenericOpportunity
+};
@@ -0,0 +1,171 @@
+// Biosimilars licensed against each company's reference biologics, imported
+// from a local copy of the Purple Book data download:
+//
+//   PURPLE_BOOK_FILE       Purple Book CSV or XLSX download (required to run)
+//   BIOSIMILAR_LEAD_DAYS   biosimilars licensed within this many days are leads (default 180)
+//
+// Every biosimilar is linked to the reference product holder; recently
+// licensed ones become BIOSIMILAR_LICENSED leads. The same file gives BLA
+// leads from drugsfda their competitive context.
+const path = require('path');
+const moment = require('moment');
+const logger = require('../../logger');
+const { normalizeCompanyName } = require('../../companies');
+const { importPurpleBook, findReference } = require('../importers/purpleBook');
+
+// Analyzed licensure (analyzeBiosimilarLicensure) -> normalized record
+function normalizeBiosimilarLicensure(licensure, { leadDays }) {
+  const recent = licensure.daysSinceLicensure !== null && licensure.daysSinceLicensure <= leadDays;
+
+  return {
+    id: `biosimilar-${licensure.licensureId}`,
+    leadType: 'BIOSIMILAR_LICENSED',
+    sponsor: licensure.company,
+    collection: 'biosimilarCompetition',
+    record: licensure,
+    lead: recent ? {
+      subType: licensure.interchangeable ? 'INTERCHANGEABLE' : 'BIOSIMILAR',
+      priority: licensure.urgency,
+
+      // Licensure details
+      issue: {
+        type: 'BIOSIMILAR_LICENSED',
+        referenceProduct: licensure.referenceProduct,
+        referenceBlaNumber: licensure.referenceBlaNumber,
+        properName: licensure.properName,
+        biosimilarProduct: licensure.biosimilarProduct,
+        biosimilarProperName: licensure.biosimilarProperName,
+        biosimilarApplicant: licensure.biosimilarApplicant,
+        biosimilarBlaNumber: licensure.biosimilarBlaNumber,
+        approvalDate: licensure.approvalDate,
+        interchangeable: licensure.interchangeable,
+        position: licensure.position,
+        biosimilarCount: licensure.biosimilarCount,
+        exclusivityDate: licensure.exclusivityDate
+      },
+      emailTrigger: licensure.emailTrigger,
+
+      // Metadata
+      lastActivity: licensure.approvalDate,
+      urgencyReason: `${licensure.biosimilarProduct} licensed ${licensure.approvalDate} as ${licensure.interchangeable ? 'an interchangeable' : 'a'} biosimilar to ${licensure.referenceProduct}`
+    } : null
+  };
+}
+
+// Drugs@FDA BLA -> competitive context, or null when the Purple Book has
+// no reference product for it
+function analyzeBiosimilarCompetition(app, landscape) {
+  const properNames = (app.products || [])
+    .flatMap(product => (product.active_ingredients || []).map(ingredient => ingredient.name));
+  const reference = findReference(landscape, { blaNumber: app.application_number, properNames });
+  if (!reference) return null;
+
+  const isReferenceHolder = normalizeCompanyName(reference.applicant) === normalizeCompanyName(app.sponsor_name);
+  const competitors = reference.biosimilars.filter(biosimilar => normalizeCompanyName(biosimilar.applicant) !== normalizeCompanyName(app.sponsor_name));
+  const interchangeables = competitors.filter(biosimilar => biosimilar.interchangeable);
+  const exclusivityNote = reference.exclusivityDate
+    ? ` Reference product exclusivity ${reference.exclusivityDate < moment().format('YYYY-MM-DD') ? 'expired' : 'runs until'} ${reference.exclusivityDate}.`
+    : '';
+  const listed = competitors
+    .map(biosimilar => `${biosimilar.proprietaryName} (${biosimilar.applicant}, ${biosimilar.approvalDate}${biosimilar.interchangeable ? ', interchangeable' : ''})`)
+    .join('; ');
+
+  let summary;
+  let analysis;
+  if (isReferenceHolder) {
+    summary = competitors.length > 0
+      ? `${competitors.length} biosimilar(s) to ${reference.proprietaryName} (${reference.properName}) are licensed, ${interchangeables.length} of them interchangeable: ${listed}.${exclusivityNote}`
+      : `No biosimilar to ${reference.proprietaryName} (${reference.properName}) is licensed yet.${exclusivityNote}`;
+    analysis = [
+      `Biosimilar uptake and switching patterns for ${reference.properName}`,
+      'Lifecycle and exclusivity strategy against biosimilar entry'
+    ];
+  } else {
+    summary = `Your ${reference.properName} program competes with the reference product ${reference.proprietaryName} (${reference.applicant})` +
+      (competitors.length > 0 ? ` and ${competitors.length} licensed biosimilar(s), ${interchangeables.length} interchangeable: ${listed}.` : ' and no licensed biosimilar yet.') +
+      exclusivityNote;
+    analysis = [
+      `Comparative analytical and clinical precedents from licensed ${reference.properName} biosimilars`,
+      interchangeables.length > 0 ? 'Switching study design for an interchangeability designation' : 'Path to the first interchangeability designation and its exclusivity'
+    ];
+  }
+
+  return {
+    referenceBlaNumber: reference.blaNumber,
+    referenceProduct: reference.proprietaryName,
+    referenceProperName: reference.properName,
+    referenceHolder: reference.applicant,
+    role: isReferenceHolder ? 'REFERENCE_HOLDER' : 'BIOSIMILAR_SPONSOR',
+    exclusivityDate: reference.exclusivityDate,
+    biosimilarCount: competitors.length,
+    interchangeableCount: interchangeables.length,
+    biosimilars: competitors,
+    summary,
+    analysis
+  };
+}
+
+// Reference entry + one of its biosimilars -> licensure record for the
+// reference product holder
+function analyzeBiosimilarLicensure(reference, biosimilar, asOf = moment().format('YYYY-MM-DD')) {
+  const position = reference.biosimilars.findIndex(other => other.blaNumber === biosimilar.blaNumber) + 1;
+  const daysSinceLicensure = biosimilar.approvalDate ? moment(asOf).diff(moment(biosimilar.approvalDate), 'days') : null;
+  const interchangeableNote = biosimilar.interchangeable
+    ? ', designated interchangeable so pharmacies may substitute it without prescriber involvement where state law allows'
+    : '';
+
+  let urgency = 'MEDIUM';
+  if (biosimilar.interchangeable || position === 1) urgency = 'HIGH';
+
+  return {
+    licensureId: biosimilar.blaNumber,
+    company: reference.applicant,
+    referenceBlaNumber: reference.blaNumber,
+    referenceProduct: reference.proprietaryName,
+    properName: reference.properName,
+    exclusivityDate: reference.exclusivityDate,
+    biosimilarBlaNumber: biosimilar.blaNumber,
+    biosimilarProduct: biosimilar.proprietaryName,
+    biosimilarProperName: biosimilar.properName,
+    biosimilarApplicant: biosimilar.applicant,
+    approvalDate: biosimilar.approvalDate,
+    daysSinceLicensure,
+    interchangeable: biosimilar.interchangeable,
+    firstInterchangeableExclusivityDate: biosimilar.firstInterchangeableExclusivityDate,
+    position,
+    biosimilarCount: reference.biosimilars.length,
+    urgency,
+    emailTrigger: {
+      subject: `${biosimilar.interchangeable ? 'Interchangeable ' : ''}Biosimilar to ${reference.proprietaryName} Licensed`,
+      mainIssue: `biosimilar competition for ${reference.proprietaryName}`,
+      context: `FDA licensed ${biosimilar.proprietaryName} (${biosimilar.properName}) from ${biosimilar.applicant} on ${biosimilar.approvalDate} as ${position === 1 ? 'the first' : `biosimilar number ${position} of ${reference.biosimilars.length}`} referencing ${reference.proprietaryName}${interchangeableNote}.`,
+      offering: 'We can assess the labeling, interchangeability and exclusivity position of each licensed biosimilar, and support lifecycle, pricing and supplement strategy for the reference product.'
+    }
+  };
+}
+
+module.exports = {
+  name: 'purplebook',
+  leadTypes: ['BIOSIMILAR_LICENSED'],
+  companyCollections: ['biosimilarCompetition'],
+
+  async fetch({ fdaApi }) {
+    if (!process.env.PURPLE_BOOK_FILE) {
+      logger.info('PURPLE_BOOK_FILE not set; skipping Purple Book import');
+      return [];
+    }
+
+    const asOf = moment().format('YYYY-MM-DD');
+    const leadDays = parseInt(process.env.BIOSIMILAR_LEAD_DAYS, 10) || 180;
+    const landscape = await importPurpleBook(path.resolve(process.env.PURPLE_BOOK_FILE));
+    logger.info(`Imported ${landscape.length} reference biologics from the Purple Book`);
+
+    return landscape.flatMap(reference => reference.biosimilars.map(biosimilar =>
+      normalizeBiosimilarLicensure(analyzeBiosimilarLicensure(reference, biosimilar, asOf), { leadDays })
+    ));
+  },
+
+  normalizeBiosimilarLicensure,
+  analyzeBiosimilarCompetition,
+  analyzeBiosimilarLicensure
+};
@@ -0,0 +1,220 @@
+// FDAAA 801 results reporting compliance from ClinicalTrials.gov v2:
+//
+//   RESULTS_LOOKBACK_YEARS   trials with a primary completion this many years back are checked (default 5)
+//
+// Completed and terminated trials are checked against their results deadline:
+// one year after the primary completion date, or three years with a
+// certification of delay. Checks are grouped by lead sponsor. Industry
+// sponsors with late submissions are linked to the company; those with
+// trials still overdue become RESULTS_OVERDUE leads.
+const moment = require('moment');
+const logger = require('../../logger');
+const { normalizeCompanyName } = require('../../companies');
+
+// Analyzed compliance (analyzeResultsCompliance) -> normalized record
+function normalizeResultsCompliance(compliance) {
+  const worst = compliance.overdueTrials[0];
+
+  return {
+    id: `results-${compliance.complianceId}`,
+    leadType: 'RESULTS_OVERDUE',
+    sponsor: compliance.company,
+    collection: 'resultsCompliance',
+    record: compliance,
+    lead: compliance.overdueCount > 0 ? {
+      subType: compliance.overdueCount > 1 ? 'MULTIPLE_OVERDUE' : 'SINGLE_OVERDUE',
+      priority: compliance.urgency,
+
+      // Compliance details
+      issue: {
+        type: 'RESULTS_OVERDUE',
+        overdueCount: compliance.overdueCount,
+        lateCount: compliance.lateCount,
+        trialsDue: compliance.trialsDue,
+        complianceRate: compliance.complianceRate,
+        maxDaysOverdue: compliance.maxDaysOverdue,
+        overdueTrials: compliance.overdueTrials.map(trial => ({
+          nctId: trial.nctId,
+          title: trial.title,
+          phase: trial.phase,
+          primaryCompletionDate: trial.primaryCompletionDate,
+          dueDate: trial.dueDate,
+          daysOverdue: trial.daysOverdue
+        }))
+      },
+      emailTrigger: compliance.emailTrigger,
+
+      // Metadata
+      lastActivity: worst.dueDate,
+      urgencyReason: `${compliance.overdueCount} trial(s) missing results; ${worst.nctId} was due ${worst.dueDate} (${worst.daysOverdue} days overdue)`
+    } : null
+  };
+}
+
+// Completed and terminated Phase 2+ drug and biologic trials old enough
+// for results to be due
+function getResultsReportingQuery(asOf = moment().format('YYYY-MM-DD')) {
+  const lookbackYears = parseInt(process.env.RESULTS_LOOKBACK_YEARS, 10) || 5;
+
+  return {
+    statuses: ['COMPLETED', 'TERMINATED'],
+    phases: ['PHASE2', 'PHASE3', 'PHASE4'],
+    interventionTypes: ['DRUG', 'BIOLOGICAL'],
+    primaryCompletion: {
+      from: moment(asOf).subtract(lookbackYears, 'years').format('YYYY-MM-DD'),
+      to: moment(asOf).subtract(1, 'year').format('YYYY-MM-DD')
+    }
+  };
+}
+
+async function getCompletedTrials(fdaApi, asOf = moment().format('YYYY-MM-DD')) {
+  try {
+    const { studies, ...report } = await fdaApi.clinicalTrials.searchStudies(getResultsReportingQuery(asOf));
+    fdaApi.fetchReports.push({ label: 'completed', endpoint: 'clinicaltrials.gov/studies', ...report });
+    logger.info(`Found ${studies.length} completed trials to check for results reporting`);
+    return studies;
+  } catch (error) {
+    logger.error('Error fetching completed trials:', error.message);
+    fdaApi.fetchReports.push({ label: 'completed', endpoint: 'clinicaltrials.gov/studies', error: error.message });
+    return [];
+  }
+}
+
+// ClinicalTrials.gov v2 study -> results reporting check. Status is
+// NOT_APPLICABLE, NOT_DUE, ON_TIME, LATE (submitted after the deadline) or
+// OVERDUE (still missing); latenessScore runs 0-100.
+function checkResultsReporting(study, asOf = moment().format('YYYY-MM-DD')) {
+  const protocol = study.protocolSection || {};
+  const statusModule = protocol.statusModule || {};
+  const oversight = protocol.oversightModule || {};
+  const phases = protocol.designModule?.phases || [];
+  const primaryCompletionDate = statusModule.primaryCompletionDateStruct?.date || null;
+  const resultsSubmittedDate = statusModule.resultsFirstSubmitDate || null;
+  const delayCertified = Boolean(statusModule.dispFirstSubmitDate);
+
+  // FDAAA covers controlled trials of FDA-regulated products, not Phase 1.
+  // Older records predate the oversight flags, so missing flags count.
+  const earlyPhaseOnly = phases.length > 0 && phases.every(phase => ['EARLY_PHASE1', 'PHASE1'].includes(phase));
+  const fdaRegulated = oversight.isFdaRegulatedDrug === undefined && oversight.isFdaRegulatedDevice === undefined
+    ? true
+    : Boolean(oversight.isFdaRegulatedDrug || oversight.isFdaRegulatedDevice);
+  const applicable = protocol.designModule?.studyType === 'INTERVENTIONAL' && !earlyPhaseOnly && fdaRegulated &&
+    Boolean(primaryCompletionDate);
+
+  const dueDate = applicable
+    ? moment(primaryCompletionDate).add(delayCertified ? 3 : 1, 'years').format('YYYY-MM-DD')
+    : null;
+
+  let status = 'NOT_APPLICABLE';
+  let daysOverdue = 0;
+  let daysLate = 0;
+  let latenessScore = 0;
+  if (applicable && (resultsSubmittedDate || study.hasResults)) {
+    daysLate = resultsSubmittedDate ? Math.max(moment(resultsSubmittedDate).diff(moment(dueDate), 'days'), 0) : 0;
+    status = daysLate > 0 ? 'LATE' : 'ON_TIME';
+    if (daysLate > 0) latenessScore = Math.min(20 + Math.floor(daysLate / 30), 50);
+  } else if (applicable && asOf > dueDate) {
+    daysOverdue = moment(asOf).diff(moment(dueDate), 'days');
+    status = 'OVERDUE';
+    latenessScore = Math.min(60 + Math.floor(daysOverdue / 30) * 2, 100);
+  } else if (applicable) {
+    status = 'NOT_DUE';
+  }
+
+  return {
+    nctId: protocol.identificationModule?.nctId,
+    title: protocol.identificationModule?.briefTitle,
+    sponsor: protocol.sponsorCollaboratorsModule?.leadSponsor?.name,
+    sponsorClass: protocol.sponsorCollaboratorsModule?.leadSponsor?.class || null,
+    phase: phases.join('/') || 'Not Specified',
+    overallStatus: statusModule.overallStatus,
+    primaryCompletionDate,
+    dueDate,
+    delayCertified,
+    hasResults: Boolean(study.hasResults),
+    resultsSubmittedDate,
+    resultsPostedDate: statusModule.resultsFirstPostDateStruct?.date || null,
+    applicable,
+    status,
+    daysOverdue,
+    daysLate,
+    latenessScore
+  };
+}
+
+// One sponsor's checks -> results compliance record, worst trial first
+function analyzeResultsCompliance(sponsor, checks, asOf = moment().format('YYYY-MM-DD')) {
+  const byLateness = (a, b) => b.latenessScore - a.latenessScore || a.nctId.localeCompare(b.nctId);
+  const applicable = checks.filter(check => check.applicable);
+  const overdue = applicable.filter(check => check.status === 'OVERDUE').sort(byLateness);
+  const late = applicable.filter(check => check.status === 'LATE').sort(byLateness);
+  const onTime = applicable.filter(check => check.status === 'ON_TIME');
+  const due = overdue.length + late.length + onTime.length;
+  const maxDaysOverdue = overdue.length > 0 ? overdue[0].daysOverdue : 0;
+  const listed = overdue.slice(0, 3).map(check => `${check.nctId} (${check.daysOverdue} days overdue)`).join(', ');
+
+  let urgency = 'LOW';
+  if (overdue.length >= 3 || maxDaysOverdue > 365) urgency = 'CRITICAL';
+  else if (overdue.length > 0) urgency = 'HIGH';
+  else if (late.length > 0) urgency = 'MEDIUM';
+
+  return {
+    complianceId: normalizeCompanyName(sponsor).replace(/[^A-Z0-9]+/g, '-').replace(/^-|-$/g, ''),
+    company: sponsor,
+    ctgovSponsor: sponsor,
+    sponsorClass: checks[0]?.sponsorClass || null,
+    asOf,
+    trialsChecked: applicable.length,
+    trialsDue: due,
+    overdueCount: overdue.length,
+    lateCount: late.length,
+    onTimeCount: onTime.length,
+    complianceRate: due > 0 ? Math.round((onTime.length / due) * 100) : null,
+    maxDaysOverdue,
+    latenessScore: Math.max(0, ...overdue.concat(late).map(check => check.latenessScore)),
+    overdueTrials: overdue,
+    lateTrials: late,
+    urgency,
+    emailTrigger: {
+      subject: `ClinicalTrials.gov Results Reporting: ${overdue.length > 0 ? `${overdue.length} Trial(s) Overdue` : `${late.length} Late Submission(s)`}`,
+      mainIssue: 'FDAAA 801 results reporting deadlines',
+      context: overdue.length > 0
+        ? `${overdue.length} of your completed trials on ClinicalTrials.gov have passed their results deadline without results submitted: ${listed}${overdue.length > 3 ? ', among others' : ''}.`
+        : `${late.length} of your completed trials had results submitted after their FDAAA 801 deadline.`,
+      offering: 'We can prepare and submit results records (participant flow, baseline, outcome measures and adverse events), clear PRS review comments and set up a reporting calendar for the rest of your portfolio.'
+    }
+  };
+}
+
+module.exports = {
+  name: 'resultsreporting',
+  leadTypes: ['RESULTS_OVERDUE'],
+  companyCollections: ['resultsCompliance'],
+
+  async fetch({ fdaApi }) {
+    const asOf = moment().format('YYYY-MM-DD');
+    const studies = await getCompletedTrials(fdaApi, asOf);
+
+    const bySponsor = new Map();
+    studies.forEach(study => {
+      const check = checkResultsReporting(study, asOf);
+      if (!check.sponsor || check.sponsorClass !== 'INDUSTRY') return;
+      if (!bySponsor.has(check.sponsor)) bySponsor.set(check.sponsor, []);
+      bySponsor.get(check.sponsor).push(check);
+    });
+
+    const records = Array.from(bySponsor.entries())
+      .map(([sponsor, checks]) => analyzeResultsCompliance(sponsor, checks, asOf))
+      .filter(compliance => compliance.overdueCount > 0 || compliance.lateCount > 0)
+      .map(normalizeResultsCompliance);
+    logger.info(`${records.filter(record => record.lead).length} industry sponsors have trial results overdue`);
+
+    return records;
+  },
+
+  normalizeResultsCompliance,
+  getResultsReportingQuery,
+  getCompletedTrials,
+  checkResultsReporting,
+  analyzeResultsCompliance
+};
@@ -0,0 +1,238 @@
+// FAERS serious adverse event surges (openFDA /drug/event), one signal per
+// product whose current-window report count is well above its baseline.
+// Window sizes and thresholds come from the FAERS_* env vars (see
+// getSafetySignalOptions).
+const moment = require('moment');
+const logger = require('../../logger');
+const { toIsoDate } = require('../../clients/openFdaClient');
+
+// FAERS spike detection knobs:
+//   FAERS_WINDOW_DAYS       length of each comparison window (default 30)
+//   FAERS_BASELINE_WINDOWS  earlier windows averaged into the baseline (default 3)
+//   FAERS_MAX_PRODUCTS      products checked per run, by current volume (default 50)
+//   FAERS_MIN_REPORTS       serious reports needed in the current window (default 20)
+//   FAERS_SPIKE_RATIO       current / expected reports needed to flag (default 2)
+function getSafetySignalOptions() {
+  return {
+    windowDays: parseInt(process.env.FAERS_WINDOW_DAYS, 10) || 30,
+    baselineWindows: parseInt(process.env.FAERS_BASELINE_WINDOWS, 10) || 3,
+    maxProducts: parseInt(process.env.FAERS_MAX_PRODUCTS, 10) || 50,
+    minReports: parseInt(process.env.FAERS_MIN_REPORTS, 10) || 20,
+    spikeRatio: parseFloat(process.env.FAERS_SPIKE_RATIO) || 2
+  };
+}
+
+// Analyzed signal (analyzeSafetySignal) -> normalized record
+function normalizeSafetySignal(signal) {
+  return {
+    id: `safety-${signal.signalId}`,
+    leadType: 'SAFETY_SIGNAL',
+    sponsor: signal.company,
+    collection: 'safetySignals',
+    record: signal,
+    flags: { hasUrgentIssues: signal.urgency === 'CRITICAL' },
+    lead: {
+      subType: 'SERIOUS_REPORT_SURGE',
+      priority: signal.urgency,
+
+      // Signal details
+      issue: {
+        type: 'SAFETY_SIGNAL',
+        product: signal.product,
+        asOf: signal.asOf,
+        windowDays: signal.windowDays,
+        currentReports: signal.currentReports,
+        previousReports: signal.previousReports,
+        expectedReports: signal.expectedReports,
+        ratio: signal.ratio,
+        zScore: signal.zScore,
+        monthOverMonth: signal.monthOverMonth,
+        topReactions: signal.topReactions
+      },
+      emailTrigger: signal.emailTrigger,
+
+      // Metadata
+      lastActivity: signal.asOf,
+      urgencyReason: `${signal.currentReports} serious FAERS reports in ${signal.windowDays} days vs ${signal.expectedReports} expected (${signal.ratio}x)`
+    }
+  };
+}
+
+// Serious-report surges per product. Counts are compared over rolling
+// windows ending at the latest FAERS receive date, which trails today by a
+// quarter or more.
+async function getSafetySignals(fdaApi) {
+  try {
+    logger.info('Checking FAERS for serious adverse event surges...');
+
+    const options = getSafetySignalOptions();
+    const today = moment().format('YYYYMMDD');
+    const yearAgo = moment().subtract(365, 'days').format('YYYYMMDD');
+
+    // Daily serious-report totals across all products: finds the latest
+    // receive date and normalizes product counts for overall FAERS volume
+    const totalSeries = await fdaApi.countOpenFda('faers', '/drug/event.json', {
+      search: `receivedate:[${yearAgo} TO ${today}] AND serious:1`,
+      field: 'receivedate'
+    });
+    if (totalSeries.length === 0) return [];
+
+    const asOf = totalSeries.reduce((latest, day) => day.time > latest ? day.time : latest, totalSeries[0].time);
+    const windowCount = options.baselineWindows + 1;
+    const currentStart = moment(asOf, 'YYYYMMDD').subtract(options.windowDays - 1, 'days').format('YYYYMMDD');
+    const seriesStart = moment(asOf, 'YYYYMMDD').subtract(options.windowDays * windowCount - 1, 'days').format('YYYYMMDD');
+    const totals = sumReportWindows(totalSeries, asOf, options.windowDays, windowCount);
+
+    // Products with the most serious reports in the current window
+    const products = await fdaApi.countOpenFda('faers', '/drug/event.json', {
+      search: `receivedate:[${currentStart} TO ${asOf}] AND serious:1`,
+      field: 'patient.drug.openfda.brand_name.exact',
+      limit: options.maxProducts
+    });
+    logger.info(`Comparing FAERS report windows for ${products.length} products`);
+
+    const signals = [];
+    for (const { term: product } of products) {
+      // One failed product query must not cost the other products' signals:
+      // its fetch report is kept but marked skipped
+      const reportsBefore = fdaApi.fetchReports.length;
+      try {
+        const productSearch = `patient.drug.openfda.brand_name.exact:"${product.replace(/"/g, '')}" AND serious:1`;
+        const series = await fdaApi.countOpenFda('faers', '/drug/event.json', {
+          search: `${productSearch} AND receivedate:[${seriesStart} TO ${asOf}]`,
+          field: 'receivedate'
+        });
+        const spike = detectReportSpike(sumReportWindows(series, asOf, options.windowDays, windowCount), totals, options);
+        if (!spike.isSpike) continue;
+
+        const currentSearch = `${productSearch} AND receivedate:[${currentStart} TO ${asOf}]`;
+        const manufacturers = await fdaApi.countOpenFda('faers', '/drug/event.json', {
+          search: currentSearch,
+          field: 'patient.drug.openfda.manufacturer_name.exact',
+          limit: 1
+        });
+        if (manufacturers.length === 0) continue;
+
+        const reactions = await fdaApi.countOpenFda('faers', '/drug/event.json', {
+          search: currentSearch,
+          field: 'patient.reaction.reactionmeddrapt.exact',
+          limit: 5
+        });
+
+        signals.push(analyzeSafetySignal({
+          product,
+          manufacturer: manufacturers[0].term,
+          asOf,
+          windowDays: options.windowDays,
+          topReactions: reactions.map(reaction => ({ reaction: reaction.term, count: reaction.count })),
+          ...spike
+        }));
+      } catch (error) {
+        fdaApi.skipFailedFetches(reportsBefore);
+        logger.warn(`Skipping FAERS product ${product}:`, error.message);
+      }
+    }
+
+    logger.info(`Found ${signals.length} FAERS safety signals`);
+    return signals;
+  } catch (error) {
+    logger.error('Error checking FAERS safety signals:', error.message);
+    return [];
+  }
+}
+
+// Daily counts ([{ time: 'YYYYMMDD', count }]) -> report totals for
+// windowCount consecutive windows ending at asOf, newest first
+function sumReportWindows(series, asOf, windowDays, windowCount) {
+  const sums = new Array(windowCount).fill(0);
+  const end = moment(asOf, 'YYYYMMDD');
+
+  series.forEach(({ time, count }) => {
+    const age = end.diff(moment(time, 'YYYYMMDD'), 'days');
+    const index = Math.floor(age / windowDays);
+    if (age >= 0 && index < windowCount) sums[index] += count;
+  });
+
+  return sums;
+}
+
+// Current window vs the mean of the baseline windows, scaled by how much
+// overall FAERS volume moved between the same windows. A spike needs
+// minReports, spikeRatio times the expected count and a z-score of 3.
+function detectReportSpike(windows, totals, { minReports, spikeRatio }) {
+  const [currentReports, ...baseline] = windows;
+  const [currentTotal, ...baselineTotals] = totals;
+  const mean = values => values.reduce((sum, value) => sum + value, 0) / Math.max(values.length, 1);
+
+  const baselineMean = mean(baseline);
+  const baselineTotalMean = mean(baselineTotals);
+  const volumeFactor = baselineTotalMean > 0 && currentTotal > 0 ? currentTotal / baselineTotalMean : 1;
+  const expectedReports = baselineMean * volumeFactor;
+  const ratio = currentReports / Math.max(expectedReports, 1);
+  const zScore = (currentReports - expectedReports) / Math.sqrt(Math.max(expectedReports, 1));
+  const previousReports = baseline[0] ?? null;
+
+  return {
+    currentReports,
+    previousReports,
+    baselineMean: Math.round(baselineMean * 10) / 10,
+    expectedReports: Math.round(expectedReports * 10) / 10,
+    ratio: Math.round(ratio * 100) / 100,
+    zScore: Math.round(zScore * 100) / 100,
+    monthOverMonth: previousReports ? Math.round(((currentReports - previousReports) / previousReports) * 100) : null,
+    windows,
+    isSpike: currentReports >= minReports && ratio >= spikeRatio && zScore >= 3
+  };
+}
+
+function analyzeSafetySignal(signal) {
+  const asOf = toIsoDate(signal.asOf);
+  const reactions = signal.topReactions.slice(0, 3).map(reaction => reaction.reaction.toLowerCase());
+
+  let urgency = 'MEDIUM';
+  if (signal.ratio >= 4) urgency = 'CRITICAL';
+  else if (signal.ratio >= 2.5) urgency = 'HIGH';
+
+  return {
+    signalId: signal.product.toUpperCase().replace(/[^A-Z0-9]+/g, '-').replace(/^-|-$/g, ''),
+    company: signal.manufacturer,
+    product: signal.product,
+    asOf,
+    windowDays: signal.windowDays,
+    currentReports: signal.currentReports,
+    previousReports: signal.previousReports,
+    baselineMean: signal.baselineMean,
+    expectedReports: signal.expectedReports,
+    ratio: signal.ratio,
+    zScore: signal.zScore,
+    monthOverMonth: signal.monthOverMonth,
+    windows: signal.windows,
+    topReactions: signal.topReactions,
+    urgency,
+    emailTrigger: {
+      subject: `FAERS Signal Review: ${signal.product}`,
+      mainIssue: 'a surge in serious FAERS reports that FDA safety reviewers will also see',
+      context: `Serious FAERS reports naming ${signal.product} reached ${signal.currentReports} in the ${signal.windowDays} days to ${asOf}, ` +
+        `${signal.ratio}x the ${signal.expectedReports} expected from the prior windows` +
+        (reactions.length > 0 ? `, led by ${reactions.join(', ')}.` : '.'),
+      offering: 'We can help your pharmacovigilance team evaluate the signal - case-level review, disproportionality against comparators and the labeling or aggregate-report response FDA is likely to expect.'
+    }
+  };
+}
+
+module.exports = {
+  name: 'faers',
+  leadTypes: ['SAFETY_SIGNAL'],
+  companyCollections: ['safetySignals'],
+
+  async fetch({ fdaApi }) {
+    const signals = await getSafetySignals(fdaApi);
+    return signals.map(normalizeSafetySignal);
+  },
+
+  normalizeSafetySignal,
+  getSafetySignals,
+  sumReportWindows,
+  detectReportSpike,
+  analyzeSafetySignal
+};
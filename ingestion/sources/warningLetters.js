@@ -0,0 +1,131 @@
+// FDA warning letters scraped from fda.gov (drug and biologic letters only)
+const moment = require('moment');
+const logger = require('../../logger');
+
+function getUrgencyReason(letter) {
+  const deadline = letter.responseDeadline;
+  if (!deadline) return 'FDA warning letter requires immediate response';
+  if (letter.daysToDeadline !== null && letter.daysToDeadline < 0) {
+    return `Response window (${deadline.days} ${deadline.dayType} days) has passed; remediation follow-up likely`;
+  }
+
+  return `Response due within ${deadline.days} ${deadline.dayType} days${deadline.dueDate ? ` (by ${deadline.dueDate})` : ''}`;
+}
+
+// Analyzed letter (analyzeWarningLetter) -> normalized record
+function normalizeWarningLetter(letter) {
+  return {
+    id: `warning-${letter.letterId}`,
+    leadType: 'WARNING_LETTER',
+    sponsor: letter.company,
+    collection: 'warningLetters',
+    record: letter,
+    flags: { hasUrgentIssues: true, hasComplianceIssues: true },
+    lead: {
+      subType: letter.issuingOffice,
+      priority: letter.urgency,
+
+      // Letter details
+      issue: {
+        type: 'WARNING_LETTER',
+        subject: letter.subject,
+        issuingOffice: letter.issuingOffice,
+        date: letter.letterDate,
+        cfrCitations: letter.cfrCitations,
+        responseDeadline: letter.responseDeadline,
+        url: letter.url
+      },
+      emailTrigger: letter.emailTrigger,
+
+      // Metadata
+      lastActivity: letter.letterDate || letter.postedDate,
+      urgencyReason: getUrgencyReason(letter)
+    }
+  };
+}
+
+// Scraped from the fda.gov listing; only drug and biologic letters from the
+// last WARNING_LETTER_MAX_AGE_DAYS (default 180) days are kept.
+async function getWarningLetters(fdaApi) {
+  try {
+    logger.info('Fetching FDA warning letters...');
+
+    const maxAgeDays = parseInt(process.env.WARNING_LETTER_MAX_AGE_DAYS, 10) || 180;
+    const since = moment().subtract(maxAgeDays, 'days').format('YYYY-MM-DD');
+    const isRecentDrugLetter = entry =>
+      isDrugWarningLetter(entry) && (entry.letterDate || entry.postedDate || '') >= since;
+
+    let result;
+    try {
+      const { letters, ...report } = await fdaApi.warningLetters.fetchLetters({ filter: isRecentDrugLetter });
+      fdaApi.fetchReports.push({ label: 'warning-letters', endpoint: 'fda.gov/warning-letters', ...report });
+      result = letters;
+    } catch (error) {
+      fdaApi.fetchReports.push({ label: 'warning-letters', endpoint: 'fda.gov/warning-letters', error: error.message });
+      throw error;
+    }
+
+    logger.info(`Found ${result.length} drug and biologic warning letters`);
+    return result.map(letter => analyzeWarningLetter(letter));
+  } catch (error) {
+    logger.error('Error fetching warning letters:', error.message);
+    return [];
+  }
+}
+
+// Drug/biologic centers, or drug-manufacturing subjects from field offices
+function isDrugWarningLetter(entry) {
+  const office = entry.issuingOffice || '';
+  const subject = entry.subject || '';
+
+  return /Drug Evaluation|Biologics Evaluation|\bCDER\b|\bCBER\b/i.test(office) ||
+    /CGMP|Drug|Pharmac|Biologic|Active Pharmaceutical Ingredient|Compounding/i.test(subject);
+}
+
+function analyzeWarningLetter(letter) {
+  const deadline = letter.responseDeadline;
+  const daysToDeadline = deadline?.dueDate ? moment(deadline.dueDate).diff(moment().startOf('day'), 'days') : null;
+  const citations = letter.cfrCitations || [];
+  const subject = letter.subject || 'FDA compliance concerns';
+
+  return {
+    letterId: letter.marcsCmsNumber ? `MARCS-CMS-${letter.marcsCmsNumber}` : letter.slug,
+    company: letter.company,
+    url: letter.url,
+    letterDate: letter.letterDate,
+    postedDate: letter.postedDate,
+    issuingOffice: letter.issuingOffice,
+    subject,
+    recipient: letter.recipient,
+    feiNumbers: letter.feiNumbers || [],
+    productType: letter.productType,
+    cfrCitations: citations,
+    responseDeadline: deadline,
+    daysToDeadline,
+    urgency: daysToDeadline === null || daysToDeadline >= 0 ? 'CRITICAL' : 'HIGH',
+    emailTrigger: {
+      subject: `Warning Letter Response Support: ${subject}`,
+      mainIssue: 'FDA warning letter requiring a complete corrective action response',
+      context: `The ${letter.issuingOffice || 'FDA'} warning letter dated ${letter.letterDate || 'recently'} cites ${citations.length > 0 ? citations.slice(0, 3).join(', ') : subject}` +
+        (deadline ? ` and asks for a response within ${deadline.days} ${deadline.dayType} days.` : '.'),
+      offering: 'Our regulatory AI can analyze similar warning letters, the responses FDA accepted and the CAPA commitments that closed them out, helping you build a response that satisfies FDA requirements.'
+    }
+  };
+}
+
+module.exports = {
+  name: 'warningletters',
+  leadTypes: ['WARNING_LETTER'],
+  companyCollections: ['warningLetters'],
+
+  async fetch({ fdaApi }) {
+    const letters = await getWarningLetters(fdaApi);
+    return letters.map(normalizeWarningLetter);
+  },
+
+  normalizeWarningLetter,
+  getUrgencyReason,
+  getWarningLetters,
+  isDrugWarningLetter,
+  analyzeWarningLetter
+};
@@ -1,1345 +0,0 @@
-// Enhanced FDA Lead Generation Backend - MVP with Real Data
-// Fixes generic placeholders and provides specific regulatory intelligence
-
-const express = require('express');
-const axios = require('axios');
-const cors = require('cors');
-const winston = require('winston');
-const moment = require('moment');
-
-const app = express();
-app.use(express.json());
-app.use(cors());
-
-// Configure Winston logger
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.json(),
-  transports: [
-    new winston.transports.Console({
-      format: winston.format.simple()
-    })
-  ]
-});
-
-// Enhanced data store
-const dataStore = {
-  companies: new Map(),
-  leads: [],
-  clinicalTrials: [],
-  drugApplications: [],
-  warningLetters: [],
-  recalls: [],
-  inspections: [],
-  statistics: {}
-};
-
-// Real regulatory intelligence generator
-class RegulatoryIntelligenceEngine {
-  constructor() {
-    this.fdaBaseUrl = 'https://api.fda.gov';
-    this.clinicalTrialsUrl = 'https://clinicaltrials.gov/api/v2';
-    
-    // Real FDA division data for specific insights
-    this.fdaDivisions = {
-      'ONCOLOGY': {
-        division: 'Division of Oncology Products (DOP)',
-        commonConcerns: ['Overall Survival endpoints', 'Accelerated approval conversions', 'Biomarker validation'],
-        reviewTimeline: '10-12 months',
-        keyReviewers: ['Dr. Richard Pazdur', 'Dr. Julia Beaver']
-      },
-      'CNS': {
-        division: 'Division of Neurology Products (DNP)',
-        commonConcerns: ['CNS penetration', 'Cognitive assessments', 'Long-term safety'],
-        reviewTimeline: '12-14 months',
-        keyReviewers: ['Dr. Eric Bastings', 'Dr. Tiffany Farchione']
-      },
-      'CARDIOVASCULAR': {
-        division: 'Division of Cardiology and Nephrology (DCN)',
-        commonConcerns: ['MACE endpoints', 'CV safety studies', 'Real-world evidence'],
-        reviewTimeline: '10-12 months',
-        keyReviewers: ['Dr. Norman Stockbridge', 'Dr. Mary Parks']
-      }
-    };
-
-    // Real therapeutic area classifications
-    this.therapeuticClassifier = {
-      'ONCOLOGY': ['cancer', 'tumor', 'carcinoma', 'lymphoma', 'leukemia', 'melanoma', 'sarcoma'],
-      'CNS': ['alzheimer', 'parkinson', 'depression', 'epilepsy', 'migraine', 'schizophrenia'],
-      'CARDIOVASCULAR': ['heart', 'cardiac', 'hypertension', 'cholesterol', 'stroke'],
-      'METABOLIC': ['diabetes', 'obesity', 'metabolic', 'thyroid'],
-      'IMMUNOLOGY': ['rheumatoid', 'psoriasis', 'crohn', 'lupus', 'immune'],
-      'INFECTIOUS': ['antibiotic', 'antiviral', 'infection', 'pneumonia'],
-      'RARE_DISEASE': ['orphan', 'rare', 'syndrome', 'dystrophy']
-    };
-
-    // Real submission status meanings
-    this.statusTranslator = {
-      'AP': 'APPROVED',
-      'CR': 'COMPLETE_RESPONSE_LETTER', 
-      'RT': 'REFUSE_TO_FILE',
-      'FI': 'FILED_UNDER_REVIEW',
-      'TA': 'TENTATIVE_APPROVAL',
-      'WD': 'WITHDRAWN'
-    };
-  }
-
-  // Enhanced FDA Application Analysis with Real Intelligence
-  async getPharmaApplicationsWithIntelligence() {
-    try {
-      logger.info('Fetching FDA applications with enhanced intelligence...');
-      
-      const endDate = moment().format('YYYYMMDD');
-      const startDate = moment().subtract(365, 'days').format('YYYYMMDD');
-      
-      const applications = await this.fetchFDAApplications(startDate, endDate);
-      
-      const enhancedApplications = [];
-      for (const app of applications) {
-        try {
-          const enhanced = await this.generateRealRegulatoryIntelligence(app);
-          if (enhanced) {
-            enhancedApplications.push(enhanced);
-          }
-        } catch (error) {
-          logger.warn('Failed to enhance application:', error.message);
-        }
-      }
-      
-      return this.prioritizeByRegulatoryUrgency(enhancedApplications);
-    } catch (error) {
-      logger.error('Error in enhanced FDA analysis:', error.message);
-      return [];
-    }
-  }
-
-  async fetchFDAApplications(startDate, endDate) {
-    try {
-      const response = await axios.get(`${this.fdaBaseUrl}/drug/drugsfda.json`, {
-        params: {
-          search: `submissions.submission_status_date:[${startDate} TO ${endDate}]`,
-          limit: 100
-        },
-        timeout: 30000
-      });
-
-      return response.data?.results || [];
-    } catch (error) {
-      logger.warn('FDA API unavailable, using enhanced mock data...');
-      return this.generateEnhancedMockData();
-    }
-  }
-
-  // Generate realistic mock data with real regulatory intelligence
-  generateEnhancedMockData() {
-    const mockApplications = [
-      {
-        application_number: 'NDA-216845',
-        sponsor_name: 'GILEAD SCIENCES',
-        products: [{
-          brand_name: 'VEKLURY',
-          generic_name: 'remdesivir',
-          dosage_form: 'INJECTION',
-          active_ingredients: ['REMDESIVIR']
-        }],
-        submissions: [{
-          submission_type: 'SUPPL',
-          submission_status: 'CR',
-          submission_status_date: '2024-12-10',
-          submission_date: '2024-09-15',
-          review_priority: 'PRIORITY'
-        }],
-        openfda: {
-          pharm_class: ['Antiviral']
-        }
-      },
-      {
-        application_number: 'BLA-125742',
-        sponsor_name: 'BIOGEN',
-        products: [{
-          brand_name: 'ADUHELM',
-          generic_name: 'aducanumab',
-          dosage_form: 'INJECTION',
-          active_ingredients: ['ADUCANUMAB']
-        }],
-        submissions: [{
-          submission_type: 'SUPPL',
-          submission_status: 'FI',
-          submission_status_date: '2024-11-20',
-          submission_date: '2024-08-01',
-          review_priority: 'STANDARD'
-        }],
-        openfda: {
-          pharm_class: ['Alzheimer Disease Agent']
-        }
-      },
-      {
-        application_number: 'ANDA-218956',
-        sponsor_name: 'TEVA PHARMACEUTICALS',
-        products: [{
-          brand_name: null,
-          generic_name: 'imatinib mesylate',
-          dosage_form: 'TABLET',
-          active_ingredients: ['IMATINIB MESYLATE']
-        }],
-        submissions: [{
-          submission_type: 'ORIG',
-          submission_status: 'RT',
-          submission_status_date: '2024-12-05',
-          submission_date: '2024-10-12',
-          review_priority: 'STANDARD'
-        }],
-        openfda: {
-          pharm_class: ['Kinase Inhibitor']
-        }
-      },
-      {
-        application_number: 'NDA-217832',
-        sponsor_name: 'MODERNA',
-        products: [{
-          brand_name: 'SPIKEVAX',
-          generic_name: 'covid-19 vaccine mRNA',
-          dosage_form: 'INJECTION',
-          active_ingredients: ['COVID-19 VACCINE MRNA']
-        }],
-        submissions: [{
-          submission_type: 'SUPPL',
-          submission_status: 'AP',
-          submission_status_date: '2024-12-01',
-          submission_date: '2024-07-15',
-          review_priority: 'PRIORITY'
-        }],
-        openfda: {
-          pharm_class: ['Vaccine']
-        }
-      },
-      {
-        application_number: 'BLA-761239',
-        sponsor_name: 'CAR-T THERAPEUTICS',
-        products: [{
-          brand_name: 'CARTEVAX',
-          generic_name: 'autologous car-t cells',
-          dosage_form: 'INJECTION',
-          active_ingredients: ['AUTOLOGOUS CAR-T CELLS']
-        }],
-        submissions: [{
-          submission_type: 'ORIG',
-          submission_status: 'FI',
-          submission_status_date: '2024-11-15',
-          submission_date: '2024-03-20',
-          review_priority: 'BREAKTHROUGH'
-        }],
-        openfda: {
-          pharm_class: ['Antineoplastic Agent']
-        }
-      }
-    ];
-
-    return mockApplications;
-  }
-
-  // Generate real regulatory intelligence for each application
-  async generateRealRegulatoryIntelligence(app) {
-    try {
-      const basicInfo = this.extractBasicInfo(app);
-      if (!basicInfo) return null;
-
-      // Determine real therapeutic area
-      const therapeuticArea = this.classifyTherapeuticArea(app);
-      
-      // Get FDA division info
-      const divisionInfo = this.fdaDivisions[therapeuticArea] || this.fdaDivisions['OTHER'];
-      
-      // Generate specific regulatory intelligence
-      const regulatoryIntelligence = this.generateSpecificIntelligence(app, therapeuticArea);
-      
-      // Calculate real urgency based on regulatory factors
-      const urgencyAssessment = this.calculateRegulatoryUrgency(app);
-      
-      // Generate specific business opportunity
-      const businessOpportunity = this.generateBusinessOpportunity(app, regulatoryIntelligence);
-
-      return {
-        id: `app-${app.application_number}`,
-        companyName: app.sponsor_name,
-        leadType: 'DRUG_APPLICATION',
-        priority: urgencyAssessment.priority,
-        score: urgencyAssessment.score,
-        
-        // Application details
-        applicationNumber: app.application_number,
-        submissionType: this.determineSubmissionType(app),
-        status: this.translateStatus(app),
-        products: basicInfo.products,
-        
-        // Real regulatory intelligence
-        therapeuticArea: therapeuticArea,
-        divisionInfo: divisionInfo,
-        regulatoryIntelligence: regulatoryIntelligence,
-        urgencyReason: regulatoryIntelligence.specificIssue,
-        
-        // Business context
-        estimatedOpportunityValue: businessOpportunity.value,
-        timelineUrgency: regulatoryIntelligence.timeline,
-        keyStakeholders: this.identifyKeyStakeholders(therapeuticArea),
-        
-        // Enhanced issues with specific details
-        issues: regulatoryIntelligence.issues,
-        specificChallenges: regulatoryIntelligence.challenges,
-        
-        // Metadata
-        lastActivity: this.getLastActivityDate(app),
-        createdAt: new Date().toISOString(),
-        dataQuality: 95 // High quality enhanced data
-      };
-    } catch (error) {
-      logger.error('Error generating regulatory intelligence:', error.message);
-      return null;
-    }
-  }
-
-  classifyTherapeuticArea(app) {
-    const product = app.products?.[0];
-    const pharmClass = app.openfda?.pharm_class || [];
-    const productName = (product?.brand_name || product?.generic_name || '').toLowerCase();
-    const classText = pharmClass.join(' ').toLowerCase();
-    
-    for (const [area, keywords] of Object.entries(this.therapeuticClassifier)) {
-      if (keywords.some(keyword => 
-        productName.includes(keyword) || classText.includes(keyword)
-      )) {
-        return area;
-      }
-    }
-    
-    return 'OTHER';
-  }
-
-  generateSpecificIntelligence(app, therapeuticArea) {
-    const submission = app.submissions?.[0] || {};
-    const status = this.translateStatus(app);
-    const product = app.products?.[0];
-    
-    let specificIssue = 'Regulatory support opportunity identified';
-    let timeline = 'Standard timeline';
-    let issues = [];
-    let challenges = [];
-
-    // Generate specific intelligence based on status
-    switch (status) {
-      case 'COMPLETE_RESPONSE_LETTER':
-        specificIssue = `Complete Response Letter received for ${product?.brand_name || product?.generic_name} - FDA requires additional data before approval`;
-        timeline = `CRL response due within 6 months (by ${moment().add(6, 'months').format('MMM DD, YYYY')})`;
-        issues.push({
-          type: 'CRL_RESPONSE_REQUIRED',
-          severity: 'CRITICAL',
-          description: `FDA issued CRL requesting additional efficacy data and safety analysis for ${therapeuticArea.toLowerCase()} indication`,
-          deadline: moment().add(180, 'days').format('YYYY-MM-DD'),
-          regulatoryPath: 'CRL response with Type A meeting recommended'
-        });
-        challenges.push({
-          type: 'DATA_GENERATION',
-          description: 'Additional clinical or non-clinical studies may be required',
-          estimatedTimeline: '6-18 months'
-        });
-        break;
-
-      case 'REFUSE_TO_FILE':
-        specificIssue = `Refuse to File letter issued - application has fundamental deficiencies requiring immediate remediation`;
-        timeline = `RTF response required within 30 days for priority designation maintenance`;
-        issues.push({
-          type: 'RTF_REMEDIATION',
-          severity: 'CRITICAL', 
-          description: 'FDA refused to file due to application quality deficiencies - immediate corrective action required',
-          deadline: moment().add(30, 'days').format('YYYY-MM-DD'),
-          regulatoryPath: 'Complete resubmission with quality fixes'
-        });
-        break;
-
-      case 'FILED_UNDER_REVIEW':
-        specificIssue = `${submission.review_priority === 'PRIORITY' ? 'Priority Review' : 'Standard Review'} active - proactive FDA communication strategy recommended`;
-        timeline = submission.review_priority === 'PRIORITY' ? '6-month PDUFA date' : '10-month PDUFA date';
-        issues.push({
-          type: 'ACTIVE_REVIEW_OPTIMIZATION',
-          severity: 'HIGH',
-          description: `Application under ${submission.review_priority?.toLowerCase()} review - opportunity for proactive FDA engagement`,
-          timeline: submission.review_priority === 'PRIORITY' ? '6 months' : '10 months',
-          regulatoryPath: 'Mid-cycle communication and information request preparation'
-        });
-        break;
-
-      case 'TENTATIVE_APPROVAL':
-        specificIssue = `Tentative Approval granted - final approval pending patent/exclusivity resolution`;
-        timeline = 'Approval expected upon patent expiration or resolution';
-        issues.push({
-          type: 'TENTATIVE_APPROVAL_CONVERSION',
-          severity: 'MEDIUM',
-          description: 'Tentative approval requires patent challenge or expiration monitoring',
-          regulatoryPath: 'Patent certification and launch preparation'
-        });
-        break;
-
-      default:
-        // Generate intelligence based on submission type and therapeutic area
-        if (app.submissions?.length > 2) {
-          specificIssue = `Multiple submission cycles detected - complex regulatory history requiring strategic analysis`;
-          issues.push({
-            type: 'COMPLEX_REGULATORY_HISTORY',
-            severity: 'HIGH',
-            description: `${app.submissions.length} submission cycles indicate persistent FDA concerns`,
-            regulatoryPath: 'Historical analysis and strategy optimization'
-          });
-        }
-    }
-
-    // Add therapeutic area specific intelligence
-    const divisionInsights = this.fdaDivisions[therapeuticArea];
-    if (divisionInsights) {
-      challenges.push({
-        type: 'DIVISION_SPECIFIC_REQUIREMENTS',
-        description: `${divisionInsights.division} typical concerns: ${divisionInsights.commonConcerns.join(', ')}`,
-        estimatedTimeline: divisionInsights.reviewTimeline
-      });
-    }
-
-    return {
-      specificIssue,
-      timeline,
-      issues,
-      challenges,
-      divisionFocus: divisionInsights?.commonConcerns || []
-    };
-  }
-
-  calculateRegulatoryUrgency(app) {
-    const submission = app.submissions?.[0] || {};
-    const status = this.translateStatus(app);
-    
-    let priority = 'LOW';
-    let score = 50;
-    
-    // Critical urgency factors
-    if (status === 'COMPLETE_RESPONSE_LETTER') {
-      priority = 'CRITICAL';
-      score = 95;
-    } else if (status === 'REFUSE_TO_FILE') {
-      priority = 'CRITICAL';
-      score = 90;
-    } else if (submission.review_priority === 'BREAKTHROUGH') {
-      priority = 'HIGH';
-      score = 85;
-    } else if (submission.review_priority === 'PRIORITY') {
-      priority = 'HIGH';
-      score = 80;
-    } else if (status === 'FILED_UNDER_REVIEW') {
-      priority = 'HIGH';
-      score = 75;
-    } else if (app.submissions?.length > 2) {
-      priority = 'MEDIUM';
-      score = 70;
-    }
-    
-    // Add recency bonus
-    const daysSinceActivity = moment().diff(moment(submission.submission_status_date), 'days');
-    if (daysSinceActivity < 30) score += 10;
-    if (daysSinceActivity < 7) score += 5;
-    
-    return { priority, score };
-  }
-
-  generateBusinessOpportunity(app, intelligence) {
-    const baseValue = 75000;
-    let multiplier = 1;
-    
-    // Value based on complexity and urgency
-    intelligence.issues.forEach(issue => {
-      switch (issue.type) {
-        case 'CRL_RESPONSE_REQUIRED': multiplier += 2.5; break;
-        case 'RTF_REMEDIATION': multiplier += 2.0; break;
-        case 'COMPLEX_REGULATORY_HISTORY': multiplier += 1.5; break;
-        case 'ACTIVE_REVIEW_OPTIMIZATION': multiplier += 1.2; break;
-        default: multiplier += 0.5;
-      }
-    });
-    
-    // Premium for breakthrough/priority
-    const submission = app.submissions?.[0] || {};
-    if (submission.review_priority === 'BREAKTHROUGH') multiplier += 1.5;
-    if (submission.review_priority === 'PRIORITY') multiplier += 1.2;
-    
-    return {
-      value: Math.round(baseValue * multiplier),
-      rationale: `Based on ${intelligence.issues.length} regulatory complexity factors and ${submission.review_priority || 'standard'} review priority`
-    };
-  }
-
-  identifyKeyStakeholders(therapeuticArea) {
-    const baseStakeholders = ['Head of Regulatory Affairs', 'Chief Medical Officer'];
-    
-    switch (therapeuticArea) {
-      case 'ONCOLOGY':
-        return [...baseStakeholders, 'VP of Oncology Development', 'Director of Biomarkers'];
-      case 'CNS':
-        return [...baseStakeholders, 'VP of Neuroscience', 'Director of Clinical Operations'];
-      case 'CARDIOVASCULAR':
-        return [...baseStakeholders, 'VP of Cardiovascular Development', 'Director of Clinical Data'];
-      default:
-        return [...baseStakeholders, 'VP of Clinical Development'];
-    }
-  }
-
-  extractBasicInfo(app) {
-    if (!app.sponsor_name) return null;
-    
-    return {
-      applicationNumber: app.application_number,
-      sponsorName: app.sponsor_name,
-      products: (app.products || []).map(p => ({
-        brandName: p.brand_name,
-        genericName: p.generic_name,
-        dosageForm: p.dosage_form,
-        activeIngredients: p.active_ingredients
-      }))
-    };
-  }
-
-  determineSubmissionType(app) {
-    const submission = app.submissions?.[0];
-    const appNum = app.application_number || '';
-    
-    if (appNum.startsWith('BLA')) return 'BLA';
-    if (appNum.startsWith('NDA')) return 'NDA';
-    if (appNum.startsWith('ANDA')) return 'ANDA';
-    if (submission?.submission_type === 'SUPPL') return 'SUPPLEMENTAL';
-    
-    return 'OTHER';
-  }
-
-  translateStatus(app) {
-    const submission = app.submissions?.[0];
-    if (!submission) return 'NO_SUBMISSION';
-    
-    return this.statusTranslator[submission.submission_status] || submission.submission_status || 'UNKNOWN';
-  }
-
-  getLastActivityDate(app) {
-    const submission = app.submissions?.[0];
-    return submission?.submission_status_date || moment().subtract(Math.floor(Math.random() * 30), 'days').toISOString();
-  }
-
-  prioritizeByRegulatoryUrgency(applications) {
-    return applications.sort((a, b) => {
-      // Priority order: CRITICAL > HIGH > MEDIUM > LOW
-      const priorityOrder = { 'CRITICAL': 4, 'HIGH': 3, 'MEDIUM': 2, 'LOW': 1 };
-      const priorityDiff = priorityOrder[b.priority] - priorityOrder[a.priority];
-      if (priorityDiff !== 0) return priorityDiff;
-      
-      // Then by score
-      return b.score - a.score;
-    });
-  }
-}
-
-// Enhanced Lead Generation Service
-class EnhancedLeadGenerationService {
-  constructor() {
-    this.regulatoryEngine = new RegulatoryIntelligenceEngine();
-  }
-
-  async generateEnhancedLeads() {
-    logger.info('Starting enhanced FDA lead generation with real regulatory intelligence...');
-    
-    try {
-      dataStore.leads = [];
-      dataStore.companies.clear();
-
-      // Get enhanced FDA applications
-      const enhancedApplications = await this.regulatoryEngine.getPharmaApplicationsWithIntelligence();
-      this.processEnhancedApplications(enhancedApplications);
-
-      // Generate enhanced statistics
-      this.generateEnhancedStatistics();
-
-      logger.info(`Generated ${dataStore.leads.length} enhanced FDA leads with specific regulatory intelligence`);
-      return dataStore.leads;
-    } catch (error) {
-      logger.error('Enhanced lead generation error:', error);
-      throw error;
-    }
-  }
-
-  processEnhancedApplications(applications) {
-    applications.forEach(app => {
-      if (!app.companyName) return;
-
-      const companyName = this.normalizeCompanyName(app.companyName);
-      const company = this.getOrCreateCompany(companyName);
-      
-      company.applications.push(app);
-      company.therapeuticAreas.add(app.therapeuticArea);
-      company.hasUrgentIssues = company.hasUrgentIssues || app.priority === 'CRITICAL';
-      
-      // Enhanced lead with real regulatory intelligence
-      const lead = {
-        ...app,
-        companyName: companyName,
-        
-// Enhanced email generation - fix order
-emailTrigger: this.generateEnhancedEmailTrigger(app),
-personalizedEmail: this.generateDetailedEmail(app, this.generateEnhancedEmailTrigger(app)),
-        
-        // Enhanced metadata
-        isHighPriority: app.priority === 'CRITICAL' || app.priority === 'HIGH',
-        contactWindow: this.determineOptimalContactTiming(app),
-        rank: dataStore.leads.length + 1
-      };
-
-      dataStore.leads.push(lead);
-    });
-  }
-
-  generateEnhancedEmailTrigger(app) {
-    const intelligence = app.regulatoryIntelligence;
-    const urgentIssue = intelligence.issues.find(i => i.severity === 'CRITICAL') || intelligence.issues[0];
-    
-    let subject = `FDA Regulatory Strategy - ${app.companyName}`;
-    let hook = `Regulatory consultation opportunity identified`;
-    let context = intelligence.specificIssue;
-    let urgency = 'Standard timeline';
-    
-    if (urgentIssue) {
-      switch (urgentIssue.type) {
-        case 'CRL_RESPONSE_REQUIRED':
-          subject = `Urgent: CRL Response Strategy for ${app.products[0]?.brandName || app.products[0]?.genericName}`;
-          hook = `I noticed FDA issued a Complete Response Letter for your ${app.submissionType}. Having analyzed 200+ successful CRL responses, I can help accelerate your path to approval.`;
-          context = `Your CRL response strategy is critical for maintaining approval timeline. Our analysis shows specific approaches that succeed with FDA ${app.divisionInfo?.division}.`;
-          urgency = `CRL response deadline: ${moment().add(6, 'months').format('MMM DD, YYYY')}`;
-          break;
-          
-        case 'RTF_REMEDIATION':
-          subject = `Critical: RTF Remediation for ${app.applicationNumber}`;
-          hook = `FDA's Refuse to File for your application requires immediate strategic response. Our RTF remediation expertise can get you back on track quickly.`;
-          context = `RTF remediation requires comprehensive quality review and resubmission strategy within 30 days to maintain priority designation.`;
-          urgency = `Response required within 30 days`;
-          break;
-          
-        case 'ACTIVE_REVIEW_OPTIMIZATION':
-          subject = `FDA Review Strategy for ${app.products[0]?.brandName || 'Your Application'}`;
-          hook = `Your application is under active FDA review - the optimal time for proactive communication strategy.`;
-          context = `Mid-cycle communication and information request preparation can significantly impact approval timeline.`;
-          urgency = `PDUFA date approaching`;
-          break;
-      }
-    }
-    
-    return {
-      subject,
-      personalizedHook: hook,
-      context,
-      urgency,
-      specificAnalysis: [
-        `${app.divisionInfo?.division} precedent analysis`,
-        `${app.therapeuticArea} regulatory pathway optimization`,
-        `FDA reviewer preference insights`,
-        `Timeline acceleration strategies`
-      ],
-      callToAction: this.generateSpecificCallToAction(app)
-    };
-  }
-
-  generateSpecificCallToAction(app) {
-    const urgentIssue = app.regulatoryIntelligence.issues.find(i => i.severity === 'CRITICAL');
-    
-    if (urgentIssue?.type === 'CRL_RESPONSE_REQUIRED') {
-      return `Given your CRL response timeline, I can provide strategic analysis within 48 hours. Are you available for a brief call this week to discuss your specific FDA concerns?`;
-    } else if (urgentIssue?.type === 'RTF_REMEDIATION') {
-      return `RTF responses are time-critical. I can provide remediation roadmap today. When could we schedule a 30-minute call to discuss your resubmission strategy?`;
-    } else if (app.status === 'FILED_UNDER_REVIEW') {
-      return `Active FDA reviews benefit from proactive strategy. Could we schedule a call to discuss precedents for your indication?`;
-    } else {
-      return `I'd be happy to share specific examples of successful strategies in your situation. When would work for a brief consultation?`;
-    }
-  }
-
-generateDetailedEmail(app, trigger) {
-  trigger = trigger || app.emailTrigger;
-    
-    return {
-      subject: trigger.subject,
-      greeting: `Dear ${app.companyName} Regulatory Team,`,
-      opening: trigger.personalizedHook,
-      problemStatement: trigger.context,
-      solution: `Our regulatory AI analysis provides:`,
-      specificAnalysis: trigger.specificAnalysis.map(point => `• ${point}`).join('\n'),
-      urgency: trigger.urgency,
-      callToAction: trigger.callToAction,
-      closing: `Best regards,\n[Your name]\n[Your title]\nRegulatory Intelligence Consulting`
-    };
-  }
-
-  getOrCreateCompany(companyName) {
-    if (!dataStore.companies.has(companyName)) {
-      dataStore.companies.set(companyName, {
-        name: companyName,
-        applications: [],
-        trials: [],
-        warningLetters: [],
-        recalls: [],
-        inspectionIssues: [],
-        therapeuticAreas: new Set(),
-        hasUrgentIssues: false,
-        hasQualityIssues: false,
-        hasComplianceIssues: false,
-        totalTouchpoints: 0
-      });
-    }
-    
-    const company = dataStore.companies.get(companyName);
-    company.totalTouchpoints++;
-    return company;
-  }
-
-  determineOptimalContactTiming(app) {
-    if (app.priority === 'CRITICAL') return 'Contact immediately (within 24 hours)';
-    if (app.priority === 'HIGH') return 'Contact within 2-3 days';
-    if (app.priority === 'MEDIUM') return 'Contact within 1 week';
-    return 'Contact within 2 weeks';
-  }
-
-generateEnhancedStatistics() {
-  const leads = dataStore.leads;
-  const trialLeads = leads.filter(l => l.leadType === 'CLINICAL_TRIAL');
-  const companies = Array.from(dataStore.companies.values());
-  
-  dataStore.statistics = {
-    ...dataStore.statistics, // Keep existing stats
-    
-    // Enhanced trial-specific statistics
-    enhanced_trial_insights: {
-      total_trial_leads: trialLeads.length,
-      by_phase: {
-        early_phase1: trialLeads.filter(l => l.trialInfo?.phase === 'EARLY_PHASE1').length,
-        phase1: trialLeads.filter(l => l.trialInfo?.phase === 'PHASE1').length,
-        phase1_2_combo: trialLeads.filter(l => l.trialInfo?.phaseCombo === true).length,
-        phase2: trialLeads.filter(l => l.trialInfo?.phase === 'PHASE2').length,
-        phase3: trialLeads.filter(l => l.trialInfo?.phase === 'PHASE3').length
-      },
-      
-      by_status: {
-        not_yet_recruiting: trialLeads.filter(l => l.trialInfo?.status === 'NOT_YET_RECRUITING').length,
-        recruiting: trialLeads.filter(l => l.trialInfo?.status === 'RECRUITING').length,
-        active_not_recruiting: trialLeads.filter(l => l.trialInfo?.status === 'ACTIVE_NOT_RECRUITING').length,
-        suspended: trialLeads.filter(l => l.trialInfo?.status === 'SUSPENDED').length,
-        terminated: trialLeads.filter(l => l.trialInfo?.status === 'TERMINATED').length
-      },
-      
-      pain_point_analysis: {
-        phase2_stagnation: trialLeads.filter(l => 
-          l.challenges?.some(c => c.type === 'phase2_stagnation')).length,
-        new_trial_opportunities: trialLeads.filter(l => 
-          l.newTrialOpportunities?.length > 0).length,
-        recruitment_challenges: trialLeads.filter(l => 
-          l.challenges?.some(c => c.type === 'recruitment_challenges')).length,
-        biomarker_complexity: trialLeads.filter(l => 
-          l.challenges?.some(c => c.type === 'complex_biomarker_strategy')).length,
-        competitive_pressure: trialLeads.filter(l => 
-          l.challenges?.some(c => c.type === 'competitive_pressure')).length
-      },
-      
-      timing_insights: {
-        recently_started: trialLeads.filter(l => 
-          l.trialInfo?.monthsSinceStart !== null && l.trialInfo.monthsSinceStart <= 6).length,
-        long_running: trialLeads.filter(l => 
-          l.trialInfo?.monthsSinceStart !== null && l.trialInfo.monthsSinceStart > 36).length,
-        pre_recruitment_window: trialLeads.filter(l => 
-          l.trialInfo?.status === 'NOT_YET_RECRUITING').length
-      },
-      
-      value_metrics: {
-        high_value_trials: trialLeads.filter(l => l.isHighValueLead === true).length,
-        critical_priority: trialLeads.filter(l => l.priority === 'CRITICAL').length,
-        high_urgency_score: trialLeads.filter(l => l.score >= 80).length,
-        average_urgency_score: trialLeads.length > 0 
-          ? Math.round(trialLeads.reduce((sum, l) => sum + (l.score || 0), 0) / trialLeads.length)
-          : 0
-      }
-    }
-  };
-}
-
-async getClinicalTrialsEnhanced() {
-  try {
-    logger.info('Starting enhanced clinical trials analysis with Phase I-II detection and Phase 2 stagnation signals...');
-    
-    // Fetch comprehensive trial datasets
-    const [activeTrials, recentTrials, earlyPhaseTrials, phase2Trials] = await Promise.all([
-      this.fetchActiveTrials(),
-      this.fetchRecentlyStartedTrials(),
-      this.fetchEarlyPhaseTrials(),
-      this.fetchPhase2Trials()
-    ]);
-    
-    // Combine and deduplicate
-    const allTrialsMap = new Map();
-    [...activeTrials, ...recentTrials, ...earlyPhaseTrials, ...phase2Trials].forEach(trial => {
-      const nctId = trial.nctId || trial.protocolSection?.identificationModule?.nctId;
-      if (nctId && !allTrialsMap.has(nctId)) {
-        allTrialsMap.set(nctId, trial);
-      }
-    });
-    
-    const allTrials = Array.from(allTrialsMap.values());
-    logger.info(`Processing ${allTrials.length} unique trials with enhanced detection...`);
-
-    // Enhanced analysis pipeline
-    const analyzedTrials = [];
-    for (const trial of allTrials) {
-      try {
-        // Comprehensive analysis with all new detection capabilities
-        const analysis = await this.advancedTrialPainPointAnalysis(trial, allTrials);
-        
-        if (analysis) {
-          // Add enhanced classification
-          analysis.phaseInfo = this.classifyTrialPhase(trial);
-          analysis.newTrialOpportunities = this.detectNewTrialOpportunities(trial);
-          analysis.priorityRanking = this.calculatePriorityRanking(analysis.painPoints || [], analysis.phaseInfo);
-          
-          // Enhanced filtering
-          const fitEvaluation = this.evaluateEnhancedTrialFitCriteria(analysis);
-          if (fitEvaluation.shouldInclude) {
-            analysis.fitReason = fitEvaluation.reason;
-            analyzedTrials.push(analysis);
-          }
-        }
-      } catch (error) {
-        logger.warn(`Failed to analyze trial ${trial.nctId || 'unknown'}:`, error.message);
-      }
-    }
-    
-    logger.info(`Enhanced analysis completed: ${analyzedTrials.length} qualified opportunities identified`);
-    logger.info(`Key findings:
-      - Phase 2 stagnation signals: ${analyzedTrials.filter(t => t.painPoints?.some(p => p.type === 'phase2_stagnation')).length}
-      - New trial opportunities: ${analyzedTrials.filter(t => t.newTrialOpportunities?.length > 0).length}
-      - Critical issues: ${analyzedTrials.filter(t => t.painPoints?.some(p => p.severity === 'CRITICAL')).length}
-      - High-value leads: ${analyzedTrials.filter(t => this.isEnhancedHighValueTrial(t)).length}`);
-    
-    return this.groupByCompanyAndPrioritize(analyzedTrials);
-  } catch (error) {
-    logger.error('Error in enhanced clinical trials analysis:', error.message);
-    return [];
-  }
-}
-
-  normalizeCompanyName(name) {
-    return name
-      .replace(/\s+(LLC|INC|CORP|LTD|COMPANY|PHARMACEUTICAL[S]?|PHARMA|SCIENCES)\.?$/gi, '')
-      .replace(/[,\.]/g, '')
-      .replace(/\s+/g, ' ')
-      .trim()
-      .toUpperCase();
-  }
-}
-
-// API Routes
-app.get('/api/leads', async (req, res) => {
-  try {
-    const { priority, type, therapeutic } = req.query;
-    
-    let filteredLeads = [...dataStore.leads];
-    
-    if (priority) {
-      filteredLeads = filteredLeads.filter(lead => lead.priority === priority);
-    }
-    
-    if (type) {
-      filteredLeads = filteredLeads.filter(lead => lead.leadType === type);
-    }
-    
-    if (therapeutic) {
-      filteredLeads = filteredLeads.filter(lead => lead.therapeuticArea === therapeutic);
-    }
-    
-    res.json(filteredLeads);
-  } catch (error) {
-    logger.error('Error fetching leads:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
-app.get('/api/companies/:name', async (req, res) => {
-  try {
-    const { name } = req.params;
-    const company = dataStore.companies.get(name.toUpperCase());
-    
-    if (!company) {
-      return res.status(404).json({ error: 'Company not found' });
-    }
-    
-    // Enrich company data
-    const enrichedCompany = {
-      ...company,
-      therapeuticFocus: Array.from(company.therapeuticAreas),
-      totalApplications: company.applications.length,
-      regulatoryProfile: assessCompanyRegulatoryProfile(company),
-      primaryChallenge: getPrimaryChallenge(company),
-      recommendedApproach: generateCompanyApproach(company),
-      riskProfile: assessCompanyRisk(company),
-      opportunities: identifyOpportunities(company)
-    };
-    
-    res.json(enrichedCompany);
-  } catch (error) {
-    logger.error('Error fetching company:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
-app.get('/api/leads/:id/email', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const lead = dataStore.leads.find(l => l.id === id);
-    
-    if (!lead) {
-      return res.status(404).json({ error: 'Lead not found' });
-    }
-    
-    // Generate enhanced email content
-    const emailData = {
-      email: lead.personalizedEmail,
-      trigger: lead.emailTrigger,
-      metadata: {
-        priority: lead.priority,
-        score: lead.score,
-        urgencyReason: lead.urgencyReason,
-        leadType: lead.leadType,
-        therapeuticArea: lead.therapeuticArea,
-        submissionType: lead.submissionType
-      }
-    };
-    
-    // Add specific context based on lead type
-    if (lead.leadType === 'DRUG_APPLICATION') {
-      emailData.applicationContext = {
-        applicationNumber: lead.applicationNumber,
-        status: lead.status,
-        issues: lead.issues,
-        products: lead.products,
-        submissionType: lead.submissionType,
-        divisionInfo: lead.divisionInfo,
-        regulatoryIntelligence: lead.regulatoryIntelligence
-      };
-    }
-    
-    res.json(emailData);
-  } catch (error) {
-    logger.error('Error fetching email:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
-app.post('/api/generate-leads', async (req, res) => {
-  try {
-    const leadGenerator = new EnhancedLeadGenerationService();
-    const leads = await leadGenerator.generateEnhancedLeads();
-    
-    res.json({ 
-      message: 'Enhanced FDA lead generation completed',
-      count: leads.length,
-      statistics: dataStore.statistics,
-      topLeads: leads.slice(0, 5).map(l => ({
-        company: l.companyName,
-        type: l.leadType,
-        priority: l.priority,
-        score: l.score,
-        issue: l.urgencyReason,
-        opportunityValue: l.estimatedOpportunityValue
-      }))
-    });
-  } catch (error) {
-    logger.error('Error generating leads:', error);
-    res.status(500).json({ error: 'Lead generation failed' });
-  }
-});
-
-app.get('/api/analytics/comprehensive', async (req, res) => {
-  try {
-    const leads = dataStore.leads;
-    const companies = Array.from(dataStore.companies.values());
-    
-    const analytics = {
-      overview: {
-        total_leads: leads.length,
-        total_companies: companies.length,
-        critical_situations: leads.filter(l => l.priority === 'CRITICAL').length,
-        high_value_leads: leads.filter(l => l.estimatedOpportunityValue >= 100000).length,
-        average_score: leads.length > 0 
-          ? Math.round(leads.reduce((sum, l) => sum + l.score, 0) / leads.length)
-          : 0
-      },
-      
-      by_type: {
-        drug_applications: {
-          total: leads.filter(l => l.leadType === 'DRUG_APPLICATION').length,
-          with_crl: leads.filter(l => l.status === 'COMPLETE_RESPONSE_LETTER').length,
-          with_rtf: leads.filter(l => l.status === 'REFUSE_TO_FILE').length,
-          under_review: leads.filter(l => l.status === 'FILED_UNDER_REVIEW').length,
-          by_submission_type: {
-            nda: leads.filter(l => l.submissionType === 'NDA').length,
-            bla: leads.filter(l => l.submissionType === 'BLA').length,
-            anda: leads.filter(l => l.submissionType === 'ANDA').length,
-            supplemental: leads.filter(l => l.submissionType === 'SUPPLEMENTAL').length
-          }
-        },
-        clinical_trials: {
-          total: leads.filter(l => l.leadType === 'CLINICAL_TRIAL').length,
-          with_biomarkers: 0,
-          by_phase: {
-            early_phase1: 0,
-            phase1: 0,
-            phase2: 0,
-            phase3: 0
-          }
-        }
-      },
-      
-      therapeutic_distribution: {},
-      
-      regulatory_intelligence: {
-        crl_responses_needed: leads.filter(l => 
-          l.issues?.some(i => i.type === 'CRL_RESPONSE_REQUIRED')).length,
-        rtf_remediations: leads.filter(l => 
-          l.issues?.some(i => i.type === 'RTF_REMEDIATION')).length,
-        active_reviews: leads.filter(l => l.status === 'FILED_UNDER_REVIEW').length,
-        priority_reviews: leads.filter(l => 
-          l.regulatoryIntelligence?.issues?.some(i => i.timeline?.includes('Priority'))).length
-      },
-      
-      business_opportunities: {
-        total_estimated_value: leads.reduce((sum, l) => sum + (l.estimatedOpportunityValue || 0), 0),
-        high_value_count: leads.filter(l => l.estimatedOpportunityValue >= 150000).length,
-        critical_urgent_count: leads.filter(l => l.priority === 'CRITICAL').length,
-        immediate_contact_needed: leads.filter(l => 
-          l.contactWindow?.includes('immediately')).length
-      }
-    };
-    
-    // Calculate therapeutic areas
-    const therapeuticAreas = new Map();
-    leads.forEach(lead => {
-      const area = lead.therapeuticArea || 'UNSPECIFIED';
-      therapeuticAreas.set(area, (therapeuticAreas.get(area) || 0) + 1);
-    });
-    
-    therapeuticAreas.forEach((count, area) => {
-      analytics.therapeutic_distribution[area] = count;
-    });
-    
-    res.json(analytics);
-  } catch (error) {
-    logger.error('Error fetching analytics:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
-// Helper functions for company analysis
-function assessCompanyRegulatoryProfile(company) {
-  const applications = company.applications || [];
-  
-  const profile = {
-    submissionTypes: [...new Set(applications.map(a => a.submissionType))],
-    therapeuticFocus: Array.from(company.therapeuticAreas),
-    regulatoryComplexity: 'STANDARD',
-    fdaInteractionFrequency: applications.length,
-    riskFactors: []
-  };
-  
-  // Assess complexity
-  const hasCRL = applications.some(a => a.status === 'COMPLETE_RESPONSE_LETTER');
-  const hasRTF = applications.some(a => a.status === 'REFUSE_TO_FILE');
-  const hasMultipleIssues = applications.some(a => a.issues?.length > 2);
-  
-  if (hasCRL || hasRTF) {
-    profile.regulatoryComplexity = 'HIGH';
-    profile.riskFactors.push('Recent FDA actions requiring response');
-  }
-  
-  if (hasMultipleIssues) {
-    profile.regulatoryComplexity = 'HIGH';
-    profile.riskFactors.push('Multiple regulatory issues identified');
-  }
-  
-  if (applications.length > 3) {
-    profile.riskFactors.push('High FDA interaction volume');
-  }
-  
-  return profile;
-}
-
-function getPrimaryChallenge(company) {
-  const applications = company.applications || [];
-  
-  // Find most critical issue
-  const criticalApp = applications.find(a => a.priority === 'CRITICAL');
-  if (criticalApp) {
-    const criticalIssue = criticalApp.issues?.find(i => i.severity === 'CRITICAL');
-    if (criticalIssue) {
-      return {
-        type: criticalIssue.type,
-        description: criticalIssue.description,
-        severity: 'CRITICAL',
-        deadline: criticalIssue.deadline,
-        recommendedAction: criticalIssue.regulatoryPath
-      };
-    }
-  }
-  
-  // Find high priority issues
-  const highPriorityApp = applications.find(a => a.priority === 'HIGH');
-  if (highPriorityApp) {
-    return {
-      type: 'HIGH_PRIORITY_REGULATORY',
-      description: highPriorityApp.urgencyReason,
-      severity: 'HIGH',
-      recommendedAction: 'Strategic regulatory consultation'
-    };
-  }
-  
-  return {
-    type: 'STANDARD_REGULATORY',
-    description: 'Routine regulatory optimization opportunity',
-    severity: 'MEDIUM',
-    recommendedAction: 'Regular regulatory intelligence support'
-  };
-}
-
-function generateCompanyApproach(company) {
-  const primaryChallenge = getPrimaryChallenge(company);
-  const applications = company.applications || [];
-  
-  if (primaryChallenge.severity === 'CRITICAL') {
-    if (primaryChallenge.type === 'CRL_RESPONSE_REQUIRED') {
-      return 'IMMEDIATE: CRL response strategy development with FDA precedent analysis';
-    } else if (primaryChallenge.type === 'RTF_REMEDIATION') {
-      return 'URGENT: RTF remediation roadmap with quality system review';
-    } else {
-      return 'CRITICAL: Immediate regulatory intervention required';
-    }
-  }
-  
-  if (applications.some(a => a.status === 'FILED_UNDER_REVIEW')) {
-    return 'PROACTIVE: FDA review optimization and mid-cycle communication strategy';
-  }
-  
-  if (company.therapeuticAreas.has('ONCOLOGY')) {
-    return 'SPECIALIZED: Oncology regulatory pathway optimization with accelerated approval strategy';
-  }
-  
-  if (company.therapeuticAreas.has('CNS')) {
-    return 'SPECIALIZED: CNS development strategy with FDA neurology division expertise';
-  }
-  
-  return 'STANDARD: Comprehensive regulatory intelligence and submission optimization';
-}
-
-function assessCompanyRisk(company) {
-  let riskScore = 0;
-  const applications = company.applications || [];
-  
-  // Critical regulatory actions
-  applications.forEach(app => {
-    if (app.status === 'COMPLETE_RESPONSE_LETTER') riskScore += 30;
-    if (app.status === 'REFUSE_TO_FILE') riskScore += 25;
-    if (app.issues?.some(i => i.severity === 'CRITICAL')) riskScore += 20;
-    if (app.priority === 'CRITICAL') riskScore += 15;
-  });
-  
-  // Volume and complexity factors
-  if (applications.length > 5) riskScore += 10;
-  if (company.therapeuticAreas.size > 2) riskScore += 5;
-  
-  if (riskScore >= 50) return 'CRITICAL';
-  if (riskScore >= 30) return 'HIGH';
-  if (riskScore >= 15) return 'MEDIUM';
-  return 'LOW';
-}
-
-function identifyOpportunities(company) {
-  const opportunities = [];
-  const applications = company.applications || [];
-  
-  // Regulatory-specific opportunities
-  if (applications.some(a => a.status === 'COMPLETE_RESPONSE_LETTER')) {
-    opportunities.push('CRL response strategy and FDA communication optimization');
-  }
-  
-  if (applications.some(a => a.status === 'FILED_UNDER_REVIEW')) {
-    opportunities.push('Active review support and information request preparation');
-  }
-  
-  if (applications.some(a => a.submissionType === 'BLA')) {
-    opportunities.push('Biologics regulatory pathway optimization and CMC strategy');
-  }
-  
-  if (company.therapeuticAreas.has('ONCOLOGY')) {
-    opportunities.push('Accelerated approval pathway and biomarker strategy');
-  }
-  
-  if (company.therapeuticAreas.has('RARE_DISEASE')) {
-    opportunities.push('Orphan drug designation and expedited pathway navigation');
-  }
-  
-  // Business development opportunities
-  const totalValue = applications.reduce((sum, a) => sum + (a.estimatedOpportunityValue || 0), 0);
-  if (totalValue > 200000) {
-    opportunities.push('Strategic regulatory partnership for portfolio optimization');
-  }
-  
-  return opportunities;
-}
-
-// Search endpoint
-app.get('/api/search', async (req, res) => {
-  try {
-    const { q } = req.query;
-    if (!q) {
-      return res.status(400).json({ error: 'Search query required' });
-    }
-    
-    const searchTerm = q.toLowerCase();
-    const results = dataStore.leads.filter(lead => 
-      lead.companyName.toLowerCase().includes(searchTerm) ||
-      lead.urgencyReason.toLowerCase().includes(searchTerm) ||
-      lead.therapeuticArea?.toLowerCase().includes(searchTerm) ||
-      lead.applicationNumber?.toLowerCase().includes(searchTerm) ||
-      lead.products?.some(p => 
-        p.brandName?.toLowerCase().includes(searchTerm) ||
-        p.genericName?.toLowerCase().includes(searchTerm)
-      )
-    );
-    
-    res.json({
-      query: q,
-      count: results.length,
-      results: results.slice(0, 50)
-    });
-  } catch (error) {
-    logger.error('Error searching:', error);
-    res.status(500).json({ error: 'Search failed' });
-  }
-});
-
-// Export functionality
-app.get('/api/export/leads', async (req, res) => {
-  try {
-    const { format = 'json', priority, type } = req.query;
-    let leads = dataStore.leads;
-    
-    if (priority) {
-      leads = leads.filter(l => l.priority === priority);
-    }
-    if (type) {
-      leads = leads.filter(l => l.leadType === type);
-    }
-    
-    if (format === 'json') {
-      res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Content-Disposition', 'attachment; filename=enhanced_fda_leads.json');
-      res.json({
-        exportDate: new Date().toISOString(),
-        totalLeads: leads.length,
-        filters: { priority, type },
-        leads: leads
-      });
-    } else if (format === 'csv') {
-      const csv = convertToCSV(leads);
-      res.setHeader('Content-Type', 'text/csv');
-      res.setHeader('Content-Disposition', 'attachment; filename=enhanced_fda_leads.csv');
-      res.send(csv);
-    }
-  } catch (error) {
-    logger.error('Error exporting leads:', error);
-    res.status(500).json({ error: 'Export failed' });
-  }
-});
-
-function convertToCSV(leads) {
-  const headers = [
-    'Rank', 'Company', 'Application Number', 'Priority', 'Score', 
-    'Status', 'Submission Type', 'Therapeutic Area', 'Specific Issue',
-    'Opportunity Value', 'Timeline Urgency', 'Key Stakeholders',
-    'Last Activity', 'Contact Window'
-  ];
-  
-  const rows = leads.map(lead => [
-    lead.rank || '',
-    lead.companyName,
-    lead.applicationNumber || '',
-    lead.priority,
-    lead.score,
-    lead.status || '',
-    lead.submissionType || '',
-    lead.therapeuticArea || '',
-    lead.urgencyReason || '',
-    lead.estimatedOpportunityValue || '',
-    lead.timelineUrgency || '',
-    lead.keyStakeholders?.join('; ') || '',
-    lead.lastActivity || '',
-    lead.contactWindow || ''
-  ]);
-  
-  const csvContent = [
-    headers.join(','),
-    ...rows.map(row => row.map(cell => `"${cell}"`).join(','))
-  ].join('\n');
-  
-  return csvContent;
-}
-
-// Health check
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'healthy', 
-    timestamp: new Date().toISOString(),
-    version: '5.0.0 - Enhanced MVP',
-    features: [
-      'real-regulatory-intelligence',
-      'specific-issue-detection', 
-      'therapeutic-area-classification',
-      'fda-division-insights',
-      'crl-rtf-detection',
-      'business-opportunity-calculation',
-      'enhanced-email-generation',
-      'deadline-tracking'
-    ],
-    dataStatus: {
-      totalLeads: dataStore.leads.length,
-      totalCompanies: dataStore.companies.size,
-      criticalSituations: dataStore.leads.filter(l => l.priority === 'CRITICAL').length,
-      lastUpdate: dataStore.leads[0]?.createdAt || 'No data'
-    }
-  });
-});
-
-// Start server
-const PORT = process.env.PORT || 3000;
-
-app.listen(PORT, async () => {
-  logger.info(`Enhanced FDA Lead Generation Server v5.0 running on port ${PORT}`);
-  logger.info('Features: Real regulatory intelligence, specific issue detection, enhanced business context');
-  
-  // Auto-generate enhanced leads on startup
-  try {
-    const leadGenerator = new EnhancedLeadGenerationService();
-    await leadGenerator.generateEnhancedLeads();
-    logger.info('Enhanced lead generation completed successfully');
-    logger.info(`Generated leads with specific regulatory intelligence:`, {
-      total: dataStore.leads.length,
-      critical: dataStore.leads.filter(l => l.priority === 'CRITICAL').length,
-      totalOpportunityValue: dataStore.leads.reduce((sum, l) => sum + (l.estimatedOpportunityValue || 0), 0)
-    });
-  } catch (error) {
-    logger.error('Failed to generate enhanced leads:', error);
-  }
-});
-
-module.exports = app;
\ No newline at end of file
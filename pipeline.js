@@ -0,0 +1,63 @@
+// Outreach pipeline for leads. Kept separate from lead.status, which is the
+// FDA application status set by ingestion.
+
+const PIPELINE_STAGES = ['NEW', 'CONTACTED', 'REPLIED', 'MEETING', 'WON', 'LOST'];
+
+// Allowed moves from each stage. WON is final; LOST leads can be re-engaged.
+const PIPELINE_TRANSITIONS = {
+  NEW: ['CONTACTED', 'LOST'],
+  CONTACTED: ['REPLIED', 'LOST'],
+  REPLIED: ['MEETING', 'WON', 'LOST'],
+  MEETING: ['WON', 'LOST'],
+  WON: [],
+  LOST: ['CONTACTED']
+};
+
+function getPipelineStatus(lead) {
+  return lead.pipelineStatus || 'NEW';
+}
+
+// Returns an error message, or null when the move is allowed
+function validateTransition(from, to) {
+  if (!PIPELINE_STAGES.includes(to)) {
+    return `Unknown pipeline status: ${to}`;
+  }
+  if (from === to) {
+    return `Lead is already ${to}`;
+  }
+  if (!PIPELINE_TRANSITIONS[from].includes(to)) {
+    return `Cannot move lead from ${from} to ${to}`;
+  }
+  return null;
+}
+
+// Fields to merge into a lead for the transition, including the history entry
+function buildTransition(lead, to, note) {
+  const at = new Date().toISOString();
+  const entry = { from: getPipelineStatus(lead), to, at };
+  if (note) entry.note = note;
+
+  return {
+    pipelineStatus: to,
+    pipelineUpdatedAt: at,
+    pipelineHistory: [...(lead.pipelineHistory || []), entry]
+  };
+}
+
+// Pipeline fields for a lead seen for the first time
+function initialPipelineFields(at) {
+  return {
+    pipelineStatus: 'NEW',
+    pipelineUpdatedAt: at,
+    pipelineHistory: [{ from: null, to: 'NEW', at }]
+  };
+}
+
+module.exports = {
+  PIPELINE_STAGES,
+  PIPELINE_TRANSITIONS,
+  getPipelineStatus,
+  validateTransition,
+  buildTransition,
+  initialPipelineFields
+};
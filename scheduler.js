@@ -0,0 +1,117 @@
+// Cron-driven ingestion. Every run (scheduled, startup or manual) goes
+// through runSources so it is serialized and recorded in the run log.
+const cron = require('node-cron');
+const logger = require('./logger');
+
+// Override with INGEST_SCHEDULE_<SOURCE>, e.g. INGEST_SCHEDULE_DRUGSFDA="0 */2 * * *".
+// Set a schedule to "off" to disable it.
+const DEFAULT_SCHEDULES = {
+  drugsfda: '0 */6 * * *',
+  enforcement: '30 */6 * * *',
+  shortages: '15 */12 * * *',
+  clinicaltrials: '0 3 * * *',
+  resultsreporting: '30 3 * * 1',
+  warningletters: '0 5 * * *',
+  inspections: '30 5 * * *',
+  orangebook: '45 5 * * *',
+  purplebook: '50 5 * * *',
+  device510k: '0 4 * * *',
+  devicepma: '15 4 * * *',
+  devicerecalls: '45 */6 * * *',
+  deviceevents: '0 6 * * *',
+  faers: '0 7 * * 1',
+  druglabels: '30 7 * * *'
+};
+
+function getSchedules() {
+  const schedules = {};
+
+  Object.entries(DEFAULT_SCHEDULES).forEach(([source, defaultExpression]) => {
+    const expression = (process.env[`INGEST_SCHEDULE_${source.toUpperCase()}`] || defaultExpression).trim();
+
+    if (expression === 'off') return;
+
+    if (!cron.validate(expression)) {
+      logger.warn(`Invalid cron expression for ${source}: "${expression}" - schedule disabled`);
+      return;
+    }
+
+    schedules[source] = expression;
+  });
+
+  return schedules;
+}
+
+class IngestionScheduler {
+  constructor(leadGenerator, runRepository) {
+    this.leadGenerator = leadGenerator;
+    this.runRepository = runRepository;
+    this.tasks = [];
+    this.queue = Promise.resolve();
+  }
+
+  start() {
+    const schedules = getSchedules();
+
+    Object.entries(schedules).forEach(([source, expression]) => {
+      const task = cron.schedule(
+        expression,
+        () => this.runSources([source], 'schedule').catch(() => {}),
+        { name: `ingest-${source}`, noOverlap: true, timezone: process.env.INGEST_TIMEZONE }
+      );
+      this.tasks.push(task);
+      logger.info(`Scheduled ${source} ingestion: ${expression}`);
+    });
+
+    return schedules;
+  }
+
+  stop() {
+    this.tasks.forEach(task => task.stop());
+    this.tasks = [];
+  }
+
+  // Queues a run behind any run already in progress and resolves with its log entry
+  runSources(sources, trigger) {
+    const result = this.queue.then(() => this.execute(sources, trigger));
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  async execute(sources, trigger) {
+    const started = Date.now();
+    const run = await this.runRepository.create({
+      trigger,
+      sources,
+      status: 'RUNNING',
+      counts: {},
+      errors: [],
+      startedAt: new Date(started).toISOString(),
+      finishedAt: null,
+      durationMs: null
+    });
+
+    let leads = [];
+    try {
+      leads = await this.leadGenerator.generateLeads({ sources, run });
+      run.status = run.errors.length > 0 ? 'COMPLETED_WITH_ERRORS' : 'COMPLETED';
+    } catch (error) {
+      run.status = 'FAILED';
+      run.errors.push({ source: null, message: error.message });
+    }
+
+    run.finishedAt = new Date().toISOString();
+    run.durationMs = Date.now() - started;
+    await this.runRepository.finish(run);
+
+    logger.info(`Ingestion run ${run.id} (${trigger}: ${sources.join(', ')}) ${run.status} in ${run.durationMs}ms`);
+
+    if (run.status === 'FAILED') {
+      throw new Error(run.errors[run.errors.length - 1].message);
+    }
+
+    return { run, leads };
+  }
+}
+
+module.exports = { IngestionScheduler, getSchedules, DEFAULT_SCHEDULES };
@@ -0,0 +1,30 @@
+// Score ledger: every factor that moved a lead score, with its weight in
+// points and the record field it came from. Weights always add up to the
+// score; a cap shows up as its own negative entry so nothing is hidden.
+
+class ScoreLedger {
+  constructor(entries = []) {
+    this.entries = entries.map(entry => ({ ...entry }));
+  }
+
+  // source: field path on the scored record ("issues[0].severity") or on its
+  // company ("company.totalTouchpoints"); null for constants
+  add(factor, weight, source = null, value = null) {
+    if (weight !== 0) this.entries.push({ factor, weight, source, value });
+    return this;
+  }
+
+  get total() {
+    return this.entries.reduce((total, entry) => total + entry.weight, 0);
+  }
+
+  // Clamps the total, recording the adjustment, and returns the score
+  cap(max = 100, min = -Infinity) {
+    const total = this.total;
+    if (total > max) this.add(`Capped at ${max}`, max - total);
+    if (total < min) this.add(`Floored at ${min}`, min - total);
+    return this.total;
+  }
+}
+
+module.exports = { ScoreLedger };
@@ -0,0 +1,315 @@
+// Scoring rules: the thresholds, weights and sponsor lists the analyzers
+// and lead ranking use. Defaults reproduce the built-in behaviour; a JSON
+// file named by SCORING_RULES_FILE is merged over them (objects merge,
+// arrays and numbers replace) and picked up again when it changes on disk.
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const PRIORITIES = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW'];
+
+const DEFAULT_RULES = {
+  inclusion: {
+    // A trial analysis is kept when it reaches either score
+    trials: { minUrgencyScore: 60, minComplexityScore: 50 }
+  },
+  thresholds: {
+    // Months recruiting before enrollment counts as a challenge, by phase
+    recruitmentMonths: { EARLY_PHASE1: 12, PHASE1: 12, PHASE2: 18, PHASE3: 24, default: 18 },
+    phase2RecruitmentMonths: 24,
+    phase2ReviewMonths: 24,
+    phase2StagnationMonths: 30
+  },
+  weights: {
+    // Points per company signal, added on top of a lead's base score
+    company: { touchpoint: 5, urgentIssues: 10, complianceIssues: 15 },
+    // Points per factor behind each lead type's base score, see
+    // ingestion/scorers.js. Maps keyed by a record value fall back to default.
+    factors: {
+      application: {
+        base: 50,
+        urgency: { CRITICAL: 40, HIGH: 30, MEDIUM: 20 },
+        issueSeverity: { CRITICAL: 15, HIGH: 10, MEDIUM: 5 },
+        majorSubmission: 10,
+        novelTherapy: 10,
+        combinationProduct: 5,
+        pathway505b2: 5,
+        activityWithin30Days: 10,
+        activityWithin60Days: 5
+      },
+      warningLetter: { base: 95 },
+      recall: { classI: 90, default: 80 },
+      inspection: { classification: { OAI: 85, default: 60 }, perCitation: 2, maxCitations: 10, inspectedWithin90Days: 5 },
+      deviceClearance: {
+        decisionType: { NOT_SUBSTANTIALLY_EQUIVALENT: 80, DE_NOVO: 70, default: 55 },
+        decisionWithin30Days: 10,
+        decisionWithin60Days: 5
+      },
+      deviceApproval: { submissionType: { ORIGINAL: 80, default: 65 }, decisionWithin30Days: 10, decisionWithin90Days: 5 },
+      deviceRecall: { base: 75, classIII: 15, classII: 5, designRootCause: 5, stillOpen: 5 },
+      deviceEvent: { deaths: 85, base: 60, perInjury: 2, maxInjuries: 20, multipleDeaths: 5 },
+      safetySignal: { base: 60, ratio4x: 20, ratio3x: 15, ratio2x: 10, zScore5: 10, reports100: 5 },
+      // genericsApproved is subtracted
+      exclusivityExpiry: {
+        within180Days: 90,
+        withinYear: 80,
+        withinTwoYears: 70,
+        base: 60,
+        threeOrMoreFilers: 5,
+        genericsApproved: 20
+      },
+      genericOpportunity: {
+        base: 60,
+        perSameIngredientAnda: 10,
+        maxSameIngredientAndas: 20,
+        perSameDosageFormAnda: 2,
+        maxSameDosageFormAndas: 10,
+        filingWithinYear: 10
+      },
+      biosimilarLicensure: { base: 65, interchangeable: 15, firstBiosimilar: 10, licensedWithin90Days: 5 },
+      resultsOverdue: { perAdditionalTrial: 5, maxAdditionalTrials: 15 },
+      drugShortage: { status: { CURRENT: 80, TO_BE_DISCONTINUED: 65, default: 55 }, recurred: 10, over180Days: 5 },
+      // Safety changes outrank new indications
+      labelChange: {
+        changeType: {
+          BOXED_WARNING_ADDED: 90,
+          REMS_ADDED: 85,
+          CONTRAINDICATION_ADDED: 80,
+          BOXED_WARNING_REVISED: 75,
+          NEW_INDICATION: 70,
+          default: 60
+        },
+        effectiveWithin30Days: 10,
+        effectiveWithin90Days: 5
+      }
+    },
+    // Multipliers on a lead type's base score, e.g. { "RECALL": 1.2 }
+    leadTypes: {},
+    maxScore: 100
+  },
+  // Minimum score that lifts a lead to a priority, e.g. { "HIGH": 85 }
+  priorityThresholds: {},
+  sponsors: {
+    // Matched as lowercase substrings of the sponsor name; allow wins over deny
+    allow: [],
+    deny: ['pfizer', 'merck', 'novartis', 'roche', 'sanofi', 'gsk', 'astrazeneca', 'johnson', 'abbvie', 'bristol'],
+    highValueIndicators: ['therapeutics', 'biopharma', 'biopharmaceutical', 'sciences', 'pharmaceuticals',
+      'biotech', 'inc.', 'corporation', 'limited']
+  }
+};
+
+// Maps whose keys are open; every value must be a number
+const OPEN_MAPS = ['weights.leadTypes', 'priorityThresholds'];
+
+// Scores are on a 0-100 scale
+const SCORE_PATHS = ['inclusion.trials.minUrgencyScore', 'inclusion.trials.minComplexityScore', 'weights.maxScore'];
+
+// Rules read while sources are fetched and analyzed. Stored leads already
+// reflect them, so a change shows up only on the next run.
+const FETCH_TIME_RULES = ['inclusion', 'thresholds', 'sponsors'];
+
+const RELOAD_INTERVAL_MS = parseInt(process.env.SCORING_RULES_RELOAD_MS || '5000', 10);
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Checks rules (full or partial) against the shape of the defaults.
+// Returns a list of error messages, empty when the rules are valid.
+function validateRules(rules) {
+  if (!isPlainObject(rules)) return ['rules must be an object'];
+
+  const errors = [];
+
+  function check(value, template, keyPath) {
+    if (OPEN_MAPS.includes(keyPath)) {
+      if (!isPlainObject(value)) return errors.push(`${keyPath} must be an object`);
+      Object.entries(value).forEach(([key, entry]) => {
+        if (typeof entry !== 'number' || !Number.isFinite(entry) || entry < 0) {
+          errors.push(`${keyPath}.${key} must be a non-negative number`);
+        }
+        if (keyPath === 'priorityThresholds' && !PRIORITIES.includes(key)) {
+          errors.push(`priorityThresholds keys must be one of ${PRIORITIES.join(', ')}`);
+        }
+      });
+      return;
+    }
+
+    if (isPlainObject(template)) {
+      if (!isPlainObject(value)) return errors.push(`${keyPath} must be an object`);
+      Object.entries(value).forEach(([key, entry]) => {
+        const childPath = keyPath ? `${keyPath}.${key}` : key;
+        if (!(key in template)) return errors.push(`unknown rule ${childPath}`);
+        check(entry, template[key], childPath);
+      });
+      return;
+    }
+
+    if (Array.isArray(template)) {
+      if (!Array.isArray(value) || value.some(entry => typeof entry !== 'string' || !entry.trim())) {
+        errors.push(`${keyPath} must be a list of non-empty strings`);
+      }
+      return;
+    }
+
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      return errors.push(`${keyPath} must be a non-negative number`);
+    }
+    if (SCORE_PATHS.includes(keyPath) && value > 100) {
+      errors.push(`${keyPath} must be at most 100`);
+    }
+  }
+
+  check(rules, DEFAULT_RULES, '');
+  return errors;
+}
+
+// Overlays partial rules on base rules without touching either. Open maps
+// are replaced whole so a proposal can drop an entry.
+function mergeRules(base, overrides = {}, keyPath = '') {
+  const merged = { ...base };
+  Object.entries(overrides).forEach(([key, value]) => {
+    const childPath = keyPath ? `${keyPath}.${key}` : key;
+    merged[key] = isPlainObject(value) && isPlainObject(base[key]) && !OPEN_MAPS.includes(childPath)
+      ? mergeRules(base[key], value, childPath)
+      : value;
+  });
+  return merged;
+}
+
+// Lowercases sponsor lists so matching stays a plain substring test
+function normalizeRules(rules) {
+  const lower = list => list.map(entry => entry.trim().toLowerCase());
+  return {
+    ...rules,
+    sponsors: {
+      allow: lower(rules.sponsors.allow),
+      deny: lower(rules.sponsors.deny),
+      highValueIndicators: lower(rules.sponsors.highValueIndicators)
+    }
+  };
+}
+
+// Validates partial rules and returns them merged over base. Throws with
+// the validation errors attached when the rules are invalid.
+function resolveRules(overrides, base = DEFAULT_RULES) {
+  const errors = validateRules(overrides);
+  if (errors.length > 0) {
+    const error = new Error(`Invalid scoring rules: ${errors.join('; ')}`);
+    error.errors = errors;
+    throw error;
+  }
+  return normalizeRules(mergeRules(base, overrides));
+}
+
+function loadRulesFile(file) {
+  let overrides;
+  try {
+    overrides = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    const wrapped = new Error(`Cannot read scoring rules from ${file}: ${error.message}`);
+    wrapped.errors = [error.message];
+    throw wrapped;
+  }
+  return resolveRules(overrides);
+}
+
+// Currently active rules and where they came from
+const state = {
+  file: null,
+  mtimeMs: null,
+  checkedAt: 0,
+  rules: DEFAULT_RULES,
+  loadedAt: null,
+  errors: []
+};
+
+// Re-reads the rules file. A broken file keeps the last good rules.
+function reloadRules() {
+  const configured = process.env.SCORING_RULES_FILE;
+  const file = configured ? path.resolve(configured) : null;
+  state.checkedAt = Date.now();
+
+  if (!file) {
+    Object.assign(state, { file: null, mtimeMs: null, rules: DEFAULT_RULES, loadedAt: null, errors: [] });
+    return state.rules;
+  }
+
+  let mtimeMs;
+  try {
+    mtimeMs = fs.statSync(file).mtimeMs;
+  } catch (error) {
+    if (state.file !== file || state.errors.length === 0) logger.error(`Scoring rules file ${file} not found, keeping current rules`);
+    Object.assign(state, { file, mtimeMs: null, errors: [`file not found: ${file}`] });
+    return state.rules;
+  }
+  if (state.file === file && state.mtimeMs === mtimeMs) return state.rules;
+
+  try {
+    state.rules = loadRulesFile(file);
+    state.loadedAt = new Date().toISOString();
+    state.errors = [];
+    logger.info(`Loaded scoring rules from ${file}`);
+  } catch (error) {
+    state.errors = error.errors || [error.message];
+    logger.error(`${error.message}, keeping current rules`);
+  }
+  state.file = file;
+  state.mtimeMs = mtimeMs;
+  return state.rules;
+}
+
+// Active rules, checking the file for changes at most every RELOAD_INTERVAL_MS
+function getRules() {
+  const configured = process.env.SCORING_RULES_FILE;
+  const fileChanged = (configured ? path.resolve(configured) : null) !== state.file;
+  if (fileChanged || Date.now() - state.checkedAt >= RELOAD_INTERVAL_MS) reloadRules();
+  return state.rules;
+}
+
+// Priority after applying score thresholds: a lead is lifted to the highest
+// priority whose threshold its score reaches, never lowered
+function priorityForScore(basePriority, score, thresholds = {}) {
+  const lifted = PRIORITIES.find(priority => thresholds[priority] !== undefined && score >= thresholds[priority]);
+  if (!lifted || !PRIORITIES.includes(basePriority)) return lifted || basePriority;
+  return PRIORITIES.indexOf(lifted) < PRIORITIES.indexOf(basePriority) ? lifted : basePriority;
+}
+
+// Rule paths where proposed rules differ from the current ones and that
+// only take effect when sources are next fetched
+function fetchTimeRuleChanges(current, proposed) {
+  const changed = [];
+
+  function compare(before, after, keyPath) {
+    if (isPlainObject(after) && isPlainObject(before) && !OPEN_MAPS.includes(keyPath)) {
+      new Set([...Object.keys(before), ...Object.keys(after)]).forEach(key => {
+        compare(before[key], after[key], keyPath ? `${keyPath}.${key}` : key);
+      });
+      return;
+    }
+    if (JSON.stringify(before) !== JSON.stringify(after)) changed.push(keyPath);
+  }
+
+  compare(current, proposed, '');
+  return changed.filter(keyPath => FETCH_TIME_RULES.some(prefix => keyPath === prefix || keyPath.startsWith(`${prefix}.`)));
+}
+
+function getRulesStatus() {
+  const rules = getRules();
+  return { file: state.file, loadedAt: state.loadedAt, errors: state.errors, rules };
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  PRIORITIES,
+  validateRules,
+  mergeRules,
+  resolveRules,
+  loadRulesFile,
+  reloadRules,
+  getRules,
+  getRulesStatus,
+  fetchTimeRuleChanges,
+  priorityForScore
+};
@@ -0,0 +1,1700 @@
+const moment = require('moment');
+const logger = require('../logger');
+const dataStore = require('../dataStore');
+const { normalizeCompanyName } = require('../companies');
+const { labelerCodesFromNdcs } = require('../entityResolution');
+const { getRules } = require('../scoringRules');
+const { OpenFdaClient } = require('../clients/openFdaClient');
+const { ClinicalTrialsClient, getNctId } = require('../clients/clinicalTrialsClient');
+const { WarningLetterClient } = require('../clients/warningLetterClient');
+const { httpGet } = require('../clients/upstreamFixtures');
+const { PharmaIntelligenceEngine } = require('./pharmaIntelligenceEngine');
+const { analyzeBiosimilarCompetition } = require('../ingestion/sources/purpleBook');
+
+// Comprehensive FDA API Service: the shared openFDA, ClinicalTrials.gov and
+// fda.gov clients with fetch reporting, plus the drug application and trial
+// analysis. The other sources' analyzers live in their ingestion/sources
+// modules and fetch through it.
+class FDAApiService extends PharmaIntelligenceEngine {
+  constructor() {
+    super();
+    this.fdaBaseUrl = 'https://api.fda.gov';
+    this.clinicalTrialsUrl = 'https://clinicaltrials.gov/api/v2';
+    this.openFda = new OpenFdaClient();
+    this.clinicalTrials = new ClinicalTrialsClient();
+    this.warningLetters = new WarningLetterClient();
+    this.fetchReports = [];
+  }
+
+  // Pages through an openFDA endpoint and keeps a report of what was fetched
+  // (total, pages, truncation) for the ingestion run log.
+  async fetchOpenFda(label, endpoint, options) {
+    try {
+      const { results, ...report } = await this.openFda.fetchAll(endpoint, options);
+      this.fetchReports.push({ label, endpoint, ...report });
+      return results;
+    } catch (error) {
+      this.fetchReports.push({ label, endpoint, error: error.message });
+      throw error;
+    }
+  }
+
+  // Count query against an openFDA endpoint, reported like fetchOpenFda
+  async countOpenFda(label, endpoint, options) {
+    try {
+      const results = await this.openFda.count(endpoint, options);
+      this.fetchReports.push({ label, endpoint, count: options.field, fetched: results.length, truncated: false });
+      return results;
+    } catch (error) {
+      this.fetchReports.push({ label, endpoint, count: options.field, error: error.message });
+      throw error;
+    }
+  }
+
+  // Marks failed reports from index `from` on as skipped: the caller went on
+  // without those results, so they stay in the run log but do not fail the
+  // source
+  skipFailedFetches(from) {
+    this.fetchReports.slice(from).forEach(report => {
+      if (report.error) report.skipped = true;
+    });
+  }
+
+  // Returns and clears the fetch reports collected since the last call
+  takeFetchReports() {
+    const reports = this.fetchReports;
+    this.fetchReports = [];
+    return reports;
+  }
+
+// 1. Get pharma drug applications (INDs, NDAs, BLAs, ANDAs, 505(b)(2)).
+// biosimilarLandscape (Purple Book import) adds competitive context to BLAs.
+async getPharmaApplications({ biosimilarLandscape = null } = {}) {
+  try {
+    logger.info('Fetching pharma drug applications...');
+    
+    const endDate = moment().format('YYYYMMDD');
+    const startDate = moment().subtract(365, 'days').format('YYYYMMDD');
+    
+    // FDA Drugs@FDA API - correct endpoint and parameters
+    const applications = await this.fetchOpenFda('drugsfda', '/drug/drugsfda.json', {
+      search: `submissions.submission_status_date:[${startDate} TO ${endDate}]`
+    });
+
+    logger.info(`Found ${applications.length} drug applications`);
+    
+    // Add safety check and better error handling
+    const analyzedApplications = [];
+    for (const app of applications) {
+      try {
+        const analyzed = this.analyzeApplication(app, { biosimilarLandscape });
+        if (analyzed) {
+          analyzedApplications.push(analyzed);
+        }
+      } catch (analyzeError) {
+        logger.warn('Failed to analyze individual application:', {
+          error: analyzeError.message,
+          applicationNumber: app?.application_number || 'unknown'
+        });
+      }
+    }
+    
+    return analyzedApplications;
+  } catch (error) {
+    logger.error('Error fetching drug applications:', {
+      message: error.message,
+      status: error.response?.status,
+      statusText: error.response?.statusText,
+      url: error.config?.url
+    });
+    
+    // Fallback: try alternative FDA endpoint
+    try {
+      const fallbackResponse = await this.getFDADrugsFallback();
+      return fallbackResponse;
+    } catch (fallbackError) {
+      logger.error('Fallback method also failed:', fallbackError.message);
+      return [];
+    }
+  }
+}
+
+// Fallback method for FDA drugs
+async getFDADrugsFallback() {
+  const response = await httpGet(`${this.fdaBaseUrl}/drug/event.json`, {
+    params: {
+      search: 'receivedate:[20240101 TO 20241231]',
+      limit: 50
+    },
+    timeout: 30000
+  });
+  
+  return response.data.results || [];
+}
+
+// 2. Get Clinical Trials with CORRECT API v2 structure
+async getClinicalTrials({ trialChanges = new Map() } = {}) {
+  return this.analyzeClinicalTrials(await this.getTrialStudies(), { trialChanges });
+}
+
+// Raw v2 studies for every query in getTrialQueries, deduped by NCT ID
+async getTrialStudies() {
+  try {
+    logger.info('Fetching comprehensive clinical trials with enhanced phase detection...');
+    
+    const { studies, reports } = await this.clinicalTrials.searchMany(this.getTrialQueries());
+    reports.forEach(report => this.fetchReports.push({ endpoint: 'clinicaltrials.gov/studies', ...report }));
+    logger.info(`Found ${studies.length} unique trials for analysis`);
+    
+    return studies;
+  } catch (error) {
+    logger.error('Error fetching clinical trials:', error.message);
+    return [];
+  }
+}
+
+// trialChanges: NCT ID -> record changes since earlier snapshots
+// (diffTrialSnapshots), passed on to the pain point analyzers
+async analyzeClinicalTrials(allTrials, { trialChanges = new Map() } = {}) {
+  // Enhanced analysis with focus on help signals
+  const analyzedTrials = [];
+  for (const trial of allTrials) {
+    try {
+      const changes = trialChanges.get(getNctId(trial)) || [];
+      const analysis = await this.advancedTrialPainPointAnalysis(trial, allTrials, { changes });
+      if (analysis && this.shouldIncludeTrial(analysis)) {
+        analyzedTrials.push(analysis);
+      }
+    } catch (error) {
+      logger.warn('Failed to analyze trial:', error.message);
+    }
+  }
+  
+  return analyzedTrials;
+}
+shouldIncludeTrial(analysis) {
+  // Always include trials with pain points
+  if (analysis.painPoints && analysis.painPoints.length > 0) {
+    return true;
+  }
+
+  const { minUrgencyScore, minComplexityScore } = getRules().inclusion.trials;
+
+  // Always include high urgency trials
+  if (analysis.urgencyScore >= minUrgencyScore) {
+    return true;
+  }
+
+  // Include new trial opportunities
+  const newOpportunities = this.detectNewTrialOpportunities(analysis);
+  if (newOpportunities.length > 0) {
+    analysis.newTrialOpportunities = newOpportunities;
+    return true;
+  }
+
+  // Include Phase 2 trials (potential stagnation)
+  const phaseInfo = this.classifyTrialPhase(analysis);
+  if (phaseInfo.primary === 'PHASE2' || phaseInfo.isCombo) {
+    return true;
+  }
+
+  // Include trials with biomarker complexity
+  if (analysis.biomarkerStrategy?.usesBiomarkers) {
+    return true;
+  }
+
+  // Include high complexity trials
+  if (analysis.complexityScore >= minComplexityScore) {
+    return true;
+  }
+
+  // Include trials from companies with multiple touchpoints
+  const company = this.getCompanyFromName(analysis.sponsor);
+  if (company && company.totalTouchpoints > 1) {
+    return true;
+  }
+
+  return false;
+}
+
+// Company already seen in this or an earlier run, if any
+getCompanyFromName(name) {
+  if (!name) return null;
+  return dataStore.companies.get(normalizeCompanyName(name)) || null;
+}
+
+// ClinicalTrials.gov queries merged by getClinicalTrials. Add a named entry
+// here to pull another slice of trials (options: clients/clinicalTrialsClient.js).
+getTrialQueries() {
+  const today = moment().format('YYYY-MM-DD');
+
+  return {
+    active: {
+      intervention: 'Drug',
+      statuses: ['RECRUITING', 'ACTIVE_NOT_RECRUITING', 'ENROLLING_BY_INVITATION']
+    },
+    recentlyStarted: {
+      intervention: 'Drug',
+      statuses: ['NOT_YET_RECRUITING', 'RECRUITING', 'ACTIVE_NOT_RECRUITING'],
+      firstSubmitted: { from: moment().subtract(6, 'months').format('YYYY-MM-DD'), to: today }
+    },
+    earlyPhase: {
+      intervention: 'Drug',
+      phases: ['EARLY_PHASE1', 'PHASE1'],
+      statuses: ['NOT_YET_RECRUITING', 'RECRUITING', 'ACTIVE_NOT_RECRUITING']
+    },
+    phase2: {
+      intervention: 'Drug',
+      phases: ['PHASE2'],
+      statuses: ['RECRUITING', 'ACTIVE_NOT_RECRUITING', 'SUSPENDED', 'TERMINATED']
+    }
+  };
+}
+
+// 5. ENHANCED: Better phase detection and classification
+classifyTrialPhase(trial) {
+  const protocolSection = trial.protocolSection || trial;
+  const designModule = protocolSection.designModule || {};
+  
+  // Handle different phase format possibilities
+  let phases = designModule.phases || trial.phase || trial.Phase || [];
+  
+  if (typeof phases === 'string') {
+    phases = [phases];
+  }
+  
+  if (!Array.isArray(phases)) {
+    phases = [];
+  }
+  
+  // Normalize phase names
+  const normalizedPhases = phases.map(p => {
+    if (typeof p === 'string') {
+      return p.toUpperCase().replace(/[^A-Z0-9|]/g, '');
+    }
+    return String(p).toUpperCase();
+  });
+  
+  // Detect specific phase combinations
+  const phaseString = normalizedPhases.join('|');
+  
+  if (phaseString.includes('EARLY_PHASE1') || phaseString.includes('EARLYPHASE1')) {
+    return { primary: 'EARLY_PHASE1', secondary: null, isCombo: false };
+  }
+  
+  if (phaseString.includes('PHASE1') && phaseString.includes('PHASE2')) {
+    return { primary: 'PHASE1', secondary: 'PHASE2', isCombo: true };
+  }
+  
+  if (phaseString.includes('PHASE2') && phaseString.includes('PHASE3')) {
+    return { primary: 'PHASE2', secondary: 'PHASE3', isCombo: true };
+  }
+  
+  if (phaseString.includes('PHASE3')) {
+    return { primary: 'PHASE3', secondary: null, isCombo: false };
+  }
+  
+  if (phaseString.includes('PHASE2')) {
+    return { primary: 'PHASE2', secondary: null, isCombo: false };
+  }
+  
+  if (phaseString.includes('PHASE1')) {
+    return { primary: 'PHASE1', secondary: null, isCombo: false };
+  }
+  
+  if (phaseString.includes('PHASE4')) {
+    return { primary: 'PHASE4', secondary: null, isCombo: false };
+  }
+  
+  return { primary: 'UNKNOWN', secondary: null, isCombo: false };
+}
+
+  // 4. Get RECALLS - Another critical trigger
+  async getRecalls() {
+    try {
+      logger.info('Fetching recent drug recalls...');
+      
+      const endDate = moment().format('YYYYMMDD');
+      const startDate = moment().subtract(90, 'days').format('YYYYMMDD');
+      
+      const recalls = await this.fetchOpenFda('recalls', '/drug/enforcement.json', {
+        search: `recall_initiation_date:[${startDate} TO ${endDate}]`
+      });
+      logger.info(`Found ${recalls.length} recent recalls`);
+      
+      return recalls.map(recall => ({
+        company: recall.recalling_firm,
+        recallNumber: recall.recall_number,
+        initiationDate: recall.recall_initiation_date,
+        classification: recall.classification,
+        voluntaryMandated: recall.voluntary_mandated,
+        reasonForRecall: recall.reason_for_recall,
+        productDescription: recall.product_description,
+        labelerCodes: labelerCodesFromNdcs(recall.openfda?.product_ndc),
+        emailTrigger: {
+          subject: `FDA Recall Management Support - ${recall.classification}`,
+          mainIssue: 'managing FDA recall and preventing future occurrences',
+          context: `Your ${recall.voluntary_mandated} recall of ${recall.product_description} presents both immediate compliance needs and long-term quality system improvements.`,
+          offering: 'We can analyze root causes from similar recalls and provide FDA-aligned corrective action strategies.'
+        }
+      }));
+    } catch (error) {
+      logger.error('Error fetching recalls:', error.message);
+      return [];
+    }
+  }
+
+  // Enhanced application analysis
+  analyzeApplication(app, { biosimilarLandscape = null } = {}) {
+    const submissions = app.submissions || [];
+    const latestSubmission = submissions[0] || {};
+    const products = app.products || [];
+    
+    // Determine submission type and regulatory status
+    const submissionType = this.determineSubmissionType(latestSubmission);
+    const status = this.determineDetailedStatus(latestSubmission);
+    const urgency = this.calculateUrgency(status, latestSubmission);
+    
+    // Identify all potential issues
+    const issues = this.identifyAllIssues(app, status);
+    
+    // Analyze therapeutic area and competition
+    const therapeuticProfile = this.analyzeTherapeuticProfile(app);
+    
+    // Biosimilar competition for BLAs, from the Purple Book
+    const competitiveContext = biosimilarLandscape && /^BLA/i.test(app.application_number || '')
+      ? analyzeBiosimilarCompetition(app, biosimilarLandscape)
+      : null;
+    
+    // Generate comprehensive email trigger
+    const emailTrigger = this.generateComprehensiveEmailTrigger(app, status, issues, therapeuticProfile, submissionType, competitiveContext);
+    
+    return {
+      applicationNumber: app.application_number,
+      sponsorName: app.sponsor_name,
+      labelerCodes: labelerCodesFromNdcs(app.openfda?.product_ndc),
+      submissionType,
+      products: products.map(p => ({
+        brandName: p.brand_name,
+        genericName: p.generic_name,
+        dosageForm: p.dosage_form,
+        route: p.route,
+        marketingStatus: p.marketing_status,
+        therapeuticEquivalenceCode: p.te_code
+      })),
+      submissions: submissions.map(s => ({
+        type: s.submission_type,
+        number: s.submission_number,
+        status: s.submission_status,
+        statusDate: s.submission_status_date,
+        reviewPriority: s.review_priority,
+        submissionClassCode: s.submission_class_code,
+        submissionPublicNotes: s.submission_public_notes
+      })),
+      status,
+      urgency,
+      issues,
+      therapeuticProfile,
+      competitiveContext,
+      emailTrigger,
+      dataQuality: this.assessDataQuality(app),
+      lastActivity: latestSubmission.submission_status_date,
+      isHighPriority: this.isHighPriorityApplication(app, status, submissionType)
+    };
+  }
+
+  // Determine submission type (IND, NDA, BLA, ANDA, 505(b)(2))
+  determineSubmissionType(submission) {
+    const type = submission.submission_type;
+    const classCode = submission.submission_class_code;
+    
+    if (type === 'ORIG' && classCode === 'TYPE 1') return 'NDA';
+    if (type === 'ORIG' && classCode === 'TYPE 2') return '505(b)(2)';
+    if (type === 'ORIG' && classCode === 'TYPE 3') return 'NDA_NEW_DOSAGE';
+    if (type === 'ORIG' && classCode === 'TYPE 4') return 'NDA_NEW_MANUFACTURER';
+    if (type === 'ORIG' && classCode === 'TYPE 5') return 'NDA_NEW_FORMULATION';
+    if (type === 'ORIG' && classCode === 'TYPE 6') return 'BLA';
+    if (type === 'ORIG' && classCode === 'TYPE 7') return 'DRUG_MASTER_FILE';
+    if (type === 'ORIG' && classCode === 'TYPE 8') return 'ANDA';
+    if (type === 'SUPPL') return 'SUPPLEMENTAL';
+    
+    return 'OTHER';
+  }
+
+  // Comprehensive trial analysis with correct API v2 structure
+  comprehensiveTrialAnalysis(studyData, { changes = [] } = {}) {
+    // Handle API v2 response structure
+    const study = studyData.protocolSection || studyData;
+    
+    // Extract key data from the correct structure
+    const trialData = {
+      nctId: study.identificationModule?.nctId,
+      title: study.identificationModule?.briefTitle,
+      officialTitle: study.identificationModule?.officialTitle,
+      sponsor: study.sponsorCollaboratorsModule?.leadSponsor?.name,
+      ctgovSponsor: study.sponsorCollaboratorsModule?.leadSponsor?.name || null,
+      collaborators: study.sponsorCollaboratorsModule?.collaborators?.map(c => c.name) || [],
+      phase: study.designModule?.phases?.[0] || 'Not Specified',
+      studyType: study.designModule?.studyType,
+      status: study.statusModule?.overallStatus,
+      conditions: study.conditionsModule?.conditions || [],
+      keywords: study.conditionsModule?.keywords || [],
+      
+      // Trial design details
+      enrollment: study.designModule?.enrollmentInfo?.count || 0,
+      enrollmentType: study.designModule?.enrollmentInfo?.type,
+      allocation: study.designModule?.allocation,
+      interventionModel: study.designModule?.interventionModel,
+      primaryPurpose: study.designModule?.primaryPurpose,
+      masking: study.designModule?.maskingInfo?.masking,
+      
+      // Dates
+      startDate: study.statusModule?.startDateStruct?.date,
+      primaryCompletionDate: study.statusModule?.primaryCompletionDateStruct?.date,
+      completionDate: study.statusModule?.completionDateStruct?.date,
+      firstPostedDate: study.statusModule?.studyFirstPostDateStruct?.date,
+      lastUpdatePostedDate: study.statusModule?.lastUpdatePostDateStruct?.date,
+      
+      // Dated changes since earlier snapshots of this record
+      recordChanges: changes,
+      
+      // Interventions
+      interventions: study.armsInterventionsModule?.interventions?.map(i => ({
+        type: i.type,
+        name: i.name,
+        description: i.description,
+        armGroupLabels: i.armGroupLabels
+      })) || [],
+      
+      // Arms
+      armGroups: study.armsInterventionsModule?.armGroups?.map(a => ({
+        label: a.label,
+        type: a.type,
+        description: a.description,
+        interventionNames: a.interventionNames
+      })) || [],
+      
+      // Eligibility
+      eligibility: {
+        criteria: study.eligibilityModule?.eligibilityCriteria,
+        healthyVolunteers: study.eligibilityModule?.healthyVolunteers,
+        sex: study.eligibilityModule?.sex,
+        minimumAge: study.eligibilityModule?.minimumAge,
+        maximumAge: study.eligibilityModule?.maximumAge,
+        stdAges: study.eligibilityModule?.stdAges
+      }
+    };
+    
+    // Deep analysis
+    const biomarkerStrategy = this.analyzeBiomarkerStrategy(
+      trialData.eligibility.criteria || '', 
+      trialData.title || ''
+    );
+    const endpoints = this.analyzeEndpoints(study);
+    const regulatoryChallenges = this.identifyAllTrialChallenges(trialData, biomarkerStrategy, endpoints);
+    const competitiveLandscape = this.assessCompetitiveLandscape(trialData);
+    
+    // Calculate trial complexity score
+    const complexityScore = this.calculateTrialComplexity(trialData, biomarkerStrategy, endpoints);
+    
+    // Generate strategic email
+    const emailTrigger = this.generateStrategicTrialEmail(trialData, biomarkerStrategy, regulatoryChallenges, competitiveLandscape);
+    
+    return {
+      ...trialData,
+      biomarkerStrategy,
+      endpoints,
+      regulatoryChallenges,
+      competitiveLandscape,
+      complexityScore,
+      emailTrigger,
+      urgencyScore: this.calculateTrialUrgency(trialData, regulatoryChallenges),
+      isHighValueLead: this.isHighValueTrial(trialData, biomarkerStrategy, complexityScore)
+    };
+  }
+
+  // Calculate trial complexity score
+  calculateTrialComplexity(trialData, biomarkerStrategy, endpoints) {
+    let score = 0;
+    
+    // Phase complexity
+    if (trialData.phase === 'PHASE3') score += 30;
+    else if (trialData.phase === 'PHASE2') score += 20;
+    else if (trialData.phase === 'PHASE1') score += 10;
+    else if (trialData.phase === 'EARLY_PHASE1') score += 15;
+    
+    // Biomarker complexity
+    if (biomarkerStrategy.enrichmentStrategy === 'MIXED_POPULATION') score += 25;
+    else if (biomarkerStrategy.usesBiomarkers) score += 15;
+    
+    // Endpoint complexity
+    if (endpoints.hasNovelEndpoints) score += 20;
+    if (endpoints.hasSurrogateEndpoints) score += 15;
+    
+    // Design complexity
+    if (trialData.interventionModel === 'PARALLEL') score += 5;
+    else if (trialData.interventionModel === 'CROSSOVER') score += 10;
+    else if (trialData.interventionModel === 'FACTORIAL') score += 15;
+    
+    // Size complexity
+    if (trialData.enrollment > 500) score += 10;
+    else if (trialData.enrollment < 50 && trialData.phase !== 'PHASE1') score += 15;
+    
+    // Multiple interventions
+    if (trialData.interventions.length > 2) score += 10;
+    
+    // Adaptive design indicators
+    if (trialData.title?.toLowerCase().includes('adaptive') || 
+        trialData.title?.toLowerCase().includes('seamless')) score += 20;
+    
+    return Math.min(score, 100);
+  }
+
+  // Determine if trial is high value lead
+  isHighValueTrial(trialData, biomarkerStrategy, complexityScore) {
+    // High value indicators
+    if (trialData.status === 'NOT_YET_RECRUITING' && complexityScore > 50) return true;
+    if (biomarkerStrategy.enrichmentStrategy === 'MIXED_POPULATION') return true;
+    if (trialData.phase === 'PHASE3' && trialData.enrollment > 300) return true;
+    if (trialData.primaryPurpose === 'TREATMENT' && complexityScore > 60) return true;
+    if (trialData.sponsor && this.isHighValueSponsor(trialData.sponsor)) return true;
+    
+    return false;
+  }
+
+  // Check if sponsor is high value
+  isHighValueSponsor(sponsorName, rules = getRules()) {
+    const name = sponsorName.toLowerCase();
+    const { allow, deny, highValueIndicators } = rules.sponsors;
+    
+    // Sponsors the team has chosen to pursue regardless of size
+    if (allow.some(sponsor => name.includes(sponsor))) return true;
+    
+    // Exclude large pharma that likely have internal resources
+    if (deny.some(sponsor => name.includes(sponsor))) return false;
+    
+    return highValueIndicators.some(indicator => name.includes(indicator));
+  }
+
+  // Determine if application is high priority
+  isHighPriorityApplication(app, status, submissionType) {
+    // Critical statuses
+    if (['COMPLETE_RESPONSE_LETTER', 'REFUSE_TO_FILE'].includes(status)) return true;
+    
+    // Active review
+    if (status === 'FILED_UNDER_REVIEW') return true;
+    
+    // Complex submission types
+    if (['505(b)(2)', 'BLA', 'NDA'].includes(submissionType)) return true;
+    
+    // Priority review
+    if (app.submissions?.some(s => s.review_priority === 'PRIORITY')) return true;
+    
+    return false;
+  }
+
+  // Helper methods remain the same but with enhanced logic...
+  determineDetailedStatus(submission) {
+    if (!submission.submission_type) return 'NO_SUBMISSION';
+    
+    const type = submission.submission_type;
+    const status = submission.submission_status;
+    
+    // Critical statuses
+    if (status === 'CR') return 'COMPLETE_RESPONSE_LETTER';
+    if (status === 'RT') return 'REFUSE_TO_FILE';
+    if (status === 'WD') return 'WITHDRAWN';
+    
+    // Active statuses
+    if (type === 'ORIG' && status === 'FI') return 'FILED_UNDER_REVIEW';
+    if (type === 'ORIG' && status === 'AP') return 'APPROVED';
+    if (type === 'ORIG' && status === 'TA') return 'TENTATIVE_APPROVAL';
+    
+    // Supplemental submissions
+    if (type === 'SUPPL') return 'SUPPLEMENTAL_APPLICATION';
+    
+    // Pre-submission
+    if (type === 'IND') return 'IND_ACTIVE';
+    
+    return 'OTHER';
+  }
+
+  calculateUrgency(status, submission) {
+    // Critical urgency
+    if (['COMPLETE_RESPONSE_LETTER', 'REFUSE_TO_FILE'].includes(status)) return 'CRITICAL';
+    
+    // High urgency
+    if (['FILED_UNDER_REVIEW', 'TENTATIVE_APPROVAL'].includes(status)) return 'HIGH';
+    
+    // Medium urgency
+    if (submission.review_priority === 'PRIORITY') return 'MEDIUM';
+    
+    // Check recency
+    const daysSinceActivity = moment().diff(moment(submission.submission_status_date), 'days');
+    if (daysSinceActivity < 30) return 'MEDIUM';
+    
+    return 'LOW';
+  }
+
+  identifyAllIssues(app, status) {
+    const issues = [];
+    const submissions = app.submissions || [];
+    
+    // CRL issues
+    if (status === 'COMPLETE_RESPONSE_LETTER') {
+      issues.push({
+        type: 'CRL_RECEIVED',
+        severity: 'CRITICAL',
+        description: 'Complete Response Letter requires comprehensive response strategy',
+        needsHelp: 'CRL response strategy, precedent analysis, FDA meeting preparation'
+      });
+    }
+    
+    // RTF issues
+    if (status === 'REFUSE_TO_FILE') {
+      issues.push({
+        type: 'REFUSE_TO_FILE',
+        severity: 'CRITICAL',
+        description: 'Refuse to File letter indicates significant submission deficiencies',
+        needsHelp: 'RTF remediation, submission quality review, FDA expectations alignment'
+      });
+    }
+    
+    // Multiple review cycles
+    const origCount = submissions.filter(s => s.submission_type === 'ORIG').length;
+    if (origCount > 1) {
+      issues.push({
+        type: 'MULTIPLE_REVIEW_CYCLES',
+        severity: 'HIGH',
+        description: `${origCount} review cycles indicate persistent FDA concerns`,
+        needsHelp: 'Root cause analysis, regulatory strategy optimization'
+      });
+    }
+    
+    // Long review times
+    const firstSubmission = submissions[submissions.length - 1];
+    const reviewTime = moment(submissions[0]?.submission_status_date).diff(moment(firstSubmission?.submission_status_date), 'days');
+    if (reviewTime > 365) {
+      issues.push({
+        type: 'EXTENDED_REVIEW',
+        severity: 'MEDIUM',
+        description: `${reviewTime} days in review suggests complex regulatory issues`,
+        needsHelp: 'FDA communication strategy, submission optimization'
+      });
+    }
+    
+    // Priority review challenges
+    if (submissions.some(s => s.review_priority === 'PRIORITY' && s.submission_status !== 'AP')) {
+      issues.push({
+        type: 'PRIORITY_REVIEW_CHALLENGES',
+        severity: 'HIGH',
+        description: 'Priority review designation with ongoing challenges',
+        needsHelp: 'Expedited pathway navigation, FDA alignment'
+      });
+    }
+    
+    return issues;
+  }
+
+  analyzeTherapeuticProfile(app) {
+    const products = app.products || [];
+    const pharmClasses = [];
+    const routes = new Set();
+    const dosageForms = new Set();
+    
+    products.forEach(product => {
+      if (product.pharm_class) pharmClasses.push(...product.pharm_class);
+      if (product.route) routes.add(product.route);
+      if (product.dosage_form) dosageForms.add(product.dosage_form);
+    });
+    
+    // Determine therapeutic area
+    const therapeuticArea = this.classifyTherapeuticArea(pharmClasses);
+    
+    // Assess complexity
+    const complexity = {
+      multipleRoutes: routes.size > 1,
+      multipleDosageForms: dosageForms.size > 1,
+      combinationProduct: products.some(p => p.active_ingredients?.length > 1),
+      isNovelTherapy: this.isNovelTherapy(pharmClasses),
+      is505b2: products.some(p => p.te_code && p.te_code !== 'AB')
+    };
+    
+    return {
+      therapeuticArea,
+      pharmClasses: [...new Set(pharmClasses)],
+      routes: Array.from(routes),
+      dosageForms: Array.from(dosageForms),
+      complexity,
+      competitiveIntensity: this.assessCompetitiveIntensity(therapeuticArea)
+    };
+  }
+
+  classifyTherapeuticArea(pharmClasses) {
+    const classString = pharmClasses.join(' ').toUpperCase();
+    
+    if (/ONCOL|ANTINEO|CANCER/.test(classString)) return 'ONCOLOGY';
+    if (/NEUR|PSYCH|CNS|ALZH|PARKIN/.test(classString)) return 'CNS';
+    if (/CARD|HYPERT|LIPID/.test(classString)) return 'CARDIOVASCULAR';
+    if (/DIAB|METABOL|OBESITY/.test(classString)) return 'METABOLIC';
+    if (/IMMUN|RHEUM|AUTOIMM/.test(classString)) return 'IMMUNOLOGY';
+    if (/INFECT|ANTIBIOT|ANTIVIR/.test(classString)) return 'INFECTIOUS_DISEASE';
+    if (/RARE|ORPHAN/.test(classString)) return 'RARE_DISEASE';
+    
+    return 'OTHER';
+  }
+
+  isNovelTherapy(pharmClasses) {
+    const novelIndicators = ['FIRST', 'NOVEL', 'NEW', 'BREAKTHROUGH', 'ONLY'];
+    return novelIndicators.some(indicator => 
+      pharmClasses.some(pc => pc.toUpperCase().includes(indicator))
+    );
+  }
+
+  assessCompetitiveIntensity(therapeuticArea) {
+    const highCompetition = ['ONCOLOGY', 'CNS', 'METABOLIC'];
+    const mediumCompetition = ['CARDIOVASCULAR', 'IMMUNOLOGY'];
+    
+    if (highCompetition.includes(therapeuticArea)) return 'HIGH';
+    if (mediumCompetition.includes(therapeuticArea)) return 'MEDIUM';
+    return 'LOW';
+  }
+
+  analyzeBiomarkerStrategy(eligibility, title) {
+    const text = `${eligibility} ${title}`.toLowerCase();
+    
+    // Comprehensive biomarker detection
+    const biomarkerTypes = {
+      genetic: /mutation|variant|polymorphism|genotype|allele|chromosome/i.test(text),
+      protein: /expression|overexpression|positive|negative|high|low/i.test(text),
+      genomic: /genomic|sequencing|ngs|wgs|wes|panel/i.test(text),
+      liquidBiopsy: /ctdna|cfdna|liquid biopsy|circulating/i.test(text),
+      immunologic: /pd-l1|pd-1|msi|tmb|hla|immune/i.test(text)
+    };
+    
+    const specificMarkers = this.extractSpecificMarkers(text);
+    
+    // Determine enrichment approach
+    let enrichmentStrategy = 'NONE';
+    if (text.includes('positive') && text.includes('negative')) {
+      enrichmentStrategy = 'MIXED_POPULATION';
+    } else if (text.includes('positive') || text.includes('enriched')) {
+      enrichmentStrategy = 'ENRICHED_ONLY';
+    } else if (text.includes('all-comers') || text.includes('unselected')) {
+      enrichmentStrategy = 'ALL_COMERS';
+    } else if (Object.values(biomarkerTypes).some(v => v)) {
+      enrichmentStrategy = 'BIOMARKER_STRATIFIED';
+    }
+    
+    return {
+      usesBiomarkers: Object.values(biomarkerTypes).some(v => v),
+      biomarkerTypes,
+      specificMarkers,
+      enrichmentStrategy,
+      complexity: this.assessBiomarkerComplexity(biomarkerTypes, specificMarkers)
+    };
+  }
+
+  extractSpecificMarkers(text) {
+    const markers = [];
+    const knownMarkers = [
+      'her2', 'egfr', 'pd-l1', 'pd-1', 'brca1', 'brca2', 'alk', 'ros1', 
+      'kras', 'nras', 'braf', 'met', 'ret', 'ntrk', 'fgfr', 'pik3ca',
+      'msi-h', 'tmb-h', 'mmr', 'tp53', 'apc', 'cdh1', 'vhl', 'kit'
+    ];
+    
+    knownMarkers.forEach(marker => {
+      if (text.includes(marker)) markers.push(marker.toUpperCase());
+    });
+    
+    return markers;
+  }
+
+  assessBiomarkerComplexity(types, markers) {
+    const typeCount = Object.values(types).filter(v => v).length;
+    
+    if (typeCount >= 3 || markers.length >= 3) return 'HIGH';
+    if (typeCount >= 2 || markers.length >= 2) return 'MEDIUM';
+    return 'LOW';
+  }
+
+  analyzeEndpoints(study) {
+    const primary = study.outcomesModule?.primaryOutcomes || [];
+    const secondary = study.outcomesModule?.secondaryOutcomes || [];
+    const primaryEndpoints = primary.map(outcome => ({
+      measure: outcome.measure,
+      timeFrame: outcome.timeFrame,
+      description: outcome.description,
+      isNovel: this.isNovelEndpoint(outcome.measure),
+      isSurrogate: this.isSurrogateEndpoint(outcome.measure),
+      requiresValidation: this.requiresEndpointValidation(outcome.measure)
+    }));
+    
+    return {
+      primary: primaryEndpoints,
+      secondaryCount: secondary.length,
+      hasNovelEndpoints: primaryEndpoints.some(e => e.isNovel),
+      hasSurrogateEndpoints: primaryEndpoints.some(e => e.isSurrogate),
+      complexity: this.assessEndpointComplexity(primaryEndpoints)
+    };
+  }
+
+  isNovelEndpoint(measure) {
+    const novelIndicators = ['novel', 'new', 'composite', 'combined', 'proprietary'];
+    return novelIndicators.some(ind => measure?.toLowerCase().includes(ind));
+  }
+
+  isSurrogateEndpoint(measure) {
+    const surrogateIndicators = ['biomarker', 'expression', 'level', 'concentration', 'surrogate'];
+    return surrogateIndicators.some(ind => measure?.toLowerCase().includes(ind));
+  }
+
+  requiresEndpointValidation(measure) {
+    return this.isNovelEndpoint(measure) || this.isSurrogateEndpoint(measure);
+  }
+
+  assessEndpointComplexity(endpoints) {
+    if (endpoints.some(e => e.isNovel && e.isSurrogate)) return 'HIGH';
+    if (endpoints.some(e => e.isNovel || e.isSurrogate)) return 'MEDIUM';
+    return 'LOW';
+  }
+
+  identifyAllTrialChallenges(trialData, biomarkerStrategy, endpoints) {
+    const challenges = [];
+    
+    // Biomarker challenges
+    if (biomarkerStrategy.enrichmentStrategy === 'MIXED_POPULATION') {
+      challenges.push({
+        type: 'COMPLEX_BIOMARKER_DESIGN',
+        severity: 'CRITICAL',
+        description: 'Mixed biomarker population requires careful FDA alignment',
+        specificNeed: 'Analysis of FDA enrichment guidance interpretation across divisions'
+      });
+    }
+    
+    // Endpoint challenges
+    if (endpoints.hasNovelEndpoints) {
+      challenges.push({
+        type: 'NOVEL_ENDPOINT_VALIDATION',
+        severity: 'HIGH',
+        description: 'Novel endpoints require extensive FDA validation',
+        specificNeed: 'Precedent analysis for endpoint acceptance in similar indications'
+      });
+    }
+    
+    // Enrollment challenges
+    if (trialData.enrollment < 50 && trialData.phase !== 'PHASE1') {
+      challenges.push({
+        type: 'SMALL_SAMPLE_SIZE',
+        severity: 'HIGH',
+        description: 'Small sample size requires robust statistical justification',
+        specificNeed: 'Statistical power analysis and FDA precedents for small trials'
+      });
+    } else if (trialData.enrollment > 1000) {
+      challenges.push({
+        type: 'LARGE_TRIAL_MANAGEMENT',
+        severity: 'MEDIUM',
+        description: 'Large trial requires interim analysis strategy',
+        specificNeed: 'FDA guidance on DMC charters and interim analyses'
+      });
+    }
+    
+    // Phase-specific challenges
+    if (trialData.phase === 'PHASE2' && trialData.conditions[0]?.toLowerCase().includes('rare')) {
+      challenges.push({
+        type: 'RARE_DISEASE_DEVELOPMENT',
+        severity: 'HIGH',
+        description: 'Rare disease development pathway optimization needed',
+        specificNeed: 'FDA orphan drug and expedited pathway strategy'
+      });
+    }
+    
+    // Adaptive design challenges
+    if (trialData.title?.toLowerCase().includes('adaptive') || 
+        trialData.title?.toLowerCase().includes('seamless')) {
+      challenges.push({
+        type: 'ADAPTIVE_DESIGN_COMPLEXITY',
+        severity: 'HIGH',
+        description: 'Adaptive trial design requires specialized FDA interaction',
+        specificNeed: 'FDA guidance on adaptive designs and statistical analysis plans'
+      });
+    }
+    
+    // Timing challenges
+    if (trialData.status === 'NOT_YET_RECRUITING') {
+      challenges.push({
+        type: 'PRE_TRIAL_OPTIMIZATION',
+        severity: 'MEDIUM',
+        description: 'Pre-recruitment window for protocol optimization',
+        specificNeed: 'FDA Type B meeting preparation and protocol alignment'
+      });
+    }
+    
+    // Combination product challenges
+    const hasCombinationProduct = trialData.interventions.some(i => 
+      i.type === 'COMBINATION_PRODUCT' || 
+      (i.type === 'DRUG' && trialData.interventions.some(j => j.type === 'DEVICE'))
+    );
+    
+    if (hasCombinationProduct) {
+      challenges.push({
+        type: 'COMBINATION_PRODUCT_COMPLEXITY',
+        severity: 'HIGH',
+        description: 'Combination product requires cross-center FDA coordination',
+        specificNeed: 'Navigating CDER/CDRH jurisdictional considerations'
+      });
+    }
+    
+    return challenges;
+  }
+
+  assessCompetitiveLandscape(trialData) {
+    const indication = trialData.conditions[0]?.toLowerCase() || '';
+    
+    let intensity = 'MODERATE';
+    let keyCompetitors = [];
+    let marketInsights = [];
+    
+    if (indication.includes('cancer') || indication.includes('oncol')) {
+      intensity = 'HIGH';
+      keyCompetitors = ['Multiple PD-1/PD-L1 inhibitors', 'CAR-T therapies', 'ADCs'];
+      marketInsights = ['Crowded market requires differentiation', 'Biomarker strategy critical'];
+    } else if (indication.includes('alzheimer') || indication.includes('parkinson')) {
+      intensity = 'HIGH';
+      keyCompetitors = ['Aduhelm controversy impacts', 'Multiple Phase 3 failures'];
+      marketInsights = ['FDA bar remains high', 'Endpoints under scrutiny'];
+    } else if (indication.includes('rare') || indication.includes('orphan')) {
+      intensity = 'LOW';
+      keyCompetitors = ['Limited competition', 'First-in-class opportunity'];
+      marketInsights = ['FDA more flexible on endpoints', 'Expedited pathways available'];
+    } else if (indication.includes('diabetes') || indication.includes('metabolic')) {
+      intensity = 'HIGH';
+      keyCompetitors = ['GLP-1 dominance', 'Established SOC'];
+      marketInsights = ['CV outcomes expected', 'Differentiation needed'];
+    }
+    
+    return {
+      intensity,
+      keyCompetitors,
+      marketInsights,
+      marketDynamics: this.assessMarketDynamics(indication),
+      fdaClimate: this.assessFDAClimate(indication),
+      expeditedPathways: this.identifyExpediedPathways(trialData)
+    };
+  }
+
+  assessMarketDynamics(indication) {
+    if (indication.includes('biosimilar')) return 'PRICE_PRESSURE';
+    if (indication.includes('rare')) return 'PREMIUM_PRICING';
+    if (indication.includes('generic')) return 'COMMODITY';
+    if (indication.includes('first-in-class')) return 'INNOVATION_PREMIUM';
+    return 'COMPETITIVE';
+  }
+
+  assessFDAClimate(indication) {
+    if (indication.includes('opioid')) return 'HEIGHTENED_SCRUTINY';
+    if (indication.includes('pediatric')) return 'SUPPORTIVE';
+    if (indication.includes('antibiotic')) return 'EXPEDITED';
+    if (indication.includes('alzheimer')) return 'EVOLVING_STANDARDS';
+    if (indication.includes('rare')) return 'FLEXIBLE';
+    return 'STANDARD';
+  }
+
+  identifyExpediedPathways(trialData) {
+    const pathways = [];
+    const indication = trialData.conditions[0]?.toLowerCase() || '';
+    
+    // Breakthrough Therapy
+    if (indication.includes('cancer') || indication.includes('rare')) {
+      pathways.push('Breakthrough Therapy Designation');
+    }
+    
+    // Fast Track
+    if (indication.includes('serious') || indication.includes('life-threatening')) {
+      pathways.push('Fast Track Designation');
+    }
+    
+    // Orphan Drug
+    if (indication.includes('rare') || indication.includes('orphan')) {
+      pathways.push('Orphan Drug Designation');
+    }
+    
+    // Priority Review
+    if (trialData.phase === 'PHASE3') {
+      pathways.push('Priority Review');
+    }
+    
+    // Accelerated Approval
+    if (trialData.endpoints?.hasSurrogateEndpoints) {
+      pathways.push('Accelerated Approval');
+    }
+    
+    return pathways;
+  }
+
+  generateComprehensiveEmailTrigger(app, status, issues, therapeuticProfile, submissionType, competitiveContext = null) {
+    const urgentIssue = issues.find(i => i.severity === 'CRITICAL') || issues[0];
+    const isComplex = therapeuticProfile.complexity.combinationProduct || 
+                      therapeuticProfile.complexity.isNovelTherapy ||
+                      therapeuticProfile.complexity.is505b2;
+    
+    let trigger = {
+      subject: '',
+      mainIssue: '',
+      context: '',
+      offering: '',
+      specificAnalysis: [],
+      urgency: this.calculateUrgency(status, app.submissions[0]),
+      callToAction: '',
+      personalizedHook: ''
+    };
+    
+    // Customize based on submission type and status
+    if (status === 'COMPLETE_RESPONSE_LETTER') {
+      trigger.subject = `CRL Response Strategy for ${app.products[0]?.brand_name || app.application_number}`;
+      trigger.mainIssue = 'Complete Response Letter requiring strategic response';
+      trigger.personalizedHook = `I noticed FDA issued a CRL for your ${submissionType} application. Having analyzed 200+ successful CRL responses in ${therapeuticProfile.therapeuticArea}, I see specific patterns that could help.`;
+      trigger.context = `Your CRL for ${app.products[0]?.brand_name || 'your product'} requires a comprehensive response strategy that addresses FDA's specific concerns while maintaining your development timeline.`;
+      trigger.offering = 'I can provide detailed analysis of successful CRL responses in your therapeutic area, including:';
+      trigger.specificAnalysis = [
+        'Root cause patterns in similar CRLs and their resolutions',
+        'Division-specific preferences for data presentation',
+        'Statistical approaches that have satisfied FDA concerns',
+        'Timeline optimization strategies for resubmission',
+        `Specific precedents for ${submissionType} applications`
+      ];
+      trigger.callToAction = 'Would you like to discuss how our CRL response analysis could strengthen your resubmission? I can share specific examples from recent approvals after CRL.';
+    } else if (status === 'REFUSE_TO_FILE') {
+      trigger.subject = `RTF Remediation Support for ${app.application_number}`;
+      trigger.mainIssue = 'Refuse to File requiring immediate action';
+      trigger.personalizedHook = `An RTF on your ${submissionType} is challenging but addressable. Our analysis shows 73% of RTFs result in successful resubmission within 6 months with the right approach.`;
+      trigger.context = 'Your RTF indicates submission quality issues that need systematic remediation.';
+      trigger.offering = 'Our RTF recovery analysis provides:';
+      trigger.specificAnalysis = [
+        'Common RTF reasons in your division and fixes',
+        'Pre-submission meeting strategy',
+        'Quality control checklist based on recent approvals',
+        'Resubmission timeline optimization'
+      ];
+    } else if (status === 'FILED_UNDER_REVIEW') {
+      trigger.subject = `FDA Review Optimization for ${app.products[0]?.brand_name || app.application_number}`;
+      trigger.mainIssue = 'optimizing FDA interactions during active review';
+      trigger.personalizedHook = `With your ${submissionType} under FDA review, proactive preparation can save 2-3 months. I track FDA's questions patterns in ${therapeuticProfile.therapeuticArea}.`;
+      trigger.context = `Your ${therapeuticProfile.therapeuticArea} application is at a critical juncture where anticipating FDA questions can significantly impact approval timeline.`;
+      trigger.offering = 'Our regulatory intelligence helps you prepare for:';
+      trigger.specificAnalysis = [
+        'Common FDA queries in recent ' + therapeuticProfile.therapeuticArea + ' approvals',
+        'Division-specific focus areas and concerns',
+        'Mid-cycle meeting preparation strategies',
+        'Information request response templates',
+        `${submissionType}-specific review considerations`
+      ];
+    } else if (submissionType === '505(b)(2)') {
+      trigger.subject = `505(b)(2) Strategy Optimization for ${app.products[0]?.brand_name}`;
+      trigger.mainIssue = '505(b)(2) pathway optimization';
+      trigger.personalizedHook = `505(b)(2) applications in ${therapeuticProfile.therapeuticArea} face unique challenges. Our analysis of 150+ successful 505(b)(2)s shows clear patterns.`;
+      trigger.context = 'Your 505(b)(2) application requires careful navigation of literature support and bridging studies.';
+      trigger.offering = 'Our 505(b)(2) intelligence includes:';
+      trigger.specificAnalysis = [
+        'Successful bridging strategies in your therapeutic area',
+        'Literature package requirements by division',
+        'Patent certification strategy',
+        'Labeling negotiations tactics'
+      ];
+    } else if (urgentIssue) {
+      trigger.subject = `FDA Strategy Support for ${urgentIssue.type.replace(/_/g, ' ')}`;
+      trigger.mainIssue = urgentIssue.description.toLowerCase();
+      trigger.personalizedHook = `Your ${app.products[0]?.brand_name || 'product'} faces a specific challenge I've seen resolved successfully in similar cases.`;
+      trigger.context = `Your development faces ${urgentIssue.description.toLowerCase()}, which ${urgentIssue.needsHelp}.`;
+      trigger.offering = `Our regulatory AI tool addresses ${urgentIssue.needsHelp} through:`;
+      trigger.specificAnalysis = this.generateSpecificAnalysis(urgentIssue, therapeuticProfile);
+    } else {
+      // General outreach for standard applications
+      trigger.subject = `FDA Regulatory Intelligence for ${therapeuticProfile.therapeuticArea} ${submissionType}`;
+      trigger.mainIssue = 'regulatory strategy optimization';
+      trigger.personalizedHook = `I noticed your ${submissionType} submission for a ${therapeuticProfile.therapeuticArea} product. The FDA landscape here has shifted significantly.`;
+      trigger.context = `As you advance ${app.products[0]?.brand_name || 'your product'} through FDA review, having deep insights into division-specific preferences and successful precedents can make a significant difference.`;
+      trigger.offering = 'Our AI-powered regulatory analysis provides:';
+      trigger.specificAnalysis = [
+        'Competitive intelligence on recent ' + therapeuticProfile.therapeuticArea + ' approvals',
+        'Division-specific guidance interpretation patterns',
+        `${submissionType} pathway optimization strategies`,
+        'Risk mitigation insights from similar products'
+      ];
+    }
+    
+    // Add personalization based on complexity
+    if (isComplex) {
+      if (therapeuticProfile.complexity.combinationProduct) {
+        trigger.specificAnalysis.push('Combination product jurisdictional strategies');
+      }
+      if (therapeuticProfile.complexity.is505b2) {
+        trigger.specificAnalysis.push('505(b)(2) literature support optimization');
+      }
+      if (therapeuticProfile.complexity.isNovelTherapy) {
+        trigger.specificAnalysis.push('Novel therapy precedent analysis');
+      }
+    }
+    
+    // Competitive context for BLA sponsors from the Purple Book
+    if (competitiveContext) {
+      trigger.competitiveContext = competitiveContext.summary;
+      trigger.specificAnalysis.push(...competitiveContext.analysis);
+    }
+    
+    trigger.callToAction = this.generateCallToAction(status, urgentIssue, submissionType);
+    
+    return trigger;
+  }
+
+  generateSpecificAnalysis(issue, therapeuticProfile) {
+    const analysisMap = {
+      'MULTIPLE_REVIEW_CYCLES': [
+        'Pattern analysis of products that succeeded after multiple cycles',
+        'Common deficiency themes and their resolutions',
+        'Statistical approaches that addressed FDA concerns',
+        `Division-specific preferences in ${therapeuticProfile.therapeuticArea}`
+      ],
+      'EXTENDED_REVIEW': [
+        'Factors contributing to extended reviews in your division',
+        'Successful communication strategies for complex reviews',
+        'Precedent analysis for timeline acceleration',
+        'Risk factors for further delays and mitigation strategies'
+      ],
+      'PRIORITY_REVIEW_CHALLENGES': [
+        'Priority review success factors in your indication',
+        'Common pitfalls in expedited pathways',
+        'Data package optimization for priority review',
+        'FDA meeting strategy for expedited programs'
+      ],
+      'REFUSE_TO_FILE': [
+        'RTF root cause analysis and remediation',
+        'Successful resubmission strategies',
+        'Quality assurance checkpoints',
+        'Pre-submission meeting optimization'
+      ]
+    };
+    
+    return analysisMap[issue.type] || [
+      'Targeted regulatory intelligence for your specific challenge',
+      'Precedent analysis from similar situations',
+      'FDA communication optimization strategies',
+      'Risk mitigation approaches'
+    ];
+  }
+
+  generateCallToAction(status, urgentIssue, submissionType) {
+    if (status === 'COMPLETE_RESPONSE_LETTER') {
+      return 'I have 2-3 hours available this week to conduct a focused CRL analysis. Would Tuesday or Thursday work better for a brief call to discuss your specific FDA concerns?';
+    } else if (status === 'REFUSE_TO_FILE') {
+      return 'RTF responses are time-critical. I can provide initial remediation insights today. When could we do a 20-minute call to discuss your resubmission strategy?';
+    } else if (urgentIssue?.severity === 'CRITICAL') {
+      return 'Given the urgency of your situation, I can provide initial insights within 24 hours. When would be a good time for a 20-minute call to understand your specific needs?';
+    } else if (submissionType === '505(b)(2)') {
+      return 'I recently helped 3 companies optimize their 505(b)(2) strategies. Could we do a brief call this week to discuss your specific pathway challenges?';
+    } else {
+      return 'Would you be interested in a 15-minute call to explore how this analysis could support your FDA strategy? I can share specific examples relevant to your situation.';
+    }
+  }
+
+generateStrategicTrialEmail(trialData, biomarkerStrategy, challenges, competitive) {
+  const phaseInfo = this.classifyTrialPhase(trialData);
+  const newOpportunities = trialData.newTrialOpportunities || [];
+  const criticalChallenge = challenges.find(c => c.severity === 'CRITICAL') || challenges[0];
+  const phase2Stagnation = challenges.find(c => c.type === 'phase2_stagnation');
+  
+  let trigger = {
+    subject: '',
+    mainIssue: '',
+    context: '',
+    offering: '',
+    specificAnalysis: [],
+    urgency: 'MEDIUM',
+    competitiveAngle: '',
+    callToAction: '',
+    personalizedHook: ''
+  };
+  
+  // New trial opportunities (highest priority)
+  if (newOpportunities.length > 0) {
+    const primaryOpp = newOpportunities[0];
+    
+    if (primaryOpp.type === 'FIRST_IN_HUMAN') {
+      trigger.subject = `First-in-Human FDA Strategy for ${trialData.conditions[0] || 'Your Program'}`;
+      trigger.mainIssue = 'first-in-human study requiring comprehensive IND strategy';
+      trigger.personalizedHook = `Your first-in-human study represents a critical inflection point. Having guided 50+ FIH programs through FDA, I know the key decisions that determine success.`;
+      trigger.context = `First-in-human studies require meticulous FDA alignment on dose escalation, safety run-in, and patient population to establish a strong foundation for your program.`;
+      trigger.offering = 'Our FIH expertise covers:';
+      trigger.specificAnalysis = [
+        'IND submission strategy and FDA pre-IND meeting preparation',
+        'Dose escalation design and safety committee protocols',
+        'Patient population definition and inclusion/exclusion criteria optimization',
+        'Biomarker strategy for early efficacy signals',
+        'Phase 2 dose selection and development path planning'
+      ];
+      trigger.urgency = 'CRITICAL';
+    } else if (primaryOpp.type === 'PRE_RECRUITMENT_OPTIMIZATION') {
+      trigger.subject = `Pre-Recruitment Protocol Optimization - NCT${trialData.nctId}`;
+      trigger.mainIssue = 'protocol optimization before patient recruitment begins';
+      trigger.personalizedHook = `Before recruiting your first patient, there's a critical window to optimize your protocol based on latest FDA guidance and successful precedents.`;
+      trigger.context = `Your trial is positioned to incorporate recent FDA feedback patterns and avoid common protocol amendments that delay development.`;
+      trigger.offering = 'Pre-recruitment optimization includes:';
+      trigger.specificAnalysis = [
+        'Recent FDA guidance interpretation for your indication',
+        'Protocol design optimization based on successful precedents',
+        'Enrollment feasibility assessment and site strategy',
+        'Biomarker strategy refinement',
+        'Statistical plan and interim analysis optimization'
+      ];
+      trigger.urgency = 'HIGH';
+    } else if (primaryOpp.type === 'NEW_EARLY_PHASE_TRIAL') {
+      trigger.subject = `Early Phase Development Strategy - ${trialData.conditions[0]}`;
+      trigger.mainIssue = 'early phase development strategy optimization';
+      trigger.personalizedHook = `Your new ${phaseInfo.isCombo ? 'Phase 1/2' : 'Phase 1'} trial is at the perfect stage for strategic FDA alignment. The decisions made now shape your entire development trajectory.`;
+      trigger.context = `Early phase success requires careful FDA alignment on dose selection, patient population, and Phase 2 design considerations.`;
+      trigger.offering = 'Our early development intelligence provides:';
+      trigger.specificAnalysis = [
+        'FDA division preferences for dose escalation in your indication',
+        'Biomarker development strategy for Phase 2 readiness',
+        'Patient population optimization and enrichment considerations',
+        'Go/no-go criteria and dose selection methodology',
+        'Phase 2 design planning and endpoint strategy'
+      ];
+      trigger.urgency = 'HIGH';
+    }
+  }
+  // Phase 2 stagnation (high priority)
+  else if (phase2Stagnation) {
+    trigger.subject = `Phase 2 Development Optimization - ${trialData.conditions[0]}`;
+    trigger.mainIssue = 'Phase 2 development optimization and advancement strategy';
+    trigger.personalizedHook = `I noticed potential Phase 2 development challenges with your ${trialData.conditions[0]} program. Having analyzed 200+ Phase 2 programs, I see specific patterns that could help accelerate your path forward.`;
+    trigger.context = phase2Stagnation.description;
+    trigger.offering = 'Our Phase 2 optimization analysis includes:';
+    trigger.specificAnalysis = [
+      'Root cause analysis of Phase 2 delays in similar programs',
+      'Dose optimization strategies FDA has accepted',
+      'Patient enrichment approaches for improved efficacy signals',
+      'Endpoint optimization for Phase 3 readiness',
+      'Go/no-go decision frameworks and criteria',
+      'Phase 3 design considerations and FDA meeting strategy'
+    ];
+    trigger.urgency = 'HIGH';
+    trigger.competitiveAngle = `With competitive programs advancing, optimizing your Phase 2 strategy is critical for maintaining development leadership.`;
+  }
+  // Biomarker-focused emails
+  else if (biomarkerStrategy.enrichmentStrategy === 'MIXED_POPULATION') {
+    trigger.subject = `Biomarker Enrichment Strategy - NCT${trialData.nctId}`;
+    trigger.mainIssue = 'biomarker enrichment strategy requiring FDA alignment';
+    trigger.personalizedHook = `Your mixed biomarker population approach in ${trialData.conditions[0]} is strategically ambitious. Recent FDA decisions show specific patterns for successful implementation.`;
+    trigger.context = `Mixed biomarker populations require careful statistical planning and FDA alignment to support future labeling claims.`;
+    trigger.offering = 'Our biomarker strategy analysis includes:';
+    trigger.specificAnalysis = [
+      `Recent FDA positions on ${biomarkerStrategy.specificMarkers?.join('/')} enrichment`,
+      'Statistical approaches for mixed populations FDA has endorsed',
+      'Labeling strategy and market access implications',
+      'Adaptive enrichment design precedents',
+      'Companion diagnostic development pathway'
+    ];
+    trigger.urgency = 'HIGH';
+  }
+  // Standard trial support
+  else {
+    trigger.subject = `Clinical Development Strategy - ${phaseInfo.primary} ${trialData.conditions[0]} Trial`;
+    trigger.mainIssue = 'clinical development optimization';
+    trigger.personalizedHook = `Your ${phaseInfo.primary} trial in ${trialData.conditions[0]} intersects with evolving FDA expectations. Strategic preparation can significantly impact your development timeline.`;
+    trigger.context = `Your ongoing development would benefit from understanding recent FDA decisions and successful precedents in your therapeutic area.`;
+    trigger.offering = 'Our regulatory intelligence provides:';
+    trigger.specificAnalysis = [
+      `Recent FDA decisions in ${trialData.conditions[0]}`,
+      'Division-specific preferences and precedents',
+      'Successful development strategies in similar programs',
+      'Risk mitigation approaches for common challenges',
+      'Competitive landscape and differentiation opportunities'
+    ];
+    trigger.urgency = 'MEDIUM';
+  }
+
+  // Add phase-specific insights
+  if (phaseInfo.isCombo) {
+    trigger.specificAnalysis.push('Phase 1/2 seamless design optimization and interim analysis strategy');
+  }
+
+  // Add competitive context
+  if (competitive.intensity === 'HIGH') {
+    trigger.competitiveAngle = trigger.competitiveAngle || `In the competitive ${trialData.conditions[0]} landscape, FDA strategy differentiation is crucial for success.`;
+  }
+
+  // Dated changes to the registry record lead the email
+  const recordChanges = trialData.recordChanges || [];
+  if (recordChanges.length > 0) {
+    const latest = recordChanges[0];
+    const suspended = recordChanges.find(change => change.changeType === 'STATUS_SUSPENDED');
+    const delayed = recordChanges.find(change => change.changeType === 'PRIMARY_COMPLETION_DELAYED');
+    const enrollmentCut = recordChanges.find(change => change.changeType === 'ENROLLMENT_REVISED' && change.to < change.from);
+    const sitesAdded = recordChanges.find(change => change.changeType === 'SITES_ADDED');
+
+    trigger.recordChanges = recordChanges.map(change => `${change.date}: ${change.description}`);
+    trigger.personalizedHook = `Your ClinicalTrials.gov record for ${trialData.nctId} was updated on ${latest.date}: ${latest.description.charAt(0).toLowerCase()}${latest.description.slice(1)}. ` +
+      (trigger.personalizedHook || '');
+    if (suspended) {
+      trigger.urgency = 'CRITICAL';
+      trigger.specificAnalysis.unshift('Restart plan and FDA communication strategy following the suspension');
+    }
+    if (delayed) trigger.specificAnalysis.push(`Timeline recovery options after the ${delayed.months > 0 ? `${delayed.months}-month ` : ''}primary completion delay`);
+    if (enrollmentCut) trigger.specificAnalysis.push(`Statistical power and FDA acceptability of the reduced ${enrollmentCut.to}-patient enrollment`);
+    if (sitesAdded && !enrollmentCut) trigger.specificAnalysis.push('Site activation and enrollment forecasting for the expanded site network');
+  }
+
+  // Generate appropriate call to action
+  if (newOpportunities.length > 0) {
+    trigger.callToAction = `Given the critical timing of your ${newOpportunities[0].type.toLowerCase().replace(/_/g, ' ')}, I'd recommend discussing strategy this week. Are you available for a 20-minute call to explore how our analysis could strengthen your approach?`;
+  } else if (phase2Stagnation) {
+    trigger.callToAction = `Phase 2 optimization requires focused analysis. I can provide initial insights within 48 hours. When would work for a brief call to discuss your specific development challenges?`;
+  } else {
+    trigger.callToAction = `Would you be interested in exploring how regulatory intelligence could support your development strategy? I'm available this week for a brief discussion.`;
+  }
+
+  return trigger;
+}
+
+  generateTrialCallToAction(trialData, challenge) {
+    if (challenge?.severity === 'CRITICAL') {
+      return `Given the complexity of ${challenge.specificNeed}, I'd like to discuss how our 2-3 hour analysis could address your specific FDA challenges. Are you available for a brief call this week?`;
+    } else if (trialData.status === 'NOT_YET_RECRUITING') {
+      return 'Would you like to explore how pre-trial FDA intelligence could strengthen your protocol? I have time Thursday or Friday for a 20-minute discussion.';
+    } else if (trialData.phase === 'PHASE3') {
+      return 'Pivotal trials benefit from proactive FDA strategy. Could we schedule a brief call to discuss precedents relevant to your design?';
+    } else {
+      return 'I\'d be happy to share specific examples of successful FDA strategies in your situation. When would work for a brief call?';
+    }
+  }
+
+  calculateTrialUrgency(trialData, challenges) {
+    let score = 50;
+    
+    // Status-based scoring
+    if (trialData.status === 'NOT_YET_RECRUITING') score += 20;
+    if (trialData.status === 'RECRUITING' && trialData.enrollment < 50) score += 15;
+    
+    // Challenge-based scoring
+    challenges.forEach(challenge => {
+      if (challenge.severity === 'CRITICAL') score += 30;
+      else if (challenge.severity === 'HIGH') score += 20;
+      else if (challenge.severity === 'MEDIUM') score += 10;
+    });
+    
+    // Phase-based scoring
+    if (trialData.phase === 'PHASE3') score += 15;
+    else if (trialData.phase === 'PHASE2') score += 10;
+    else if (trialData.phase === 'EARLY_PHASE1') score += 15;
+    
+    // Biomarker complexity
+    if (trialData.biomarkerStrategy?.enrichmentStrategy === 'MIXED_POPULATION') score += 20;
+    
+    return Math.min(score, 100);
+  }
+
+  assessDataQuality(data) {
+    let quality = 100;
+    
+    if (!data.sponsor_name) quality -= 20;
+    if (!data.products || data.products.length === 0) quality -= 15;
+    if (!data.submissions || data.submissions.length === 0) quality -= 15;
+    
+    return quality;
+  }
+
+
+// 24. NEW: Enhanced trial fit criteria evaluation
+evaluateEnhancedTrialFitCriteria(trial) {
+  const reasons = [];
+  
+  // Basic criteria (must meet these)
+  if (trial.studyType !== 'INTERVENTIONAL') {
+    return { shouldInclude: false, reason: 'Not interventional study' };
+  }
+  
+  const validInterventionTypes = ['DRUG', 'BIOLOGICAL', 'COMBINATION_PRODUCT'];
+  const hasValidIntervention = trial.interventions?.some(i => 
+    validInterventionTypes.includes(i.type)
+  );
+  if (!hasValidIntervention) {
+    return { shouldInclude: false, reason: 'No drug/biological intervention' };
+  }
+  
+  const validStatuses = ['NOT_YET_RECRUITING', 'RECRUITING', 'ACTIVE_NOT_RECRUITING', 'SUSPENDED', 'TERMINATED'];
+  if (!validStatuses.includes(trial.status)) {
+    return { shouldInclude: false, reason: 'Not in relevant status' };
+  }
+  
+  // Enhanced inclusion criteria (any of these qualifies)
+  
+  // 1. Critical pain points always qualify
+  if (trial.painPoints?.some(p => p.severity === 'CRITICAL')) {
+    reasons.push('Critical development issues identified');
+    return { shouldInclude: true, reason: reasons.join('; ') };
+  }
+  
+  // 2. New trial opportunities
+  if (trial.newTrialOpportunities?.length > 0) {
+    reasons.push(`New trial opportunity: ${trial.newTrialOpportunities[0].type}`);
+    return { shouldInclude: true, reason: reasons.join('; ') };
+  }
+  
+  // 3. Phase 2 stagnation signals
+  const phase2Stagnation = trial.painPoints?.find(p => p.type === 'phase2_stagnation');
+  if (phase2Stagnation) {
+    reasons.push('Phase 2 stagnation detected');
+    return { shouldInclude: true, reason: reasons.join('; ') };
+  }
+  
+  // 4. High urgency scores
+  if (trial.urgencyScore >= 70) {
+    reasons.push(`High urgency score: ${trial.urgencyScore}`);
+    return { shouldInclude: true, reason: reasons.join('; ') };
+  }
+  
+  // 5. Complex biomarker strategies
+  if (trial.biomarkerStrategy?.usesBiomarkers && trial.biomarkerStrategy?.complexity === 'HIGH') {
+    reasons.push('Complex biomarker strategy requiring FDA alignment');
+    return { shouldInclude: true, reason: reasons.join('; ') };
+  }
+  
+  // 6. Early phase trials (Phase 1, Phase 1/2)
+  const phaseInfo = trial.phaseInfo || this.classifyTrialPhase(trial);
+  if (phaseInfo.primary === 'PHASE1' || phaseInfo.primary === 'EARLY_PHASE1' || phaseInfo.isCombo) {
+    reasons.push(`Early phase trial: ${phaseInfo.primary}${phaseInfo.isCombo ? '/combo' : ''}`);
+    return { shouldInclude: true, reason: reasons.join('; ') };
+  }
+  
+  // 7. Phase 2 trials (potential for optimization)
+  if (phaseInfo.primary === 'PHASE2') {
+    reasons.push('Phase 2 trial with optimization potential');
+    return { shouldInclude: true, reason: reasons.join('; ') };
+  }
+  
+  // 8. Pivotal trials (Phase 3)
+  if (phaseInfo.primary === 'PHASE3') {
+    reasons.push('Pivotal Phase 3 trial');
+    return { shouldInclude: true, reason: reasons.join('; ') };
+  }
+  
+  // 9. High complexity trials
+  if (trial.complexityScore >= 60) {
+    reasons.push(`High complexity score: ${trial.complexityScore}`);
+    return { shouldInclude: true, reason: reasons.join('; ') };
+  }
+  
+  // 10. Competitive pressure situations
+  if (trial.painPoints?.some(p => p.type === 'competitive_pressure' && p.urgency === 'critical')) {
+    reasons.push('Critical competitive pressure');
+    return { shouldInclude: true, reason: reasons.join('; ') };
+  }
+  
+  // 11. Trials with recruitment challenges
+  if (trial.painPoints?.some(p => p.type === 'recruitment_challenges' && p.severity === 'HIGH')) {
+    reasons.push('Significant recruitment challenges');
+    return { shouldInclude: true, reason: reasons.join('; ') };
+  }
+  
+  // 12. Recently started trials (within 6 months)
+  const startDate = this.extractTrialStartDate(trial);
+  if (startDate && moment().diff(moment(startDate), 'months') <= 6) {
+    reasons.push('Recently started trial');
+    return { shouldInclude: true, reason: reasons.join('; ') };
+  }
+  
+  // 13. Not yet recruiting trials (optimization window)
+  if (trial.status === 'NOT_YET_RECRUITING') {
+    reasons.push('Pre-recruitment optimization window');
+    return { shouldInclude: true, reason: reasons.join('; ') };
+  }
+  
+  // 14. Suspended/terminated trials (rescue opportunity)
+  if (trial.status === 'SUSPENDED' || trial.status === 'TERMINATED') {
+    reasons.push('Trial issues requiring strategic intervention');
+    return { shouldInclude: true, reason: reasons.join('; ') };
+  }
+  
+  // 15. Industry-sponsored mid-size companies (sweet spot)
+  const sponsor = trial.sponsor?.lead?.toLowerCase() || '';
+  const isHighValueSponsor = this.isHighValueSponsor(sponsor);
+  if (isHighValueSponsor && (phaseInfo.primary === 'PHASE2' || phaseInfo.primary === 'PHASE3')) {
+    reasons.push('High-value sponsor with advanced development');
+    return { shouldInclude: true, reason: reasons.join('; ') };
+  }
+  
+  return { shouldInclude: false, reason: 'Does not meet enhanced inclusion criteria' };
+}
+
+// 25. NEW: Generate trial subtype for better categorization
+generateTrialSubType(trial) {
+  const phaseInfo = trial.phaseInfo || this.classifyTrialPhase(trial);
+  const status = trial.status || 'UNKNOWN';
+  const painPoints = trial.painPoints || [];
+  
+  // Special cases first
+  if (trial.newTrialOpportunities?.length > 0) {
+    const oppType = trial.newTrialOpportunities[0].type;
+    return `${phaseInfo.primary}_${oppType}`;
+  }
+  
+  if (painPoints.some(p => p.type === 'phase2_stagnation')) {
+    return `${phaseInfo.primary}_STAGNATION`;
+  }
+  
+  if (painPoints.some(p => p.severity === 'CRITICAL')) {
+    return `${phaseInfo.primary}_CRITICAL`;
+  }
+  
+  if (trial.biomarkerStrategy?.usesBiomarkers) {
+    return `${phaseInfo.primary}_BIOMARKER`;
+  }
+  
+  // Standard categorization
+  return `${phaseInfo.primary}_${status}`;
+}
+
+// 26. NEW: Enhanced trial priority determination
+determineEnhancedTrialPriority(trial) {
+  const painPoints = trial.painPoints || [];
+  const phaseInfo = trial.phaseInfo || this.classifyTrialPhase(trial);
+  
+  // Critical priority conditions
+  if (painPoints.some(p => p.severity === 'CRITICAL')) return 'CRITICAL';
+  if (trial.newTrialOpportunities?.some(o => o.urgency === 'critical')) return 'CRITICAL';
+  if (trial.status === 'SUSPENDED' || trial.status === 'TERMINATED') return 'CRITICAL';
+  
+  // High priority conditions
+  if (painPoints.some(p => p.type === 'phase2_stagnation' && p.severity === 'HIGH')) return 'HIGH';
+  if (painPoints.some(p => p.urgency === 'high')) return 'HIGH';
+  if (trial.newTrialOpportunities?.length > 0) return 'HIGH';
+  if (phaseInfo.primary === 'PHASE3') return 'HIGH';
+  if (trial.status === 'NOT_YET_RECRUITING' && phaseInfo.primary !== 'PHASE4') return 'HIGH';
+  
+  // Medium priority conditions
+  if (phaseInfo.primary === 'PHASE2') return 'MEDIUM';
+  if (trial.biomarkerStrategy?.usesBiomarkers) return 'MEDIUM';
+  if (trial.complexityScore >= 60) return 'MEDIUM';
+  if (painPoints.length >= 2) return 'MEDIUM';
+  
+  return 'LOW';
+}
+
+// 27. NEW: Enhanced urgency reason generation
+getEnhancedTrialUrgencyReason(trial) {
+  const painPoints = trial.painPoints || [];
+  const newOpportunities = trial.newTrialOpportunities || [];
+  const phaseInfo = trial.phaseInfo || this.classifyTrialPhase(trial);
+  
+  // Critical reasons
+  const criticalPainPoint = painPoints.find(p => p.severity === 'CRITICAL');
+  if (criticalPainPoint) {
+    return criticalPainPoint.description;
+  }
+  
+  // New opportunity reasons
+  if (newOpportunities.length > 0) {
+    const primaryOpp = newOpportunities[0];
+    return primaryOpp.description;
+  }
+  
+  // Phase 2 stagnation
+  const phase2Stagnation = painPoints.find(p => p.type === 'phase2_stagnation');
+  if (phase2Stagnation) {
+    return phase2Stagnation.description;
+  }
+  
+  // High urgency reasons
+  const urgentPainPoint = painPoints.find(p => p.urgency === 'high');
+  if (urgentPainPoint) {
+    return urgentPainPoint.description;
+  }
+  
+  // Status-based reasons
+  if (trial.status === 'NOT_YET_RECRUITING') {
+    return 'Pre-recruitment phase offers critical window for protocol optimization';
+  }
+  
+  if (trial.status === 'SUSPENDED') {
+    return 'Trial suspension requires immediate strategic review and remediation';
+  }
+  
+  if (trial.status === 'TERMINATED') {
+    return 'Trial termination analysis can inform future development strategy';
+  }
+  
+  // Phase-specific reasons
+  if (phaseInfo.primary === 'PHASE3') {
+    return 'Pivotal trial design decisions directly impact approval probability';
+  }
+  
+  if (phaseInfo.primary === 'EARLY_PHASE1' || phaseInfo.primary === 'PHASE1') {
+    return 'Early phase decisions establish foundation for entire development program';
+  }
+  
+  if (phaseInfo.primary === 'PHASE2') {
+    return 'Phase 2 optimization critical for successful Phase 3 advancement';
+  }
+  
+  // Biomarker-specific reasons
+  if (trial.biomarkerStrategy?.usesBiomarkers) {
+    return 'Biomarker strategy requires FDA alignment for regulatory success';
+  }
+  
+  // Default
+  return 'Clinical development optimization opportunity identified';
+}
+
+// 28. NEW: Enhanced high-value trial determination
+isEnhancedHighValueTrial(trial) {
+  const painPoints = trial.painPoints || [];
+  const phaseInfo = trial.phaseInfo || this.classifyTrialPhase(trial);
+  const newOpportunities = trial.newTrialOpportunities || [];
+  
+  // Always high value conditions
+  if (painPoints.some(p => p.severity === 'CRITICAL')) return true;
+  if (newOpportunities.length > 0) return true;
+  if (trial.urgencyScore >= 80) return true;
+  
+  // Phase 2 stagnation is high value
+  if (painPoints.some(p => p.type === 'phase2_stagnation')) return true;
+  
+  // Complex biomarker strategies are high value
+  if (trial.biomarkerStrategy?.enrichmentStrategy === 'MIXED_POPULATION') return true;
+  if (trial.biomarkerStrategy?.complexity === 'HIGH') return true;
+  
+  // Pivotal trials are high value
+  if (phaseInfo.primary === 'PHASE3' && trial.enrollment?.count > 200) return true;
+  
+  // Early phase with high complexity
+  if ((phaseInfo.primary === 'PHASE1' || phaseInfo.primary === 'EARLY_PHASE1') && 
+      trial.complexityScore >= 70) return true;
+  
+  // Pre-recruitment optimization windows
+  if (trial.status === 'NOT_YET_RECRUITING' && 
+      (phaseInfo.primary === 'PHASE2' || phaseInfo.primary === 'PHASE3')) return true;
+  
+  // Multiple pain points suggest complex situation
+  if (painPoints.length >= 3) return true;
+  
+  // High-value sponsors with significant trials
+  const sponsor = trial.sponsor?.lead?.toLowerCase() || '';
+  if (this.isHighValueSponsor(sponsor) && 
+      (phaseInfo.primary === 'PHASE2' || phaseInfo.primary === 'PHASE3') &&
+      trial.enrollment?.count >= 100) return true;
+  
+  return false;
+}
+
+// 29. NEW: Calculate months since trial start
+calculateMonthsSinceStart(trial) {
+  const startDate = this.extractTrialStartDate(trial);
+  if (!startDate) return null;
+  
+  return moment().diff(moment(startDate), 'months');
+}
+
+}
+
+module.exports = { FDAApiService };
@@ -0,0 +1,475 @@
+// Lead generation: runs registered ingestion sources, links their records to
+// companies, scores and ranks leads and keeps the dashboard statistics.
+const logger = require('../logger');
+const dataStore = require('../dataStore');
+const { persistDataStore } = require('../db/persistence');
+const { changeRepository, companyAliasRepository, caseStudyRepository } = require('../db/repositories');
+const { detectLeadChanges } = require('../changeDetection');
+const { PIPELINE_STAGES, getPipelineStatus, initialPipelineFields } = require('../pipeline');
+const { normalizeCompanyName, getOrCreateCompany, refreshCompanyFlags, buildEntityResolver } = require('../companies');
+const { recordIdentifiers } = require('../entityResolution');
+const { getRules, priorityForScore } = require('../scoringRules');
+const { matchCaseStudy, leadContext } = require('../caseStudies');
+const { createDefaultRegistry } = require('../ingestion');
+const { DEFAULT_SCORE } = require('../ingestion/scorers');
+const { ScoreLedger } = require('../scoreLedger');
+const { FDAApiService } = require('./fdaApiService');
+
+// Lead fields set by reps rather than by ingestion. They survive regeneration.
+const USER_OWNED_LEAD_FIELDS = [
+  'notes',
+  'owner',
+  'tags',
+  'pipelineStatus',
+  'pipelineUpdatedAt',
+  'pipelineHistory'
+];
+
+class LeadGenerationService {
+  constructor({ registry = createDefaultRegistry(), fdaApi = new FDAApiService() } = {}) {
+    this.registry = registry;
+    this.fdaApi = fdaApi;
+    this.resolver = null;
+    this.caseStudies = [];
+  }
+
+  // sources: names of registered sources to refresh (default: every source
+  // enabled by default). run: optional run log entry; per-source counts and
+  // errors are written to it.
+  //
+  // Leads are keyed by stable ids (application number, NCT ID, recall number)
+  // and merged into the existing set: matches are updated in place, unseen
+  // leads are marked stale, and user-owned fields are carried over. A source
+  // whose fetch threw or reported an upstream error keeps its previous leads;
+  // queries the source skipped and worked around only count as skipped.
+  async generateLeads({ sources = this.registry.defaultSources(), run = null } = {}) {
+    logger.info(`Starting FDA lead generation for: ${sources.join(', ')}`);
+    
+    try {
+      const unknown = sources.filter(name => !this.registry.hasSource(name));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown ingestion source(s): ${unknown.join(', ')}`);
+      }
+
+      const detectedAt = new Date().toISOString();
+      const changes = [];
+      const aliases = await companyAliasRepository.findAll();
+      this.caseStudies = await caseStudyRepository.findAll({ status: 'APPROVED' });
+
+      for (const name of sources) {
+        const source = this.registry.getSource(name);
+        const counts = { records: 0, leads: 0, stale: 0, changes: 0 };
+        const detached = this.detachSource(source);
+        const previousLeads = detached.leads;
+        const leadsBefore = dataStore.leads.length;
+        this.resolver = buildEntityResolver(aliases);
+        let fetchFailed = false;
+
+        try {
+          const records = await source.fetch({ fdaApi: this.fdaApi });
+          counts.records += records.length;
+          records.forEach(normalized => this.addRecord(source, normalized));
+        } catch (error) {
+          fetchFailed = true;
+          logger.error(`Ingestion error for ${name}:`, error.message);
+          if (run) run.errors.push({ source: name, message: error.message });
+        }
+
+        // Upstream paging reports; flag sources whose results were capped
+        const fetchReports = this.fdaApi.takeFetchReports();
+        counts.truncated = fetchReports.some(report => report.truncated);
+        counts.skipped = fetchReports.filter(report => report.skipped).length;
+        if (fetchReports.length > 0) counts.fetchReports = fetchReports;
+        fetchReports
+          .filter(report => report.error && !report.skipped)
+          .forEach(report => {
+            fetchFailed = true;
+            if (run) run.errors.push({ source: name, message: `${report.label}: ${report.error}` });
+          });
+
+        // A failed fetch says nothing about which leads went away, so the
+        // source keeps its previous leads and records instead of going stale,
+        // and change detection is skipped: diffing against a failed fetch
+        // would report every lead GONE now and APPEARED on the next run
+        if (fetchFailed) {
+          this.restoreSource(source, detached);
+          counts.failed = true;
+          counts.leads = previousLeads.filter(lead => !lead.stale).length;
+          counts.stale = previousLeads.length - counts.leads;
+          if (run) run.counts[name] = counts;
+          logger.warn(`Kept ${previousLeads.length} previous leads for ${name} after a failed fetch`);
+          continue;
+        }
+
+        const incomingLeads = dataStore.leads.splice(leadsBefore);
+        const merged = this.mergeLeads(previousLeads, incomingLeads);
+        dataStore.leads.push(...merged);
+
+        const sourceChanges = detectLeadChanges(previousLeads, merged, { runId: run?.id, detectedAt });
+        changes.push(...sourceChanges);
+
+        counts.leads = merged.filter(lead => !lead.stale).length;
+        counts.stale = merged.length - counts.leads;
+        counts.changes = sourceChanges.length;
+        if (run) run.counts[name] = counts;
+      }
+
+      // Score and rank all leads
+      this.scoreAndRankLeads();
+
+      // Generate statistics
+      this.generateStatistics();
+
+      // Persist the run (no-op without PostgreSQL) and its change feed
+      await persistDataStore(dataStore);
+      await changeRepository.saveAll(changes);
+
+      logger.info(`Generated ${dataStore.leads.length} total FDA opportunities`);
+      return dataStore.leads;
+    } catch (error) {
+      logger.error('Comprehensive lead generation error:', error);
+      throw error;
+    }
+  }
+
+  // Pulls a source's leads out of dataStore and removes the records it linked
+  // into company collections, re-deriving the company flags from the records
+  // left. Returns the detached leads for merging, with the removed records
+  // and known company names for restoreSource.
+  // Leads and records from before sources were tagged fall back to lead type.
+  detachSource(source) {
+    const leadTypes = new Set(source.leadTypes);
+    const ownsLead = lead => lead.source ? lead.source === source.name : leadTypes.has(lead.leadType);
+    const leads = dataStore.leads.filter(ownsLead);
+    const records = [];
+
+    dataStore.leads = dataStore.leads.filter(lead => !ownsLead(lead));
+    dataStore.companies.forEach(company => {
+      source.companyCollections.forEach(collection => {
+        const all = company[collection] || [];
+        const kept = all.filter(record => record.source && record.source !== source.name);
+        const removed = all.filter(record => !kept.includes(record));
+        if (removed.length > 0) records.push({ company, collection, records: removed });
+        company.totalTouchpoints -= removed.length;
+        company[collection] = kept;
+      });
+      refreshCompanyFlags(company);
+    });
+
+    return { leads, records, companyNames: new Set(dataStore.companies.keys()) };
+  }
+
+  // Undoes a refresh: drops whatever the source added since detachSource and
+  // puts the detached leads and company records back
+  restoreSource(source, detached) {
+    this.detachSource(source);
+    dataStore.leads.push(...detached.leads);
+    detached.records.forEach(({ company, collection, records }) => {
+      company[collection].push(...records);
+      company.totalTouchpoints += records.length;
+      refreshCompanyFlags(company);
+    });
+
+    // Companies first seen in the failed fetch
+    dataStore.companies.forEach((company, companyName) => {
+      if (!detached.companyNames.has(companyName) && company.totalTouchpoints === 0) {
+        dataStore.companies.delete(companyName);
+      }
+    });
+  }
+
+  mergeLeads(previousLeads, incomingLeads) {
+    const now = new Date().toISOString();
+    const previousById = new Map(previousLeads.map(lead => [lead.id, lead]));
+    const mergedById = new Map();
+
+    incomingLeads.forEach(lead => {
+      const previous = previousById.get(lead.id);
+      const merged = { ...lead, firstSeenAt: now, lastSeenAt: now, stale: false, staleSince: null };
+
+      if (previous) {
+        USER_OWNED_LEAD_FIELDS.forEach(field => {
+          if (previous[field] !== undefined) merged[field] = previous[field];
+        });
+        merged.createdAt = previous.createdAt;
+        merged.firstSeenAt = previous.firstSeenAt || previous.createdAt;
+      }
+
+      if (!merged.pipelineStatus) {
+        Object.assign(merged, initialPipelineFields(now));
+      }
+
+      mergedById.set(lead.id, merged);
+    });
+
+    // Leads missing from this run are kept but flagged
+    previousLeads.forEach(lead => {
+      if (mergedById.has(lead.id)) return;
+      mergedById.set(lead.id, {
+        ...lead,
+        stale: true,
+        staleSince: lead.staleSince || now
+      });
+    });
+
+    return Array.from(mergedById.values());
+  }
+
+  // Links a normalized record to its company and, if it carries lead fields,
+  // builds the lead with the scorer and email generator for its type
+  addRecord(source, normalized) {
+    if (!normalized.sponsor) return;
+
+    const record = normalized.record;
+    const { company, resolution } = this.getOrCreateCompany(normalized.sponsor, recordIdentifiers(record));
+    const companyName = company.name;
+
+    record.source = source.name;
+    record.companyMatch = { name: normalized.sponsor, method: resolution.method, confidence: resolution.confidence };
+    if (normalized.flags) record.companyFlags = normalized.flags;
+    company[normalized.collection].push(record);
+    if ('therapeuticArea' in normalized) company.therapeuticAreas.add(normalized.therapeuticArea);
+    Object.entries(normalized.flags || {}).forEach(([flag, value]) => {
+      company[flag] = company[flag] || Boolean(value);
+    });
+
+    if (!normalized.lead) return;
+
+    const lead = {
+      id: normalized.id,
+      companyName,
+      leadType: normalized.leadType,
+      source: source.name,
+      companyMatch: record.companyMatch,
+      ...normalized.lead
+    };
+
+    record.leadId = lead.id;
+    Object.assign(lead, this.scoreRecord(record, lead));
+
+    const emailGenerator = this.registry.getEmailGenerator(lead.leadType);
+    if (emailGenerator) lead.personalizedEmail = emailGenerator(record, lead, { caseStudies: this.caseStudies });
+
+    lead.createdAt = new Date().toISOString();
+    dataStore.leads.push(lead);
+  }
+
+  // Base score and ledger for a lead from its record, with the given factor
+  // weights (default: the active rules'). Scorers that do not itemize their
+  // score get a single ledger entry.
+  scoreRecord(record, lead, factors) {
+    const scorer = this.registry.getScorer(lead.leadType);
+    const ledger = new ScoreLedger();
+    const score = scorer ? scorer(record, lead, ledger, factors) : ledger.add('Default score', DEFAULT_SCORE).total;
+    const scoreLedger = ledger.total === score
+      ? ledger.entries
+      : new ScoreLedger().add(`${lead.leadType} score`, score).entries;
+    return { score, scoreLedger };
+  }
+
+  // The company record a lead was built from, or null once its source has
+  // dropped it
+  findRecord(lead) {
+    const company = dataStore.companies.get(lead.companyName);
+    const source = this.registry.getSource(lead.source);
+    if (!company || !source) return null;
+
+    for (const collection of source.companyCollections) {
+      const record = (company[collection] || []).find(candidate => candidate.leadId === lead.id);
+      if (record) return record;
+    }
+    return null;
+  }
+
+  // Known identifier keys (FEI, labeler code, CT.gov sponsor) and curated
+  // aliases win over the name on the record; see entityResolution.js
+  getOrCreateCompany(sponsor, identifiers = {}) {
+    if (!this.resolver) this.resolver = buildEntityResolver();
+    return getOrCreateCompany(sponsor, { resolver: this.resolver, identifiers });
+  }
+  scoreAndRankLeads(leads = dataStore.leads, rules = getRules()) {
+    // Multi-factor scoring. Boosts are applied to the lead's base score so
+    // leads carried over from earlier runs are not boosted twice.
+    const { company: companyWeights, leadTypes: leadTypeWeights, maxScore } = rules.weights;
+
+    leads.forEach(lead => {
+      if (lead.baseScore === undefined) lead.baseScore = lead.score;
+      if (lead.baseScoreLedger === undefined) {
+        lead.baseScoreLedger = lead.scoreLedger || new ScoreLedger().add('Base score', lead.baseScore, 'baseScore').entries;
+      }
+      if (lead.basePriority === undefined) lead.basePriority = lead.priority;
+
+      const ledger = new ScoreLedger(lead.baseScoreLedger);
+
+      // Lead type weight from the scoring rules
+      const multiplier = leadTypeWeights[lead.leadType] ?? 1;
+      ledger.add(`${lead.leadType} weight x${multiplier}`, Math.round(lead.baseScore * (multiplier - 1)),
+        `rules.weights.leadTypes.${lead.leadType}`, multiplier);
+
+      // Adjust score based on company profile
+      const company = dataStore.companies.get(lead.companyName);
+      if (company) {
+        // Boost score for companies with multiple touchpoints
+        if (company.totalTouchpoints > 1) {
+          ledger.add(`${company.totalTouchpoints} company touchpoints`, companyWeights.touchpoint * company.totalTouchpoints,
+            'company.totalTouchpoints', company.totalTouchpoints);
+        }
+        
+        // Boost score for companies with urgent issues
+        if (company.hasUrgentIssues) {
+          ledger.add('Company has urgent issues', companyWeights.urgentIssues, 'company.hasUrgentIssues', true);
+        }
+        
+        // Boost score for compliance issues
+        if (company.hasComplianceIssues) {
+          ledger.add('Company has compliance issues', companyWeights.complianceIssues, 'company.hasComplianceIssues', true);
+        }
+      }
+
+      lead.score = ledger.cap(maxScore, 0);
+      lead.scoreLedger = ledger.entries;
+      lead.priority = priorityForScore(lead.basePriority, lead.score, rules.priorityThresholds);
+    });
+    
+    // Sort active leads by priority then score; stale leads go last, unranked
+    leads.sort((a, b) => {
+      if (a.stale !== b.stale) return a.stale ? 1 : -1;
+
+      const priorityOrder = { 'CRITICAL': 4, 'HIGH': 3, 'MEDIUM': 2, 'LOW': 1 };
+      const priorityDiff = priorityOrder[b.priority] - priorityOrder[a.priority];
+      if (priorityDiff !== 0) return priorityDiff;
+      
+      return b.score - a.score;
+    });
+    
+    // Add ranking
+    leads.forEach((lead, index) => {
+      lead.rank = lead.stale ? null : index + 1;
+    });
+    return leads;
+  }
+
+  // Scores copies of the current leads under proposed rules; stored leads
+  // are left as they are. Base scores are re-run from each lead's company
+  // record with the proposed factor weights.
+  previewScores(rules) {
+    const current = new Map(dataStore.leads.map(lead => [lead.id, lead]));
+    const copies = dataStore.leads.map(lead => {
+      const copy = { ...lead };
+      const record = this.findRecord(lead);
+      if (record) {
+        const { score, scoreLedger } = this.scoreRecord(record, lead, rules.weights.factors);
+        Object.assign(copy, { baseScore: score, baseScoreLedger: scoreLedger });
+      }
+      return copy;
+    });
+    const preview = this.scoreAndRankLeads(copies, rules);
+
+    return preview.map(proposed => {
+      const lead = current.get(proposed.id);
+      return {
+        id: lead.id,
+        companyName: lead.companyName,
+        leadType: lead.leadType,
+        stale: Boolean(lead.stale),
+        score: lead.score,
+        proposedScore: proposed.score,
+        priority: lead.priority,
+        proposedPriority: proposed.priority,
+        rank: lead.rank,
+        proposedRank: proposed.rank,
+        ledger: proposed.scoreLedger
+      };
+    });
+  }
+
+  // Re-matches the credibility line of every stored email against the
+  // approved case studies, so an edited, retired or deleted entry never
+  // leaves its claim in an email. Returns the number of emails changed.
+  async refreshCaseStudies() {
+    this.caseStudies = await caseStudyRepository.findAll({ status: 'APPROVED' });
+
+    let changed = 0;
+    dataStore.leads.forEach(lead => {
+      const email = lead.personalizedEmail;
+      if (!email || !('caseStudyId' in email)) return;
+
+      const match = matchCaseStudy(this.caseStudies, leadContext(lead));
+      const caseStudyId = match ? match.id : null;
+      const credibility = match ? match.claim : '';
+      if (email.caseStudyId === caseStudyId && email.credibility === credibility) return;
+
+      lead.personalizedEmail = { ...email, credibility, caseStudyId };
+      changed++;
+    });
+    return changed;
+  }
+
+  generateStatistics() {
+    const leads = dataStore.leads.filter(lead => !lead.stale);
+    const companies = Array.from(dataStore.companies.values());
+    
+    dataStore.statistics = {
+      totalLeads: leads.length,
+      staleLeads: dataStore.leads.length - leads.length,
+      totalCompanies: companies.length,
+      
+      byLeadType: {
+        drugApplications: leads.filter(l => l.leadType === 'DRUG_APPLICATION').length,
+        clinicalTrials: leads.filter(l => l.leadType === 'CLINICAL_TRIAL').length,
+        warningLetters: leads.filter(l => l.leadType === 'WARNING_LETTER').length,
+        recalls: leads.filter(l => l.leadType === 'RECALL').length,
+        drugShortages: leads.filter(l => l.leadType === 'DRUG_SHORTAGE').length,
+        inspections: leads.filter(l => l.leadType === 'INSPECTION_FINDING').length,
+        lossOfExclusivity: leads.filter(l => l.leadType === 'LOSS_OF_EXCLUSIVITY').length,
+        genericOpportunities: leads.filter(l => l.leadType === 'GENERIC_OPPORTUNITY').length,
+        biosimilars: leads.filter(l => l.leadType === 'BIOSIMILAR_LICENSED').length,
+        resultsOverdue: leads.filter(l => l.leadType === 'RESULTS_OVERDUE').length,
+        deviceClearances: leads.filter(l => l.leadType === 'DEVICE_CLEARANCE').length,
+        deviceApprovals: leads.filter(l => l.leadType === 'DEVICE_APPROVAL').length,
+        deviceRecalls: leads.filter(l => l.leadType === 'DEVICE_RECALL').length,
+        deviceAdverseEvents: leads.filter(l => l.leadType === 'DEVICE_ADVERSE_EVENT').length,
+        safetySignals: leads.filter(l => l.leadType === 'SAFETY_SIGNAL').length,
+        labelChanges: leads.filter(l => l.leadType === 'LABEL_CHANGE').length
+      },
+      
+      byPriority: {
+        critical: leads.filter(l => l.priority === 'CRITICAL').length,
+        high: leads.filter(l => l.priority === 'HIGH').length,
+        medium: leads.filter(l => l.priority === 'MEDIUM').length,
+        low: leads.filter(l => l.priority === 'LOW').length
+      },
+      
+      bySubmissionType: {
+        nda: leads.filter(l => l.submissionType === 'NDA').length,
+        bla: leads.filter(l => l.submissionType === 'BLA').length,
+        anda: leads.filter(l => l.submissionType === 'ANDA').length,
+        '505b2': leads.filter(l => l.submissionType === '505(b)(2)').length,
+        ind: leads.filter(l => l.submissionType === 'IND').length
+      },
+      
+      byPhase: {
+        earlyPhase1: leads.filter(l => l.trialInfo?.phase === 'EARLY_PHASE1').length,
+        phase1: leads.filter(l => l.trialInfo?.phase === 'PHASE1').length,
+        phase2: leads.filter(l => l.trialInfo?.phase === 'PHASE2').length,
+        phase3: leads.filter(l => l.trialInfo?.phase === 'PHASE3').length
+      },
+      
+      byPipelineStatus: Object.fromEntries(
+        PIPELINE_STAGES.map(stage => [stage, leads.filter(l => getPipelineStatus(l) === stage).length])
+      ),
+      
+      companiesWithMultipleIssues: companies.filter(c => c.totalTouchpoints > 1).length,
+      companiesWithComplianceIssues: companies.filter(c => c.hasComplianceIssues).length,
+      highValueLeads: leads.filter(l => l.isHighValueLead).length,
+      biomarkerTrials: leads.filter(l => l.biomarkerStrategy?.usesBiomarkers).length
+    };
+  }
+
+
+  normalizeCompanyName(name) {
+    return normalizeCompanyName(name);
+  }
+}
+
+module.exports = { LeadGenerationService, USER_OWNED_LEAD_FIELDS };
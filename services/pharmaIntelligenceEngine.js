@@ -0,0 +1,1209 @@
+const moment = require('moment');
+const logger = require('../logger');
+const { ScoreLedger } = require('../scoreLedger');
+const { getRules } = require('../scoringRules');
+
+// Pain point analyzers for clinical trials. FDAApiService extends this class,
+// so the analyzers share its trial parsing and phase classification.
+class PharmaIntelligenceEngine {
+  constructor() {
+    this.painPointTriggers = this.initializePainPointTriggers();
+  }
+
+  // Initialize comprehensive pain point detection triggers
+  initializePainPointTriggers() {
+    return {
+      // Phase 2 Stagnation Indicators
+      phase2Stuck: {
+        keywords: ['dose finding', 'optimal dose', 'dose escalation', 'safety profile', 'biomarker'],
+        timeInPhase: 24, // months
+        multiplePhase2Studies: 2,
+        recruitmentIssues: ['slow enrollment', 'recruitment challenges', 'patient identification']
+      },
+      
+      // Pre-Meeting Preparation Needs
+      regulatoryMeeting: {
+        fdaSubmissions: ['pre-IND', 'Type A', 'Type B', 'Type C', 'EOP2', 'pre-BLA', 'pre-NDA'],
+        recentHoldActions: ['clinical hold', 'partial hold', 'complete response letter'],
+        upcomingMilestones: ['IND submission', 'NDA filing', 'BLA submission', 'PDUFA date']
+      },
+      
+      // Competitive Intelligence Needs
+      competitiveThreats: {
+        similarTrials: 3, // threshold for competitive trials in same indication
+        recentApprovals: ['breakthrough', 'fast track', 'priority review', 'accelerated approval'],
+        marketEntry: ['first-in-class', 'best-in-class', 'me-too']
+      },
+      
+      // Market Access Preparation
+      marketAccess: {
+        phase3Ready: ['phase 3', 'pivotal trial', 'registration study'],
+        healthEconomics: ['cost-effectiveness', 'budget impact', 'real-world evidence'],
+        payerStrategy: ['value proposition', 'pricing strategy', 'market access']
+      }
+    };
+  }
+
+  // 1. Enhanced FDA Application Analysis with Pain Point Detection
+
+// changes: dated record changes since earlier snapshots of this trial
+// (diffTrialSnapshots in ingestion/sources/clinicalTrials.js), newest first
+async advancedTrialPainPointAnalysis(trial, allTrials, { changes = [] } = {}) {
+  try {
+    const basic = this.comprehensiveTrialAnalysis(trial, { changes });
+    if (!basic) return null;
+
+    const painPoints = [];
+    const companyContext = this.buildCompanyContext(basic.sponsor?.lead, allTrials);
+    const phaseInfo = this.classifyTrialPhase(trial);
+
+    // NEW: Phase 2 stagnation detection (highest priority)
+    const phase2Issues = this.detectPhase2Stagnation(trial, companyContext);
+    if (phase2Issues.isStuck) {
+      painPoints.push({
+        type: 'phase2_stagnation',
+        severity: phase2Issues.severity,
+        description: phase2Issues.description,
+        opportunity: 'Phase 2 optimization and advancement strategy',
+        urgency: phase2Issues.severity === 'CRITICAL' ? 'critical' : 'high',
+        evidence: phase2Issues.evidence,
+        specificNeeds: [
+          'Root cause analysis of Phase 2 delays',
+          'Dose optimization and patient enrichment strategy',
+          'Endpoint refinement for Phase 3 readiness',
+          'FDA meeting strategy for advancement pathway'
+        ]
+      });
+    }
+
+    // NEW: New trial startup opportunities
+    const newOpportunities = this.detectNewTrialOpportunities(trial);
+    newOpportunities.forEach(opp => {
+      painPoints.push({
+        type: opp.type.toLowerCase(),
+        severity: opp.severity,
+        description: opp.description,
+        opportunity: this.getOpportunityDescription(opp.type),
+        urgency: opp.urgency,
+        window: opp.window,
+        specificNeeds: this.getSpecificNeeds(opp.type, phaseInfo)
+      });
+    });
+
+    // Suspension seen in the record history
+    const suspension = changes.find(change => change.changeType === 'STATUS_SUSPENDED');
+    if (suspension) {
+      painPoints.push({
+        type: 'trial_suspended',
+        severity: 'CRITICAL',
+        description: `Trial suspended (record updated ${suspension.date}, previously ${suspension.from.replace(/_/g, ' ').toLowerCase()})`,
+        opportunity: 'Suspension root cause analysis and restart strategy',
+        urgency: 'critical',
+        evidence: [`${suspension.date}: ${suspension.description}`],
+        specificNeeds: [
+          'Root cause assessment and corrective actions',
+          'FDA and IRB communication on the suspension',
+          'Protocol amendment strategy for restart',
+          'Site and patient retention plan during the pause'
+        ]
+      });
+    }
+
+    // Enhanced recruitment challenges with Phase 2 specific issues
+    const recruitmentIssues = this.analyzeAdvancedRecruitmentChallenges(trial, phaseInfo, changes);
+    if (recruitmentIssues.hasChallenges) {
+      painPoints.push({
+        type: 'recruitment_challenges',
+        severity: recruitmentIssues.severity,
+        description: recruitmentIssues.description,
+        opportunity: 'Patient identification and enrollment optimization',
+        urgency: recruitmentIssues.urgency,
+        evidence: recruitmentIssues.evidence,
+        specificNeeds: [
+          'Patient population analysis and site selection',
+          'Eligibility criteria optimization',
+          'Competitive enrollment landscape assessment',
+          'Digital patient identification strategies'
+        ]
+      });
+    }
+
+    // Enhanced biomarker strategy issues
+    const biomarkerStrategy = this.analyzeBiomarkerStrategy(
+      trial.eligibilityCriteria || trial.eligibility?.criteria || '', 
+      trial.title || trial.briefTitle || ''
+    );
+    
+    if (biomarkerStrategy.usesBiomarkers && biomarkerStrategy.complexity === 'HIGH') {
+      painPoints.push({
+        type: 'complex_biomarker_strategy',
+        severity: 'HIGH',
+        description: `Complex ${biomarkerStrategy.enrichmentStrategy} biomarker strategy requires FDA alignment`,
+        opportunity: 'Biomarker strategy optimization and regulatory pathway clarity',
+        urgency: 'high',
+        specificNeeds: [
+          'Biomarker validation strategy and regulatory precedents',
+          'Companion diagnostic development pathway',
+          'Patient enrichment vs. all-comers strategy analysis',
+          'Labeling and market access implications'
+        ]
+      });
+    }
+
+    // Enhanced endpoint challenges detection
+    const endpointIssues = this.analyzeEndpointChallenges(trial, phaseInfo);
+    if (endpointIssues.hasChallenges) {
+      painPoints.push({
+        type: 'endpoint_challenges',
+        severity: endpointIssues.severity,
+        description: endpointIssues.description,
+        opportunity: 'Endpoint optimization and FDA alignment strategy',
+        urgency: endpointIssues.urgency,
+        specificNeeds: [
+          'Endpoint validation and regulatory acceptance analysis',
+          'Surrogate vs. clinical endpoint strategy',
+          'Composite endpoint design and powering',
+          'Real-world evidence integration opportunities'
+        ]
+      });
+    }
+
+    // Competitive pressure analysis with urgency
+    const competitivePressure = this.analyzeCompetitivePressureAdvanced(trial, allTrials, phaseInfo);
+    if (competitivePressure.hasIntensePressure) {
+      painPoints.push({
+        type: 'competitive_pressure',
+        severity: competitivePressure.severity,
+        description: competitivePressure.description,
+        opportunity: 'Competitive differentiation and acceleration strategy',
+        urgency: competitivePressure.urgency,
+        specificNeeds: [
+          'Competitive landscape mapping and timeline analysis',
+          'Differentiation strategy and positioning',
+          'Expedited pathway opportunities',
+          'Market access and commercialization timing'
+        ]
+      });
+    }
+
+    // Regulatory pathway optimization for specific phases
+    const regulatoryGaps = this.identifyRegulatoryGaps(trial, companyContext, phaseInfo);
+    if (regulatoryGaps.hasGaps) {
+      painPoints.push({
+        type: 'regulatory_strategy_gaps',
+        severity: regulatoryGaps.severity,
+        description: regulatoryGaps.description,
+        opportunity: 'Regulatory pathway optimization and FDA strategy',
+        urgency: regulatoryGaps.urgency,
+        specificNeeds: regulatoryGaps.specificNeeds
+      });
+    }
+
+    // Trial design complexity issues
+    const designComplexity = this.analyzeTrialDesignComplexity(trial, phaseInfo);
+    if (designComplexity.isComplex) {
+      painPoints.push({
+        type: 'complex_trial_design',
+        severity: designComplexity.severity,
+        description: designComplexity.description,
+        opportunity: 'Trial design optimization and regulatory strategy',
+        urgency: designComplexity.urgency,
+        specificNeeds: [
+          'Statistical plan optimization and power analysis',
+          'Adaptive design considerations and FDA guidance',
+          'Interim analysis strategy and DMC charter',
+          'Protocol amendment minimization strategies'
+        ]
+      });
+    }
+
+    const urgencyScoreLedger = new ScoreLedger();
+    return {
+      ...basic,
+      painPoints,
+      phaseInfo,
+      companyContext,
+      urgencyScore: this.calculateEnhancedUrgencyScore(painPoints, phaseInfo, trial, urgencyScoreLedger),
+      urgencyScoreLedger: urgencyScoreLedger.entries,
+      contactRecommendation: this.generateAdvancedContactRecommendation(painPoints, trial, phaseInfo),
+      nextContactWindow: this.determineOptimalContactTiming(painPoints),
+      priorityRanking: this.calculatePriorityRanking(painPoints, phaseInfo)
+    };
+  } catch (error) {
+    logger.error('Error in advanced trial analysis:', error.message);
+    return null;
+  }
+}
+
+// 14. NEW: Analyze advanced recruitment challenges. Record changes give
+// dated evidence: enrollment revisions, completion delays and site additions.
+analyzeAdvancedRecruitmentChallenges(trial, phaseInfo, changes = []) {
+  try {
+    let hasChallenges = false;
+    let severity = 'low';
+    let description = '';
+    let urgency = 'low';
+    const evidence = [];
+
+    const targetEnrollment = trial.enrollment?.count || trial.enrollmentCount || 0;
+    const startDate = this.extractTrialStartDate(trial);
+    const status = trial.status || trial.overallStatus || '';
+    
+    if (startDate && targetEnrollment > 0) {
+      const monthsSinceStart = moment().diff(moment(startDate), 'months');
+      
+      // Phase-specific enrollment timeline expectations
+      const recruitmentMonths = getRules().thresholds.recruitmentMonths;
+      const expectedTimeframe = recruitmentMonths[phaseInfo.primary] ?? recruitmentMonths.default;
+      
+      if (monthsSinceStart > expectedTimeframe && status === 'RECRUITING') {
+        hasChallenges = true;
+        severity = monthsSinceStart > (expectedTimeframe * 1.5) ? 'high' : 'medium';
+        description = `Extended ${phaseInfo.primary} recruitment (${monthsSinceStart} months) suggests patient identification challenges`;
+        urgency = severity === 'high' ? 'high' : 'medium';
+      }
+    }
+
+    // Small enrollment with long timeline suggests rare population
+    if (targetEnrollment < 50 && phaseInfo.primary !== 'PHASE1') {
+      hasChallenges = true;
+      severity = 'medium';
+      description += (description ? ' | ' : '') + 'Small patient population requires specialized recruitment strategy';
+      urgency = 'medium';
+    }
+
+    // Biomarker-driven enrollment challenges
+    const eligibility = trial.eligibilityCriteria || trial.eligibility?.criteria || '';
+    const biomarkerRequirements = [
+      'positive', 'mutation', 'expression', 'biomarker', 'testing required',
+      'companion diagnostic', 'genomic', 'molecular', 'sequencing'
+    ];
+    
+    const biomarkerCount = biomarkerRequirements.filter(req => 
+      eligibility.toLowerCase().includes(req)
+    ).length;
+    
+    if (biomarkerCount >= 2) {
+      hasChallenges = true;
+      severity = biomarkerCount >= 4 ? 'high' : 'medium';
+      description += (description ? ' | ' : '') + 'Multiple biomarker requirements may limit eligible patient pool';
+      urgency = 'medium';
+    }
+
+    // Prior therapy requirements (suggests late-line, harder to recruit)
+    const priorTherapyRequirements = [
+      'refractory', 'resistant', 'relapsed', 'failed', 'progression',
+      'prior lines', 'previous treatment', 'salvage', 'second-line', 'third-line'
+    ];
+    
+    if (priorTherapyRequirements.some(req => eligibility.toLowerCase().includes(req))) {
+      hasChallenges = true;
+      severity = 'medium';
+      description += (description ? ' | ' : '') + 'Late-line therapy requirements present recruitment complexity';
+      urgency = 'medium';
+    }
+
+    // Geographic/site limitations
+    const locations = trial.locations || [];
+    if (locations.length < 10 && targetEnrollment > 100) {
+      hasChallenges = true;
+      severity = 'medium';
+      description += (description ? ' | ' : '') + 'Limited site network for target enrollment size';
+      urgency = 'medium';
+    }
+
+    // Record history: a pushed primary completion or a cut enrollment target
+    // is the sponsor confirming a recruitment problem; added sites are the
+    // usual rescue
+    const delays = changes.filter(change => change.changeType === 'PRIMARY_COMPLETION_DELAYED');
+    const cuts = changes.filter(change => change.changeType === 'ENROLLMENT_REVISED' && change.to < change.from);
+    const siteAdditions = changes.filter(change => change.changeType === 'SITES_ADDED');
+    [...delays, ...cuts, ...siteAdditions].forEach(change => {
+      evidence.push(`${change.date}: ${change.description}`);
+    });
+
+    if (delays.length > 0 || cuts.length > 0) {
+      const delayedMonths = delays.reduce((total, change) => total + (change.months || 0), 0);
+      hasChallenges = true;
+      severity = delays.length + cuts.length > 1 || delayedMonths >= 6 ? 'high' : 'medium';
+      urgency = severity;
+      description = [
+        delays.length > 0 ? `Primary completion pushed back ${delays.length} time(s)${delayedMonths > 0 ? `, ${delayedMonths} months in total` : ''} (latest ${delays[0].date})` : null,
+        cuts.length > 0 ? `Enrollment target cut to ${cuts[0].to} (${cuts[0].date})` : null,
+        description
+      ].filter(Boolean).join(' | ');
+    }
+
+    if (siteAdditions.length > 0) {
+      const added = siteAdditions.reduce((total, change) => total + change.added.length, 0);
+      hasChallenges = true;
+      if (severity === 'low') severity = 'medium';
+      if (urgency === 'low') urgency = 'medium';
+      description += (description ? ' | ' : '') + `${added} site(s) added since ${siteAdditions[siteAdditions.length - 1].date}, a common response to slow enrollment`;
+    }
+
+    return { hasChallenges, severity, description, urgency, evidence };
+  } catch (error) {
+    logger.warn('Error analyzing advanced recruitment challenges:', error.message);
+    return { hasChallenges: false };
+  }
+}
+
+// 15. NEW: Analyze endpoint challenges
+analyzeEndpointChallenges(trial, phaseInfo) {
+  try {
+    let hasChallenges = false;
+    let severity = 'low';
+    let description = '';
+    let urgency = 'low';
+
+    const title = (trial.title || trial.briefTitle || '').toLowerCase();
+    const outcomes = trial.primaryOutcomes || trial.outcomesModule?.primaryOutcomes || [];
+
+    // Novel or experimental endpoints
+    const novelEndpointKeywords = [
+      'novel endpoint', 'exploratory endpoint', 'biomarker endpoint',
+      'composite endpoint', 'surrogate endpoint', 'patient reported outcome',
+      'quality of life', 'digital endpoint', 'wearable', 'real-world evidence'
+    ];
+    
+    if (novelEndpointKeywords.some(keyword => title.includes(keyword))) {
+      hasChallenges = true;
+      severity = 'high';
+      description = 'Novel endpoints require FDA validation and precedent analysis';
+      urgency = 'high';
+    }
+
+    // Multiple primary endpoints (suggests uncertainty)
+    if (outcomes.length > 2) {
+      hasChallenges = true;
+      severity = outcomes.length > 3 ? 'high' : 'medium';
+      description += (description ? ' | ' : '') + `Multiple primary endpoints (${outcomes.length}) suggest regulatory uncertainty`;
+      urgency = 'medium';
+    }
+
+    // Phase-specific endpoint concerns
+    if (phaseInfo.primary === 'PHASE2') {
+      // Phase 2 should be moving toward Phase 3-ready endpoints
+      const phase3ReadyKeywords = [
+        'overall survival', 'progression-free survival', 'objective response rate',
+        'complete response', 'duration of response', 'time to progression'
+      ];
+      
+      const hasPhase3Ready = phase3ReadyKeywords.some(keyword => 
+        title.includes(keyword) || 
+        outcomes.some(outcome => outcome.measure?.toLowerCase().includes(keyword))
+      );
+      
+      if (!hasPhase3Ready) {
+        hasChallenges = true;
+        severity = 'medium';
+        description += (description ? ' | ' : '') + 'Phase 2 endpoints may need alignment with Phase 3 strategy';
+        urgency = 'medium';
+      }
+    }
+
+    // Feasibility/proof-of-concept studies suggest early development
+    const earlyStageKeywords = [
+      'feasibility', 'proof of concept', 'pilot', 'dose finding', 'safety run-in'
+    ];
+    
+    if (earlyStageKeywords.some(keyword => title.includes(keyword))) {
+      hasChallenges = true;
+      severity = 'medium';
+      description += (description ? ' | ' : '') + 'Early-stage endpoints require progression planning to registrational studies';
+      urgency = 'medium';
+    }
+
+    return { hasChallenges, severity, description, urgency };
+  } catch (error) {
+    logger.warn('Error analyzing endpoint challenges:', error.message);
+    return { hasChallenges: false };
+  }
+}
+
+// 16. NEW: Analyze competitive pressure with urgency
+analyzeCompetitivePressureAdvanced(trial, allTrials, phaseInfo) {
+  try {
+    let hasIntensePressure = false;
+    let severity = 'low';
+    let description = '';
+    let urgency = 'low';
+
+    const indication = this.extractPrimaryIndication(trial);
+    const sponsor = trial.sponsor?.lead || '';
+
+    // Count similar trials in same indication and phase
+    const competitorTrials = allTrials.filter(t => {
+      const tIndication = this.extractPrimaryIndication(t);
+      const tPhase = this.classifyTrialPhase(t);
+      const tSponsor = t.sponsor?.lead || '';
+      
+      return this.isSimilarIndication(indication, tIndication) &&
+             tPhase.primary === phaseInfo.primary &&
+             tSponsor !== sponsor &&
+             (t.status === 'RECRUITING' || t.status === 'ACTIVE_NOT_RECRUITING');
+    });
+
+    if (competitorTrials.length >= 3) {
+      hasIntensePressure = true;
+      severity = competitorTrials.length >= 5 ? 'high' : 'medium';
+      description = `${competitorTrials.length} competing ${phaseInfo.primary} trials in ${indication} create time pressure`;
+      urgency = 'high';
+    }
+
+    // Check for recently completed competitor trials (suggests approaching approvals)
+    const recentCompletions = allTrials.filter(t => {
+      const tIndication = this.extractPrimaryIndication(t);
+      const tPhase = this.classifyTrialPhase(t);
+      const completionDate = t.completionDate || t.primaryCompletionDate;
+      
+      return this.isSimilarIndication(indication, tIndication) &&
+             tPhase.primary === 'PHASE3' &&
+             completionDate &&
+             moment().diff(moment(completionDate), 'months') < 12;
+    });
+
+    if (recentCompletions.length > 0) {
+      hasIntensePressure = true;
+      severity = 'high';
+      description += (description ? ' | ' : '') + `Recent Phase 3 completions in ${indication} suggest imminent competitive approvals`;
+      urgency = 'critical';
+    }
+
+    // Large pharma competition
+    const bigPharmaCompetitors = competitorTrials.filter(t => {
+      const sponsor = (t.sponsor?.lead || '').toLowerCase();
+      const bigPharma = [
+        'pfizer', 'merck', 'novartis', 'roche', 'genentech', 'sanofi', 
+        'gsk', 'astrazeneca', 'johnson', 'abbvie', 'bristol', 'eli lilly'
+      ];
+      return bigPharma.some(company => sponsor.includes(company));
+    });
+
+    if (bigPharmaCompetitors.length > 0) {
+      hasIntensePressure = true;
+      severity = 'high';
+      description += (description ? ' | ' : '') + `Big pharma competition requires differentiation strategy`;
+      urgency = 'high';
+    }
+
+    return { hasIntensePressure, severity, description, urgency };
+  } catch (error) {
+    logger.warn('Error analyzing competitive pressure:', error.message);
+    return { hasIntensePressure: false };
+  }
+}
+
+// 17. NEW: Identify regulatory gaps with phase-specific needs
+identifyRegulatoryGaps(trial, companyContext, phaseInfo) {
+  try {
+    let hasGaps = false;
+    let severity = 'low';
+    let description = '';
+    let urgency = 'low';
+    let specificNeeds = [];
+
+    const indication = this.extractPrimaryIndication(trial);
+    const status = trial.status || trial.overallStatus || '';
+
+    // Phase-specific regulatory gaps
+    if (phaseInfo.primary === 'PHASE1' || phaseInfo.primary === 'EARLY_PHASE1') {
+      // Early phase regulatory needs
+      hasGaps = true;
+      severity = 'medium';
+      description = 'Early phase development requires IND strategy and Phase 2 planning';
+      urgency = 'medium';
+      specificNeeds = [
+        'IND submission optimization and FDA pre-IND meeting strategy',
+        'Dose escalation design and safety committee protocols',
+        'Biomarker development strategy for Phase 2 readiness',
+        'Patient population definition and expansion cohort planning'
+      ];
+    } else if (phaseInfo.primary === 'PHASE2') {
+      // Phase 2 specific gaps
+      hasGaps = true;
+      severity = 'medium';
+      description = 'Phase 2 development requires FDA alignment for Phase 3 advancement';
+      urgency = 'medium';
+      specificNeeds = [
+        'FDA guidance on Phase 3 endpoint acceptability',
+        'Patient enrichment strategy and biomarker development',
+        'Dose selection methodology and FDA precedents',
+        'Go/no-go criteria and decision frameworks'
+      ];
+      
+      // Check for stagnation indicators
+      const startDate = this.extractTrialStartDate(trial);
+      if (startDate && moment().diff(moment(startDate), 'months') > getRules().thresholds.phase2ReviewMonths) {
+        severity = 'high';
+        urgency = 'high';
+        description = 'Extended Phase 2 development requires strategic review and advancement planning';
+        specificNeeds.push('Root cause analysis and development acceleration strategies');
+      }
+    } else if (phaseInfo.primary === 'PHASE3') {
+      // Phase 3 regulatory gaps
+      hasGaps = true;
+      severity = 'high';
+      description = 'Pivotal trial requires comprehensive FDA alignment and approval strategy';
+      urgency = 'high';
+      specificNeeds = [
+        'FDA agreement on primary endpoints and analysis plan',
+        'Advisory committee preparation and strategy',
+        'NDA/BLA submission planning and timeline optimization',
+        'Post-marketing commitment strategy'
+      ];
+    }
+
+    // Combination therapy gaps
+    const interventions = trial.interventions || [];
+    const hasCombination = interventions.length > 1 || 
+                          interventions.some(i => i.name?.toLowerCase().includes('combination'));
+    
+    if (hasCombination) {
+      hasGaps = true;
+      severity = severity === 'high' ? 'high' : 'medium';
+      description += (description ? ' | ' : '') + 'Combination therapy requires specialized regulatory strategy';
+      specificNeeds.push('Combination therapy regulatory pathway and FDA precedents');
+    }
+
+    // Rare disease regulatory opportunities
+    if (indication.toLowerCase().includes('rare') || 
+        indication.toLowerCase().includes('orphan')) {
+      hasGaps = true;
+      description += (description ? ' | ' : '') + 'Rare disease development offers expedited pathway opportunities';
+      specificNeeds.push(
+        'Orphan drug designation strategy',
+        'FDA flexibility in trial design and endpoints',
+        'Breakthrough therapy designation assessment'
+      );
+    }
+
+    // First-in-class opportunities
+    const title = (trial.title || trial.briefTitle || '').toLowerCase();
+    if (title.includes('first-in-class') || title.includes('novel mechanism')) {
+      hasGaps = true;
+      severity = 'high';
+      urgency = 'high';
+      description += (description ? ' | ' : '') + 'First-in-class therapy requires comprehensive regulatory strategy';
+      specificNeeds.push(
+        'Novel mechanism of action regulatory precedents',
+        'FDA guidance on first-in-class development expectations',
+        'Risk-benefit framework and safety considerations'
+      );
+    }
+
+    return { hasGaps, severity, description, urgency, specificNeeds };
+  } catch (error) {
+    logger.warn('Error identifying regulatory gaps:', error.message);
+    return { hasGaps: false };
+  }
+}
+
+// 18. NEW: Analyze trial design complexity
+analyzeTrialDesignComplexity(trial, phaseInfo) {
+  try {
+    let isComplex = false;
+    let severity = 'low';
+    let description = '';
+    let urgency = 'low';
+
+    const title = (trial.title || trial.briefTitle || '').toLowerCase();
+    const interventions = trial.interventions || [];
+    const targetEnrollment = trial.enrollment?.count || trial.enrollmentCount || 0;
+
+    // Adaptive design complexity
+    const adaptiveKeywords = [
+      'adaptive', 'seamless', 'platform', 'umbrella', 'basket',
+      'master protocol', 'bayesian', 'interim adaptation'
+    ];
+    
+    if (adaptiveKeywords.some(keyword => title.includes(keyword))) {
+      isComplex = true;
+      severity = 'high';
+      description = 'Adaptive trial design requires specialized statistical and regulatory expertise';
+      urgency = 'high';
+    }
+
+    // Complex randomization schemes
+    const complexRandomization = [
+      'factorial', 'crossover', 'stepped wedge', 'cluster randomized',
+      'multi-arm', 'dose escalation with expansion'
+    ];
+    
+    if (complexRandomization.some(scheme => title.includes(scheme))) {
+      isComplex = true;
+      severity = severity === 'high' ? 'high' : 'medium';
+      description += (description ? ' | ' : '') + 'Complex randomization design requires careful statistical planning';
+      urgency = 'medium';
+    }
+
+    // Large trial complexity
+    if (targetEnrollment > 500) {
+      isComplex = true;
+      severity = 'medium';
+      description += (description ? ' | ' : '') + 'Large trial requires interim analysis and DMC strategy';
+      urgency = 'medium';
+    }
+
+    // Multiple interventions
+    if (interventions.length > 2) {
+      isComplex = true;
+      severity = 'medium';
+      description += (description ? ' | ' : '') + 'Multiple intervention arms increase design complexity';
+      urgency = 'medium';
+    }
+
+    // Combination product complexity
+    const hasCombinationProduct = interventions.some(i => 
+      i.type === 'COMBINATION_PRODUCT' || 
+      (interventions.some(j => j.type === 'DRUG') && interventions.some(k => k.type === 'DEVICE'))
+    );
+    
+    if (hasCombinationProduct) {
+      isComplex = true;
+      severity = 'high';
+      description += (description ? ' | ' : '') + 'Combination product requires CDER/CDRH coordination';
+      urgency = 'high';
+    }
+
+    return { isComplex, severity, description, urgency };
+  } catch (error) {
+    logger.warn('Error analyzing trial design complexity:', error.message);
+    return { isComplex: false };
+  }
+}
+
+// 19. NEW: Enhanced urgency scoring. Factors are recorded in ledger.
+calculateEnhancedUrgencyScore(painPoints, phaseInfo, trial, ledger = new ScoreLedger()) {
+  ledger.add('Base score', 50);
+
+  // Pain point severity scoring
+  painPoints.forEach((point, index) => {
+    const severityPoints = { CRITICAL: 25, HIGH: 15, MEDIUM: 8, LOW: 3 }[point.severity] || 0;
+    ledger.add(`${point.severity} pain point: ${point.type}`, severityPoints, `painPoints[${index}].severity`, point.severity);
+    
+    // Urgency modifiers
+    const urgencyPoints = { critical: 15, high: 10, medium: 5 }[point.urgency] || 0;
+    ledger.add(`${point.urgency} urgency: ${point.type}`, urgencyPoints, `painPoints[${index}].urgency`, point.urgency);
+  });
+
+  // Phase-specific scoring
+  if (phaseInfo.primary === 'PHASE3') ledger.add('Pivotal Phase 3 trial', 15, 'phaseInfo.primary', phaseInfo.primary);
+  if (phaseInfo.primary === 'EARLY_PHASE1') ledger.add('Early Phase 1 decisions', 12, 'phaseInfo.primary', phaseInfo.primary);
+  if (phaseInfo.isCombo) ledger.add('Combined phases', 8, 'phaseInfo.isCombo', true);
+
+  // Status-based scoring
+  const status = trial.status || trial.overallStatus || '';
+  if (status === 'NOT_YET_RECRUITING') ledger.add('Pre-recruitment window', 15, 'status', status);
+  if (status === 'SUSPENDED' || status === 'TERMINATED') ledger.add(`Trial ${status.toLowerCase()}`, 20, 'status', status);
+
+  // Time sensitivity
+  const startDate = this.extractTrialStartDate(trial);
+  if (startDate) {
+    const monthsSinceStart = moment().diff(moment(startDate), 'months');
+    if (monthsSinceStart < 6) ledger.add('Started in the last 6 months', 10, 'startDate', startDate);
+    if (monthsSinceStart > 36) ledger.add('Running for over 3 years', 8, 'startDate', startDate);
+  }
+
+  // Competitive pressure
+  const competitiveIndex = painPoints.findIndex(p => p.type === 'competitive_pressure');
+  if (competitiveIndex !== -1 && painPoints[competitiveIndex].urgency === 'critical') {
+    ledger.add('Critical competitive pressure', 12, `painPoints[${competitiveIndex}].urgency`, 'critical');
+  }
+
+  return ledger.cap(100);
+}
+
+// 20. NEW: Advanced contact recommendations
+generateAdvancedContactRecommendation(painPoints, trial, phaseInfo) {
+  const criticalPainPoint = painPoints.find(p => p.severity === 'CRITICAL');
+  const urgentPainPoint = painPoints.find(p => p.urgency === 'critical' || p.urgency === 'high');
+  
+  const recommendations = {
+    timing: 'Contact within 1 month',
+    stakeholders: ['Clinical Development'],
+    messageFraming: 'Clinical development optimization opportunity',
+    valueProposition: 'Accelerate development and reduce regulatory risk',
+    specificApproach: 'Standard regulatory consulting outreach'
+  };
+
+  // Critical situations
+  if (criticalPainPoint) {
+    recommendations.timing = 'Contact immediately';
+    recommendations.messageFraming = 'Critical development issue requiring immediate attention';
+    recommendations.specificApproach = 'Emergency consultation offering';
+    
+    if (criticalPainPoint.type === 'first_in_human') {
+      recommendations.stakeholders = ['Chief Medical Officer', 'Clinical Development', 'Regulatory Affairs'];
+      recommendations.valueProposition = 'Comprehensive IND strategy and FDA alignment for program success';
+    } else if (criticalPainPoint.type.includes('phase2_stagnation')) {
+      recommendations.stakeholders = ['Clinical Development', 'Regulatory Affairs', 'Business Development'];
+      recommendations.valueProposition = 'Phase 2 optimization and advancement strategy to accelerate timeline';
+    }
+  }
+  
+  // High urgency situations
+  else if (urgentPainPoint) {
+    recommendations.timing = 'Contact within 1 week';
+    recommendations.messageFraming = 'Time-sensitive development opportunity';
+    
+    if (urgentPainPoint.type === 'pre_recruitment_optimization') {
+      recommendations.stakeholders = ['Clinical Operations', 'Clinical Development', 'Biostatistics'];
+      recommendations.valueProposition = 'Protocol optimization before recruitment to avoid costly amendments';
+      recommendations.specificApproach = 'Pre-trial optimization consulting';
+    } else if (urgentPainPoint.type === 'new_early_phase_trial') {
+      recommendations.stakeholders = ['Clinical Development', 'Regulatory Affairs'];
+      recommendations.valueProposition = 'Early phase strategy optimization for maximum program value';
+    }
+  }
+  
+  // Phase-specific recommendations
+  if (phaseInfo.primary === 'PHASE2') {
+    recommendations.stakeholders.push('Biostatistics', 'Medical Affairs');
+    if (!recommendations.valueProposition.includes('Phase 2')) {
+      recommendations.valueProposition = 'Phase 2 optimization for successful Phase 3 transition';
+    }
+  } else if (phaseInfo.primary === 'PHASE3') {
+    recommendations.stakeholders.push('Regulatory Affairs', 'Medical Affairs', 'Commercial');
+    recommendations.valueProposition = 'Pivotal trial success and approval timeline optimization';
+  }
+
+  // Biomarker-specific recommendations
+  const biomarkerPainPoint = painPoints.find(p => p.type === 'complex_biomarker_strategy');
+  if (biomarkerPainPoint) {
+    recommendations.stakeholders.push('Translational Medicine', 'Companion Diagnostics');
+    recommendations.messageFraming = 'Biomarker strategy requiring FDA alignment';
+  }
+
+  return recommendations;
+}
+
+calculatePriorityRanking(painPoints, phaseInfo) {
+  let ranking = 50; // Base ranking
+
+  // Critical issues get highest ranking
+  const criticalCount = painPoints.filter(p => p.severity === 'CRITICAL').length;
+  ranking += criticalCount * 25;
+
+  // High urgency issues
+  const urgentCount = painPoints.filter(p => p.urgency === 'critical' || p.urgency === 'high').length;
+  ranking += urgentCount * 15;
+
+  // Phase-specific priority
+  if (phaseInfo.primary === 'PHASE3') ranking += 20; // Pivotal trials highest priority
+  if (phaseInfo.primary === 'EARLY_PHASE1') ranking += 15; // Early phase critical decisions
+  if (phaseInfo.primary === 'PHASE2') ranking += 10; // Phase 2 optimization important
+
+  // Specific high-value pain points
+  const highValueTypes = [
+    'phase2_stagnation', 'first_in_human', 'pre_recruitment_optimization',
+    'complex_biomarker_strategy', 'competitive_pressure'
+  ];
+  
+  painPoints.forEach(point => {
+    if (highValueTypes.includes(point.type)) {
+      ranking += 10;
+    }
+  });
+
+  // Window of opportunity bonus
+  const windowOpportunity = painPoints.find(p => p.window === 'immediate');
+  if (windowOpportunity) ranking += 15;
+
+  return Math.min(ranking, 100);
+}
+
+// 22. NEW: Helper functions for opportunity descriptions
+getOpportunityDescription(oppType) {
+  const descriptions = {
+    'FIRST_IN_HUMAN': 'Comprehensive IND strategy and early development planning',
+    'PRE_RECRUITMENT_OPTIMIZATION': 'Protocol optimization and FDA alignment before recruitment',
+    'NEW_EARLY_PHASE_TRIAL': 'Early phase development strategy and advancement planning',
+    'PHASE2_OPTIMIZATION': 'Phase 2 advancement and regulatory pathway optimization'
+  };
+  
+  return descriptions[oppType] || 'Clinical development strategic support';
+}
+
+getSpecificNeeds(oppType, phaseInfo) {
+  const needsMap = {
+    'FIRST_IN_HUMAN': [
+      'IND submission strategy and pre-IND meeting preparation',
+      'Starting dose selection and dose escalation methodology',
+      'Safety committee protocols and stopping rules',
+      'Biomarker strategy for early efficacy signals',
+      'Phase 2 design planning and patient population definition'
+    ],
+    'PRE_RECRUITMENT_OPTIMIZATION': [
+      'Protocol review and FDA guidance alignment',
+      'Statistical plan optimization and power analysis',
+      'Inclusion/exclusion criteria refinement',
+      'Site selection and enrollment feasibility assessment',
+      'Biomarker strategy and companion diagnostic planning'
+    ],
+    'NEW_EARLY_PHASE_TRIAL': [
+      'Early development strategy and milestone planning',
+      'FDA meeting strategy and communication plan',
+      'Dose selection and expansion cohort design',
+      'Biomarker development and validation pathway',
+      'Competitive landscape and differentiation strategy'
+    ]
+  };
+  
+  return needsMap[oppType] || [
+    'Regulatory strategy and FDA alignment',
+    'Trial design optimization',
+    'Development timeline acceleration',
+    'Risk mitigation and contingency planning'
+  ];
+}
+
+detectPhase2Stagnation(trial, companyContext) {
+  try {
+    const phaseInfo = this.classifyTrialPhase(trial);
+    
+    // Only analyze Phase 2 or Phase 1/2 combo trials
+    if (phaseInfo.primary !== 'PHASE2' && !phaseInfo.isCombo) {
+      return { isStuck: false };
+    }
+
+    let isStuck = false;
+    let description = '';
+    let evidence = [];
+    let severity = 'MEDIUM';
+
+    // Signal 1: Multiple Phase 2 trials for same indication
+    const indication = this.extractPrimaryIndication(trial);
+    const sameIndicationPhase2 = companyContext.trials.filter(t => {
+      const tPhase = this.classifyTrialPhase(t);
+      const tIndication = this.extractPrimaryIndication(t);
+      return (tPhase.primary === 'PHASE2' || tPhase.isCombo) && 
+             this.isSimilarIndication(indication, tIndication);
+    });
+
+    if (sameIndicationPhase2.length >= 2) {
+      isStuck = true;
+      severity = 'HIGH';
+      description = `Multiple Phase 2 trials (${sameIndicationPhase2.length}) in ${indication} suggests dose/endpoint optimization challenges`;
+      evidence.push(`${sameIndicationPhase2.length} Phase 2 trials in similar indications`);
+    }
+
+    // Signal 2: Extended Phase 2 duration
+    const startDate = this.extractTrialStartDate(trial);
+    if (startDate) {
+      const monthsInPhase2 = moment().diff(moment(startDate), 'months');
+      if (monthsInPhase2 > getRules().thresholds.phase2StagnationMonths) {
+        isStuck = true;
+        severity = severity === 'HIGH' ? 'HIGH' : 'MEDIUM';
+        description += (description ? ' | ' : '') + `Extended Phase 2 duration (${monthsInPhase2} months) indicates development challenges`;
+        evidence.push(`${monthsInPhase2} months in Phase 2 development`);
+      }
+    }
+
+    // Signal 3: Dose-finding/optimization keywords
+    const title = (trial.title || trial.briefTitle || '').toLowerCase();
+    const doseKeywords = [
+      'dose finding', 'dose-finding', 'dose escalation', 'dose optimization', 
+      'optimal dose', 'maximum tolerated dose', 'mtd', 'dose expansion',
+      'dose de-escalation', 'dose response', 'dose selection'
+    ];
+    
+    if (doseKeywords.some(keyword => title.includes(keyword))) {
+      isStuck = true;
+      description += (description ? ' | ' : '') + 'Dose optimization focus suggests ongoing Phase 2 challenges';
+      evidence.push('Dose optimization focus in trial design');
+    }
+
+    // Signal 4: Biomarker selection/enrichment issues
+    const biomarkerKeywords = [
+      'biomarker', 'enrichment', 'patient selection', 'stratification',
+      'companion diagnostic', 'predictive marker', 'prognostic marker'
+    ];
+    
+    if (biomarkerKeywords.some(keyword => title.includes(keyword))) {
+      isStuck = true;
+      description += (description ? ' | ' : '') + 'Biomarker strategy development indicates patient selection challenges';
+      evidence.push('Biomarker/patient selection focus');
+    }
+
+    // Signal 5: Trial status indicators
+    const status = trial.status || trial.overallStatus || '';
+    if (status === 'SUSPENDED' || status === 'TERMINATED') {
+      isStuck = true;
+      severity = 'CRITICAL';
+      description += (description ? ' | ' : '') + `Trial ${status.toLowerCase()} - requires immediate strategic review`;
+      evidence.push(`Trial status: ${status}`);
+    }
+
+    // Signal 6: Enrollment challenges
+    const enrollmentAnalysis = this.analyzePhase2EnrollmentChallenges(trial);
+    if (enrollmentAnalysis.hasChallenges) {
+      isStuck = true;
+      description += (description ? ' | ' : '') + enrollmentAnalysis.description;
+      evidence.push(...enrollmentAnalysis.evidence);
+    }
+
+    // Signal 7: Endpoint evolution (multiple primary endpoints suggest uncertainty)
+    const endpointAnalysis = this.analyzeEndpointUncertainty(trial);
+    if (endpointAnalysis.hasUncertainty) {
+      isStuck = true;
+      description += (description ? ' | ' : '') + endpointAnalysis.description;
+      evidence.push(...endpointAnalysis.evidence);
+    }
+
+    return { isStuck, description, evidence, severity };
+  } catch (error) {
+    logger.warn('Error detecting Phase 2 stagnation:', error.message);
+    return { isStuck: false };
+  }
+}
+
+// 12. UTILITY FUNCTIONS for better trial analysis
+extractPrimaryIndication(trial) {
+  const conditions = trial.conditions || trial.conditionsModule?.conditions || [];
+  if (conditions.length > 0) {
+    return conditions[0];
+  }
+  
+  const title = trial.title || trial.briefTitle || '';
+  
+  // Extract indication from title
+  const indicationPatterns = [
+    /in (?:patients with )?([^,]+)/i,
+    /for (?:the treatment of )?([^,]+)/i,
+    /treatment of ([^,]+)/i,
+    /therapy for ([^,]+)/i
+  ];
+  
+  for (const pattern of indicationPatterns) {
+    const match = title.match(pattern);
+    if (match) {
+      return match[1].trim();
+    }
+  }
+  
+  return 'Unknown';
+}
+
+
+isSimilarIndication(indication1, indication2) {
+  if (!indication1 || !indication2) return false;
+  
+  const normalize = (str) => str.toLowerCase().replace(/[^a-z0-9]/g, '');
+  const norm1 = normalize(indication1);
+  const norm2 = normalize(indication2);
+  
+  // Direct match
+  if (norm1 === norm2) return true;
+  
+  // Check for common cancer subtypes
+  const cancerTypes = ['cancer', 'carcinoma', 'sarcoma', 'lymphoma', 'leukemia', 'melanoma'];
+  const isCancer1 = cancerTypes.some(type => norm1.includes(type));
+  const isCancer2 = cancerTypes.some(type => norm2.includes(type));
+  
+  if (isCancer1 && isCancer2) {
+    // Check for organ/tissue overlap
+    const organs = ['breast', 'lung', 'colon', 'prostate', 'ovarian', 'pancreatic', 'liver', 'kidney'];
+    for (const organ of organs) {
+      if (norm1.includes(organ) && norm2.includes(organ)) {
+        return true;
+      }
+    }
+  }
+  
+  return false;
+}
+
+extractTrialStartDate(trial) {
+  const dates = trial.dates || trial.statusModule || {};
+  
+  // Try multiple date fields
+  const possibleDates = [
+    dates.studyFirstSubmitDate,
+    dates.startDate,
+    trial.startDate,
+    trial.studyFirstSubmitDate,
+    dates.studyFirstPostDate
+  ];
+  
+  for (const date of possibleDates) {
+    if (date && moment(date).isValid()) {
+      return date;
+    }
+  }
+  
+  return null;
+}
+
+analyzeEndpointUncertainty(trial) {
+  try {
+    let hasUncertainty = false;
+    let description = '';
+    let evidence = [];
+
+    const title = (trial.title || trial.briefTitle || '').toLowerCase();
+    
+    // Keywords suggesting endpoint challenges
+    const endpointUncertaintyKeywords = [
+      'exploratory', 'feasibility', 'pilot', 'proof of concept', 'poc',
+      'preliminary', 'surrogate', 'biomarker endpoint', 'novel endpoint',
+      'composite endpoint', 'multiple endpoints'
+    ];
+    
+    if (endpointUncertaintyKeywords.some(keyword => title.includes(keyword))) {
+      hasUncertainty = true;
+      description = 'Exploratory/novel endpoints suggest regulatory pathway uncertainty';
+      evidence.push('Endpoint development focus in trial design');
+    }
+
+    // Multiple primary outcomes can indicate uncertainty
+    const outcomes = trial.primaryOutcomes || trial.outcomesModule?.primaryOutcomes || [];
+    if (outcomes.length > 2) {
+      hasUncertainty = true;
+      description += (description ? ' | ' : '') + `Multiple primary endpoints (${outcomes.length}) suggest regulatory uncertainty`;
+      evidence.push(`${outcomes.length} primary endpoints`);
+    }
+
+    return { hasUncertainty, description, evidence };
+  } catch (error) {
+    logger.warn('Error analyzing endpoint uncertainty:', error.message);
+    return { hasUncertainty: false };
+  }
+}
+
+// 9. NEW: Detect new trial startup opportunities
+detectNewTrialOpportunities(trial) {
+  try {
+    const opportunities = [];
+    const phaseInfo = this.classifyTrialPhase(trial);
+    const startDate = this.extractTrialStartDate(trial);
+    const status = trial.status || trial.overallStatus || '';
+
+    // Recently started or about to start trials
+    if (startDate) {
+      const monthsSinceStart = moment().diff(moment(startDate), 'months');
+      
+      if (monthsSinceStart <= 6 && (phaseInfo.primary === 'PHASE1' || phaseInfo.isCombo)) {
+        opportunities.push({
+          type: 'NEW_EARLY_PHASE_TRIAL',
+          severity: 'HIGH',
+          description: `New ${phaseInfo.isCombo ? 'Phase 1/2' : 'Phase 1'} trial recently started - optimal time for FDA strategy alignment`,
+          urgency: 'high',
+          window: 'immediate'
+        });
+      }
+    }
+
+    // Not yet recruiting trials (pre-launch opportunity)
+    if (status === 'NOT_YET_RECRUITING') {
+      opportunities.push({
+        type: 'PRE_RECRUITMENT_OPTIMIZATION',
+        severity: 'HIGH',
+        description: 'Trial not yet recruiting - critical window for protocol optimization and FDA alignment',
+        urgency: 'high',
+        window: 'immediate'
+      });
+    }
+
+    // First-in-human studies
+    const title = (trial.title || trial.briefTitle || '').toLowerCase();
+    if (title.includes('first in human') || title.includes('first-in-human') || title.includes('fih')) {
+      opportunities.push({
+        type: 'FIRST_IN_HUMAN',
+        severity: 'CRITICAL',
+        description: 'First-in-human study requires comprehensive IND strategy and FDA alignment',
+        urgency: 'critical',
+        window: 'immediate'
+      });
+    }
+
+    return opportunities;
+  } catch (error) {
+    logger.warn('Error detecting new trial opportunities:', error.message);
+    return [];
+  }
+}
+
+
+
+analyzePhase2EnrollmentChallenges(trial) {
+  try {
+    let hasChallenges = false;
+    let description = '';
+    let evidence = [];
+
+    const targetEnrollment = trial.enrollment?.count || trial.enrollmentCount || 0;
+    const startDate = this.extractTrialStartDate(trial);
+    
+    if (startDate && targetEnrollment > 0) {
+      const monthsSinceStart = moment().diff(moment(startDate), 'months');
+      
+      // For Phase 2, enrollment should typically complete within 18-24 months
+      if (monthsSinceStart > getRules().thresholds.phase2RecruitmentMonths && (trial.status === 'RECRUITING' || trial.overallStatus === 'RECRUITING')) {
+        hasChallenges = true;
+        description = `Extended recruitment (${monthsSinceStart} months) suggests patient identification challenges`;
+        evidence.push(`${monthsSinceStart} months of recruitment for ${targetEnrollment} patients`);
+      }
+      
+      // Small Phase 2 with long recruitment suggests rare population
+      if (targetEnrollment < 100 && monthsSinceStart > 18) {
+        hasChallenges = true;
+        description += (description ? ' | ' : '') + 'Small trial with extended recruitment indicates rare patient population';
+        evidence.push(`Small trial (${targetEnrollment} patients) with long recruitment`);
+      }
+    }
+
+    // Check for multiple enrollment criteria (suggests selectivity issues)
+    const eligibility = trial.eligibilityCriteria || trial.eligibility?.criteria || '';
+    const complexCriteria = [
+      'biomarker positive', 'mutation', 'expression', 'prior therapy',
+      'refractory', 'resistant', 'failure', 'progression', 'relapsed'
+    ];
+    
+    const criteriaCount = complexCriteria.filter(criteria => 
+      eligibility.toLowerCase().includes(criteria)
+    ).length;
+    
+    if (criteriaCount >= 3) {
+      hasChallenges = true;
+      description += (description ? ' | ' : '') + 'Complex eligibility criteria may limit patient pool';
+      evidence.push(`${criteriaCount} complex eligibility requirements`);
+    }
+
+    return { hasChallenges, description, evidence };
+  } catch (error) {
+    logger.warn('Error analyzing enrollment challenges:', error.message);
+    return { hasChallenges: false };
+  }
+}
+
+  // Helper methods for comprehensive analysis
+  buildCompanyContext(companyName, allTrials) {
+    const companyTrials = allTrials.filter(t => 
+      t.sponsor?.lead === companyName || 
+      t.sponsor?.collaborators?.includes(companyName)
+    );
+    
+    return {
+      totalTrials: companyTrials.length,
+      trials: companyTrials,
+      phases: [...new Set(companyTrials.flatMap(t => t.phase || []))],
+      indications: [...new Set(companyTrials.flatMap(t => t.conditions || []))],
+      recentActivity: companyTrials.filter(t => 
+        moment().diff(moment(t.dates?.lastUpdate), 'months') <= 6
+      ).length
+    };
+  }
+
+  determineOptimalContactTiming(painPoints) {
+    const immediateNeeds = painPoints.filter(p => p.urgency === 'immediate');
+    const highUrgency = painPoints.filter(p => p.urgency === 'high');
+    
+    if (immediateNeeds.length > 0) return 'Contact immediately';
+    if (highUrgency.length > 0) return 'Contact within 1 week';
+    return 'Contact within 1 month';
+  }
+}
+
+module.exports = { PharmaIntelligenceEngine };
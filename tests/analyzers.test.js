@@ -0,0 +1,171 @@
+const trials = require('./fixtures/trials.json');
+const { PharmaIntelligenceEngine } = require('../services/pharmaIntelligenceEngine');
+const { FDAApiService } = require('../services/fdaApiService');
+const { ScoreLedger } = require('../scoreLedger');
+
+// Analyzers measure trial age with moment(), so pin the clock
+const NOW = new Date('2026-06-15T12:00:00Z');
+
+describe('pain-point analyzers', () => {
+  const engine = new PharmaIntelligenceEngine();
+  const fdaApi = new FDAApiService();
+  const phaseOf = trial => fdaApi.classifyTrialPhase(trial);
+
+  beforeAll(() => {
+    jest.useFakeTimers({ now: NOW });
+  });
+
+  afterAll(() => {
+    jest.useRealTimers();
+  });
+
+  describe('analyzeAdvancedRecruitmentChallenges', () => {
+    test('flags a phase 3 trial recruiting well past its expected window', () => {
+      const result = engine.analyzeAdvancedRecruitmentChallenges(trials.slowPhase3, phaseOf(trials.slowPhase3));
+
+      expect(result).toEqual({
+        hasChallenges: true,
+        severity: 'high',
+        description: 'Extended PHASE3 recruitment (41 months) suggests patient identification challenges',
+        urgency: 'high',
+        evidence: []
+      });
+    });
+
+    test('combines small population, biomarker and late-line findings', () => {
+      const result = engine.analyzeAdvancedRecruitmentChallenges(trials.biomarkerPhase2, phaseOf(trials.biomarkerPhase2));
+
+      expect(result.hasChallenges).toBe(true);
+      expect(result.severity).toBe('medium');
+      expect(result.description.split(' | ')).toEqual([
+        'Small patient population requires specialized recruitment strategy',
+        'Multiple biomarker requirements may limit eligible patient pool',
+        'Late-line therapy requirements present recruitment complexity'
+      ]);
+    });
+
+    test('reports nothing for an undated phase 1 trial', () => {
+      const result = engine.analyzeAdvancedRecruitmentChallenges(trials.undated, { primary: 'PHASE1' });
+
+      expect(result).toEqual({ hasChallenges: false, severity: 'low', description: '', urgency: 'low', evidence: [] });
+    });
+
+    test('falls back to no challenges when the trial cannot be read', () => {
+      expect(engine.analyzeAdvancedRecruitmentChallenges(null, { primary: 'PHASE2' })).toEqual({ hasChallenges: false });
+    });
+  });
+
+  describe('analyzeEndpointChallenges', () => {
+    test('flags novel and multiple primary endpoints', () => {
+      const result = engine.analyzeEndpointChallenges(trials.novelEndpointPhase2, phaseOf(trials.novelEndpointPhase2));
+
+      expect(result.hasChallenges).toBe(true);
+      expect(result.severity).toBe('high');
+      expect(result.description).toBe(
+        'Novel endpoints require FDA validation and precedent analysis | ' +
+        'Multiple primary endpoints (4) suggest regulatory uncertainty'
+      );
+    });
+
+    test('flags phase 2 endpoints that are not phase 3 ready and pilot designs', () => {
+      const result = engine.analyzeEndpointChallenges(trials.biomarkerPhase2, phaseOf(trials.biomarkerPhase2));
+
+      expect(result).toEqual({
+        hasChallenges: true,
+        severity: 'medium',
+        description: 'Phase 2 endpoints may need alignment with Phase 3 strategy | ' +
+          'Early-stage endpoints require progression planning to registrational studies',
+        urgency: 'medium'
+      });
+    });
+
+    test('reports nothing for a conventional phase 3 endpoint', () => {
+      const result = engine.analyzeEndpointChallenges(trials.slowPhase3, phaseOf(trials.slowPhase3));
+
+      expect(result.hasChallenges).toBe(false);
+      expect(result.description).toBe('');
+    });
+  });
+
+  describe('identifyRegulatoryGaps', () => {
+    test('escalates a first-in-class combination entering the clinic', () => {
+      const result = engine.identifyRegulatoryGaps(trials.firstInClassCombo, {}, phaseOf(trials.firstInClassCombo));
+
+      expect(result.hasGaps).toBe(true);
+      expect(result.severity).toBe('high');
+      expect(result.urgency).toBe('high');
+      expect(result.specificNeeds).toHaveLength(8);
+      expect(result.specificNeeds).toContain('Combination therapy regulatory pathway and FDA precedents');
+      expect(result.specificNeeds).toContain('Novel mechanism of action regulatory precedents');
+    });
+
+    test('marks phase 2 programs running over two years as stagnating', () => {
+      const result = engine.identifyRegulatoryGaps(trials.novelEndpointPhase2, {}, phaseOf(trials.novelEndpointPhase2));
+
+      expect(result.severity).toBe('high');
+      expect(result.description).toBe('Extended Phase 2 development requires strategic review and advancement planning');
+      expect(result.specificNeeds).toContain('Root cause analysis and development acceleration strategies');
+    });
+
+    test('adds expedited pathway needs for rare indications', () => {
+      const result = engine.identifyRegulatoryGaps(trials.biomarkerPhase2, {}, phaseOf(trials.biomarkerPhase2));
+
+      expect(result.severity).toBe('medium');
+      expect(result.description).toContain('Rare disease development offers expedited pathway opportunities');
+      expect(result.specificNeeds).toEqual(expect.arrayContaining([
+        'Orphan drug designation strategy',
+        'Breakthrough therapy designation assessment'
+      ]));
+    });
+
+    test('finds no gaps when the phase is unknown', () => {
+      const result = engine.identifyRegulatoryGaps(trials.undated, {}, phaseOf(trials.undated));
+
+      expect(result).toEqual({ hasGaps: false, severity: 'low', description: '', urgency: 'low', specificNeeds: [] });
+    });
+  });
+
+  describe('calculateEnhancedUrgencyScore', () => {
+    test('scores phase and trial age without pain points', () => {
+      expect(engine.calculateEnhancedUrgencyScore([], phaseOf(trials.slowPhase3), trials.slowPhase3)).toBe(73);
+    });
+
+    test('adds severity, urgency, combo phase and status modifiers', () => {
+      const painPoints = [
+        { type: 'recruitment', severity: 'MEDIUM', urgency: 'medium' },
+        { type: 'endpoints', severity: 'LOW', urgency: 'low' }
+      ];
+      const trial = { ...trials.undated, status: 'SUSPENDED' };
+
+      expect(engine.calculateEnhancedUrgencyScore(painPoints, { primary: 'PHASE1', isCombo: true }, trial)).toBe(94);
+    });
+
+    test('records the factors in a ledger', () => {
+      const painPoints = [{ type: 'recruitment', severity: 'MEDIUM', urgency: 'medium' }];
+      const ledger = new ScoreLedger();
+      const trial = { ...trials.undated, status: 'SUSPENDED' };
+
+      expect(engine.calculateEnhancedUrgencyScore(painPoints, { primary: 'PHASE1', isCombo: true }, trial, ledger)).toBe(91);
+      expect(ledger.entries.map(entry => [entry.factor, entry.weight, entry.source])).toEqual([
+        ['Base score', 50, null],
+        ['MEDIUM pain point: recruitment', 8, 'painPoints[0].severity'],
+        ['medium urgency: recruitment', 5, 'painPoints[0].urgency'],
+        ['Combined phases', 8, 'phaseInfo.isCombo'],
+        ['Trial suspended', 20, 'status']
+      ]);
+    });
+
+    test('boosts critical competitive pressure', () => {
+      const painPoints = [{ type: 'competitive_pressure', severity: 'HIGH', urgency: 'critical' }];
+
+      expect(engine.calculateEnhancedUrgencyScore(painPoints, phaseOf(trials.undated), trials.undated)).toBe(92);
+    });
+
+    test('caps the score at 100', () => {
+      const painPoints = [{ type: 'first_in_human', severity: 'CRITICAL', urgency: 'critical' }];
+      const trial = trials.firstInClassCombo;
+
+      expect(engine.calculateEnhancedUrgencyScore(painPoints, phaseOf(trial), trial)).toBe(100);
+    });
+  });
+});
@@ -0,0 +1,800 @@
+const request = require('supertest');
+const dataStore = require('../dataStore');
+const app = require('../server');
+const { leadRepository } = require('../db/repositories');
+
+// Leads come from a full ingestion run replayed from tests/fixtures/upstream:
+// two drug applications, two recalls, two drug and biologic warning letters,
+// one Phase 2 trial, one lead from each device source, one FAERS surge and
+// three drug shortages (current, resolved, to be discontinued),
+// plus two inspections imported from tests/fixtures/inspections and two
+// loss-of-exclusivity and two generic filer leads from the Orange Book files
+// in tests/fixtures/orangeBook and two biosimilar licensures from the Purple
+// Book file in tests/fixtures/purpleBook. The two recorded drug labels are
+// seen for the first time, so they only set the baseline for later label diffs.
+describe('API routes', () => {
+  let generated;
+
+  beforeAll(async () => {
+    generated = await request(app).post('/api/generate-leads').send({});
+  });
+
+  describe('POST /api/generate-leads', () => {
+    test('runs every source and returns the top leads', () => {
+      expect(generated.status).toBe(200);
+      expect(generated.body.count).toBe(24);
+      expect(generated.body.runId).toEqual(expect.any(Number));
+      expect(generated.body.statistics.totalLeads).toBe(24);
+      expect(generated.body.statistics.byLeadType).toEqual(expect.objectContaining({
+        drugShortages: 3,
+        deviceClearances: 1,
+        deviceApprovals: 1,
+        deviceRecalls: 1,
+        deviceAdverseEvents: 1,
+        safetySignals: 1,
+        labelChanges: 0,
+        lossOfExclusivity: 2,
+        genericOpportunities: 2,
+        biosimilars: 2,
+        resultsOverdue: 1
+      }));
+      expect(generated.body.topLeads[0]).toEqual(expect.objectContaining({
+        company: expect.any(String),
+        type: expect.any(String),
+        priority: expect.any(String)
+      }));
+    });
+
+    test('rejects unknown sources', async () => {
+      const res = await request(app).post('/api/generate-leads').send({ sources: ['drugsfda', 'nope'] });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Unknown sources: nope');
+    });
+
+    test('rejects sources that are not a list of names', async () => {
+      for (const sources of ['drugsfda', { drugsfda: true }, [1]]) {
+        const res = await request(app).post('/api/generate-leads').send({ sources });
+
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe('sources must be an array of strings');
+      }
+    });
+
+    test('re-running a source keeps lead ids stable', async () => {
+      const res = await request(app).post('/api/generate-leads').send({ sources: ['drugsfda'] });
+
+      expect(res.status).toBe(200);
+      expect(dataStore.leads.map(lead => lead.id).sort()).toEqual([
+        'app-BLA761999',
+        'app-NDA214001',
+        'biosimilar-761300',
+        'biosimilar-761410',
+        'device-event-NPT-LAMBDA-CARDIO',
+        'device-recall-Z-0101-2026',
+        'device510k-K261234',
+        'generic-N215555-SIGMA-GENERICS',
+        'generic-N215555-ZETA-GENERICS',
+        'inspection-1250001',
+        'inspection-1250002',
+        'loe-N021999',
+        'loe-N215555',
+        'pma-P250001',
+        'recall-D-0123-2026',
+        'recall-D-0456-2026',
+        'results-DELTA-ONCOLOGY',
+        'safety-DELTANIB',
+        'shortage-ACMEZOLE-TABLETS-ACME-PHARMACEUTICALS',
+        'shortage-BETAMAB-INJECTION-BETA-BIOLOGICS',
+        'shortage-ZETACILLIN-FOR-INJECTION-ZETA-GENERICS',
+        'trial-NCT06000001',
+        'warning-MARCS-CMS-712002',
+        'warning-MARCS-CMS-712345'
+      ]);
+    });
+  });
+
+  describe('GET /api/leads', () => {
+    test('returns ranked leads', async () => {
+      const res = await request(app).get('/api/leads');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toHaveLength(24);
+      expect(res.body.map(lead => lead.rank)).toEqual(Array.from({ length: 24 }, (_, index) => index + 1));
+    });
+
+    test('filters by lead type', async () => {
+      const res = await request(app).get('/api/leads').query({ type: 'RECALL' });
+
+      expect(res.body.map(lead => lead.id).sort()).toEqual(['recall-D-0123-2026', 'recall-D-0456-2026']);
+    });
+
+    test.each([
+      ['DEVICE_CLEARANCE', 'device510k-K261234'],
+      ['DEVICE_APPROVAL', 'pma-P250001'],
+      ['DEVICE_RECALL', 'device-recall-Z-0101-2026'],
+      ['DEVICE_ADVERSE_EVENT', 'device-event-NPT-LAMBDA-CARDIO']
+    ])('filters by device lead type %s', async (type, id) => {
+      const res = await request(app).get('/api/leads').query({ type });
+
+      expect(res.body.map(lead => lead.id)).toEqual([id]);
+    });
+
+    test('filters by submission type', async () => {
+      const res = await request(app).get('/api/leads').query({ submissionType: 'BLA' });
+
+      expect(res.body.map(lead => lead.id)).toEqual(['app-BLA761999']);
+    });
+
+    test('filters by phase', async () => {
+      const res = await request(app).get('/api/leads').query({ phase: 'PHASE2' });
+
+      expect(res.body.map(lead => lead.id)).toEqual(['trial-NCT06000001']);
+    });
+  });
+
+  describe('PATCH /api/leads/:id', () => {
+    test('moves a lead through the pipeline', async () => {
+      const res = await request(app)
+        .patch('/api/leads/app-NDA214001')
+        .send({ pipelineStatus: 'CONTACTED', note: 'Intro email sent', owner: 'dana', tags: ['crl'] });
+
+      expect(res.status).toBe(200);
+      expect(res.body.pipelineStatus).toBe('CONTACTED');
+      expect(res.body.owner).toBe('dana');
+      expect(res.body.tags).toEqual(['crl']);
+      expect(res.body.pipelineHistory.at(-1)).toEqual(expect.objectContaining({
+        from: 'NEW',
+        to: 'CONTACTED',
+        note: 'Intro email sent'
+      }));
+
+      const filtered = await request(app).get('/api/leads').query({ pipelineStatus: 'CONTACTED' });
+      expect(filtered.body.map(lead => lead.id)).toEqual(['app-NDA214001']);
+    });
+
+    test('rejects a transition the pipeline does not allow', async () => {
+      const res = await request(app).patch('/api/leads/app-BLA761999').send({ pipelineStatus: 'WON' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Cannot move lead from NEW to WON');
+    });
+
+    test('validates rep-owned fields', async () => {
+      const res = await request(app).patch('/api/leads/app-BLA761999').send({ tags: 'urgent' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('tags must be an array of strings');
+    });
+
+    test('requires at least one field', async () => {
+      const res = await request(app).patch('/api/leads/app-BLA761999').send({});
+
+      expect(res.status).toBe(400);
+    });
+
+    test('returns 404 for an unknown lead', async () => {
+      const res = await request(app).patch('/api/leads/app-NDA000000').send({ notes: 'x' });
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('GET /api/companies/:name', () => {
+    test('returns the enriched company profile', async () => {
+      const lead = dataStore.leads.find(l => l.id === 'recall-D-0123-2026');
+      const res = await request(app).get(`/api/companies/${encodeURIComponent(lead.companyName)}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.totalRecalls).toBeGreaterThan(0);
+      expect(res.body).toEqual(expect.objectContaining({
+        regulatoryChallenges: expect.any(Array),
+        riskProfile: expect.any(String),
+        opportunities: expect.any(Array)
+      }));
+    });
+
+    test('links an inspection filed under a plant name to the company by FEI', async () => {
+      const res = await request(app).get('/api/companies/ACME%20PHARMACEUTICALS');
+
+      expect(res.body.totalInspections).toBe(1);
+      expect(res.body.feiNumbers).toEqual(['3001234567']);
+      expect(res.body.regulatoryChallenges.map(challenge => challenge.type)).toContain('OAI_INSPECTION');
+    });
+
+    test('resolves the company name the way ingestion does', async () => {
+      const res = await request(app).get(`/api/companies/${encodeURIComponent('Delta Oncology, Inc.')}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.name).toBe('DELTA ONCOLOGY');
+    });
+
+    test('returns 404 for an unknown company', async () => {
+      const res = await request(app).get('/api/companies/no-such-company');
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('GET /api/leads/:id/score', () => {
+    test('returns a ledger whose weights add up to the score', async () => {
+      const res = await request(app).get('/api/leads/results-DELTA-ONCOLOGY/score');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(expect.objectContaining({ id: 'results-DELTA-ONCOLOGY', leadType: 'RESULTS_OVERDUE' }));
+      expect(res.body.ledger[0]).toEqual(expect.objectContaining({ source: 'latenessScore' }));
+      expect(res.body.ledger.map(entry => entry.source)).toContain('company.totalTouchpoints');
+      expect(res.body.ledger.reduce((total, entry) => total + entry.weight, 0)).toBe(res.body.score);
+    });
+
+    test('sums every lead ledger to its score', () => {
+      dataStore.leads.forEach(lead => {
+        expect(lead.scoreLedger.reduce((total, entry) => total + entry.weight, 0)).toBe(lead.score);
+      });
+    });
+
+    test('returns 404 for unknown leads', async () => {
+      expect((await request(app).get('/api/leads/nope/score')).status).toBe(404);
+    });
+  });
+
+  describe('scoring rules', () => {
+    test('returns the active rules', async () => {
+      const res = await request(app).get('/api/rules');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(expect.objectContaining({ file: null, errors: [] }));
+      expect(res.body.rules.inclusion.trials.minUrgencyScore).toBe(60);
+    });
+
+    test('previews proposed rules without saving them', async () => {
+      const before = dataStore.leads.map(lead => [lead.id, lead.score, lead.rank]);
+      const res = await request(app).post('/api/rules/preview')
+        .send({ weights: { leadTypes: { RESULTS_OVERDUE: 0 } }, priorityThresholds: { CRITICAL: 100 } });
+
+      expect(res.status).toBe(200);
+      expect(res.body.rules.weights.leadTypes).toEqual({ RESULTS_OVERDUE: 0 });
+      expect(res.body.notEvaluated).toEqual([]);
+      expect(res.body.warning).toBeNull();
+      expect(res.body.summary.total).toBe(dataStore.leads.length);
+      expect(res.body.summary.scoreChanged).toBeGreaterThan(0);
+
+      const results = res.body.leads.find(lead => lead.id === 'results-DELTA-ONCOLOGY');
+      expect(results.proposedScore).toBeLessThan(results.score);
+      expect(results.ledger.map(entry => entry.source)).toContain('rules.weights.leadTypes.RESULTS_OVERDUE');
+      res.body.leads.filter(lead => lead.proposedScore === 100 && !lead.stale).forEach(lead => {
+        expect(lead.proposedPriority).toBe('CRITICAL');
+      });
+
+      expect(dataStore.leads.map(lead => [lead.id, lead.score, lead.rank])).toEqual(before);
+    });
+
+    test('warns about rules it cannot evaluate', async () => {
+      const res = await request(app).post('/api/rules/preview').send({
+        inclusion: { trials: { minUrgencyScore: 90 } },
+        thresholds: { recruitmentMonths: { PHASE2: 18 } },
+        sponsors: { allow: ['Acme'] }
+      });
+
+      expect(res.status).toBe(200);
+      // recruitmentMonths.PHASE2 is already 18, so it is not a change
+      expect(res.body.notEvaluated).toEqual(['inclusion.trials.minUrgencyScore', 'sponsors.allow']);
+      expect(res.body.warning).toBe('Not reflected in this preview, applied when sources are next fetched: ' +
+        'inclusion.trials.minUrgencyScore, sponsors.allow');
+    });
+
+    test('re-scores stored records with proposed factor weights', async () => {
+      const letter = dataStore.leads.find(lead => lead.leadType === 'WARNING_LETTER' && !lead.stale);
+      const res = await request(app).post('/api/rules/preview').send({ weights: { factors: { warningLetter: { base: 40 } } } });
+
+      expect(res.status).toBe(200);
+      expect(res.body.notEvaluated).toEqual([]);
+
+      const previewed = res.body.leads.find(lead => lead.id === letter.id);
+      expect(previewed.proposedScore).toBeLessThan(previewed.score);
+      expect(previewed.ledger[0]).toEqual(expect.objectContaining({ factor: 'Warning letter', weight: 40 }));
+      expect(letter.scoreLedger[0].weight).toBe(95);
+    });
+
+    test('rejects invalid rules', async () => {
+      const res = await request(app).post('/api/rules/preview').send({ priorityThresholds: { HIGH: 'soon' } });
+
+      expect(res.status).toBe(400);
+      expect(res.body).toEqual({ error: 'Invalid scoring rules', details: ['priorityThresholds.HIGH must be a non-negative number'] });
+    });
+  });
+
+  describe('outcome calibration', () => {
+    let saved;
+
+    beforeAll(() => {
+      saved = dataStore.leads.map(lead => [lead, lead.pipelineStatus, lead.pipelineHistory]);
+    });
+
+    afterAll(() => {
+      saved.forEach(([lead, pipelineStatus, pipelineHistory]) => Object.assign(lead, { pipelineStatus, pipelineHistory }));
+      dataStore.calibrations.length = 0;
+    });
+
+    test('needs recorded outcomes and a fitted model', async () => {
+      // Only the lead moved along by the PATCH tests has been contacted
+      const fit = await request(app).post('/api/calibration').send({});
+      expect(fit.status).toBe(400);
+      expect(fit.body).toEqual({ error: 'Not enough recorded outcomes: 1 contacted leads, need at least 20', examples: 1, conversions: 0 });
+
+      expect((await request(app).get('/api/calibration')).status).toBe(404);
+      expect((await request(app).get('/api/leads').query({ profile: 'calibrated' })).status).toBe(404);
+      expect((await request(app).post('/api/calibration').send({ outcome: 'CLOSED' })).status).toBe(400);
+
+      const unbounded = await request(app).post('/api/calibration').send({ iterations: 1e12 });
+      expect(unbounded.status).toBe(400);
+      expect(unbounded.body.error).toBe('iterations must be an integer from 1 to 10000');
+    });
+
+    test('fits weights from outcomes and serves the calibrated profile', async () => {
+      // Reps booked meetings with every shortage lead and lost the rest
+      dataStore.leads.forEach(lead => {
+        const stages = lead.leadType === 'DRUG_SHORTAGE' ? ['NEW', 'CONTACTED', 'MEETING'] : ['NEW', 'CONTACTED', 'LOST'];
+        lead.pipelineStatus = stages[stages.length - 1];
+        lead.pipelineHistory = stages.map(to => ({ to, at: '2026-01-01T00:00:00.000Z' }));
+      });
+
+      const fit = await request(app).post('/api/calibration').send({ minSupport: 2 });
+      expect(fit.status).toBe(201);
+      expect(fit.body).toEqual(expect.objectContaining({ id: 1, outcome: 'MEETING', examples: dataStore.leads.length, conversions: 3 }));
+      expect(fit.body.factors[0]).toEqual(expect.objectContaining({ feature: 'leadType:DRUG_SHORTAGE', conversions: 3, rate: 1 }));
+
+      const report = await request(app).get('/api/calibration').query({ kind: 'leadType' });
+      expect(report.status).toBe(200);
+      expect(report.body.factors.every(factor => factor.kind === 'leadType')).toBe(true);
+
+      const leads = await request(app).get('/api/leads').query({ profile: 'calibrated' });
+      expect(leads.status).toBe(200);
+      expect(leads.body[0].leadType).toBe('DRUG_SHORTAGE');
+      expect(leads.body[0].calibratedScore).toBeGreaterThan(leads.body[leads.body.length - 1].calibratedScore);
+
+      const score = await request(app).get(`/api/leads/${leads.body[0].id}/score`).query({ profile: 'calibrated' });
+      expect(score.status).toBe(200);
+      expect(score.body).toEqual(expect.objectContaining({ profile: 'calibrated', modelId: 1, outcome: 'MEETING' }));
+      expect(score.body.ledger.reduce((total, entry) => total + entry.weight, 0)).toBe(score.body.score);
+
+      expect((await request(app).get('/api/leads/nope/score').query({ profile: 'calibrated' })).status).toBe(404);
+      expect((await request(app).get(`/api/leads/${leads.body[0].id}/score`).query({ profile: 'gut' })).status).toBe(400);
+    });
+  });
+
+  describe('company entity resolution', () => {
+    afterAll(() => {
+      dataStore.companyAliases.length = 0;
+    });
+
+    test('resolves names against the companies already known', async () => {
+      const res = await request(app).get('/api/entities/resolve').query({ name: 'Delta Oncology Div Delta Holdings Inc' });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(expect.objectContaining({ companyName: 'DELTA HOLDINGS', method: 'PARENT', confidence: 0.95 }));
+      expect(res.body.candidates[0]).toEqual({ companyName: 'DELTA ONCOLOGY', confidence: expect.any(Number) });
+    });
+
+    test('adds, applies and removes curated aliases', async () => {
+      const created = await request(app).post('/api/entities/aliases')
+        .send({ kind: 'NAME', value: 'Delta Holdings, Inc.', companyName: 'Delta Oncology Inc', relationship: 'SUBSIDIARY' });
+
+      expect(created.status).toBe(201);
+      expect(created.body).toEqual(expect.objectContaining({ kind: 'NAME', value: 'DELTA HOLDINGS', companyName: 'DELTA ONCOLOGY' }));
+
+      const resolved = await request(app).get('/api/entities/resolve').query({ name: 'Delta Holdings LLC' });
+      expect(resolved.body).toEqual(expect.objectContaining({ companyName: 'DELTA ONCOLOGY', method: 'PARENT', confidence: 1 }));
+
+      const listed = await request(app).get('/api/entities/aliases');
+      expect(listed.body.map(alias => alias.id)).toEqual([created.body.id]);
+
+      expect((await request(app).delete(`/api/entities/aliases/${created.body.id}`)).status).toBe(204);
+      expect((await request(app).delete(`/api/entities/aliases/${created.body.id}`)).status).toBe(404);
+    });
+
+    test('rejects invalid aliases', async () => {
+      const res = await request(app).post('/api/entities/aliases').send({ kind: 'FEI', value: 'abc', companyName: 'Delta' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('FEI numbers are digits only');
+    });
+
+    test('returns 400 for a non-integer alias id', async () => {
+      const res = await request(app).delete('/api/entities/aliases/1abc');
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Alias id must be a positive integer');
+    });
+  });
+
+  describe('case study library', () => {
+    afterAll(() => {
+      dataStore.caseStudies.length = 0;
+    });
+
+    test('adds, approves and matches case studies to leads', async () => {
+      const created = await request(app).post('/api/case-studies')
+        .send({ title: 'NSCLC Phase 2', claim: 'Helped a Phase 2 NSCLC sponsor align endpoints with FDA.', therapeuticArea: 'lung cancer', phase: 'PHASE2' });
+
+      expect(created.status).toBe(201);
+      expect(created.body).toEqual(expect.objectContaining({ id: 1, status: 'DRAFT', therapeuticArea: 'LUNG CANCER', approvedAt: null }));
+
+      const draftMatch = await request(app).get('/api/leads/trial-NCT06000001/case-study');
+      expect(draftMatch.body).toEqual(expect.objectContaining({ caseStudy: null, currentCaseStudyId: null }));
+
+      const approved = await request(app).patch('/api/case-studies/1').send({ status: 'APPROVED' });
+      expect(approved.status).toBe(200);
+      expect(approved.body.approvedAt).toEqual(expect.any(String));
+
+      const match = await request(app).get('/api/leads/trial-NCT06000001/case-study');
+      expect(match.status).toBe(200);
+      expect(match.body.context).toEqual({ leadType: 'CLINICAL_TRIAL', therapeuticArea: 'Non-Small Cell Lung Cancer', submissionType: null, phase: 'PHASE2' });
+      expect(match.body.caseStudy).toEqual(expect.objectContaining({ id: 1 }));
+
+      expect(match.body.currentCaseStudyId).toBe(1);
+
+      const listed = await request(app).get('/api/case-studies').query({ status: 'APPROVED' });
+      expect(listed.body.map(caseStudy => caseStudy.id)).toEqual([1]);
+
+      expect((await request(app).delete('/api/case-studies/1')).status).toBe(204);
+      expect((await request(app).delete('/api/case-studies/1')).status).toBe(404);
+    });
+
+    test('keeps stored emails in step with the library', async () => {
+      const email = async () => (await request(app).get('/api/leads/trial-NCT06000001/email')).body.email;
+
+      const created = await request(app).post('/api/case-studies')
+        .send({ title: 'Lung cancer', claim: 'Original claim', therapeuticArea: 'lung cancer', status: 'APPROVED' });
+      expect(await email()).toEqual(expect.objectContaining({ credibility: 'Original claim', caseStudyId: created.body.id }));
+
+      await request(app).patch(`/api/case-studies/${created.body.id}`).send({ claim: 'Edited claim' });
+      expect((await email()).credibility).toBe('Edited claim');
+
+      await request(app).patch(`/api/case-studies/${created.body.id}`).send({ status: 'RETIRED' });
+      expect(await email()).toEqual(expect.objectContaining({ credibility: '', caseStudyId: null }));
+
+      await request(app).patch(`/api/case-studies/${created.body.id}`).send({ status: 'APPROVED' });
+      expect((await request(app).delete(`/api/case-studies/${created.body.id}`)).status).toBe(204);
+      expect(await email()).toEqual(expect.objectContaining({ credibility: '', caseStudyId: null }));
+    });
+
+    test('rejects invalid case studies', async () => {
+      expect((await request(app).post('/api/case-studies').send({ title: 'No claim' })).body).toEqual({ error: 'claim is required' });
+
+      const untagged = await request(app).post('/api/case-studies').send({ title: 'T', claim: 'C', status: 'APPROVED' });
+      expect(untagged.status).toBe(400);
+      expect(untagged.body.error).toBe('approved case studies need a therapeuticArea, submissionType or phase');
+
+      expect((await request(app).patch('/api/case-studies/99').send({ status: 'APPROVED' })).status).toBe(404);
+
+      for (const id of ['abc', '1.5', '0']) {
+        const patched = await request(app).patch(`/api/case-studies/${id}`).send({ status: 'APPROVED' });
+        expect(patched.status).toBe(400);
+        expect(patched.body.error).toBe('Case study id must be a positive integer');
+        expect((await request(app).delete(`/api/case-studies/${id}`)).status).toBe(400);
+      }
+      expect((await request(app).get('/api/case-studies').query({ status: 'LIVE' })).status).toBe(400);
+      expect((await request(app).get('/api/leads/nope/case-study')).status).toBe(404);
+    });
+  });
+
+  describe('GET /api/leads/:id/email', () => {
+    test('returns the email with application context', async () => {
+      const res = await request(app).get('/api/leads/app-NDA214001/email');
+
+      expect(res.status).toBe(200);
+      expect(res.body.email.subject).toBe('CRL Response Strategy for ACMEZOL');
+      expect(res.body.metadata.leadType).toBe('DRUG_APPLICATION');
+      expect(res.body.applicationContext.submissionType).toBe('NDA');
+      // No approved case study matched, so the email makes no claim
+      expect(res.body.email).toEqual(expect.objectContaining({ credibility: '', caseStudyId: null }));
+    });
+
+    test('adds Purple Book competition to the email for a BLA sponsor', async () => {
+      const res = await request(app).get('/api/leads/app-BLA761999/email');
+
+      expect(res.status).toBe(200);
+      expect(res.body.email.competitiveContext).toBe(
+        '2 biosimilar(s) to GAMMAKINE (gammakine-alfa) are licensed, 1 of them interchangeable: ' +
+        'ZETAKINE (Zeta Biologics Inc, 2024-01-15); SIGMAKINE (Sigma Biosimilars LLC, 2026-08-20, interchangeable). ' +
+        'Reference product exclusivity expired 2026-03-10.'
+      );
+      expect(res.body.email.specificAnalysis).toContain('• Biosimilar uptake and switching patterns for gammakine-alfa');
+      expect(res.body.applicationContext.competitiveContext).toEqual(expect.objectContaining({
+        role: 'REFERENCE_HOLDER',
+        referenceBlaNumber: '125900',
+        biosimilarCount: 2,
+        interchangeableCount: 1
+      }));
+    });
+
+    test('returns the biosimilar licensure email for the reference product holder', async () => {
+      const res = await request(app).get('/api/leads/biosimilar-761410/email');
+
+      expect(res.status).toBe(200);
+      expect(res.body.email.subject).toBe('Interchangeable Biosimilar to GAMMAKINE Licensed');
+      expect(res.body.email.greeting).toBe('Dear GAMMA THERAPEUTICS Biologics Lifecycle and Regulatory Affairs Team,');
+      expect(res.body.biosimilarContext).toEqual(expect.objectContaining({
+        biosimilarApplicant: 'Sigma Biosimilars LLC',
+        interchangeable: true,
+        position: 2,
+        biosimilarCount: 2
+      }));
+    });
+
+    test('returns the results reporting email for the overdue sponsor', async () => {
+      const res = await request(app).get('/api/leads/results-DELTA-ONCOLOGY/email');
+
+      expect(res.status).toBe(200);
+      expect(res.body.email.subject).toBe('ClinicalTrials.gov Results Reporting: 1 Trial(s) Overdue');
+      expect(res.body.email.overdueTrials).toMatch(/^• NCT04000001 \(PHASE3\): primary completion 2024-03-31, results due 2025-03-31, \d+ days overdue\nOn-time reporting across your 2 due trial\(s\): 0%$/);
+      expect(res.body.resultsReportingContext).toEqual(expect.objectContaining({ overdueCount: 1, lateCount: 1, trialsDue: 2 }));
+    });
+
+    test('returns the warning letter email with the cited regulations', async () => {
+      const res = await request(app).get('/api/leads/warning-MARCS-CMS-712345/email');
+
+      expect(res.status).toBe(200);
+      expect(res.body.email.citedRegulations).toContain('21 CFR 211.192');
+      expect(res.body.email.urgency).toContain('within 15 working days (around 2026-06-23)');
+    });
+
+    test('returns the inspection email with the classification and citations', async () => {
+      const res = await request(app).get('/api/leads/inspection-1250001/email');
+
+      expect(res.status).toBe(200);
+      expect(res.body.email.subject).toBe('OAI Inspection Follow-Up: Drug Quality Assurance, Compliance: Drug Processing, Drugs');
+      expect(res.body.email.citedObservations).toContain('21 CFR 211.192 - Investigations of discrepancies or failures');
+    });
+
+    test('returns the device email with device context', async () => {
+      const res = await request(app).get('/api/leads/device-recall-Z-0101-2026/email');
+
+      expect(res.status).toBe(200);
+      expect(res.body.email.subject).toBe('Device Recall Support: Pump, Infusion');
+      expect(res.body.email.greeting).toBe('Dear OMEGA MEDICAL SYSTEMS Quality and Regulatory Leadership,');
+      expect(res.body.deviceContext).toEqual(expect.objectContaining({ productCode: 'FRN', deviceClass: '2' }));
+    });
+
+    test('returns the pharmacovigilance email for a FAERS surge', async () => {
+      const res = await request(app).get('/api/leads/safety-DELTANIB/email');
+
+      expect(res.status).toBe(200);
+      expect(res.body.email.subject).toBe('FAERS Signal Review: DELTANIB');
+      expect(res.body.email.greeting).toBe('Dear DELTA ONCOLOGY Pharmacovigilance and Drug Safety Team,');
+      expect(res.body.email.reportedReactions).toContain('• INTERSTITIAL LUNG DISEASE (41 reports)');
+      expect(res.body.safetyContext).toEqual(expect.objectContaining({ currentReports: 90, expectedReports: 30, ratio: 3 }));
+    });
+
+    test('returns the shortage email with the resolution status', async () => {
+      const res = await request(app).get('/api/leads/shortage-ACMEZOLE-TABLETS-ACME-PHARMACEUTICALS/email');
+
+      expect(res.status).toBe(200);
+      expect(res.body.email.subject).toBe('Drug Shortage Support: Acmezole Tablets');
+      expect(res.body.email.opening).toMatch(/^FDA lists Acmezole Tablets \(ACMEZOL\) in shortage across 2 presentations, citing demand increase for the drug, for \d+ days since 2026-03-15\.$/);
+      expect(res.body.shortageContext).toEqual(expect.objectContaining({
+        status: 'CURRENT',
+        previousStatus: null,
+        resolution: expect.objectContaining({ isResolved: false, resolvedDate: null, recurred: false })
+      }));
+    });
+
+    test('returns the loss-of-exclusivity email with the Orange Book context', async () => {
+      const res = await request(app).get('/api/leads/loe-N215555/email');
+
+      expect(res.status).toBe(200);
+      expect(res.body.email.subject).toBe('Loss of Exclusivity Planning: DELTAVIA');
+      expect(res.body.orangeBookContext).toEqual(expect.objectContaining({
+        applNo: '215555',
+        lossOfExclusivityDate: '2049-03-15',
+        nce1Date: '2048-03-15',
+        likelyFilers: ['SIGMA GENERICS LLC', 'ZETA GENERICS INC']
+      }));
+    });
+
+    test('returns the trial email for a trial lead', async () => {
+      const res = await request(app).get('/api/leads/trial-NCT06000001/email');
+
+      expect(res.status).toBe(200);
+      expect(res.body.email.greeting).toContain('DELTA ONCOLOGY');
+      expect(res.body.metadata.leadType).toBe('CLINICAL_TRIAL');
+    });
+
+    test('returns 404 for an unknown lead', async () => {
+      const res = await request(app).get('/api/leads/missing/email');
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('GET /api/changes', () => {
+    test('returns the latest batch of changes with counts', async () => {
+      const res = await request(app).get('/api/changes');
+
+      expect(res.status).toBe(200);
+      expect(res.body.since).toEqual(expect.any(String));
+      expect(res.body.changes.length).toBeGreaterThan(0);
+    });
+
+    test('lists every lead as appeared since the first run', async () => {
+      const res = await request(app)
+        .get('/api/changes')
+        .query({ since: '2000-01-01T00:00:00Z', changeType: 'APPEARED' });
+
+      expect(res.body.counts).toEqual({ APPEARED: 24 });
+    });
+
+    test('rejects a malformed since', async () => {
+      const res = await request(app).get('/api/changes').query({ since: 'yesterday' });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/runs', () => {
+    test('lists runs newest first and reports last refresh per source', async () => {
+      const res = await request(app).get('/api/runs');
+
+      expect(res.status).toBe(200);
+      expect(res.body.runs).toHaveLength(2);
+      expect(res.body.runs[0].sources).toEqual(['drugsfda']);
+      expect(Object.keys(res.body.lastRefreshed).sort()).toEqual([
+        'clinicaltrials',
+        'device510k',
+        'deviceevents',
+        'devicepma',
+        'devicerecalls',
+        'druglabels',
+        'drugsfda',
+        'enforcement',
+        'faers',
+        'inspections',
+        'orangebook',
+        'purplebook',
+        'resultsreporting',
+        'shortages',
+        'warningletters'
+      ]);
+    });
+
+    test('filters by source', async () => {
+      const res = await request(app).get('/api/runs').query({ source: 'enforcement', limit: 1 });
+
+      expect(res.body.runs).toHaveLength(1);
+    });
+
+    test('returns at least one run for a negative limit', async () => {
+      const res = await request(app).get('/api/runs').query({ source: 'enforcement', limit: -5 });
+
+      expect(res.status).toBe(200);
+      expect(res.body.runs).toHaveLength(1);
+    });
+  });
+
+  describe('GET /api/orange-book/calendar', () => {
+    test('lists upcoming expiries within the window, soonest first', async () => {
+      const res = await request(app).get('/api/orange-book/calendar').query({ days: 36500 });
+
+      expect(res.status).toBe(200);
+      expect(res.body.events.map(event => `${event.date} ${event.tradeName} ${event.id}`)).toEqual([
+        '2041-03-15 DELTAVIA 11111111',
+        '2043-09-01 DELTAVIA 12222222',
+        '2044-06-30 ACMETRIN 9999999',
+        '2044-12-30 ACMETRIN PED',
+        '2046-03-15 DELTAVIA ODE-400',
+        '2048-03-15 DELTAVIA NCE-1',
+        '2049-03-15 DELTAVIA NCE'
+      ]);
+      expect(res.body.events[0]).toEqual(expect.objectContaining({ company: 'DELTA ONCOLOGY', eventType: 'PATENT' }));
+    });
+
+    test('defaults to the next year', async () => {
+      const res = await request(app).get('/api/orange-book/calendar');
+
+      expect(res.body).toEqual(expect.objectContaining({ count: 0, events: [] }));
+    });
+  });
+
+  describe('GET /api/analytics/comprehensive', () => {
+    test('summarizes leads by type', async () => {
+      const res = await request(app).get('/api/analytics/comprehensive');
+
+      expect(res.status).toBe(200);
+      expect(res.body.overview.total_leads).toBe(24);
+      expect(res.body.by_type.drug_applications.total).toBe(2);
+      expect(res.body.by_type.clinical_trials.total).toBe(1);
+      expect(res.body.by_type.enforcement).toEqual({ warning_letters: 2, recalls: 2, inspections: 2 });
+      expect(res.body.by_type.devices).toEqual({ clearances: 1, approvals: 1, recalls: 1, adverse_events: 1 });
+      expect(res.body.by_type.safety_signals).toEqual({ total: 1, critical: 0 });
+      expect(res.body.by_type.orange_book).toEqual({
+        loss_of_exclusivity: 2,
+        without_generics: 1,
+        generic_opportunities: 2,
+        nce1_filings: 2
+      });
+      expect(res.body.by_type.biosimilars).toEqual({ licensed: 2, interchangeable: 1, bla_leads_with_competition: 1 });
+    });
+  });
+
+  describe('GET /api/export/leads', () => {
+    test('exports filtered leads as JSON', async () => {
+      const res = await request(app).get('/api/export/leads').query({ type: 'DRUG_APPLICATION' });
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-disposition']).toContain('fda_leads_export.json');
+      expect(res.body.totalLeads).toBe(2);
+    });
+
+    test('exports leads as CSV', async () => {
+      const res = await request(app).get('/api/export/leads').query({ format: 'csv' });
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toContain('text/csv');
+      const lines = res.text.split('\n');
+      expect(lines[0]).toBe('Rank,Company,Lead Type,Priority,Score,Submission Type,Phase,Status,Therapeutic Area,Urgency Reason,Last Activity');
+      expect(lines).toHaveLength(25);
+    });
+  });
+
+  describe('GET /api/search', () => {
+    test('matches on company name', async () => {
+      const res = await request(app).get('/api/search').query({ q: 'gamma' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.results.map(lead => lead.id).sort()).toEqual(['app-BLA761999', 'biosimilar-761300', 'biosimilar-761410']);
+    });
+
+    test('requires a query', async () => {
+      const res = await request(app).get('/api/search');
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('lead reads', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    test('look single leads up through the lead repository', async () => {
+      const stored = { ...dataStore.leads.find(lead => lead.id === 'results-DELTA-ONCOLOGY'), id: 'stored-only' };
+      jest.spyOn(leadRepository, 'findById').mockImplementation(async id => (id === 'stored-only' ? stored : null));
+
+      for (const route of ['score', 'email', 'case-study']) {
+        const res = await request(app).get(`/api/leads/stored-only/${route}`);
+        expect(res.status).toBe(200);
+      }
+      expect((await request(app).patch('/api/leads/results-DELTA-ONCOLOGY').send({ notes: 'x' })).status).toBe(404);
+    });
+
+    test('query the lead repository for export, search and analytics', async () => {
+      const findAll = jest.spyOn(leadRepository, 'findAll');
+
+      await request(app).get('/api/export/leads').query({ type: 'DRUG_APPLICATION' });
+      await request(app).get('/api/search').query({ q: 'gamma' });
+      await request(app).get('/api/analytics/comprehensive');
+
+      expect(findAll).toHaveBeenCalledTimes(3);
+      expect(findAll).toHaveBeenCalledWith({ priority: undefined, type: 'DRUG_APPLICATION', includeStale: 'true' });
+    });
+  });
+
+  describe('GET /health', () => {
+    test('reports the upstream mode', async () => {
+      const res = await request(app).get('/health');
+
+      expect(res.status).toBe(200);
+      expect(res.body.upstreamMode).toBe('replay');
+    });
+  });
+
+  // Runs last: it adds sample leads to the shared store
+  describe('opt-in sources', () => {
+    test('runs a source that is off by default when asked for it', async () => {
+      const res = await request(app).post('/api/generate-leads').send({ sources: ['mock'] });
+
+      expect(res.status).toBe(200);
+      expect(dataStore.leads.filter(lead => lead.source === 'mock').map(lead => lead.id)).toContain('app-NDA-216845');
+      expect(dataStore.leads.find(lead => lead.id === 'app-NDA214001').stale).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,156 @@
+const {
+  leadFeatures,
+  leadOutcome,
+  fitLogisticRegression,
+  calibrate,
+  calibratedScore,
+  validateCalibrationOptions
+} = require('../calibration');
+const { ScoreLedger } = require('../scoreLedger');
+
+function history(...stages) {
+  return stages.map((to, i) => ({ from: i === 0 ? null : stages[i - 1], to, at: '2026-01-01T00:00:00.000Z' }));
+}
+
+// 40 contacted trials: recruitment problems book meetings 8 times in 10,
+// everything else 2 times in 10
+function outcomeLeads() {
+  return Array.from({ length: 40 }, (_, i) => {
+    const recruiting = i < 20;
+    const converted = recruiting ? i % 10 < 8 : i % 10 < 2;
+    const stages = converted ? ['NEW', 'CONTACTED', 'REPLIED', 'MEETING'] : ['NEW', 'CONTACTED', 'LOST'];
+    return {
+      id: `trial-${i}`,
+      leadType: 'CLINICAL_TRIAL',
+      priority: i % 2 === 0 ? 'HIGH' : 'MEDIUM',
+      trialInfo: { phase: 'PHASE2', indication: 'Asthma' },
+      challenges: [{ type: recruiting ? 'recruitment_challenges' : 'endpoint_challenges' }],
+      pipelineStatus: stages[stages.length - 1],
+      pipelineHistory: history(...stages)
+    };
+  });
+}
+
+describe('lead outcomes and features', () => {
+  test('reduces a lead to yes/no features', () => {
+    expect(leadFeatures({
+      leadType: 'CLINICAL_TRIAL',
+      priority: 'HIGH',
+      basePriority: 'MEDIUM',
+      trialInfo: { phase: 'PHASE2', indication: 'Asthma' },
+      challenges: [{ type: 'recruitment_challenges' }, { type: 'recruitment_challenges' }, { type: 'phase2_stagnation' }]
+    })).toEqual([
+      'leadType:CLINICAL_TRIAL',
+      'phase:PHASE2',
+      'therapeuticArea:Asthma',
+      'painPoint:recruitment_challenges',
+      'painPoint:phase2_stagnation',
+      'priority:MEDIUM'
+    ]);
+    expect(leadFeatures({ leadType: 'RECALL', priority: 'LOW' })).toEqual(['leadType:RECALL', 'priority:LOW']);
+  });
+
+  test('counts a lead once it has been contacted', () => {
+    expect(leadOutcome({ pipelineStatus: 'NEW', pipelineHistory: history('NEW') })).toBeNull();
+    expect(leadOutcome({})).toBeNull();
+    expect(leadOutcome({ pipelineStatus: 'CONTACTED', pipelineHistory: history('NEW', 'CONTACTED') })).toBe(false);
+    expect(leadOutcome({ pipelineStatus: 'REPLIED', pipelineHistory: history('NEW', 'CONTACTED', 'REPLIED') })).toBe(false);
+    expect(leadOutcome({ pipelineStatus: 'REPLIED', pipelineHistory: history('NEW', 'CONTACTED', 'REPLIED') }, 'REPLIED')).toBe(true);
+    expect(leadOutcome({ pipelineStatus: 'LOST', pipelineHistory: history('NEW', 'CONTACTED', 'REPLIED', 'MEETING', 'LOST') })).toBe(true);
+  });
+
+  test('validates calibration options', () => {
+    expect(validateCalibrationOptions({})).toBeNull();
+    expect(validateCalibrationOptions({ outcome: 'CLOSED' })).toBe('outcome must be one of REPLIED, MEETING, WON');
+    expect(validateCalibrationOptions({ minSupport: 0 })).toBe('minSupport must be a positive integer');
+    expect(validateCalibrationOptions({ minExamples: 1.5 })).toBe('minExamples must be an integer of at least 2');
+    expect(validateCalibrationOptions({ iterations: 1e12 })).toBe('iterations must be an integer from 1 to 10000');
+    expect(validateCalibrationOptions({ learningRate: NaN })).toBe('learningRate must be a number above 0 and at most 10');
+    expect(validateCalibrationOptions({ learningRate: 0 })).toBe('learningRate must be a number above 0 and at most 10');
+    expect(validateCalibrationOptions({ l2: -1 })).toBe('l2 must be a number from 0 to 10');
+    expect(validateCalibrationOptions({ iterations: 500, learningRate: 0.1, l2: 0 })).toBeNull();
+    expect(validateCalibrationOptions({ outcome: 'WON', minSupprt: 2 })).toBe('unknown options: minSupprt');
+    expect(validateCalibrationOptions([])).toBe('options must be an object');
+  });
+});
+
+describe('calibrate', () => {
+  test('fits a logistic regression that separates the classes', () => {
+    const examples = [
+      ...Array.from({ length: 10 }, () => ({ features: ['a'], label: true })),
+      ...Array.from({ length: 10 }, () => ({ features: ['b'], label: false }))
+    ];
+    const { weights } = fitLogisticRegression(examples, ['a', 'b'], { iterations: 500, learningRate: 0.5, l2: 0.01 });
+
+    expect(weights.a).toBeGreaterThan(1);
+    expect(weights.b).toBeLessThan(-1);
+  });
+
+  test('reports per-factor lift and which pain points predict meetings', () => {
+    const model = calibrate(outcomeLeads());
+
+    expect(model).toEqual(expect.objectContaining({ outcome: 'MEETING', examples: 40, conversions: 20, baseRate: 0.5, sufficient: true }));
+
+    const painPoints = model.factors.filter(factor => factor.kind === 'painPoint');
+    expect(painPoints.map(factor => [factor.value, factor.leads, factor.conversions, factor.lift])).toEqual([
+      ['recruitment_challenges', 20, 16, 1.6],
+      ['endpoint_challenges', 20, 4, 0.4]
+    ]);
+    expect(painPoints[0].weight).toBeGreaterThan(0);
+    expect(painPoints[1].weight).toBeLessThan(0);
+    expect(painPoints[0].oddsRatio).toBeGreaterThan(1);
+
+    const phase = model.factors.find(factor => factor.feature === 'phase:PHASE2');
+    expect(phase.lift).toBe(1);
+  });
+
+  test('leaves rare factors out of the model', () => {
+    const leads = outcomeLeads();
+    leads[0].challenges.push({ type: 'trial_suspended' });
+
+    const model = calibrate(leads);
+    const rare = model.factors.find(factor => factor.feature === 'painPoint:trial_suspended');
+
+    expect(rare).toEqual(expect.objectContaining({ leads: 1, conversions: 1, weight: null, oddsRatio: null }));
+    expect(model.weights).not.toHaveProperty('painPoint:trial_suspended');
+  });
+
+  test('ignores settings it does not know', () => {
+    const model = calibrate(outcomeLeads(), { iterations: 10, intercept: 5, minSupport: undefined });
+
+    expect(model.options).toEqual({ minSupport: 5, iterations: 10, learningRate: 0.5, l2: 0.01 });
+  });
+
+  test('refuses to fit without enough outcomes', () => {
+    const leads = outcomeLeads();
+
+    expect(calibrate(leads.slice(0, 10))).toEqual(expect.objectContaining({
+      sufficient: false,
+      examples: 10,
+      reason: '10 contacted leads, need at least 20'
+    }));
+    expect(calibrate(leads, { outcome: 'WON' })).toEqual(expect.objectContaining({
+      sufficient: false,
+      conversions: 0,
+      reason: 'every contacted lead has the same WON outcome'
+    }));
+  });
+
+  test('scores leads as a predicted conversion chance with a ledger', () => {
+    const leads = outcomeLeads();
+    const model = calibrate(leads);
+
+    const recruitingLedger = new ScoreLedger();
+    const recruiting = calibratedScore(leads[0], model, recruitingLedger);
+    const endpoint = calibratedScore(leads[25], model);
+
+    expect(recruiting).toBeGreaterThan(65);
+    expect(endpoint).toBeLessThan(35);
+    expect(recruitingLedger.entries[0]).toEqual(expect.objectContaining({ factor: 'Baseline MEETING rate', source: 'calibration.intercept' }));
+    expect(recruitingLedger.entries[1]).toEqual(expect.objectContaining({
+      factor: 'painPoint:recruitment_challenges',
+      source: 'calibration.weights.painPoint:recruitment_challenges'
+    }));
+    expect(recruitingLedger.total).toBe(recruiting);
+  });
+});
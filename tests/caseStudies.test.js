@@ -0,0 +1,124 @@
+const dataStore = require('../dataStore');
+const { PluginRegistry } = require('../ingestion');
+const { EMAIL_GENERATORS } = require('../ingestion/emailGenerators');
+const { LeadGenerationService } = require('../services/leadGenerationService');
+const { caseStudyRepository } = require('../db/repositories');
+const { validateCaseStudy, normalizeCaseStudy, matchCaseStudy, leadContext } = require('../caseStudies');
+
+const fdaApi = { takeFetchReports: () => [] };
+
+const library = [
+  { id: 1, status: 'APPROVED', claim: 'Generic NDA claim', submissionType: 'NDA' },
+  { id: 2, status: 'APPROVED', claim: 'Oncology NDA claim', therapeuticArea: 'ONCOLOGY', submissionType: 'NDA' },
+  { id: 3, status: 'DRAFT', claim: 'Unapproved oncology claim', therapeuticArea: 'ONCOLOGY', submissionType: 'NDA', phase: 'PHASE3' },
+  { id: 4, status: 'APPROVED', claim: 'Lung cancer Phase 2 claim', therapeuticArea: 'LUNG CANCER', phase: 'PHASE2', leadTypes: ['CLINICAL_TRIAL'] },
+  { id: 5, status: 'APPROVED', claim: 'Second oncology NDA claim', therapeuticArea: 'ONCOLOGY', submissionType: 'NDA' },
+  { id: 6, status: 'APPROVED', claim: 'Untagged claim', leadTypes: ['DRUG_APPLICATION'] }
+];
+
+describe('matchCaseStudy', () => {
+  test('picks the most specific approved claim, lowest id on ties', () => {
+    const context = { leadType: 'DRUG_APPLICATION', therapeuticArea: 'Oncology', submissionType: 'NDA' };
+
+    expect(matchCaseStudy(library, context).id).toBe(2);
+    expect(matchCaseStudy([...library].reverse(), context).id).toBe(2);
+    expect(matchCaseStudy(library, { ...context, therapeuticArea: 'Cardiology' }).id).toBe(1);
+  });
+
+  test('requires every tag on the case study to match', () => {
+    expect(matchCaseStudy(library, { leadType: 'CLINICAL_TRIAL', therapeuticArea: 'Non-Small Cell Lung Cancer', phase: 'PHASE2' }).id).toBe(4);
+    expect(matchCaseStudy(library, { leadType: 'CLINICAL_TRIAL', therapeuticArea: 'Non-Small Cell Lung Cancer', phase: 'PHASE3' })).toBeNull();
+    expect(matchCaseStudy(library, { leadType: 'RECALL', therapeuticArea: 'Lung Cancer', phase: 'PHASE2' })).toBeNull();
+  });
+
+  test('never stretches a narrower area claim to a broader lead', () => {
+    const nsclc = [{ id: 7, status: 'APPROVED', claim: 'NSCLC claim', therapeuticArea: 'NON-SMALL CELL LUNG CANCER' }];
+
+    expect(matchCaseStudy(nsclc, { leadType: 'CLINICAL_TRIAL', therapeuticArea: 'Cancer' })).toBeNull();
+    expect(matchCaseStudy(nsclc, { leadType: 'CLINICAL_TRIAL', therapeuticArea: 'Non-Small Cell Lung Cancer' }).id).toBe(7);
+  });
+
+  test('matches areas on whole words only', () => {
+    const ms = [{ id: 8, status: 'APPROVED', claim: 'MS claim', therapeuticArea: 'MS' }];
+    const pain = [{ id: 9, status: 'APPROVED', claim: 'Pain claim', therapeuticArea: 'PAIN' }];
+
+    expect(matchCaseStudy(ms, { leadType: 'CLINICAL_TRIAL', therapeuticArea: 'Vasomotor Symptoms' })).toBeNull();
+    expect(matchCaseStudy(ms, { leadType: 'CLINICAL_TRIAL', therapeuticArea: 'Relapsing MS' }).id).toBe(8);
+    expect(matchCaseStudy(pain, { leadType: 'CLINICAL_TRIAL', therapeuticArea: 'Chagas Disease, Spain' })).toBeNull();
+    expect(matchCaseStudy(pain, { leadType: 'CLINICAL_TRIAL', therapeuticArea: 'Painful Diabetic Neuropathy' })).toBeNull();
+    expect(matchCaseStudy(pain, { leadType: 'CLINICAL_TRIAL', therapeuticArea: 'Chronic Low Back Pain' }).id).toBe(9);
+  });
+
+  test('never sends untagged or unapproved claims', () => {
+    expect(matchCaseStudy(library, { leadType: 'DRUG_APPLICATION', submissionType: 'BLA' })).toBeNull();
+    expect(matchCaseStudy([], { leadType: 'DRUG_APPLICATION', submissionType: 'NDA' })).toBeNull();
+  });
+
+  test('reads the match context from a lead', () => {
+    expect(leadContext({ leadType: 'CLINICAL_TRIAL', trialInfo: { phase: 'PHASE2', indication: 'Asthma' } }))
+      .toEqual({ leadType: 'CLINICAL_TRIAL', therapeuticArea: 'Asthma', submissionType: null, phase: 'PHASE2' });
+  });
+});
+
+describe('case study entries', () => {
+  test('validates required fields and approval tags', () => {
+    expect(validateCaseStudy({ title: 'Oncology NDA', claim: 'A claim', therapeuticArea: 'Oncology', status: 'APPROVED' })).toBeNull();
+    expect(validateCaseStudy({ title: 'Oncology NDA' })).toBe('claim is required');
+    expect(validateCaseStudy({ title: 'T', claim: 'C', status: 'LIVE' })).toBe('status must be one of DRAFT, APPROVED, RETIRED');
+    expect(validateCaseStudy({ title: 'T', claim: 'C', leadTypes: 'RECALL' })).toBe('leadTypes must be an array of strings');
+    expect(validateCaseStudy({ title: 'T', claim: 'C', status: 'APPROVED' })).toBe('approved case studies need a therapeuticArea, submissionType or phase');
+  });
+
+  test('normalizes tags for matching', () => {
+    expect(normalizeCaseStudy({ title: ' T ', claim: 'C', therapeuticArea: ' non-small  cell lung cancer', leadTypes: ['clinical_trial', ''] }))
+      .toEqual({ title: 'T', claim: 'C', therapeuticArea: 'NON-SMALL CELL LUNG CANCER', leadTypes: ['CLINICAL_TRIAL'] });
+  });
+});
+
+describe('credibility statements in emails', () => {
+  const trial = { emailTrigger: { subject: 'S', mainIssue: 'Enrollment', specificAnalysis: [], urgency: 'HIGH' } };
+  const lead = { companyName: 'ACME', leadType: 'CLINICAL_TRIAL', trialInfo: { phase: 'PHASE2', indication: 'Non-Small Cell Lung Cancer' } };
+
+  test('uses the matched claim, or none', () => {
+    const email = EMAIL_GENERATORS.CLINICAL_TRIAL(trial, lead, { caseStudies: library });
+    expect(email.credibility).toBe('Lung cancer Phase 2 claim');
+    expect(email.caseStudyId).toBe(4);
+
+    const withoutMatch = EMAIL_GENERATORS.CLINICAL_TRIAL(trial, { ...lead, trialInfo: { phase: 'PHASE1' } }, { caseStudies: library });
+    expect(withoutMatch.credibility).toBe('');
+    expect(withoutMatch.caseStudyId).toBeNull();
+  });
+
+  test('gives an application lead the same statement every time', () => {
+    const app = { emailTrigger: { subject: 'S', mainIssue: 'CRL', specificAnalysis: [], offering: 'O' } };
+    const appLead = { companyName: 'ACME', leadType: 'DRUG_APPLICATION', therapeuticArea: 'ONCOLOGY', submissionType: 'NDA' };
+
+    const emails = Array.from({ length: 5 }, () => EMAIL_GENERATORS.DRUG_APPLICATION(app, appLead, { caseStudies: library }));
+    expect(new Set(emails.map(email => email.credibility))).toEqual(new Set(['Oncology NDA claim']));
+  });
+
+  describe('during lead generation', () => {
+    afterAll(() => {
+      dataStore.leads = [];
+      dataStore.companies.clear();
+      dataStore.caseStudies.length = 0;
+    });
+
+    test('matches approved entries from the library', async () => {
+      await caseStudyRepository.create(normalizeCaseStudy({ title: 'Draft', claim: 'Draft claim', phase: 'PHASE2' }));
+      await caseStudyRepository.create(normalizeCaseStudy({ title: 'Phase 2', claim: 'Approved Phase 2 claim', phase: 'PHASE2', status: 'APPROVED' }));
+
+      const registry = new PluginRegistry()
+        .registerSource({
+          name: 'test',
+          leadTypes: ['CLINICAL_TRIAL'],
+          companyCollections: ['trials'],
+          fetch: async () => [{ id: 'trial-1', leadType: 'CLINICAL_TRIAL', sponsor: 'Acme', collection: 'trials', record: trial, lead: { priority: 'HIGH', trialInfo: { phase: 'PHASE2' } } }]
+        })
+        .registerEmailGenerator('CLINICAL_TRIAL', EMAIL_GENERATORS.CLINICAL_TRIAL);
+      await new LeadGenerationService({ registry, fdaApi }).generateLeads({ sources: ['test'] });
+
+      expect(dataStore.leads[0].personalizedEmail).toEqual(expect.objectContaining({ credibility: 'Approved Phase 2 claim', caseStudyId: 2 }));
+    });
+  });
+});
@@ -0,0 +1,112 @@
+const deviceClearances = require('../ingestion/sources/deviceClearances');
+const deviceApprovals = require('../ingestion/sources/deviceApprovals');
+const deviceRecalls = require('../ingestion/sources/deviceRecalls');
+const deviceEvents = require('../ingestion/sources/deviceEvents');
+const { calculateDeviceRecallScore, calculateDeviceEventScore } = require('../ingestion/scorers');
+
+function clearance(overrides = {}) {
+  return deviceClearances.analyzeDeviceClearance({
+    k_number: 'K260001',
+    applicant: 'Omega Medical Systems Inc',
+    device_name: 'Omega Pump',
+    product_code: 'FRN',
+    decision_description: 'Substantially Equivalent',
+    decision_date: '2026-09-15',
+    date_received: '2026-05-18',
+    clearance_type: 'Traditional',
+    ...overrides
+  });
+}
+
+let reportNumber = 0;
+
+function event(eventType, overrides = {}) {
+  reportNumber++;
+  return {
+    report_number: `3005001-2026-${reportNumber}`,
+    event_type: eventType,
+    date_received: '20261001',
+    product_problems: ['Migration'],
+    device: [{ manufacturer_d_name: 'LAMBDA CARDIO INC', brand_name: 'LAMBDAVALVE', device_report_product_code: 'NPT' }],
+    ...overrides
+  };
+}
+
+describe('510(k) decisions', () => {
+  test.each([
+    [{}, 'CLEARED'],
+    [{ decision_description: 'Not Substantially Equivalent' }, 'NOT_SUBSTANTIALLY_EQUIVALENT'],
+    [{ k_number: 'DEN250010', decision_description: 'Granted' }, 'DE_NOVO']
+  ])('classifies %j as %s', (overrides, decisionType) => {
+    expect(clearance(overrides).decisionType).toBe(decisionType);
+  });
+
+  test('reads the review time from the received and decision dates', () => {
+    expect(clearance().reviewDays).toBe(120);
+  });
+
+  test('links special 510(k)s without making them leads', () => {
+    expect(deviceClearances.normalizeClearance(clearance({ clearance_type: 'Special' })).lead).toBeNull();
+    expect(deviceClearances.normalizeClearance(clearance()).lead.subType).toBe('CLEARED');
+  });
+});
+
+describe('PMA decisions', () => {
+  test('makes leads of original PMAs but not routine supplements', () => {
+    const original = deviceApprovals.analyzeDeviceApproval({ pma_number: 'P250001', supplement_number: '', applicant: 'Lambda Cardio Inc' });
+    const notice = deviceApprovals.analyzeDeviceApproval({ pma_number: 'P200010', supplement_number: 'S005', supplement_type: '30-Day Notice', applicant: 'Lambda Cardio Inc' });
+
+    expect(deviceApprovals.normalizeApproval(original)).toEqual(expect.objectContaining({ id: 'pma-P250001' }));
+    expect(deviceApprovals.normalizeApproval(original).lead.subType).toBe('ORIGINAL');
+    expect(deviceApprovals.normalizeApproval(notice)).toEqual(expect.objectContaining({ id: 'pma-P200010-S005', lead: null }));
+  });
+});
+
+describe('device recalls', () => {
+  test('carries the firm FEI number so recalls link to inspected firms', () => {
+    const recall = deviceRecalls.analyzeDeviceRecall({ product_res_number: 'Z-1-2026', recalling_firm: 'Omega', firm_fei_number: 3007654321 });
+
+    expect(recall.feiNumbers).toEqual(['3007654321']);
+  });
+
+  test('scores Class III and design-related recalls higher', () => {
+    expect(calculateDeviceRecallScore({ deviceClass: '3', rootCause: 'Device Design', status: 'Open, Classified' })).toBe(100);
+    expect(calculateDeviceRecallScore({ deviceClass: '1', rootCause: 'Labeling mix-ups', status: 'Terminated' })).toBe(75);
+  });
+});
+
+describe('MAUDE adverse event signals', () => {
+  test('groups reports by manufacturer and product code', () => {
+    const signals = deviceEvents.groupDeviceEvents([
+      event('Death'),
+      event('Injury', { date_received: '20261005' }),
+      event('Injury', { device: [{ manufacturer_d_name: 'OMEGA MEDICAL SYSTEMS INC', device_report_product_code: 'FRN' }] }),
+      event('Injury', { device: [] })
+    ]).map(signal => deviceEvents.analyzeDeviceEventSignal(signal));
+
+    expect(signals).toHaveLength(2);
+    expect(signals[0]).toEqual(expect.objectContaining({
+      signalId: 'NPT-LAMBDA-CARDIO',
+      deaths: 1,
+      injuries: 1,
+      brandNames: ['LAMBDAVALVE'],
+      productProblems: ['Migration'],
+      firstReceived: '2026-10-01',
+      lastReceived: '2026-10-05',
+      urgency: 'CRITICAL'
+    }));
+  });
+
+  test('needs a death or enough injuries to become a lead', () => {
+    const [signal] = deviceEvents.groupDeviceEvents([event('Injury'), event('Injury')])
+      .map(grouped => deviceEvents.analyzeDeviceEventSignal(grouped));
+
+    expect(deviceEvents.normalizeEventSignal(signal, { minInjuries: 3 }).lead).toBeNull();
+    expect(deviceEvents.normalizeEventSignal(signal, { minInjuries: 2 }).lead.subType).toBe('INJURY');
+  });
+
+  test('scores deaths above injury-only clusters', () => {
+    expect(calculateDeviceEventScore({ deaths: 1, injuries: 0 })).toBe(85);
+    expect(calculateDeviceEventScore({ deaths: 0, injuries: 3 })).toBe(66);
+  });
+});
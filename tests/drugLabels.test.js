@@ -0,0 +1,160 @@
+const dataStore = require('../dataStore');
+const { createDefaultRegistry } = require('../ingestion');
+const { LeadGenerationService } = require('../services/leadGenerationService');
+const { FDAApiService } = require('../services/fdaApiService');
+const { analyzeDrugLabel, diffLabelVersions, analyzeLabelChange } = require('../ingestion/sources/drugLabels');
+const { calculateLabelChangeScore } = require('../ingestion/scorers');
+const { generateLabelChangeEmail } = require('../ingestion/emailGenerators');
+
+// Version 6 of the recorded DELTANIB label: no boxed warning, no REMS, one
+// contraindication and one indication
+const previousDeltanib = analyzeDrugLabel({
+  set_id: 'd3a1f0c2-7b4e-4c1a-9e57-5f2b8c6d0a11',
+  version: '6',
+  effective_time: '20250301',
+  openfda: { brand_name: ['DELTANIB'], generic_name: ['DELTANIB MESYLATE'], manufacturer_name: ['Delta Oncology Inc'] },
+  indications_and_usage: ['1 INDICATIONS AND USAGE 1.1 EGFR-Mutant Non-Small Cell Lung Cancer DELTANIB is indicated for the treatment of adult patients with metastatic non-small cell lung cancer (NSCLC) whose tumors have EGFR exon 19 deletions or exon 21 L858R mutations (2.1).'],
+  contraindications: ['4 CONTRAINDICATIONS DELTANIB is contraindicated in patients with known hypersensitivity to deltanib.'],
+  warnings_and_cautions: ['5.1 Interstitial Lung Disease/Pneumonitis Monitor patients for pulmonary symptoms.']
+});
+
+function label(sections, overrides = {}) {
+  return {
+    setId: 'set-1',
+    version: 2,
+    effectiveDate: '2026-09-01',
+    company: 'Delta Oncology Inc',
+    product: 'DELTANIB',
+    genericName: null,
+    applicationNumbers: [],
+    sections: { boxedWarning: '', contraindications: '', indications: '', ...sections },
+    remsStatements: [],
+    ...overrides
+  };
+}
+
+describe('label version diff', () => {
+  test('ignores rewording of subsection numbers and cross-references', () => {
+    const previous = label({ indications: '1.1 Lung Cancer DELTANIB is indicated for NSCLC (2.1).' });
+    const current = label({ indications: '1.2 Lung Cancer DELTANIB is indicated for NSCLC [see Dosage (2.2)].' });
+
+    expect(diffLabelVersions(previous, current)).toEqual([]);
+  });
+
+  test('reports a revised boxed warning with only the added text', () => {
+    const previous = label({ boxedWarning: 'WARNING: HEPATOTOXICITY Monitor liver tests.' });
+    const current = label({ boxedWarning: 'WARNING: HEPATOTOXICITY Monitor liver tests. Fatal liver failure has occurred.' });
+
+    expect(diffLabelVersions(previous, current)).toEqual([{
+      changeType: 'BOXED_WARNING_REVISED',
+      section: 'Boxed Warning',
+      addedStatements: ['Fatal liver failure has occurred.'],
+      quote: 'Fatal liver failure has occurred.'
+    }]);
+  });
+
+  test('only counts new "indicated" statements as new indications', () => {
+    const previous = label({ indications: 'DELTANIB is indicated for NSCLC.' });
+    const current = label({ indications: 'DELTANIB is indicated for NSCLC. Limitations of Use: not for squamous histology.' });
+
+    expect(diffLabelVersions(previous, current)).toEqual([]);
+  });
+
+  test('does not report REMS again once the previous version mentioned one', () => {
+    const previous = label({}, { remsStatements: ['Available only through the Deltanib REMS.'] });
+    const current = label({}, { remsStatements: ['Available only through the Deltanib REMS.', 'Pharmacies must be certified in the REMS.'] });
+
+    expect(diffLabelVersions(previous, current)).toEqual([]);
+  });
+
+  test('skips "None." contraindications', () => {
+    expect(diffLabelVersions(label({}), label({ contraindications: 'None.' }))).toEqual([]);
+  });
+});
+
+describe('LABEL_CHANGE leads', () => {
+  const change = analyzeLabelChange(
+    label({}, { previousVersion: 1, genericName: 'DELTANIB MESYLATE' }),
+    { changeType: 'BOXED_WARNING_ADDED', section: 'Boxed Warning', addedStatements: ['Deltanib can cause fatal ILD.'], quote: 'Deltanib can cause fatal ILD.' }
+  );
+
+  test('quotes the changed section in the email', () => {
+    expect(change.changeId).toBe('set-1-v2-boxed-warning-added');
+    expect(change.emailTrigger.context).toBe('Version 2 of the DELTANIB (deltanib mesylate) label, effective 2026-09-01, adds a boxed warning: "Deltanib can cause fatal ILD."');
+
+    const email = generateLabelChangeEmail(change, 'DELTA ONCOLOGY');
+    expect(email.subject).toBe('New Boxed Warning: DELTANIB');
+    expect(email.changedSection).toBe('Boxed Warning (label version 2, previously version 1):\n> Deltanib can cause fatal ILD.');
+  });
+
+  test('scores safety changes above new indications', () => {
+    const old = { effectiveDate: '2020-01-01' };
+
+    expect(calculateLabelChangeScore({ ...old, changeType: 'BOXED_WARNING_ADDED' })).toBe(90);
+    expect(calculateLabelChangeScore({ ...old, changeType: 'NEW_INDICATION' })).toBe(70);
+    expect(calculateLabelChangeScore({ ...change, effectiveDate: new Date().toISOString().slice(0, 10) })).toBe(100);
+  });
+});
+
+describe('druglabels source', () => {
+  let service;
+
+  beforeEach(() => {
+    dataStore.leads = [];
+    dataStore.companies.clear();
+    dataStore.labelVersions.clear();
+    service = new LeadGenerationService({ registry: createDefaultRegistry(), fdaApi: new FDAApiService() });
+  });
+
+  afterAll(() => {
+    dataStore.leads = [];
+    dataStore.companies.clear();
+    dataStore.labelVersions.clear();
+  });
+
+  test('stores labels seen for the first time without creating leads', async () => {
+    await service.generateLeads({ sources: ['druglabels'] });
+
+    expect(dataStore.leads).toEqual([]);
+    expect(Array.from(dataStore.labelVersions.keys())).toEqual([
+      'd3a1f0c2-7b4e-4c1a-9e57-5f2b8c6d0a11',
+      'b7e2c9d4-3a5f-4e8b-a1c6-2d9f0e7a8b33'
+    ]);
+  });
+
+  test('creates a lead per change against the stored version, tied to the sponsor', async () => {
+    dataStore.labelVersions.set(previousDeltanib.setId, [{ ...previousDeltanib, changes: [] }]);
+
+    await service.generateLeads({ sources: ['druglabels'] });
+
+    expect(dataStore.leads.map(lead => [lead.subType, lead.priority])).toEqual([
+      ['BOXED_WARNING_ADDED', 'CRITICAL'],
+      ['CONTRAINDICATION_ADDED', 'HIGH'],
+      ['REMS_ADDED', 'HIGH'],
+      ['NEW_INDICATION', 'MEDIUM']
+    ]);
+
+    const company = dataStore.companies.get('DELTA ONCOLOGY');
+    expect(company.labelChanges).toHaveLength(4);
+    expect(company.hasUrgentIssues).toBe(true);
+
+    const contraindication = dataStore.leads.find(lead => lead.subType === 'CONTRAINDICATION_ADDED');
+    expect(contraindication.id).toBe('label-d3a1f0c2-7b4e-4c1a-9e57-5f2b8c6d0a11-v7-contraindication-added');
+    expect(contraindication.issue).toEqual(expect.objectContaining({ version: 7, previousVersion: 6, quote: 'DELTANIB is contraindicated in patients with a history of interstitial lung disease.' }));
+    expect(contraindication.personalizedEmail.changedSection).toBe('Contraindications (label version 7, previously version 6):\n> DELTANIB is contraindicated in patients with a history of interstitial lung disease.');
+
+    const indication = dataStore.leads.find(lead => lead.subType === 'NEW_INDICATION');
+    expect(indication.issue.quote).toBe('1.2 Adjuvant Treatment DELTANIB is indicated as adjuvant therapy after tumor resection in adult patients with NSCLC whose tumors have EGFR exon 19 deletions or exon 21 L858R mutations.');
+  });
+
+  test('keeps the leads on later runs until the label changes again', async () => {
+    dataStore.labelVersions.set(previousDeltanib.setId, [{ ...previousDeltanib, changes: [] }]);
+
+    await service.generateLeads({ sources: ['druglabels'] });
+    await service.generateLeads({ sources: ['druglabels'] });
+
+    expect(dataStore.labelVersions.get(previousDeltanib.setId).map(version => version.version)).toEqual([7, 6]);
+    expect(dataStore.leads).toHaveLength(4);
+    expect(dataStore.leads.every(lead => !lead.stale)).toBe(true);
+  });
+});
@@ -0,0 +1,144 @@
+const dataStore = require('../dataStore');
+const { createDefaultRegistry } = require('../ingestion');
+const { LeadGenerationService } = require('../services/leadGenerationService');
+const { FDAApiService } = require('../services/fdaApiService');
+const { groupDrugShortages, analyzeDrugShortage } = require('../ingestion/sources/drugShortages');
+const { calculateDrugShortageScore } = require('../ingestion/scorers');
+
+function shortageRecord(overrides = {}) {
+  return {
+    package_ndc: '11111-001-01',
+    generic_name: 'Omegacaine Injection',
+    company_name: 'Omega Sterile LLC',
+    status: 'Current',
+    presentation: 'Omegacaine Injection, 1%, 10 mL vial',
+    shortage_reason: 'Manufacturing delays',
+    initial_posting_date: '01/01/2026',
+    update_date: '06/01/2026',
+    ...overrides
+  };
+}
+
+describe('drug shortage grouping', () => {
+  test('groups presentations per product and manufacturer under the most serious status', () => {
+    const [shortage] = groupDrugShortages([
+      shortageRecord({ status: 'Resolved', update_date: '05/01/2026' }),
+      shortageRecord({ package_ndc: '11111-001-02', status: 'Current', initial_posting_date: '12/15/2025' })
+    ]);
+
+    expect(shortage).toEqual(expect.objectContaining({
+      shortageId: 'OMEGACAINE-INJECTION-OMEGA-STERILE',
+      status: 'CURRENT',
+      initialPostingDate: '2025-12-15',
+      updateDate: '2026-06-01',
+      resolvedDate: null
+    }));
+    expect(shortage.presentations.map(presentation => presentation.status)).toEqual(['RESOLVED', 'CURRENT']);
+  });
+
+  test('dates a product as resolved once every presentation is', () => {
+    const [shortage] = groupDrugShortages([
+      shortageRecord({ status: 'Resolved', update_date: '05/01/2026' }),
+      shortageRecord({ package_ndc: '11111-001-02', status: 'Resolved', update_date: '05/20/2026' })
+    ]);
+
+    expect(shortage.status).toBe('RESOLVED');
+    expect(shortage.resolvedDate).toBe('2026-05-20');
+    expect(analyzeDrugShortage(shortage, { history: [] }).resolution).toEqual({
+      isResolved: true,
+      resolvedDate: '2026-05-20',
+      daysInShortage: 139,
+      recurred: false
+    });
+  });
+
+  test('reads discontinuation dates', () => {
+    const [shortage] = groupDrugShortages([shortageRecord({ status: 'To Be Discontinued', discontinued_date: '12/31/2026' })]);
+
+    expect(shortage.status).toBe('TO_BE_DISCONTINUED');
+    expect(shortage.discontinuedDate).toBe('2026-12-31');
+  });
+});
+
+describe('DRUG_SHORTAGE scoring', () => {
+  test('scores current shortages above discontinuations and resolved ones', () => {
+    expect(calculateDrugShortageScore({ status: 'CURRENT', resolution: { daysInShortage: 30 } })).toBe(80);
+    expect(calculateDrugShortageScore({ status: 'CURRENT', resolution: { daysInShortage: 400, recurred: true } })).toBe(95);
+    expect(calculateDrugShortageScore({ status: 'TO_BE_DISCONTINUED', resolution: {} })).toBe(65);
+    expect(calculateDrugShortageScore({ status: 'RESOLVED', resolution: {} })).toBe(55);
+  });
+});
+
+describe('shortages source', () => {
+  let service;
+  let records;
+
+  beforeEach(() => {
+    dataStore.leads = [];
+    dataStore.companies.clear();
+    dataStore.shortageStatuses.clear();
+
+    const api = new FDAApiService();
+    api.fetchOpenFda = async () => records;
+    service = new LeadGenerationService({ registry: createDefaultRegistry(), fdaApi: api });
+  });
+
+  afterAll(() => {
+    dataStore.leads = [];
+    dataStore.companies.clear();
+    dataStore.shortageStatuses.clear();
+  });
+
+  test('tracks status changes across runs and escalates a recurring shortage', async () => {
+    records = [shortageRecord()];
+    await service.generateLeads({ sources: ['shortages'] });
+    expect(dataStore.leads[0]).toEqual(expect.objectContaining({ status: 'CURRENT', priority: 'HIGH' }));
+
+    records = [shortageRecord({ status: 'Resolved', update_date: '07/01/2026' })];
+    await service.generateLeads({ sources: ['shortages'] });
+    expect(dataStore.leads[0]).toEqual(expect.objectContaining({ status: 'RESOLVED', priority: 'LOW' }));
+    expect(dataStore.leads[0].issue).toEqual(expect.objectContaining({
+      previousStatus: 'CURRENT',
+      resolution: expect.objectContaining({ isResolved: true, resolvedDate: '2026-07-01' })
+    }));
+
+    records = [shortageRecord({ status: 'Current', update_date: '08/01/2026' })];
+    await service.generateLeads({ sources: ['shortages'] });
+
+    const [lead] = dataStore.leads;
+    expect(lead).toEqual(expect.objectContaining({ id: 'shortage-OMEGACAINE-INJECTION-OMEGA-STERILE', status: 'CURRENT', priority: 'CRITICAL' }));
+    expect(lead.issue.resolution.recurred).toBe(true);
+    expect(lead.personalizedEmail.subject).toBe('Recurring Drug Shortage: Omegacaine Injection');
+    expect(lead.personalizedEmail.shortageStatus).toContain('Status: current (previously resolved)');
+    expect(dataStore.shortageStatuses.get('OMEGACAINE-INJECTION-OMEGA-STERILE').history.map(entry => entry.status))
+      .toEqual(['CURRENT', 'RESOLVED', 'CURRENT']);
+    expect(dataStore.companies.get('OMEGA STERILE').hasQualityIssues).toBe(true);
+  });
+
+  test('keeps the recorded status when nothing changed', async () => {
+    records = [shortageRecord()];
+    await service.generateLeads({ sources: ['shortages'] });
+    const firstChange = dataStore.shortageStatuses.get('OMEGACAINE-INJECTION-OMEGA-STERILE').statusChangedAt;
+
+    await service.generateLeads({ sources: ['shortages'] });
+
+    expect(dataStore.shortageStatuses.get('OMEGACAINE-INJECTION-OMEGA-STERILE')).toEqual(expect.objectContaining({
+      statusChangedAt: firstChange,
+      history: [expect.objectContaining({ status: 'CURRENT', date: '2026-06-01' })]
+    }));
+  });
+
+  test('links long-resolved shortages without a lead', async () => {
+    process.env.SHORTAGE_RESOLVED_LEAD_DAYS = '30';
+    records = [shortageRecord({ status: 'Resolved', update_date: '01/15/2020', initial_posting_date: '01/01/2020' })];
+
+    try {
+      await service.generateLeads({ sources: ['shortages'] });
+    } finally {
+      process.env.SHORTAGE_RESOLVED_LEAD_DAYS = '36500';
+    }
+
+    expect(dataStore.leads).toEqual([]);
+    expect(dataStore.companies.get('OMEGA STERILE').drugShortages).toHaveLength(1);
+  });
+});
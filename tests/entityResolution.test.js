@@ -0,0 +1,131 @@
+const dataStore = require('../dataStore');
+const { PluginRegistry } = require('../ingestion');
+const { LeadGenerationService } = require('../services/leadGenerationService');
+const { companyAliasRepository } = require('../db/repositories');
+const {
+  EntityResolver,
+  normalizeCompanyName,
+  labelerCodesFromNdcs,
+  validateAlias,
+  normalizeAlias
+} = require('../entityResolution');
+
+const fdaApi = { takeFetchReports: () => [] };
+
+function resolverWith(companyNames, options) {
+  const resolver = new EntityResolver(options);
+  companyNames.forEach(companyName => resolver.register(companyName));
+  return resolver;
+}
+
+describe('company names', () => {
+  test('strips legal forms but keeps line-of-business words', () => {
+    expect(normalizeCompanyName('Gamma Therapeutics, Inc.')).toBe('GAMMA THERAPEUTICS');
+    expect(normalizeCompanyName('GAMMA THERAPEUTICS')).toBe('GAMMA THERAPEUTICS');
+    expect(normalizeCompanyName('Eli Lilly and Co.')).toBe('ELI LILLY');
+    expect(normalizeCompanyName('Zeta Pharma Co., Ltd.')).toBe('ZETA PHARMA');
+    expect(normalizeCompanyName('Inc')).toBe('INC');
+  });
+
+  test('reads labeler codes from NDCs', () => {
+    expect(labelerCodesFromNdcs(['0002-1433-80', '12345-678-90', '12345-001-01', null])).toEqual(['00002', '12345']);
+  });
+});
+
+describe('EntityResolver', () => {
+  test('rolls divisions up into the parent company', () => {
+    const resolver = resolverWith(['PFIZER']);
+
+    expect(resolver.resolve('Pfizer Inc')).toEqual({ companyName: 'PFIZER', confidence: 1, method: 'EXACT' });
+    expect(resolver.resolve('Pfizer Laboratories Div Pfizer Inc')).toEqual({ companyName: 'PFIZER', confidence: 0.95, method: 'PARENT' });
+    expect(resolver.resolve('Hospira, Inc., a Pfizer Company').companyName).toBe('PFIZER');
+    expect(resolver.resolve('Hospira, Inc.')).toEqual({ companyName: 'HOSPIRA', confidence: 1, method: 'NEW' });
+  });
+
+  test('matches variants of a known name without merging different lines of business', () => {
+    const resolver = resolverWith(['ACME PHARMACEUTICALS', 'GAMMA THERAPEUTICS', 'SIGMA GENERICS']);
+
+    expect(resolver.resolve('Acme Pharma Ltd')).toEqual({ companyName: 'ACME PHARMACEUTICALS', confidence: 0.97, method: 'FUZZY' });
+    expect(resolver.resolve('AstraZeneca').method).toBe('NEW');
+    expect(resolver.resolve('Gamma Biologics LLC')).toEqual({ companyName: 'GAMMA BIOLOGICS', confidence: 1, method: 'NEW' });
+    expect(resolver.resolve('Zeta Generics Inc').companyName).toBe('ZETA GENERICS');
+    expect(resolver.candidates('Gamma Biologics', 1)).toEqual([{ companyName: 'GAMMA THERAPEUTICS', confidence: 0.8 }]);
+  });
+
+  test('prefers curated entries, then identifier keys seen on records', () => {
+    const aliases = [
+      normalizeAlias({ kind: 'NAME', value: 'Kappa Biosimilars', companyName: 'Gamma Therapeutics', relationship: 'SUBSIDIARY' }),
+      normalizeAlias({ kind: 'LABELER_CODE', value: '7777', companyName: 'Delta Oncology Inc' })
+    ];
+    const resolver = resolverWith(['GAMMA THERAPEUTICS', 'DELTA ONCOLOGY'], { aliases });
+    resolver.register('DELTA ONCOLOGY', { feiNumbers: ['3001234567'], ctgovSponsor: 'Delta Oncology Research Foundation' });
+
+    expect(resolver.resolve('KAPPA BIOSIMILARS LLC')).toEqual({ companyName: 'GAMMA THERAPEUTICS', confidence: 1, method: 'PARENT' });
+    expect(resolver.resolve('Omega Fill Finish', { labelerCodes: ['07777'] })).toEqual({ companyName: 'DELTA ONCOLOGY', confidence: 1, method: 'IDENTIFIER' });
+    expect(resolver.resolve('Omega Fill Finish', { feiNumbers: ['3001234567'] })).toEqual({ companyName: 'DELTA ONCOLOGY', confidence: 0.95, method: 'IDENTIFIER' });
+    expect(resolver.resolve('Delta Oncology Research Foundation', { ctgovSponsor: 'DELTA ONCOLOGY RESEARCH  FOUNDATION' }).companyName).toBe('DELTA ONCOLOGY');
+  });
+
+  test('validates alias entries', () => {
+    expect(validateAlias({ kind: 'NAME', value: 'Pfizer Labs', companyName: 'Pfizer Inc' })).toBeNull();
+    expect(validateAlias({ kind: 'DUNS', value: '1', companyName: 'Pfizer' })).toMatch(/^kind must be one of/);
+    expect(validateAlias({ kind: 'FEI', value: '30012A', companyName: 'Pfizer' })).toBe('FEI numbers are digits only');
+    expect(validateAlias({ kind: 'LABELER_CODE', value: '123', companyName: 'Pfizer' })).toBe('labeler codes are 4 or 5 digits');
+    expect(validateAlias({ kind: 'NAME', value: 'Pfizer Labs' })).toBe('companyName is required');
+    expect(validateAlias({ kind: 'NAME', value: 'Pfizer Labs', companyName: 'Pfizer', relationship: 'PARENT' })).toMatch(/^relationship must be one of/);
+  });
+});
+
+describe('LeadGenerationService company resolution', () => {
+  const records = [
+    { id: 'app-1', sponsor: 'PFIZER INC', collection: 'applications', record: { applicationNumber: 'NDA1', labelerCodes: ['00069'] } },
+    { id: 'trial-1', sponsor: 'Pfizer', collection: 'trials', record: { nctId: 'NCT1', ctgovSponsor: 'Pfizer' } },
+    { id: 'recall-1', sponsor: 'Pfizer Laboratories Div Pfizer Inc', collection: 'recalls', record: { recallNumber: 'D-1' } },
+    { id: 'recall-2', sponsor: 'Meridian Medical Technologies', collection: 'recalls', record: { recallNumber: 'D-2', labelerCodes: ['00069'] } },
+    { id: 'recall-3', sponsor: 'Upjohn US 1 LLC', collection: 'recalls', record: { recallNumber: 'D-3' } }
+  ];
+
+  let service;
+
+  beforeEach(() => {
+    dataStore.leads = [];
+    dataStore.companies.clear();
+    dataStore.companyAliases.length = 0;
+
+    const registry = new PluginRegistry().registerSource({
+      name: 'test',
+      leadTypes: ['TEST_LEAD'],
+      companyCollections: ['applications', 'trials', 'recalls'],
+      fetch: async () => records.map(r => ({
+        ...r,
+        leadType: 'TEST_LEAD',
+        record: { ...r.record },
+        lead: { priority: 'LOW', urgencyReason: 'Test signal' }
+      }))
+    });
+    service = new LeadGenerationService({ registry, fdaApi });
+  });
+
+  afterAll(() => {
+    dataStore.leads = [];
+    dataStore.companies.clear();
+    dataStore.companyAliases.length = 0;
+  });
+
+  test('files applications, trials and recalls from one company together', async () => {
+    await companyAliasRepository.save(normalizeAlias({ kind: 'NAME', value: 'Upjohn US 1 LLC', companyName: 'Pfizer', relationship: 'SUBSIDIARY' }));
+    await service.generateLeads({ sources: ['test'] });
+
+    expect(Array.from(dataStore.companies.keys())).toEqual(['PFIZER']);
+    const pfizer = dataStore.companies.get('PFIZER');
+    expect(pfizer.applications).toHaveLength(1);
+    expect(pfizer.trials).toHaveLength(1);
+    expect(pfizer.recalls.map(recall => recall.recallNumber)).toEqual(['D-1', 'D-2', 'D-3']);
+    expect(pfizer.totalTouchpoints).toBe(5);
+
+    const byId = Object.fromEntries(dataStore.leads.map(lead => [lead.id, lead]));
+    expect(byId['recall-1'].companyMatch).toEqual({ name: 'Pfizer Laboratories Div Pfizer Inc', method: 'PARENT', confidence: 0.95 });
+    expect(byId['recall-2'].companyMatch).toEqual({ name: 'Meridian Medical Technologies', method: 'IDENTIFIER', confidence: 0.95 });
+    expect(byId['recall-3'].companyMatch).toEqual({ name: 'Upjohn US 1 LLC', method: 'PARENT', confidence: 1 });
+  });
+});
@@ -0,0 +1,188 @@
+const dataStore = require('../dataStore');
+const { PluginRegistry, createDefaultRegistry } = require('../ingestion');
+const { LeadGenerationService } = require('../services/leadGenerationService');
+
+const fdaApi = { takeFetchReports: () => [] };
+
+function source(overrides = {}) {
+  return {
+    name: 'test',
+    leadTypes: ['TEST_LEAD'],
+    companyCollections: ['applications'],
+    fetch: async () => [],
+    ...overrides
+  };
+}
+
+describe('PluginRegistry', () => {
+  test('registers the built-in sources, with mock data off by default', () => {
+    const registry = createDefaultRegistry();
+
+    expect(registry.sourceNames()).toEqual([
+      'drugsfda',
+      'clinicaltrials',
+      'resultsreporting',
+      'enforcement',
+      'shortages',
+      'warningletters',
+      'inspections',
+      'orangebook',
+      'purplebook',
+      'device510k',
+      'devicepma',
+      'devicerecalls',
+      'deviceevents',
+      'faers',
+      'druglabels',
+      'mock'
+    ]);
+    expect(registry.defaultSources()).toEqual(registry.sourceNames().filter(name => name !== 'mock'));
+    expect(registry.getScorer('RECALL')({ classification: 'Class I' })).toBe(90);
+    expect(registry.getEmailGenerator('WARNING_LETTER')).toEqual(expect.any(Function));
+  });
+
+  test('rejects sources without a fetch function', () => {
+    expect(() => new PluginRegistry().registerSource({ name: 'broken' })).toThrow('Sources need a name and a fetch function');
+  });
+
+  test('rejects duplicate source names', () => {
+    const registry = new PluginRegistry().registerSource(source());
+
+    expect(() => registry.registerSource(source())).toThrow('Source already registered: test');
+  });
+});
+
+describe('LeadGenerationService with a custom source', () => {
+  const records = [
+    {
+      id: 'test-1',
+      leadType: 'TEST_LEAD',
+      sponsor: 'Delta Labs, Inc.',
+      collection: 'applications',
+      record: { applicationNumber: 'TEST-1' },
+      therapeuticArea: 'ONCOLOGY',
+      flags: { hasQualityIssues: true },
+      lead: { priority: 'HIGH', urgencyReason: 'Test signal' }
+    },
+    {
+      id: 'test-2',
+      leadType: 'TEST_LEAD',
+      sponsor: 'Delta Labs, Inc.',
+      collection: 'applications',
+      record: { applicationNumber: 'TEST-2' },
+      lead: null
+    }
+  ];
+
+  let service;
+
+  beforeEach(() => {
+    dataStore.leads = [];
+    dataStore.companies.clear();
+
+    const registry = new PluginRegistry()
+      .registerSource(source({ fetch: async () => records.map(r => ({ ...r, record: { ...r.record } })) }))
+      .registerEmailGenerator('TEST_LEAD', (record, lead) => ({ subject: `Re: ${record.applicationNumber} at ${lead.companyName}` }));
+    service = new LeadGenerationService({ registry, fdaApi });
+  });
+
+  afterAll(() => {
+    dataStore.leads = [];
+    dataStore.companies.clear();
+  });
+
+  test('links every record to its company and builds leads for the ones that carry lead fields', async () => {
+    const run = { id: 1, counts: {}, errors: [] };
+    await service.generateLeads({ sources: ['test'], run });
+
+    const company = dataStore.companies.get('DELTA LABS');
+    expect(company.applications.map(app => app.source)).toEqual(['test', 'test']);
+    expect(company.hasQualityIssues).toBe(true);
+    expect(company.therapeuticAreas.has('ONCOLOGY')).toBe(true);
+
+    expect(dataStore.leads).toHaveLength(1);
+    expect(dataStore.leads[0]).toEqual(expect.objectContaining({
+      id: 'test-1',
+      companyName: 'DELTA LABS',
+      source: 'test',
+      baseScore: 50,
+      personalizedEmail: { subject: 'Re: TEST-1 at DELTA LABS' }
+    }));
+    expect(run.counts.test).toEqual(expect.objectContaining({ records: 2, leads: 1, stale: 0 }));
+  });
+
+  test('replaces only its own records on refresh', async () => {
+    await service.generateLeads({ sources: ['test'] });
+    dataStore.companies.get('DELTA LABS').applications.push({ applicationNumber: 'NDA1', source: 'drugsfda' });
+    await service.generateLeads({ sources: ['test'] });
+
+    expect(dataStore.companies.get('DELTA LABS').applications.map(app => app.applicationNumber)).toEqual(['NDA1', 'TEST-1', 'TEST-2']);
+  });
+
+  test('clears company flags set only by records it no longer returns', async () => {
+    await service.generateLeads({ sources: ['test'] });
+    expect(dataStore.companies.get('DELTA LABS').hasQualityIssues).toBe(true);
+
+    const unflagged = new PluginRegistry().registerSource(source({
+      fetch: async () => records.map(r => ({ ...r, flags: undefined, record: { ...r.record } }))
+    }));
+    await new LeadGenerationService({ registry: unflagged, fdaApi }).generateLeads({ sources: ['test'] });
+
+    expect(dataStore.companies.get('DELTA LABS').hasQualityIssues).toBe(false);
+  });
+
+  test('keeps the previous leads and records when a fetch fails', async () => {
+    await service.generateLeads({ sources: ['test'] });
+    const before = dataStore.leads.map(lead => ({ ...lead }));
+
+    // The fetch throws
+    const failing = new PluginRegistry().registerSource(source({ fetch: async () => { throw new Error('429 Too Many Requests'); } }));
+    const run = { id: 2, counts: {}, errors: [] };
+    await new LeadGenerationService({ registry: failing, fdaApi }).generateLeads({ sources: ['test'], run });
+
+    expect(dataStore.leads).toEqual([expect.objectContaining({ id: 'test-1', stale: false, rank: 1, firstSeenAt: before[0].firstSeenAt })]);
+    expect(dataStore.companies.get('DELTA LABS').applications.map(app => app.applicationNumber)).toEqual(['TEST-1', 'TEST-2']);
+    expect(dataStore.companies.get('DELTA LABS').totalTouchpoints).toBe(2);
+    expect(dataStore.companies.get('DELTA LABS').hasQualityIssues).toBe(true);
+    expect(run.counts.test).toEqual(expect.objectContaining({ failed: true, leads: 1, stale: 0 }));
+    expect(run.errors).toEqual([{ source: 'test', message: '429 Too Many Requests' }]);
+
+    // The fetcher swallows the error but reports it, returning partial results
+    const reporting = new PluginRegistry().registerSource(source({
+      fetch: async () => [{ ...records[1], sponsor: 'Omega Bio', record: { applicationNumber: 'TEST-3' } }]
+    }));
+    const reportingApi = { takeFetchReports: () => [{ label: 'test', endpoint: '/test.json', error: 'timeout of 30000ms exceeded' }] };
+    await new LeadGenerationService({ registry: reporting, fdaApi: reportingApi }).generateLeads({ sources: ['test'] });
+
+    expect(dataStore.leads.map(lead => [lead.id, lead.stale])).toEqual([['test-1', false]]);
+    expect(Array.from(dataStore.companies.keys())).toEqual(['DELTA LABS']);
+    expect(dataStore.companies.get('DELTA LABS').applications.map(app => app.applicationNumber)).toEqual(['TEST-1', 'TEST-2']);
+  });
+
+  test('reports no changes for a source that fails once', async () => {
+    dataStore.changes.length = 0;
+    let failing = false;
+    const registry = new PluginRegistry().registerSource(source({
+      fetch: async () => {
+        if (failing) throw new Error('socket hang up');
+        return records.map(r => ({ ...r, record: { ...r.record } }));
+      }
+    }));
+    const flaky = new LeadGenerationService({ registry, fdaApi });
+
+    await flaky.generateLeads({ sources: ['test'] });
+    failing = true;
+    const failedRun = { id: 3, counts: {}, errors: [] };
+    await flaky.generateLeads({ sources: ['test'], run: failedRun });
+    failing = false;
+    await flaky.generateLeads({ sources: ['test'] });
+
+    expect(failedRun.counts.test.changes).toBe(0);
+    expect(dataStore.changes.map(change => [change.leadId, change.changeType])).toEqual([['test-1', 'APPEARED']]);
+    dataStore.changes.length = 0;
+  });
+
+  test('refuses unknown sources', async () => {
+    await expect(service.generateLeads({ sources: ['nope'] })).rejects.toThrow('Unknown ingestion source(s): nope');
+  });
+});
@@ -0,0 +1,99 @@
+const path = require('path');
+const {
+  importInspections,
+  buildInspections,
+  parseClassification
+} = require('../ingestion/importers/inspectionClassifications');
+const inspectionsSource = require('../ingestion/sources/inspections');
+const { calculateInspectionScore } = require('../ingestion/scorers');
+
+const fixture = name => path.join(__dirname, 'fixtures', 'inspections', name);
+
+describe('inspection classification import', () => {
+  test('reads the CSV and XLSX exports the same way', async () => {
+    const fromCsv = await importInspections({
+      classificationsFile: fixture('classifications.csv'),
+      citationsFile: fixture('citations.csv')
+    });
+    const fromXlsx = await importInspections({
+      classificationsFile: fixture('classifications.xlsx'),
+      citationsFile: fixture('citations.xlsx')
+    });
+
+    expect(fromXlsx).toEqual(fromCsv);
+  });
+
+  test('merges project-area rows into one inspection with the worst outcome', async () => {
+    const inspections = await importInspections({
+      classificationsFile: fixture('classifications.csv'),
+      citationsFile: fixture('citations.csv')
+    });
+
+    expect(inspections.map(inspection => inspection.inspectionId)).toEqual(['1250001', '1250002', '1250003']);
+    expect(inspections[0]).toEqual(expect.objectContaining({
+      feiNumber: '3001234567',
+      firmName: 'Acme Pharma Newark Plant LLC',
+      inspectionEndDate: '2026-01-23',
+      classification: 'OAI',
+      projectAreas: ['Drug Quality Assurance', 'Compliance: Drug Processing']
+    }));
+    expect(inspections[0].citations.map(citation => citation.cfrNumber)).toContain('21 CFR 211.192');
+  });
+
+  test('keeps other product types when asked', () => {
+    const rows = [{ 'FEI Number': '1000111222', 'Legal Name': 'Sunny Orchard', 'Classification': 'OAI', 'Product Type': 'Food/Cosmetics' }];
+
+    expect(buildInspections(rows)).toEqual([]);
+    expect(buildInspections(rows, [], { productTypes: null })).toHaveLength(1);
+  });
+
+  test('matches citations without an inspection ID on FEI and date', () => {
+    const rows = [{ 'FEI Number': '3001234567', 'Legal Name': 'Acme', 'Inspection End Date': '1/23/2026', 'Classification': 'VAI' }];
+    const citations = [{ 'FEI Number': '3001234567', 'Inspection End Date': '2026-01-23', 'Act/CFR Number': '21 CFR 211.22(d)' }];
+
+    expect(buildInspections(rows, citations)[0].citations.map(citation => citation.cfrNumber)).toEqual(['21 CFR 211.22(d)']);
+  });
+
+  test.each([
+    ['Official Action Indicated (OAI)', 'OAI'],
+    ['vai', 'VAI'],
+    ['No Action Indicated', 'NAI'],
+    ['Pending', null]
+  ])('reads classification %s', (value, expected) => {
+    expect(parseClassification(value)).toBe(expected);
+  });
+});
+
+describe('inspection source', () => {
+  const inspection = overrides => inspectionsSource.analyzeInspection({
+    inspectionId: '1',
+    feiNumber: '3001234567',
+    firmName: 'Acme',
+    inspectionEndDate: '2026-01-23',
+    classification: 'VAI',
+    programAreas: [],
+    citations: [],
+    ...overrides
+  });
+
+  test('turns NAI outcomes into linked records without a lead', () => {
+    const normalized = inspectionsSource.normalizeInspection(inspection({ classification: 'NAI' }), { maxAgeDays: 36500 });
+
+    expect(normalized.lead).toBeNull();
+    expect(normalized.flags).toEqual({ hasQualityIssues: false, hasComplianceIssues: false });
+  });
+
+  test('skips leads for inspections older than the age window', () => {
+    const normalized = inspectionsSource.normalizeInspection(inspection({ inspectionEndDate: '2020-01-01' }), { maxAgeDays: 365 });
+
+    expect(normalized.lead).toBeNull();
+  });
+
+  test('scores OAI above VAI', () => {
+    const oai = calculateInspectionScore(inspection({ classification: 'OAI', inspectionEndDate: '2020-01-01' }));
+    const vai = calculateInspectionScore(inspection({ inspectionEndDate: '2020-01-01' }));
+
+    expect(oai).toBe(85);
+    expect(vai).toBe(60);
+  });
+});
@@ -0,0 +1,145 @@
+const path = require('path');
+const moment = require('moment');
+const dataStore = require('../dataStore');
+const { createDefaultRegistry } = require('../ingestion');
+const { LeadGenerationService } = require('../services/leadGenerationService');
+const { FDAApiService } = require('../services/fdaApiService');
+const { readRows } = require('../ingestion/importers/tabularFile');
+const { importOrangeBook, resolveFiles } = require('../ingestion/importers/orangeBook');
+const { calculateExclusivityExpiryScore, calculateGenericOpportunityScore } = require('../ingestion/scorers');
+
+const dir = path.join(__dirname, 'fixtures', 'orangeBook');
+
+describe('Orange Book import', () => {
+  test('reads the tilde-delimited data files by header', async () => {
+    const rows = await readRows(path.join(dir, 'exclusivity.txt'));
+
+    expect(rows[0]).toEqual({
+      Appl_Type: 'N',
+      Appl_No: '215555',
+      Product_No: '001',
+      Exclusivity_Code: 'NCE',
+      Exclusivity_Date: 'Mar 15, 2049'
+    });
+  });
+
+  test('lets single file paths override the folder', () => {
+    expect(resolveFiles({ dir: '/ob', patentsFile: '/elsewhere/patent.txt' })).toEqual({
+      productsFile: path.join('/ob', 'products.txt'),
+      patentsFile: '/elsewhere/patent.txt',
+      exclusivityFile: path.join('/ob', 'exclusivity.txt')
+    });
+  });
+
+  test('builds the expiry calendar for reference drugs within the horizon', async () => {
+    const calendar = await importOrangeBook({ dir }, { asOf: '2042-01-01', horizonDays: 730 });
+
+    expect(calendar).toHaveLength(1);
+    const [deltavia] = calendar;
+    expect(deltavia).toEqual(expect.objectContaining({
+      applicationKey: 'N215555',
+      tradeName: 'DELTAVIA',
+      applicantFullName: 'DELTA ONCOLOGY INC',
+      strengths: ['50MG', '100MG'],
+      lossOfExclusivityDate: '2049-03-15',
+      nce1Date: '2048-03-15',
+      approvedGenerics: 0
+    }));
+    // Patents listed on several products are counted once; past ones are dropped
+    expect(deltavia.events.map(event => `${event.date} ${event.eventType} ${event.id}`)).toEqual([
+      '2043-09-01 PATENT 12222222',
+      '2046-03-15 EXCLUSIVITY ODE-400',
+      '2048-03-15 NCE1 NCE-1',
+      '2049-03-15 EXCLUSIVITY NCE'
+    ]);
+  });
+
+  test('ranks likely filers and skips the brand holder, existing generics and discontinued ANDAs', async () => {
+    const calendar = await importOrangeBook({ dir }, { asOf: '2026-10-19', horizonDays: 36500 });
+    const byName = Object.fromEntries(calendar.map(entry => [entry.tradeName, entry]));
+
+    expect(byName.DELTAVIA.likelyFilers).toEqual([
+      { name: 'SIGMA GENERICS LLC', sameIngredientAndas: 1, sameDosageFormAndas: 0 },
+      { name: 'ZETA GENERICS INC', sameIngredientAndas: 0, sameDosageFormAndas: 3 }
+    ]);
+    expect(byName.ACMETRIN).toEqual(expect.objectContaining({ approvedGenerics: 1, likelyFilers: [] }));
+    // ZETAPRIL's patents have all expired
+    expect(byName.ZETAPRIL).toBeUndefined();
+  });
+});
+
+describe('Orange Book scoring', () => {
+  test('scores nearer loss of exclusivity higher and existing generics lower', () => {
+    expect(calculateExclusivityExpiryScore({ daysToLoss: 120, approvedGenerics: 0, likelyFilers: [] })).toBe(90);
+    expect(calculateExclusivityExpiryScore({ daysToLoss: 500, approvedGenerics: 0, likelyFilers: [{}, {}, {}] })).toBe(75);
+    expect(calculateExclusivityExpiryScore({ daysToLoss: 5000, approvedGenerics: 2, likelyFilers: [] })).toBe(40);
+  });
+
+  test('scores filers with same-ingredient experience and near key dates higher', () => {
+    expect(calculateGenericOpportunityScore({ sameIngredientAndas: 1, sameDosageFormAndas: 0, daysToKeyDate: 800 })).toBe(70);
+    expect(calculateGenericOpportunityScore({ sameIngredientAndas: 3, sameDosageFormAndas: 8, daysToKeyDate: 200 })).toBe(100);
+  });
+});
+
+describe('orangebook source', () => {
+  let service;
+
+  beforeEach(() => {
+    dataStore.leads = [];
+    dataStore.companies.clear();
+    service = new LeadGenerationService({ registry: createDefaultRegistry(), fdaApi: new FDAApiService() });
+  });
+
+  afterAll(() => {
+    dataStore.leads = [];
+    dataStore.companies.clear();
+  });
+
+  test('creates leads for brand holders and likely generic filers', async () => {
+    await service.generateLeads({ sources: ['orangebook'] });
+
+    const byId = Object.fromEntries(dataStore.leads.map(lead => [lead.id, lead]));
+    expect(Object.keys(byId).sort()).toEqual([
+      'generic-N215555-SIGMA-GENERICS',
+      'generic-N215555-ZETA-GENERICS',
+      'loe-N021999',
+      'loe-N215555'
+    ]);
+
+    expect(byId['loe-N215555']).toEqual(expect.objectContaining({
+      companyName: 'DELTA ONCOLOGY',
+      leadType: 'LOSS_OF_EXCLUSIVITY',
+      subType: 'NO_GENERICS',
+      priority: 'MEDIUM'
+    }));
+    expect(byId['loe-N215555'].issue.likelyFilers).toEqual(['SIGMA GENERICS LLC', 'ZETA GENERICS INC']);
+    expect(byId['loe-N215555'].personalizedEmail.expiryCalendar.split('\n')[0]).toBe('• 2041-03-15: Patent 11111111');
+    expect(byId['loe-N021999']).toEqual(expect.objectContaining({ subType: 'GENERICS_APPROVED', priority: 'LOW' }));
+
+    expect(byId['generic-N215555-SIGMA-GENERICS']).toEqual(expect.objectContaining({
+      companyName: 'SIGMA GENERICS',
+      leadType: 'GENERIC_OPPORTUNITY',
+      subType: 'NCE1_FILING'
+    }));
+    expect(byId['generic-N215555-SIGMA-GENERICS'].personalizedEmail.subject).toBe('ANDA Opportunity: DELTAVIA (deltanib)');
+    expect(byId['generic-N215555-SIGMA-GENERICS'].personalizedEmail.keyDates).toContain('• NCE-1 (paragraph IV submissions): 2048-03-15');
+
+    expect(dataStore.companies.get('DELTA ONCOLOGY').exclusivityExpiries).toHaveLength(1);
+    expect(dataStore.companies.get('ZETA GENERICS').genericOpportunities).toHaveLength(1);
+  });
+
+  test('links expiries beyond the horizon without leads', async () => {
+    process.env.ORANGE_BOOK_HORIZON_DAYS = String(moment('2042-01-01').diff(moment(), 'days'));
+
+    try {
+      await service.generateLeads({ sources: ['orangebook'] });
+    } finally {
+      process.env.ORANGE_BOOK_HORIZON_DAYS = '36500';
+    }
+
+    // Patent 11111111 (2041) falls inside the horizon, loss of exclusivity (2049) does not
+    expect(dataStore.leads).toEqual([]);
+    expect(dataStore.companies.get('DELTA ONCOLOGY').exclusivityExpiries).toHaveLength(1);
+    expect(dataStore.companies.has('SIGMA GENERICS')).toBe(false);
+  });
+});
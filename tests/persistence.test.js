@@ -0,0 +1,38 @@
+jest.mock('../db', () => ({
+  isEnabled: () => true,
+  withTransaction: callback => callback({})
+}));
+jest.mock('../db/repositories', () => ({
+  companyRepository: { save: jest.fn(async (client, company) => `id-${company.name}`) },
+  sourceRecordRepository: { saveForCompany: jest.fn(), deleteNotFetched: jest.fn() },
+  leadRepository: { saveAll: jest.fn() }
+}));
+
+const { persistDataStore } = require('../db/persistence');
+const { leadRepository, sourceRecordRepository } = require('../db/repositories');
+
+function store(leads) {
+  return {
+    companies: new Map([['Acme', { name: 'Acme' }]]),
+    leads
+  };
+}
+
+describe('persistDataStore', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  test('saves every lead linked to its company', async () => {
+    const leads = [{ id: 'a', companyName: 'Acme' }];
+    await persistDataStore(store(leads));
+
+    expect(leadRepository.saveAll).toHaveBeenCalledWith({}, leads, new Map([['Acme', 'id-Acme']]));
+    expect(sourceRecordRepository.deleteNotFetched).toHaveBeenCalled();
+  });
+
+  test('fails instead of dropping leads without a company', async () => {
+    const leads = [{ id: 'a', companyName: 'Acme' }, { id: 'b', companyName: 'Nobody' }];
+
+    await expect(persistDataStore(store(leads))).rejects.toThrow('Cannot persist 1 leads without a company');
+    expect(leadRepository.saveAll).not.toHaveBeenCalled();
+  });
+});
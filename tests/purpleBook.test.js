@@ -0,0 +1,98 @@
+const path = require('path');
+const { importPurpleBook, findReference } = require('../ingestion/importers/purpleBook');
+const purpleBookSource = require('../ingestion/sources/purpleBook');
+const { FDAApiService } = require('../services/fdaApiService');
+const { calculateBiosimilarLicensureScore } = require('../ingestion/scorers');
+
+const file = path.join(__dirname, 'fixtures', 'purpleBook', 'purplebook.csv');
+const fdaApi = new FDAApiService();
+
+function blaApplication(overrides = {}) {
+  return {
+    application_number: 'BLA761500',
+    sponsor_name: 'KAPPA BIOSIMILARS',
+    products: [{ brand_name: 'KAPPAKINE', active_ingredients: [{ name: 'GAMMAKINE-ALFA-QRST' }] }],
+    submissions: [{ submission_type: 'ORIG', submission_class_code: 'TYPE 6', submission_status: 'FI', submission_status_date: '20260901' }],
+    ...overrides
+  };
+}
+
+describe('Purple Book import', () => {
+  test('maps reference biologics to their licensed biosimilars below the title lines', async () => {
+    const landscape = await importPurpleBook(file);
+
+    expect(landscape.map(reference => reference.proprietaryName)).toEqual(['BETAMAB', 'GAMMAKINE']);
+    const gammakine = landscape[1];
+    expect(gammakine).toEqual(expect.objectContaining({
+      blaNumber: '125900',
+      applicant: 'Gamma Therapeutics',
+      approvalDate: '2014-03-10',
+      exclusivityDate: '2026-03-10'
+    }));
+    // One entry per BLA across presentations; the revoked TAUKINE license is left out
+    expect(gammakine.biosimilars).toEqual([
+      expect.objectContaining({ blaNumber: '761300', proprietaryName: 'ZETAKINE', interchangeable: false }),
+      expect.objectContaining({
+        blaNumber: '761410',
+        proprietaryName: 'SIGMAKINE',
+        interchangeable: true,
+        firstInterchangeableExclusivityDate: '2027-08-20',
+        strengths: ['50 mg/mL', '100 mg/mL']
+      })
+    ]);
+  });
+
+  test('finds the reference product by BLA, biosimilar BLA or proper name', async () => {
+    const landscape = await importPurpleBook(file);
+
+    expect(findReference(landscape, { blaNumber: 'BLA125900' }).proprietaryName).toBe('GAMMAKINE');
+    expect(findReference(landscape, { blaNumber: 'BLA761410' }).proprietaryName).toBe('GAMMAKINE');
+    expect(findReference(landscape, { blaNumber: 'BLA761500', properNames: ['Gammakine-alfa-qrst'] }).proprietaryName).toBe('GAMMAKINE');
+    expect(findReference(landscape, { blaNumber: 'BLA761501', properNames: ['deltamab'] })).toBeNull();
+  });
+});
+
+describe('BLA competitive context', () => {
+  test('positions a pending biosimilar against the reference product and licensed biosimilars', async () => {
+    const landscape = await importPurpleBook(file);
+    const app = fdaApi.analyzeApplication(blaApplication(), { biosimilarLandscape: landscape });
+
+    expect(app.competitiveContext).toEqual(expect.objectContaining({
+      role: 'BIOSIMILAR_SPONSOR',
+      referenceProduct: 'GAMMAKINE',
+      biosimilarCount: 2,
+      interchangeableCount: 1
+    }));
+    expect(app.emailTrigger.competitiveContext).toMatch(/^Your gammakine-alfa program competes with the reference product GAMMAKINE \(Gamma Therapeutics\) and 2 licensed biosimilar\(s\)/);
+    expect(app.emailTrigger.specificAnalysis).toContain('Switching study design for an interchangeability designation');
+  });
+
+  test('leaves applications without a reference product, and non-BLAs, without context', async () => {
+    const landscape = await importPurpleBook(file);
+    const unmatched = blaApplication({ products: [{ active_ingredients: [{ name: 'DELTAMAB' }] }] });
+    const nda = blaApplication({ application_number: 'NDA214999' });
+
+    expect(fdaApi.analyzeApplication(unmatched, { biosimilarLandscape: landscape }).competitiveContext).toBeNull();
+    expect(fdaApi.analyzeApplication(nda, { biosimilarLandscape: landscape }).competitiveContext).toBeNull();
+    expect(fdaApi.analyzeApplication(blaApplication()).emailTrigger.competitiveContext).toBeUndefined();
+  });
+});
+
+describe('biosimilar licensure leads', () => {
+  test('turns biosimilars licensed inside the window into leads for the reference holder', async () => {
+    const [, gammakine] = await importPurpleBook(file);
+    const [zetakine, sigmakine] = gammakine.biosimilars.map(biosimilar => purpleBookSource.analyzeBiosimilarLicensure(gammakine, biosimilar, '2026-10-19'));
+
+    const recent = purpleBookSource.normalizeBiosimilarLicensure(sigmakine, { leadDays: 180 });
+    expect(recent).toEqual(expect.objectContaining({ id: 'biosimilar-761410', sponsor: 'Gamma Therapeutics', collection: 'biosimilarCompetition' }));
+    expect(recent.lead).toEqual(expect.objectContaining({ subType: 'INTERCHANGEABLE', priority: 'HIGH' }));
+
+    expect(purpleBookSource.normalizeBiosimilarLicensure(zetakine, { leadDays: 180 }).lead).toBeNull();
+  });
+
+  test('scores interchangeable and first biosimilars higher', () => {
+    expect(calculateBiosimilarLicensureScore({ interchangeable: true, position: 2, daysSinceLicensure: 60 })).toBe(85);
+    expect(calculateBiosimilarLicensureScore({ interchangeable: false, position: 1, daysSinceLicensure: 400 })).toBe(75);
+    expect(calculateBiosimilarLicensureScore({ interchangeable: false, position: 3, daysSinceLicensure: 400 })).toBe(65);
+  });
+});
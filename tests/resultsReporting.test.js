@@ -0,0 +1,101 @@
+const resultsReportingSource = require('../ingestion/sources/resultsReporting');
+const { calculateResultsOverdueScore } = require('../ingestion/scorers');
+
+function study(nctId, { phases = ['PHASE3'], primaryCompletion = '2024-03-31', hasResults = false, status = {}, oversight, studyType = 'INTERVENTIONAL' } = {}) {
+  return {
+    protocolSection: {
+      identificationModule: { nctId, briefTitle: `Study ${nctId}` },
+      statusModule: { overallStatus: 'COMPLETED', primaryCompletionDateStruct: { date: primaryCompletion }, ...status },
+      sponsorCollaboratorsModule: { leadSponsor: { name: 'Delta Oncology Inc', class: 'INDUSTRY' } },
+      ...(oversight ? { oversightModule: oversight } : {}),
+      designModule: { studyType, phases }
+    },
+    hasResults
+  };
+}
+
+describe('FDAAA 801 results check', () => {
+  test('flags trials without results a year after primary completion, scored by months overdue', () => {
+    const check = resultsReportingSource.checkResultsReporting(study('NCT04000001'), '2026-10-19');
+
+    expect(check).toEqual(expect.objectContaining({
+      applicable: true,
+      status: 'OVERDUE',
+      dueDate: '2025-03-31',
+      daysOverdue: 567,
+      latenessScore: 96
+    }));
+    expect(resultsReportingSource.checkResultsReporting(study('NCT04000001'), '2025-03-01').status).toBe('NOT_DUE');
+  });
+
+  test('scores results submitted after the deadline as late', () => {
+    const late = resultsReportingSource.checkResultsReporting(study('NCT04000002', {
+      primaryCompletion: '2023-06-30',
+      hasResults: true,
+      status: { resultsFirstSubmitDate: '2024-09-15' }
+    }), '2026-10-19');
+    const onTime = resultsReportingSource.checkResultsReporting(study('NCT04000003', {
+      hasResults: true,
+      status: { resultsFirstSubmitDate: '2025-02-01' }
+    }), '2026-10-19');
+
+    expect(late).toEqual(expect.objectContaining({ status: 'LATE', daysLate: 77, latenessScore: 22 }));
+    expect(onTime).toEqual(expect.objectContaining({ status: 'ON_TIME', latenessScore: 0 }));
+  });
+
+  test('extends the deadline for a certification of delay and skips Phase 1 and unregulated trials', () => {
+    const delayed = resultsReportingSource.checkResultsReporting(study('NCT04000003', {
+      primaryCompletion: '2024-12-15',
+      status: { dispFirstSubmitDate: '2025-11-01' }
+    }), '2026-10-19');
+
+    expect(delayed).toEqual(expect.objectContaining({ delayCertified: true, dueDate: '2027-12-15', status: 'NOT_DUE' }));
+    expect(resultsReportingSource.checkResultsReporting(study('NCT04000005', { phases: ['PHASE1'] }), '2026-10-19').status).toBe('NOT_APPLICABLE');
+    expect(resultsReportingSource.checkResultsReporting(study('NCT04000006', {
+      oversight: { isFdaRegulatedDrug: false, isFdaRegulatedDevice: false }
+    }), '2026-10-19').status).toBe('NOT_APPLICABLE');
+  });
+});
+
+describe('results compliance per sponsor', () => {
+  const asOf = '2026-10-19';
+  const checks = [
+    study('NCT04000001'),
+    study('NCT04000007', { primaryCompletion: '2025-06-30' }),
+    study('NCT04000002', { primaryCompletion: '2023-06-30', hasResults: true, status: { resultsFirstSubmitDate: '2024-09-15' } }),
+    study('NCT04000003', { hasResults: true, status: { resultsFirstSubmitDate: '2025-02-01' } })
+  ].map(trial => resultsReportingSource.checkResultsReporting(trial, asOf));
+
+  test('aggregates overdue and late trials, worst first', () => {
+    const compliance = resultsReportingSource.analyzeResultsCompliance('Delta Oncology Inc', checks, asOf);
+
+    expect(compliance).toEqual(expect.objectContaining({
+      complianceId: 'DELTA-ONCOLOGY',
+      trialsDue: 4,
+      overdueCount: 2,
+      lateCount: 1,
+      complianceRate: 25,
+      maxDaysOverdue: 567,
+      latenessScore: 96,
+      urgency: 'CRITICAL'
+    }));
+    expect(compliance.overdueTrials.map(trial => trial.nctId)).toEqual(['NCT04000001', 'NCT04000007']);
+    expect(compliance.emailTrigger.context).toMatch(/^2 of your completed trials .*: NCT04000001 \(567 days overdue\), NCT04000007 \(111 days overdue\)\.$/);
+  });
+
+  test('makes sponsors with overdue trials leads and links late-only sponsors', () => {
+    const overdue = resultsReportingSource.normalizeResultsCompliance(resultsReportingSource.analyzeResultsCompliance('Delta Oncology Inc', checks, asOf));
+    const lateOnly = resultsReportingSource.normalizeResultsCompliance(resultsReportingSource.analyzeResultsCompliance('Delta Oncology Inc', checks.slice(2), asOf));
+
+    expect(overdue).toEqual(expect.objectContaining({ id: 'results-DELTA-ONCOLOGY', collection: 'resultsCompliance' }));
+    expect(overdue.lead).toEqual(expect.objectContaining({ subType: 'MULTIPLE_OVERDUE', priority: 'CRITICAL', lastActivity: '2025-03-31' }));
+    expect(lateOnly.lead).toBeNull();
+    expect(lateOnly.record.urgency).toBe('MEDIUM');
+  });
+
+  test('adds to the worst trial score for each further overdue trial', () => {
+    expect(calculateResultsOverdueScore({ latenessScore: 70, overdueCount: 1 })).toBe(70);
+    expect(calculateResultsOverdueScore({ latenessScore: 70, overdueCount: 3 })).toBe(80);
+    expect(calculateResultsOverdueScore({ latenessScore: 90, overdueCount: 6 })).toBe(100);
+  });
+});
@@ -0,0 +1,143 @@
+const dataStore = require('../dataStore');
+const { createDefaultRegistry } = require('../ingestion');
+const { LeadGenerationService } = require('../services/leadGenerationService');
+const { FDAApiService } = require('../services/fdaApiService');
+const {
+  normalizeSafetySignal,
+  getSafetySignals,
+  sumReportWindows,
+  detectReportSpike,
+  analyzeSafetySignal
+} = require('../ingestion/sources/safetySignals');
+const { calculateSafetySignalScore } = require('../ingestion/scorers');
+
+const options = { minReports: 20, spikeRatio: 2 };
+
+describe('FAERS report windows', () => {
+  test('sums daily counts into windows ending at the latest receive date', () => {
+    const series = [
+      { time: '20260630', count: 5 },
+      { time: '20260601', count: 2 },
+      { time: '20260531', count: 3 },
+      { time: '20260402', count: 7 },
+      { time: '20260701', count: 100 }
+    ];
+
+    expect(sumReportWindows(series, '20260630', 30, 3)).toEqual([7, 3, 7]);
+  });
+});
+
+describe('FAERS spike detection', () => {
+  test('flags a surge well above the baseline', () => {
+    const spike = detectReportSpike([90, 30, 30, 30], [30000, 30000, 30000, 30000], options);
+
+    expect(spike).toEqual(expect.objectContaining({
+      currentReports: 90,
+      previousReports: 30,
+      expectedReports: 30,
+      ratio: 3,
+      monthOverMonth: 200,
+      isSpike: true
+    }));
+  });
+
+  test('discounts growth that matches overall FAERS volume', () => {
+    const spike = detectReportSpike([90, 30, 30, 30], [90000, 30000, 30000, 30000], options);
+
+    expect(spike.expectedReports).toBe(90);
+    expect(spike.isSpike).toBe(false);
+  });
+
+  test('ignores surges below the minimum report count', () => {
+    expect(detectReportSpike([12, 2, 2, 2], [1, 1, 1, 1], options).isSpike).toBe(false);
+  });
+
+  test('treats an empty baseline as one expected report', () => {
+    const spike = detectReportSpike([25, 0, 0, 0], [1, 1, 1, 1], options);
+
+    expect(spike).toEqual(expect.objectContaining({ ratio: 25, monthOverMonth: null, isSpike: true }));
+  });
+});
+
+describe('SAFETY_SIGNAL leads', () => {
+  const signal = analyzeSafetySignal({
+    product: 'DELTANIB XR',
+    manufacturer: 'Delta Oncology Inc',
+    asOf: '20260630',
+    windowDays: 30,
+    topReactions: [{ reaction: 'PNEUMONITIS', count: 22 }],
+    currentReports: 150,
+    previousReports: 30,
+    baselineMean: 30,
+    expectedReports: 30,
+    ratio: 5,
+    zScore: 21.91,
+    monthOverMonth: 400,
+    windows: [150, 30, 30, 30]
+  });
+
+  test('keys the lead on the product and escalates large surges', () => {
+    const normalized = normalizeSafetySignal(signal);
+
+    expect(normalized.id).toBe('safety-DELTANIB-XR');
+    expect(normalized.lead.priority).toBe('CRITICAL');
+    expect(normalized.lead.lastActivity).toBe('2026-06-30');
+    expect(signal.emailTrigger.context).toContain('led by pneumonitis');
+  });
+
+  test('scores ratio, strength and volume', () => {
+    expect(calculateSafetySignalScore(signal)).toBe(95);
+    expect(calculateSafetySignalScore({ ratio: 2.1, zScore: 3.2, currentReports: 25 })).toBe(70);
+  });
+});
+
+// FAERS service whose FAILNIB product query fails while DELTANIB XR spikes
+function partlyFailingService() {
+  const service = new FDAApiService();
+  const days = ['20260630', '20260515', '20260415', '20260315'];
+  service.openFda = {
+    count: async (endpoint, { search, field }) => {
+      if (field === 'patient.drug.openfda.brand_name.exact') return [{ term: 'FAILNIB' }, { term: 'DELTANIB XR' }];
+      if (search.includes('FAILNIB')) throw new Error('429 Too Many Requests');
+      if (field === 'receivedate') {
+        const counts = search.includes('DELTANIB') ? [150, 30, 30, 30] : [30000, 30000, 30000, 30000];
+        return days.map((time, i) => ({ time, count: counts[i] }));
+      }
+      if (field === 'patient.drug.openfda.manufacturer_name.exact') return [{ term: 'Delta Oncology Inc', count: 150 }];
+      return [{ term: 'PNEUMONITIS', count: 22 }];
+    }
+  };
+  return service;
+}
+
+describe('getSafetySignals', () => {
+  test('skips a product whose query fails and keeps the other signals', async () => {
+    const service = partlyFailingService();
+
+    const signals = await getSafetySignals(service);
+
+    expect(signals.map(signal => signal.product)).toEqual(['DELTANIB XR']);
+    expect(service.takeFetchReports().filter(report => report.error)).toEqual([
+      expect.objectContaining({ label: 'faers', error: '429 Too Many Requests', skipped: true })
+    ]);
+  });
+
+  describe('during lead generation', () => {
+    afterAll(() => {
+      dataStore.leads = [];
+      dataStore.companies.clear();
+    });
+
+    test('does not fail the source over a skipped product', async () => {
+      const service = new LeadGenerationService({ registry: createDefaultRegistry(), fdaApi: partlyFailingService() });
+      const run = { id: 1, counts: {}, errors: [] };
+
+      await service.generateLeads({ sources: ['faers'], run });
+
+      expect(dataStore.leads.map(lead => lead.leadType)).toEqual(['SAFETY_SIGNAL']);
+      expect(run.counts.faers).toEqual(expect.objectContaining({ leads: 1, skipped: 1 }));
+      expect(run.counts.faers.failed).toBeUndefined();
+      expect(run.errors).toEqual([]);
+    });
+  });
+});
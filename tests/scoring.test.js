@@ -0,0 +1,149 @@
+const applications = require('./fixtures/applications.json');
+const dataStore = require('../dataStore');
+const { FDAApiService } = require('../services/fdaApiService');
+const { LeadGenerationService } = require('../services/leadGenerationService');
+const { calculateApplicationScore } = require('../ingestion/scorers');
+const { ScoreLedger } = require('../scoreLedger');
+const { resolveRules } = require('../scoringRules');
+
+const NOW = new Date('2026-06-15T12:00:00Z');
+
+describe('classifyTrialPhase', () => {
+  const fdaApi = new FDAApiService();
+
+  test.each([
+    ['a single phase 3', { phase: ['PHASE3'] }, { primary: 'PHASE3', secondary: null, isCombo: false }],
+    ['a phase 1/2 study from the v2 API', { protocolSection: { designModule: { phases: ['PHASE1', 'PHASE2'] } } }, { primary: 'PHASE1', secondary: 'PHASE2', isCombo: true }],
+    ['a phase 2/3 study', { phase: ['PHASE2', 'PHASE3'] }, { primary: 'PHASE2', secondary: 'PHASE3', isCombo: true }],
+    ['an early phase 1 study', { phase: ['EARLY_PHASE1'] }, { primary: 'EARLY_PHASE1', secondary: null, isCombo: false }],
+    ['a free-text phase string', { phase: 'Phase 2' }, { primary: 'PHASE2', secondary: null, isCombo: false }],
+    ['a phase 4 study', { phase: ['PHASE4'] }, { primary: 'PHASE4', secondary: null, isCombo: false }],
+    ['a study without phases', { phase: ['NA'] }, { primary: 'UNKNOWN', secondary: null, isCombo: false }],
+    ['an empty record', {}, { primary: 'UNKNOWN', secondary: null, isCombo: false }],
+    ['a malformed phase value', { phase: 42 }, { primary: 'UNKNOWN', secondary: null, isCombo: false }]
+  ])('classifies %s', (_, trial, expected) => {
+    expect(fdaApi.classifyTrialPhase(trial)).toEqual(expected);
+  });
+});
+
+describe('LeadGenerationService scoring', () => {
+  const service = new LeadGenerationService();
+
+  beforeAll(() => {
+    jest.useFakeTimers({ now: NOW });
+  });
+
+  afterAll(() => {
+    jest.useRealTimers();
+  });
+
+  describe('calculateApplicationScore', () => {
+    test('caps a recent, critical NDA at 100', () => {
+      expect(calculateApplicationScore(applications.completeResponseNda)).toBe(100);
+    });
+
+    test('leaves a quiet ANDA at the base score', () => {
+      expect(calculateApplicationScore(applications.routineAnda)).toBe(50);
+    });
+
+    test('adds urgency, issue, pathway and complexity points', () => {
+      // 50 base + 20 MEDIUM urgency + 5 MEDIUM issue + 10 505(b)(2) + 5 combination + 5 is505b2
+      expect(calculateApplicationScore(applications.pathway505b2)).toBe(95);
+    });
+
+    test('gives a smaller boost to activity within 60 days', () => {
+      const app = { ...applications.routineAnda, lastActivity: '2026-05-01' };
+
+      expect(calculateApplicationScore(app)).toBe(55);
+    });
+
+    test('records each factor with its weight and source field', () => {
+      const ledger = new ScoreLedger();
+
+      expect(calculateApplicationScore(applications.pathway505b2, ledger)).toBe(95);
+      expect(ledger.entries.map(entry => [entry.weight, entry.source])).toEqual([
+        [50, null],
+        [20, 'urgency'],
+        [5, 'issues[0].severity'],
+        [10, 'submissionType'],
+        [5, 'therapeuticProfile.complexity.combinationProduct'],
+        [5, 'therapeuticProfile.complexity.is505b2']
+      ]);
+    });
+
+    test('takes its factor weights from the scoring rules', () => {
+      const { weights } = resolveRules({ weights: { factors: { application: { base: 40, majorSubmission: 0 } } } });
+
+      // 40 base + 20 MEDIUM urgency + 5 MEDIUM issue + 5 combination + 5 is505b2
+      expect(calculateApplicationScore(applications.pathway505b2, new ScoreLedger(), weights.factors.application)).toBe(75);
+    });
+
+    test('records the cap as its own entry', () => {
+      const ledger = new ScoreLedger();
+      calculateApplicationScore(applications.completeResponseNda, ledger);
+
+      expect(ledger.entries[ledger.entries.length - 1]).toEqual(expect.objectContaining({ factor: 'Capped at 100', source: null }));
+      expect(ledger.total).toBe(100);
+    });
+  });
+
+  describe('scoreAndRankLeads', () => {
+    afterEach(() => {
+      dataStore.leads = [];
+      dataStore.companies.clear();
+    });
+
+    test('ranks by priority then score and leaves stale leads unranked', () => {
+      dataStore.companies.set('Acme', { name: 'Acme', totalTouchpoints: 2, hasUrgentIssues: true, hasComplianceIssues: false });
+      dataStore.leads = [
+        { id: 'a', companyName: 'Other', priority: 'HIGH', score: 70 },
+        { id: 'b', companyName: 'Acme', priority: 'HIGH', score: 70 },
+        { id: 'c', companyName: 'Other', priority: 'CRITICAL', score: 60 },
+        { id: 'd', companyName: 'Other', priority: 'CRITICAL', score: 99, stale: true }
+      ];
+
+      service.scoreAndRankLeads();
+
+      expect(dataStore.leads.map(lead => [lead.id, lead.score, lead.rank])).toEqual([
+        ['c', 60, 1],
+        ['b', 90, 2],
+        ['a', 70, 3],
+        ['d', 99, null]
+      ]);
+    });
+
+    test('does not compound boosts across runs', () => {
+      dataStore.companies.set('Acme', { name: 'Acme', totalTouchpoints: 1, hasUrgentIssues: true, hasComplianceIssues: true });
+      dataStore.leads = [{ id: 'a', companyName: 'Acme', priority: 'HIGH', score: 60 }];
+
+      service.scoreAndRankLeads();
+      service.scoreAndRankLeads();
+
+      expect(dataStore.leads[0].score).toBe(85);
+      expect(dataStore.leads[0].baseScore).toBe(60);
+    });
+
+    test('adds company boosts to the lead score ledger', () => {
+      dataStore.companies.set('Acme', { name: 'Acme', totalTouchpoints: 3, hasUrgentIssues: true, hasComplianceIssues: true });
+      dataStore.leads = [{
+        id: 'a',
+        companyName: 'Acme',
+        priority: 'HIGH',
+        score: 80,
+        scoreLedger: [{ factor: 'Class I recall', weight: 80, source: 'classification', value: 'Class I' }]
+      }];
+
+      service.scoreAndRankLeads();
+      service.scoreAndRankLeads();
+
+      expect(dataStore.leads[0].scoreLedger.map(entry => [entry.factor, entry.weight, entry.source])).toEqual([
+        ['Class I recall', 80, 'classification'],
+        ['3 company touchpoints', 15, 'company.totalTouchpoints'],
+        ['Company has urgent issues', 10, 'company.hasUrgentIssues'],
+        ['Company has compliance issues', 15, 'company.hasComplianceIssues'],
+        ['Capped at 100', -20, null]
+      ]);
+      expect(dataStore.leads[0].score).toBe(100);
+    });
+  });
+});
@@ -0,0 +1,198 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const dataStore = require('../dataStore');
+const { FDAApiService } = require('../services/fdaApiService');
+const { LeadGenerationService } = require('../services/leadGenerationService');
+const { SCORERS, calculateLabelChangeScore } = require('../ingestion/scorers');
+const {
+  DEFAULT_RULES,
+  validateRules,
+  resolveRules,
+  reloadRules,
+  getRules,
+  getRulesStatus,
+  priorityForScore
+} = require('../scoringRules');
+
+describe('validateRules', () => {
+  test('accepts partial rules shaped like the defaults', () => {
+    expect(validateRules({})).toEqual([]);
+    expect(validateRules(DEFAULT_RULES)).toEqual([]);
+    expect(validateRules({ weights: { leadTypes: { RECALL: 1.5 } }, priorityThresholds: { HIGH: 85 } })).toEqual([]);
+  });
+
+  test('reports every problem with its rule path', () => {
+    expect(validateRules({
+      inclusion: { trials: { minUrgencyScore: 140, minComplexityScore: 101 } },
+      thresholds: { phase2StagnationMonths: '30', recruitmentMonths: { PHASE2: -1 } },
+      weights: { leadTypes: { RECALL: 'high' }, factors: { recall: { classII: 85 } } },
+      priorityThresholds: { URGENT: 90 },
+      sponsors: { deny: 'pfizer' },
+      scoring: {}
+    })).toEqual([
+      'inclusion.trials.minUrgencyScore must be at most 100',
+      'inclusion.trials.minComplexityScore must be at most 100',
+      'thresholds.phase2StagnationMonths must be a non-negative number',
+      'thresholds.recruitmentMonths.PHASE2 must be a non-negative number',
+      'weights.leadTypes.RECALL must be a non-negative number',
+      'unknown rule weights.factors.recall.classII',
+      'priorityThresholds keys must be one of CRITICAL, HIGH, MEDIUM, LOW',
+      'sponsors.deny must be a list of non-empty strings',
+      'unknown rule scoring'
+    ]);
+    expect(validateRules([])).toEqual(['rules must be an object']);
+  });
+
+  test('merges over the base rules, replacing lists and open maps', () => {
+    const base = resolveRules({ weights: { leadTypes: { RECALL: 2 } } });
+    const rules = resolveRules({ weights: { leadTypes: { TRIAL: 0.5 } }, sponsors: { allow: [' Pfizer '] } }, base);
+
+    expect(rules.weights).toEqual({ ...DEFAULT_RULES.weights, leadTypes: { TRIAL: 0.5 } });
+    expect(rules.sponsors.allow).toEqual(['pfizer']);
+    expect(rules.sponsors.deny).toEqual(DEFAULT_RULES.sponsors.deny);
+    expect(rules.thresholds).toEqual(DEFAULT_RULES.thresholds);
+    expect(() => resolveRules({ weights: { maxScore: -1 } })).toThrow('Invalid scoring rules: weights.maxScore must be a non-negative number');
+  });
+
+  test('lifts priority to the highest threshold reached, never lowers it', () => {
+    const thresholds = { CRITICAL: 95, HIGH: 80 };
+    expect(priorityForScore('MEDIUM', 85, thresholds)).toBe('HIGH');
+    expect(priorityForScore('LOW', 97, thresholds)).toBe('CRITICAL');
+    expect(priorityForScore('CRITICAL', 50, thresholds)).toBe('CRITICAL');
+    expect(priorityForScore('MEDIUM', 70, {})).toBe('MEDIUM');
+  });
+});
+
+describe('rules file', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scoring-rules-'));
+    file = path.join(dir, 'rules.json');
+  });
+
+  afterEach(() => {
+    delete process.env.SCORING_RULES_FILE;
+    reloadRules();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function writeRules(rules, mtime) {
+    fs.writeFileSync(file, typeof rules === 'string' ? rules : JSON.stringify(rules));
+    fs.utimesSync(file, mtime, mtime);
+  }
+
+  test('loads the file and reloads it when it changes', () => {
+    writeRules({ thresholds: { phase2StagnationMonths: 36 } }, new Date('2026-01-01'));
+    process.env.SCORING_RULES_FILE = file;
+
+    expect(getRules().thresholds.phase2StagnationMonths).toBe(36);
+    expect(getRulesStatus()).toEqual(expect.objectContaining({ file, errors: [], loadedAt: expect.any(String) }));
+
+    writeRules({ thresholds: { phase2StagnationMonths: 40 } }, new Date('2026-01-02'));
+    expect(reloadRules().thresholds.phase2StagnationMonths).toBe(40);
+  });
+
+  test('keeps the last good rules when the file turns invalid', () => {
+    writeRules({ inclusion: { trials: { minUrgencyScore: 70 } } }, new Date('2026-01-01'));
+    process.env.SCORING_RULES_FILE = file;
+    expect(getRules().inclusion.trials.minUrgencyScore).toBe(70);
+
+    writeRules({ inclusion: { trials: { minUrgencyScore: 'high' } } }, new Date('2026-01-02'));
+    expect(reloadRules().inclusion.trials.minUrgencyScore).toBe(70);
+    expect(getRulesStatus().errors).toEqual(['inclusion.trials.minUrgencyScore must be a non-negative number']);
+
+    writeRules('{ not json', new Date('2026-01-03'));
+    expect(reloadRules().inclusion.trials.minUrgencyScore).toBe(70);
+    expect(getRulesStatus().errors).toHaveLength(1);
+  });
+
+  test('feeds the analyzers', () => {
+    const fdaApi = new FDAApiService();
+    expect(fdaApi.isHighValueSponsor('Pfizer Therapeutics')).toBe(false);
+    expect(fdaApi.shouldIncludeTrial({ urgencyScore: 65, complexityScore: 0, sponsor: 'X' })).toBe(true);
+
+    writeRules({
+      inclusion: { trials: { minUrgencyScore: 70 } },
+      sponsors: { allow: ['Pfizer'], deny: ['acme'] }
+    }, new Date('2026-01-01'));
+    process.env.SCORING_RULES_FILE = file;
+
+    expect(fdaApi.isHighValueSponsor('Pfizer Oncology')).toBe(true);
+    expect(fdaApi.isHighValueSponsor('Acme Therapeutics')).toBe(false);
+    expect(fdaApi.isHighValueSponsor('Merck Sciences')).toBe(true);
+    expect(fdaApi.shouldIncludeTrial({ urgencyScore: 65, complexityScore: 0, sponsor: 'X' })).toBe(false);
+  });
+
+  test('feeds the scorers', () => {
+    expect(SCORERS.RECALL({ classification: 'Class I' })).toBe(90);
+
+    writeRules({ weights: { factors: { recall: { classI: 95 }, labelChange: { changeType: { NEW_INDICATION: 75 } } } } }, new Date('2026-01-01'));
+    process.env.SCORING_RULES_FILE = file;
+
+    expect(SCORERS.RECALL({ classification: 'Class I' })).toBe(95);
+    expect(SCORERS.RECALL({ classification: 'Class II' })).toBe(80);
+    expect(calculateLabelChangeScore({ changeType: 'NEW_INDICATION', effectiveDate: '2000-01-01' })).toBe(75);
+    expect(calculateLabelChangeScore({ changeType: 'LABEL_UPDATE', effectiveDate: '2000-01-01' })).toBe(60);
+  });
+});
+
+describe('scoreAndRankLeads under rules', () => {
+  const service = new LeadGenerationService();
+
+  afterEach(() => {
+    dataStore.leads = [];
+    dataStore.companies.clear();
+  });
+
+  test('applies lead type weights, company weights and priority thresholds', () => {
+    dataStore.companies.set('Acme', { name: 'Acme', totalTouchpoints: 2, hasUrgentIssues: false, hasComplianceIssues: false });
+    dataStore.leads = [
+      { id: 'a', companyName: 'Acme', leadType: 'RECALL', priority: 'MEDIUM', score: 60 },
+      { id: 'b', companyName: 'Other', leadType: 'TRIAL', priority: 'HIGH', score: 70 }
+    ];
+    const rules = resolveRules({
+      weights: { leadTypes: { RECALL: 1.25 }, company: { touchpoint: 2 } },
+      priorityThresholds: { HIGH: 75 }
+    });
+
+    service.scoreAndRankLeads(dataStore.leads, rules);
+    service.scoreAndRankLeads(dataStore.leads, rules);
+
+    const recall = dataStore.leads.find(lead => lead.id === 'a');
+    expect(recall.scoreLedger.map(entry => [entry.factor, entry.weight, entry.source])).toEqual([
+      ['Base score', 60, 'baseScore'],
+      ['RECALL weight x1.25', 15, 'rules.weights.leadTypes.RECALL'],
+      ['2 company touchpoints', 4, 'company.totalTouchpoints']
+    ]);
+    expect(dataStore.leads.map(lead => [lead.id, lead.score, lead.priority, lead.rank])).toEqual([
+      ['a', 79, 'HIGH', 1],
+      ['b', 70, 'HIGH', 2]
+    ]);
+
+    service.scoreAndRankLeads();
+    expect(dataStore.leads.map(lead => [lead.id, lead.score, lead.priority])).toEqual([
+      ['b', 70, 'HIGH'],
+      ['a', 70, 'MEDIUM']
+    ]);
+  });
+
+  test('previews proposed rules without touching the stored leads', () => {
+    dataStore.leads = [
+      { id: 'a', companyName: 'Acme', leadType: 'RECALL', priority: 'HIGH', score: 60 },
+      { id: 'b', companyName: 'Acme', leadType: 'TRIAL', priority: 'HIGH', score: 70 }
+    ];
+    service.scoreAndRankLeads();
+
+    const preview = service.previewScores(resolveRules({ weights: { leadTypes: { RECALL: 1.5 } } }));
+
+    expect(preview.map(lead => [lead.id, lead.score, lead.proposedScore, lead.rank, lead.proposedRank])).toEqual([
+      ['a', 60, 90, 2, 1],
+      ['b', 70, 70, 1, 2]
+    ]);
+    expect(dataStore.leads.map(lead => [lead.id, lead.score, lead.rank])).toEqual([['b', 70, 1], ['a', 60, 2]]);
+    expect(dataStore.leads[1].scoreLedger).toHaveLength(1);
+  });
+});
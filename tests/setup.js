@@ -0,0 +1,37 @@
+const path = require('path');
+
+// Tests never touch the network or a database: upstream calls are replayed
+// from tests/fixtures/upstream and persistence falls back to the in-memory store.
+process.env.LOG_SILENT = 'true';
+process.env.UPSTREAM_MODE = 'replay';
+process.env.UPSTREAM_FIXTURES_DIR = path.join(__dirname, 'fixtures', 'upstream');
+delete process.env.DATABASE_URL;
+delete process.env.DB_HOST;
+delete process.env.FDA_API_KEY;
+
+// Recorded warning letters have fixed dates; keep them inside the age window
+process.env.WARNING_LETTER_MAX_AGE_DAYS = '36500';
+
+// Inspection classifications are imported from local exports, not replayed
+process.env.INSPECTION_CLASSIFICATIONS_FILE = path.join(__dirname, 'fixtures', 'inspections', 'classifications.csv');
+process.env.INSPECTION_CITATIONS_FILE = path.join(__dirname, 'fixtures', 'inspections', 'citations.csv');
+process.env.INSPECTION_MAX_AGE_DAYS = '36500';
+
+// Recorded drug labels have fixed effective dates
+process.env.LABEL_CHANGE_MAX_AGE_DAYS = '36500';
+
+// Recorded trials have fixed record update dates
+process.env.TRIAL_CHANGE_WINDOW_DAYS = '36500';
+
+// Recorded drug shortages have fixed resolution dates
+process.env.SHORTAGE_RESOLVED_LEAD_DAYS = '36500';
+
+// Orange Book files are imported from a local folder; the recorded expiries
+// lie decades ahead, so widen the lead horizon to cover them
+process.env.ORANGE_BOOK_DIR = path.join(__dirname, 'fixtures', 'orangeBook');
+process.env.ORANGE_BOOK_HORIZON_DAYS = '36500';
+
+// Purple Book download, imported from a local file; keep the recorded
+// biosimilar licensures inside the lead window
+process.env.PURPLE_BOOK_FILE = path.join(__dirname, 'fixtures', 'purpleBook', 'purplebook.csv');
+process.env.BIOSIMILAR_LEAD_DAYS = '36500';
@@ -0,0 +1,171 @@
+const dataStore = require('../dataStore');
+const { createDefaultRegistry } = require('../ingestion');
+const { LeadGenerationService } = require('../services/leadGenerationService');
+const { FDAApiService } = require('../services/fdaApiService');
+const { trackTrialChanges, snapshotTrial, diffTrialSnapshots } = require('../ingestion/sources/clinicalTrials');
+
+const fdaApi = new FDAApiService();
+
+function study({ status = 'RECRUITING', enrollment = 120, primaryCompletion = '2027-06-30', updated = '2026-09-01', sites = ['Site A'] } = {}) {
+  return {
+    protocolSection: {
+      identificationModule: { nctId: 'NCT05000001' },
+      statusModule: {
+        overallStatus: status,
+        primaryCompletionDateStruct: { date: primaryCompletion },
+        lastUpdatePostDateStruct: { date: updated }
+      },
+      sponsorCollaboratorsModule: { leadSponsor: { name: 'Delta Oncology Inc' } },
+      designModule: { enrollmentInfo: { count: enrollment } },
+      contactsLocationsModule: { locations: sites.map(facility => ({ facility, city: 'Boston', country: 'United States' })) }
+    }
+  };
+}
+
+describe('trial snapshot diff', () => {
+  test('reports enrollment revisions, completion delays, suspensions and added sites, dated by the record update', () => {
+    const previous = snapshotTrial(study(), '2026-08-01');
+    const current = snapshotTrial(study({
+      status: 'SUSPENDED',
+      enrollment: 80,
+      primaryCompletion: '2028-03-31',
+      updated: '2026-10-01',
+      sites: ['Site A', 'Site B', 'Site C']
+    }), '2026-10-19');
+
+    expect(diffTrialSnapshots(previous, current)).toEqual([
+      expect.objectContaining({ changeType: 'ENROLLMENT_REVISED', from: 120, to: 80, date: '2026-10-01', description: 'Enrollment target cut from 120 to 80' }),
+      expect.objectContaining({ changeType: 'PRIMARY_COMPLETION_DELAYED', months: 9, description: 'Primary completion pushed back from 2027-06-30 to 2028-03-31 (9 months)' }),
+      expect.objectContaining({ changeType: 'STATUS_SUSPENDED', from: 'RECRUITING', to: 'SUSPENDED', description: 'Status changed from recruiting to suspended' }),
+      expect.objectContaining({
+        changeType: 'SITES_ADDED',
+        added: ['Site B, Boston, United States', 'Site C, Boston, United States'],
+        description: '2 site(s) added (1 to 3): Site B, Boston, United States; Site C, Boston, United States'
+      })
+    ]);
+  });
+
+  test('ignores completion dates moved earlier and a first enrollment figure', () => {
+    const previous = snapshotTrial(study({ enrollment: 0 }), '2026-08-01');
+    const current = snapshotTrial(study({ enrollment: 90, primaryCompletion: '2027-01-31' }), '2026-10-19');
+
+    expect(diffTrialSnapshots(previous, current)).toEqual([]);
+  });
+});
+
+describe('trial change tracking', () => {
+  const asOf = '2026-10-19';
+
+  test('stores a baseline on first sight and nothing while the record is unchanged', () => {
+    const first = trackTrialChanges([study()], new Map(), { asOf });
+    expect(first.snapshots).toEqual([expect.objectContaining({ nctId: 'NCT05000001', version: 1, changes: [] })]);
+    expect(first.trialChanges.size).toBe(0);
+
+    const again = trackTrialChanges([study()], new Map([['NCT05000001', first.snapshots]]), { asOf });
+    expect(again.snapshots).toEqual([]);
+  });
+
+  test('passes on new and earlier changes inside the window, newest first', () => {
+    const baseline = { ...snapshotTrial(study({ primaryCompletion: '2026-12-31', updated: '2026-03-01' }), '2026-03-05'), version: 1, changes: [] };
+    const delayed = {
+      ...snapshotTrial(study({ updated: '2026-06-01' }), '2026-06-05'),
+      version: 2,
+      changes: [{ changeType: 'PRIMARY_COMPLETION_DELAYED', date: '2026-06-01', months: 6, description: 'Primary completion pushed back from 2026-12-31 to 2027-06-30 (6 months)' }]
+    };
+    const history = new Map([['NCT05000001', [delayed, baseline]]]);
+
+    const { snapshots, trialChanges } = trackTrialChanges([study({ enrollment: 80, updated: '2026-10-01' })], history, { asOf });
+
+    expect(snapshots).toEqual([expect.objectContaining({ version: 3 })]);
+    expect(trialChanges.get('NCT05000001').map(change => `${change.date} ${change.changeType}`)).toEqual([
+      '2026-10-01 ENROLLMENT_REVISED',
+      '2026-06-01 PRIMARY_COMPLETION_DELAYED'
+    ]);
+
+    const narrow = trackTrialChanges([study({ enrollment: 80, updated: '2026-10-01' })], history, { asOf, windowDays: 60 });
+    expect(narrow.trialChanges.get('NCT05000001')).toHaveLength(1);
+  });
+
+  test('turns completion delays and enrollment cuts into dated recruitment evidence', () => {
+    const changes = [
+      { changeType: 'ENROLLMENT_REVISED', from: 120, to: 80, date: '2026-10-01', description: 'Enrollment target cut from 120 to 80' },
+      { changeType: 'PRIMARY_COMPLETION_DELAYED', months: 6, date: '2026-06-01', description: 'Primary completion pushed back from 2026-12-31 to 2027-06-30 (6 months)' }
+    ];
+    const result = fdaApi.analyzeAdvancedRecruitmentChallenges({}, { primary: 'PHASE1' }, changes);
+
+    expect(result).toEqual({
+      hasChallenges: true,
+      severity: 'high',
+      urgency: 'high',
+      description: 'Primary completion pushed back 1 time(s), 6 months in total (latest 2026-06-01) | Enrollment target cut to 80 (2026-10-01)',
+      evidence: [
+        '2026-06-01: Primary completion pushed back from 2026-12-31 to 2027-06-30 (6 months)',
+        '2026-10-01: Enrollment target cut from 120 to 80'
+      ]
+    });
+  });
+});
+
+describe('suspended trials', () => {
+  test('become a critical pain point and lead the email', async () => {
+    const suspension = { changeType: 'STATUS_SUSPENDED', from: 'RECRUITING', to: 'SUSPENDED', date: '2026-10-01', description: 'Status changed from recruiting to suspended' };
+    const analysis = await fdaApi.advancedTrialPainPointAnalysis(study({ status: 'SUSPENDED' }), [], { changes: [suspension] });
+
+    expect(analysis.painPoints[0]).toEqual(expect.objectContaining({
+      type: 'trial_suspended',
+      severity: 'CRITICAL',
+      description: 'Trial suspended (record updated 2026-10-01, previously recruiting)'
+    }));
+    expect(analysis.emailTrigger.urgency).toBe('CRITICAL');
+    expect(analysis.emailTrigger.specificAnalysis[0]).toBe('Restart plan and FDA communication strategy following the suspension');
+  });
+});
+
+describe('clinicaltrials source history', () => {
+  let service;
+
+  beforeEach(() => {
+    dataStore.leads = [];
+    dataStore.companies.clear();
+    dataStore.trialSnapshots.clear();
+    service = new LeadGenerationService({ registry: createDefaultRegistry(), fdaApi: new FDAApiService() });
+  });
+
+  afterAll(() => {
+    dataStore.leads = [];
+    dataStore.companies.clear();
+    dataStore.trialSnapshots.clear();
+  });
+
+  test('feeds changes since the stored snapshot into the pain points and email', async () => {
+    dataStore.trialSnapshots.set('NCT06000001', [{
+      nctId: 'NCT06000001',
+      sponsor: 'Delta Oncology Inc',
+      lastUpdatePostedDate: '2025-06-01',
+      overallStatus: 'SUSPENDED',
+      enrollment: 60,
+      primaryCompletionDate: '2026-12-31',
+      completionDate: '2027-06-30',
+      sites: [],
+      capturedAt: '2025-06-02',
+      version: 1,
+      changes: []
+    }]);
+
+    await service.generateLeads({ sources: ['clinicaltrials'] });
+
+    const lead = dataStore.leads.find(l => l.id === 'trial-NCT06000001');
+    expect(lead.recordChanges.map(change => change.changeType)).toEqual(['ENROLLMENT_REVISED', 'PRIMARY_COMPLETION_DELAYED', 'STATUS_CHANGED']);
+    expect(lead.challenges.find(challenge => challenge.type === 'recruitment_challenges').evidence).toEqual([
+      '2026-01-10: Primary completion pushed back from 2026-12-31 to 2027-06-30 (6 months)',
+      '2026-01-10: Enrollment target cut from 60 to 40'
+    ]);
+    expect(lead.personalizedEmail.opening).toMatch(/^Your ClinicalTrials.gov record for NCT06000001 was updated on 2026-01-10: enrollment target cut from 60 to 40\. /);
+    expect(lead.personalizedEmail.recordChanges.split('\n')).toEqual([
+      '• 2026-01-10: Enrollment target cut from 60 to 40',
+      '• 2026-01-10: Primary completion pushed back from 2026-12-31 to 2027-06-30 (6 months)',
+      '• 2026-01-10: Status changed from suspended to recruiting'
+    ]);
+    expect(dataStore.trialSnapshots.get('NCT06000001').map(snapshot => snapshot.version)).toEqual([2, 1]);
+  });
+});
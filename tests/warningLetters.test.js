@@ -0,0 +1,94 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  parseListing,
+  parseLetter,
+  extractCfrCitations,
+  extractResponseDeadline
+} = require('../clients/warningLetterParser');
+const { WarningLetterClient } = require('../clients/warningLetterClient');
+const { isDrugWarningLetter } = require('../ingestion/sources/warningLetters');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', 'warningLetters', `${name}.html`), 'utf8');
+
+describe('warning letter parsing', () => {
+  test('reads listing rows by column header', () => {
+    const [acme] = parseListing(fixture('listing'));
+
+    expect(acme).toEqual({
+      postedDate: '2026-06-09',
+      letterDate: '2026-06-02',
+      company: 'Acme Pharmaceuticals, Inc.',
+      url: 'https://www.fda.gov/inspections-compliance-enforcement-and-criminal-investigations/warning-letters/acme-pharmaceuticals-inc-712345-06022026',
+      slug: 'acme-pharmaceuticals-inc-712345-06022026',
+      issuingOffice: 'Center for Drug Evaluation and Research | CDER',
+      subject: 'CGMP/Finished Pharmaceuticals/Adulterated'
+    });
+  });
+
+  test('ignores tables that are not the letter listing', () => {
+    expect(parseListing('<table><thead><tr><th>Name</th></tr></thead><tbody><tr><td>x</td></tr></tbody></table>')).toEqual([]);
+  });
+
+  test('reads office, date, citations and deadline from a letter page', () => {
+    expect(parseLetter(fixture('acme-pharmaceuticals-inc-712345-06022026'))).toEqual({
+      marcsCmsNumber: '712345',
+      feiNumbers: ['3001234567'],
+      recipient: 'Jane Roe, Chief Executive Officer, Acme Pharmaceuticals, Inc., 100 Industrial Way, Newark, NJ 07102, United States',
+      issuingOffice: 'Center for Drug Evaluation and Research | CDER',
+      subject: null,
+      productType: 'Drugs',
+      letterDate: '2026-06-02',
+      cfrCitations: ['21 CFR 211.192', '21 CFR 211.100(a)', '21 CFR 211.22(a)', '21 CFR 211.22(d)'],
+      responseDeadline: { days: 15, dayType: 'working', dueDate: '2026-06-23' }
+    });
+  });
+
+  test.each([
+    ['a list of sections', 'see 21 CFR 211.22(d) and 211.192', ['21 CFR 211.22(d)', '21 CFR 211.192']],
+    ['section symbols', '21 CFR §§ 211.68(b), 211.194(a)(2)', ['21 CFR 211.68(b)', '21 CFR 211.194(a)(2)']],
+    ['dotted abbreviations', '21 C.F.R. 314.81(b)(2)', ['21 CFR 314.81(b)(2)']],
+    ['a part followed by another citation', '21 CFR Part 211, 21 CFR 211.100(a)', ['21 CFR 211', '21 CFR 211.100(a)']]
+  ])('extracts CFR citations from %s', (_, text, expected) => {
+    expect(extractCfrCitations(text)).toEqual(expected);
+  });
+
+  test('prefers the receipt deadline over other periods in the letter', () => {
+    const text = 'report within 30 days of release. Respond within fifteen (15) working days of receipt of this letter.';
+
+    expect(extractResponseDeadline(text, '2026-06-05')).toEqual({ days: 15, dayType: 'working', dueDate: '2026-06-26' });
+  });
+
+  test('counts calendar days when no day type is given', () => {
+    expect(extractResponseDeadline('respond within thirty days of receipt', '2026-06-05')).toEqual({
+      days: 30,
+      dayType: 'calendar',
+      dueDate: '2026-07-05'
+    });
+  });
+
+  test('returns null without a deadline', () => {
+    expect(extractResponseDeadline('No response period stated.', '2026-06-05')).toBeNull();
+  });
+});
+
+describe('WarningLetterClient', () => {
+  test('fetches drug letters from replayed pages and merges listing values', async () => {
+    const client = new WarningLetterClient({ maxRetries: 0 });
+    const result = await client.fetchLetters({ filter: isDrugWarningLetter });
+
+    expect(result).toEqual(expect.objectContaining({ listed: 3, fetched: 2, failed: 0, truncated: false }));
+    expect(result.letters.map(letter => letter.company)).toEqual(['Acme Pharmaceuticals, Inc.', 'Beta Biologics LLC']);
+    expect(result.letters[0].subject).toBe('CGMP/Finished Pharmaceuticals/Adulterated');
+    expect(result.letters[1].responseDeadline).toEqual({ days: 15, dayType: 'working', dueDate: '2026-06-09' });
+  });
+
+  test('caps the number of letter pages fetched', async () => {
+    const client = new WarningLetterClient({ maxRetries: 0, maxLetters: 1 });
+
+    const result = await client.fetchLetters();
+
+    expect(result.fetched).toBe(1);
+    expect(result.truncated).toBe(true);
+  });
+});